@@ -4,31 +4,121 @@
 
 require('dotenv').config();
 
+const os = require('os');
+
+const SOLANA_CONFIG_DIR = process.env.SOLANA_CONFIG_DIR || `${process.env.HOME}/.config/solana`;
+const LOCALNET_RPC_PORT = parseInt(process.env.LOCALNET_RPC_PORT || '8899', 10);
+const LOG_DIR_PATH = process.env.LOG_DIR_PATH || './logs';
+const MAX_CONCURRENT_DEPLOYMENTS = parseInt(process.env.MAX_CONCURRENT_DEPLOYMENTS || '5', 10);
+
 module.exports = {
   // Server configuration
   PORT: process.env.PORT || 3000,
   NODE_ENV: process.env.NODE_ENV || 'development',
   
-  // Rate limiting
-  RATE_LIMIT_PER_IP: parseInt(process.env.RATE_LIMIT_PER_IP || '10', 10),
-  RATE_LIMIT_WINDOW_MS: 15 * 60 * 1000, // 15 minutes
+  // Rate limiting, per API key; failed authentications are counted per IP
+  // RATE_LIMIT_PER_IP is the old name of RATE_LIMIT_DEPLOY_MAX
+  RATE_LIMIT_DEPLOY_MAX: parseInt(process.env.RATE_LIMIT_DEPLOY_MAX || process.env.RATE_LIMIT_PER_IP || '10', 10),
+  RATE_LIMIT_POLL_MAX: parseInt(process.env.RATE_LIMIT_POLL_MAX || '600', 10),
+  RATE_LIMIT_CANCEL_MAX: parseInt(process.env.RATE_LIMIT_CANCEL_MAX || '60', 10),
+  RATE_LIMIT_AUTH_FAILURES_MAX: parseInt(process.env.RATE_LIMIT_AUTH_FAILURES_MAX || '20', 10),
+  RATE_LIMIT_WINDOW_MS: parseInt(process.env.RATE_LIMIT_WINDOW_MS || '900000', 10), // 15 minutes
   
   // Deployment configuration
-  MAX_CONCURRENT_DEPLOYMENTS: parseInt(process.env.MAX_CONCURRENT_DEPLOYMENTS || '5', 10),
-  DEPLOYMENT_TIMEOUT_MS: parseInt(process.env.DEPLOYMENT_TIMEOUT_MS || '600000', 10), // 10 minutes
+  MAX_CONCURRENT_DEPLOYMENTS,
+  DEPLOYMENT_TIMEOUT_MS: parseInt(process.env.DEPLOYMENT_TIMEOUT_MS || '600000', 10), // 10 minutes, all steps together
+  VALIDATE_TIMEOUT_MS: parseInt(process.env.VALIDATE_TIMEOUT_MS || '60000', 10), // 1 minute
+  FUNDING_TIMEOUT_MS: parseInt(process.env.FUNDING_TIMEOUT_MS || '180000', 10), // 3 minutes
   BUILD_TIMEOUT_MS: parseInt(process.env.BUILD_TIMEOUT_MS || '300000', 10), // 5 minutes
+  DEPLOY_TIMEOUT_MS: parseInt(process.env.DEPLOY_TIMEOUT_MS || '600000', 10), // 10 minutes
+  VERIFY_TIMEOUT_MS: parseInt(process.env.VERIFY_TIMEOUT_MS || '120000', 10), // 2 minutes
+  COMMAND_OUTPUT_MAX_BYTES: parseInt(process.env.COMMAND_OUTPUT_MAX_BYTES || '1048576', 10), // 1MB per stream
+  
+  // Queue configuration
+  REDIS_URL: process.env.REDIS_URL || 'redis://127.0.0.1:6379',
+  DEPLOYMENT_QUEUE_NAME: process.env.DEPLOYMENT_QUEUE_NAME || 'deployments',
+  LOCALNET_QUEUE_NAME: process.env.LOCALNET_QUEUE_NAME || 'localnet',
+  RUN_WORKER_IN_PROCESS: process.env.RUN_WORKER_IN_PROCESS !== 'false',
+  DEPLOYMENT_STATE_TTL_SECONDS: parseInt(process.env.DEPLOYMENT_STATE_TTL_SECONDS || '604800', 10), // 7 days
+  DEPLOYMENT_EVENTS_MAX_LENGTH: parseInt(process.env.DEPLOYMENT_EVENTS_MAX_LENGTH || '20000', 10),
+  LOG_STREAM_HEARTBEAT_MS: parseInt(process.env.LOG_STREAM_HEARTBEAT_MS || '15000', 10), // 15 seconds
+  
+  // Database for deployment history, API keys and stored wallets
+  DEPLOYMENT_DB_PATH: process.env.DEPLOYMENT_DB_PATH || './data/deployments.db',
+  
+  // Authentication
+  // Bootstrap key with the admin scope, used to create the first API keys
+  ADMIN_API_KEY: process.env.ADMIN_API_KEY || null,
+  
+  // Wallet keystore
+  // 32-byte key (base64 or hex) that encrypts stored wallet secrets
+  WALLET_MASTER_KEY: process.env.WALLET_MASTER_KEY || null,
+  
+  // Treasury
+  // Leftover SOL in ephemeral deployer wallets is swept here (defaults to the treasury wallet)
+  TREASURY_ADDRESS: process.env.TREASURY_ADDRESS || null,
+  // Stored wallet that funds ephemeral wallets the faucet cannot fund; unset disables treasury funding
+  TREASURY_WALLET_ID: process.env.TREASURY_WALLET_ID || null,
+  TREASURY_MAX_SOL_PER_DEPLOYMENT: parseFloat(process.env.TREASURY_MAX_SOL_PER_DEPLOYMENT || '10'),
+  TREASURY_MAX_SOL_PER_DAY: parseFloat(process.env.TREASURY_MAX_SOL_PER_DAY || '50'),
+  
+  // Vanity program ID grinding, per deployment
+  // By default each concurrent deployment gets its share of the CPUs, so grinding cannot starve builds
+  VANITY_THREADS: parseInt(
+    process.env.VANITY_THREADS || String(Math.max(1, Math.floor(os.cpus().length / MAX_CONCURRENT_DEPLOYMENTS))),
+    10
+  ),
+  // Patterns expected to need more attempts than this are rejected up front
+  VANITY_MAX_ATTEMPTS: parseInt(process.env.VANITY_MAX_ATTEMPTS || '50000000', 10),
+  VANITY_TIMEOUT_MS: parseInt(process.env.VANITY_TIMEOUT_MS || '300000', 10), // 5 minutes
+  
+  // Scheduler configuration
+  MAX_DEPLOYMENTS_PER_CLIENT: parseInt(process.env.MAX_DEPLOYMENTS_PER_CLIENT || '2', 10),
+  SCHEDULER_RETRY_DELAY_MS: parseInt(process.env.SCHEDULER_RETRY_DELAY_MS || '5000', 10),
+  SCHEDULER_SLOT_TTL_MS: parseInt(process.env.SCHEDULER_SLOT_TTL_MS || '1800000', 10), // 30 minutes
+  DEFAULT_DEPLOYMENT_DURATION_MS: parseInt(process.env.DEFAULT_DEPLOYMENT_DURATION_MS || '300000', 10), // 5 minutes
+  
+  // BullMQ priorities (lower runs first)
+  DEPLOYMENT_PRIORITIES: {
+    high: 1,
+    normal: 5,
+    low: 10
+  },
+  
+  // Deploy a new program, or upgrade an existing one in place
+  DEPLOYMENT_MODES: {
+    DEPLOY: 'deploy',
+    UPGRADE: 'upgrade'
+  },
   
   // Paths
   TEMP_DIR_PATH: process.env.TEMP_DIR_PATH || './temp',
-  LOG_DIR_PATH: process.env.LOG_DIR_PATH || './logs',
+  LOG_DIR_PATH,
   SOLANA_CLI_PATH: process.env.SOLANA_CLI_PATH || 'solana',
   ANCHOR_CLI_PATH: process.env.ANCHOR_CLI_PATH || 'anchor',
   
   // Solana configuration
-  SOLANA_CONFIG_DIR: process.env.SOLANA_CONFIG_DIR || `${process.env.HOME}/.config/solana`,
+  SOLANA_CONFIG_DIR,
+  DEPLOYMENT_CONFIG_DIR: process.env.DEPLOYMENT_CONFIG_DIR || `${SOLANA_CONFIG_DIR}/deployments`,
   DEVNET_RPC_URL: process.env.DEVNET_RPC_URL || 'https://api.devnet.solana.com',
+  TESTNET_RPC_URL: process.env.TESTNET_RPC_URL || 'https://api.testnet.solana.com',
   MAINNET_RPC_URL: process.env.MAINNET_RPC_URL || 'https://api.mainnet-beta.solana.com',
   
+  // Custom network registry (see src/config/networks.js)
+  NETWORKS_CONFIG_PATH: process.env.NETWORKS_CONFIG_PATH || null,
+  NETWORKS_CONFIG: process.env.NETWORKS_CONFIG || null,
+  
+  // RPC endpoint health checks
+  RPC_HEALTH_CHECK_INTERVAL_MS: parseInt(process.env.RPC_HEALTH_CHECK_INTERVAL_MS || '30000', 10), // 30 seconds
+  RPC_HEALTH_CHECK_TIMEOUT_MS: parseInt(process.env.RPC_HEALTH_CHECK_TIMEOUT_MS || '5000', 10), // 5 seconds
+  RPC_MAX_SLOT_LAG: parseInt(process.env.RPC_MAX_SLOT_LAG || '150', 10),
+  
+  // Local validator configuration
+  SOLANA_TEST_VALIDATOR_PATH: process.env.SOLANA_TEST_VALIDATOR_PATH || 'solana-test-validator',
+  LOCALNET_RPC_PORT,
+  LOCALNET_RPC_URL: `http://127.0.0.1:${LOCALNET_RPC_PORT}`,
+  LOCALNET_STARTUP_TIMEOUT_MS: parseInt(process.env.LOCALNET_STARTUP_TIMEOUT_MS || '60000', 10), // 1 minute
+  
   // Wallet configuration
   MIN_SOL_BALANCE: parseFloat(process.env.MIN_SOL_BALANCE || '2.0'),
   AIRDROP_AMOUNT: parseFloat(process.env.AIRDROP_AMOUNT || '2.0'),
@@ -40,11 +130,31 @@ module.exports = {
   
   // Logging
   LOG_LEVEL: process.env.LOG_LEVEL || 'info',
+  DEPLOYMENT_LOG_DIR: process.env.DEPLOYMENT_LOG_DIR || `${LOG_DIR_PATH}/deployments`,
+  DEPLOYMENT_LOG_RETENTION_DAYS: parseInt(process.env.DEPLOYMENT_LOG_RETENTION_DAYS || '30', 10),
+  DEPLOYMENT_LOG_MAX_TOTAL_MB: parseInt(process.env.DEPLOYMENT_LOG_MAX_TOTAL_MB || '1024', 10),
   
-  // Network types
+  // Built-in network names
   NETWORKS: {
     DEVNET: 'devnet',
-    MAINNET: 'mainnet-beta'
+    TESTNET: 'testnet',
+    MAINNET: 'mainnet-beta',
+    LOCALNET: 'localnet'
+  },
+  
+  // Deployment lifecycle states
+  DEPLOYMENT_STATUS: {
+    QUEUED: 'queued',
+    CLONING: 'cloning',
+    VALIDATING: 'validating',
+    GRINDING: 'grinding',
+    FUNDING: 'funding',
+    BUILDING: 'building',
+    DEPLOYING: 'deploying',
+    VERIFYING: 'verifying',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
   },
   
   // Error codes
@@ -54,11 +164,19 @@ module.exports = {
     NOT_ANCHOR_PROJECT: 'NOT_ANCHOR_PROJECT',
     BUILD_FAILED: 'BUILD_FAILED',
     DEPLOY_FAILED: 'DEPLOY_FAILED',
+    VERIFICATION_FAILED: 'VERIFICATION_FAILED',
     WALLET_ERROR: 'WALLET_ERROR',
     NETWORK_ERROR: 'NETWORK_ERROR',
     TIMEOUT: 'TIMEOUT',
     SYSTEM_ERROR: 'SYSTEM_ERROR',
-    INSUFFICIENT_BALANCE: 'INSUFFICIENT_BALANCE'
+    INSUFFICIENT_BALANCE: 'INSUFFICIENT_BALANCE',
+    NOT_FOUND: 'NOT_FOUND',
+    CONFLICT: 'CONFLICT',
+    CANCELLED: 'CANCELLED',
+    UNAUTHORIZED: 'UNAUTHORIZED',
+    FORBIDDEN: 'FORBIDDEN',
+    QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',
+    RATE_LIMIT_EXCEEDED: 'RATE_LIMIT_EXCEEDED'
   }
 };
 
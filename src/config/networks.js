@@ -0,0 +1,191 @@
+/**
+ * Network registry for the Solana Program Deployer Service
+ * Built-in clusters can be overridden and custom clusters added through
+ * NETWORKS_CONFIG_PATH (JSON file) or NETWORKS_CONFIG (inline JSON)
+ */
+
+const fs = require('fs');
+const Joi = require('joi');
+const {
+  NETWORKS,
+  DEVNET_RPC_URL,
+  TESTNET_RPC_URL,
+  MAINNET_RPC_URL,
+  LOCALNET_RPC_URL,
+  MIN_SOL_BALANCE,
+  NETWORKS_CONFIG_PATH,
+  NETWORKS_CONFIG
+} = require('./constants');
+
+/**
+ * Built-in clusters
+ */
+const BUILT_IN_NETWORKS = {
+  [NETWORKS.DEVNET]: {
+    rpc_url: DEVNET_RPC_URL,
+    airdrop: true,
+    anchor_cluster: 'devnet'
+  },
+  [NETWORKS.TESTNET]: {
+    rpc_url: TESTNET_RPC_URL,
+    airdrop: true,
+    anchor_cluster: 'testnet'
+  },
+  [NETWORKS.MAINNET]: {
+    rpc_url: MAINNET_RPC_URL,
+    airdrop: false,
+    mainnet: true,
+    anchor_cluster: 'mainnet'
+  },
+  [NETWORKS.LOCALNET]: {
+    rpc_url: LOCALNET_RPC_URL,
+    airdrop: true,
+    managed_validator: true,
+    anchor_cluster: 'localnet'
+  }
+};
+
+/**
+ * Schema for a single network entry
+ */
+const rpcUrlSchema = Joi.string().uri({ scheme: ['http', 'https'] });
+
+// Anchor.toml [programs.*] sections; Anchor rejects other names
+const ANCHOR_CLUSTER_NAMES = ['localnet', 'devnet', 'testnet', 'mainnet'];
+
+const networkSchema = Joi.object({
+  rpc_url: rpcUrlSchema.optional(),
+  rpc_urls: Joi.array().items(rpcUrlSchema).min(1).unique().optional(),
+  ws_url: Joi.string().uri({ scheme: ['ws', 'wss'] }).optional(),
+  airdrop: Joi.boolean().default(false),
+  min_balance: Joi.number().min(0).default(MIN_SOL_BALANCE),
+  mainnet: Joi.boolean().default(false),
+  managed_validator: Joi.boolean().default(false),
+  anchor_cluster: Joi.string().valid(...ANCHOR_CLUSTER_NAMES).default('localnet'),
+  description: Joi.string().max(200).optional()
+}).or('rpc_url', 'rpc_urls');
+
+const networkNameSchema = Joi.string().pattern(/^[a-z0-9][a-z0-9-]{0,63}$/);
+
+/**
+ * Read custom network definitions from the environment
+ * @returns {Object} Network definitions keyed by name
+ */
+function readCustomNetworks() {
+  const custom = {};
+  
+  if (NETWORKS_CONFIG_PATH) {
+    Object.assign(custom, JSON.parse(fs.readFileSync(NETWORKS_CONFIG_PATH, 'utf8')));
+  }
+  
+  if (NETWORKS_CONFIG) {
+    Object.assign(custom, JSON.parse(NETWORKS_CONFIG));
+  }
+  
+  return custom;
+}
+
+/**
+ * Build the network registry
+ * Custom entries for a built-in name are merged over the built-in definition.
+ * rpc_urls is an ordered failover list and takes precedence over rpc_url;
+ * ws_url only applies to the first (primary) endpoint
+ * @returns {Object} Validated networks keyed by name
+ * @throws {Error} If a network definition is invalid
+ */
+function loadNetworks() {
+  const custom = readCustomNetworks();
+  const registry = {};
+  
+  const names = new Set([...Object.keys(BUILT_IN_NETWORKS), ...Object.keys(custom)]);
+  
+  for (const name of names) {
+    const nameResult = networkNameSchema.validate(name);
+    
+    if (nameResult.error) {
+      throw new Error(`Invalid network name "${name}": must be lowercase letters, digits and hyphens`);
+    }
+    
+    const { error, value } = networkSchema.validate({
+      ...BUILT_IN_NETWORKS[name],
+      ...custom[name]
+    });
+    
+    if (error) {
+      throw new Error(`Invalid configuration for network "${name}": ${error.message}`);
+    }
+    
+    const rpcUrls = value.rpc_urls || [value.rpc_url];
+    
+    // Mainnet-style clusters never receive airdrops, whatever the config says
+    registry[name] = {
+      name,
+      rpcUrl: rpcUrls[0],
+      rpcUrls,
+      wsUrl: value.ws_url || null,
+      airdrop: value.airdrop && !value.mainnet,
+      minBalance: value.min_balance,
+      mainnet: value.mainnet,
+      managedValidator: value.managed_validator,
+      anchorCluster: value.anchor_cluster,
+      description: value.description || null
+    };
+  }
+  
+  return registry;
+}
+
+const registry = loadNetworks();
+
+/**
+ * Get a network by name
+ * @param {string} name - Network name
+ * @returns {Object|null} Network configuration or null if unknown
+ */
+function getNetwork(name) {
+  return registry[name] || null;
+}
+
+/**
+ * Get all registered network names
+ * @returns {Array<string>} Network names
+ */
+function getNetworkNames() {
+  return Object.keys(registry);
+}
+
+/**
+ * Strip credentials, paths and query strings from an endpoint URL
+ * Providers commonly embed API keys in either
+ * @param {string} url - Endpoint URL
+ * @returns {string|null} URL origin
+ */
+function redactUrl(url) {
+  return url ? new URL(url).origin : null;
+}
+
+/**
+ * List networks in a form safe to return from the API
+ * @returns {Array<Object>} Public network descriptions
+ */
+function listNetworks() {
+  return Object.values(registry).map(network => ({
+    name: network.name,
+    rpc_url: redactUrl(network.rpcUrl),
+    rpc_urls: network.rpcUrls.map(redactUrl),
+    ws_url: redactUrl(network.wsUrl),
+    airdrop: network.airdrop,
+    min_balance: network.minBalance,
+    mainnet: network.mainnet,
+    managed_validator: network.managedValidator,
+    anchor_cluster: network.anchorCluster,
+    description: network.description
+  }));
+}
+
+module.exports = {
+  getNetwork,
+  getNetworkNames,
+  listNetworks,
+  redactUrl
+};
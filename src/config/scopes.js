@@ -0,0 +1,38 @@
+/**
+ * API key scopes
+ * Deploy scopes are per network, except that every mainnet cluster
+ * shares the single deploy:mainnet scope
+ */
+
+const { getNetwork, getNetworkNames } = require('./networks');
+
+const SCOPES = {
+  ADMIN: 'admin',
+  READ_DEPLOYMENTS: 'read:deployments',
+  DEPLOY_MAINNET: 'deploy:mainnet'
+};
+
+/**
+ * Get the scope needed to deploy to a network
+ * @param {string} networkName - Network name
+ * @returns {string} Scope
+ */
+function getDeployScope(networkName) {
+  const network = getNetwork(networkName);
+  return network && network.mainnet ? SCOPES.DEPLOY_MAINNET : `deploy:${networkName}`;
+}
+
+/**
+ * Get every scope that can be granted
+ * @returns {Array<string>} Scopes
+ */
+function getAvailableScopes() {
+  const deployScopes = getNetworkNames().map(getDeployScope);
+  return [...new Set([SCOPES.ADMIN, SCOPES.READ_DEPLOYMENTS, ...deployScopes])];
+}
+
+module.exports = {
+  SCOPES,
+  getDeployScope,
+  getAvailableScopes
+};
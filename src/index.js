@@ -8,13 +8,25 @@ require('dotenv').config();
 const express = require('express');
 const helmet = require('helmet');
 const cors = require('cors');
-const rateLimit = require('express-rate-limit');
 const logger = require('./utils/logger');
 const { errorMiddleware } = require('./utils/errorHandler');
-const { PORT, RATE_LIMIT_PER_IP, RATE_LIMIT_WINDOW_MS } = require('./config/constants');
+const { PORT, RUN_WORKER_IN_PROCESS } = require('./config/constants');
 const deployRouter = require('./routes/deploy');
+const localnetRouter = require('./routes/localnet');
+const networksRouter = require('./routes/networks');
+const adminRouter = require('./routes/admin');
+const walletsRouter = require('./routes/wallets');
+const deploymentsRouter = require('./routes/deployments');
 const { cleanupOldDirectories } = require('./services/projectManager');
+const { cleanupStaleWalletFiles } = require('./services/walletManager');
+const { retryPendingSweeps } = require('./services/walletSweeper');
 const { verifyEnvironment, getEnvironmentInfo } = require('./services/setupEnvironment');
+const { startDeploymentWorker, closeDeploymentQueue } = require('./services/deploymentQueue');
+const { closeLocalnetQueue } = require('./services/localnetQueue');
+const { closeRedisConnection } = require('./services/redisClient');
+const { startRpcHealthMonitor, stopRpcHealthMonitor } = require('./services/rpcHealth');
+const { closeDatabase } = require('./services/database');
+const { pruneDeploymentLogs } = require('./utils/deploymentLogArchive');
 
 // Create Express app
 const app = express();
@@ -25,7 +37,7 @@ app.use(helmet());
 // CORS middleware
 app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
-  methods: ['GET', 'POST'],
+  methods: ['GET', 'POST', 'PATCH', 'DELETE'],
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
 
@@ -33,23 +45,6 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: RATE_LIMIT_WINDOW_MS,
-  max: RATE_LIMIT_PER_IP,
-  message: {
-    success: false,
-    error: {
-      code: 'RATE_LIMIT_EXCEEDED',
-      message: 'Too many requests from this IP, please try again later'
-    }
-  },
-  standardHeaders: true,
-  legacyHeaders: false
-});
-
-app.use('/deploy', limiter);
-
 // Request logging middleware
 app.use((req, res, next) => {
   logger.info('Incoming request', {
@@ -70,12 +65,39 @@ app.get('/', (req, res) => {
     endpoints: {
       deploy: 'POST /deploy',
       health: 'GET /deploy/health',
-      status: 'GET /deploy/status/:deploymentId'
+      status: 'GET /deploy/status/:deploymentId',
+      cancel: 'DELETE /deploy/:deploymentId',
+      logsStream: 'GET /deploy/:deploymentId/logs/stream',
+      deployments: 'GET /deployments',
+      deployment: 'GET /deployments/:deploymentId',
+      deploymentLogs: 'GET /deployments/:deploymentId/logs',
+      networks: 'GET /networks',
+      localnet: 'GET /localnet',
+      localnetReset: 'POST /localnet/reset',
+      localnetTeardown: 'DELETE /localnet',
+      rpcHealth: 'GET /admin/rpc-health',
+      apiKeys: 'GET /admin/api-keys',
+      apiKeyCreate: 'POST /admin/api-keys',
+      apiKeyUpdate: 'PATCH /admin/api-keys/:keyId',
+      apiKeyRevoke: 'DELETE /admin/api-keys/:keyId',
+      wallets: 'GET /wallets',
+      walletCreate: 'POST /wallets',
+      walletImport: 'POST /wallets/import',
+      wallet: 'GET /wallets/:walletId',
+      walletBalance: 'GET /wallets/:walletId/balance',
+      walletGrant: 'PUT /wallets/:walletId/api-keys/:apiKeyId',
+      walletGrantRevoke: 'DELETE /wallets/:walletId/api-keys/:apiKeyId',
+      walletDelete: 'DELETE /wallets/:walletId'
     }
   });
 });
 
 app.use('/deploy', deployRouter);
+app.use('/localnet', localnetRouter);
+app.use('/deployments', deploymentsRouter);
+app.use('/networks', networksRouter);
+app.use('/admin', adminRouter);
+app.use('/wallets', walletsRouter);
 
 // 404 handler
 app.use((req, res) => {
@@ -91,6 +113,18 @@ app.use((req, res) => {
 // Error handling middleware (must be last)
 app.use(errorMiddleware);
 
+/**
+ * Apply the deployment log retention policy
+ */
+function pruneLogArchive() {
+  try {
+    const deleted = pruneDeploymentLogs();
+    logger.info('Deployment log archive pruned', { deleted });
+  } catch (error) {
+    logger.error('Deployment log pruning failed', { error: error.message });
+  }
+}
+
 /**
  * Initialize server
  */
@@ -116,16 +150,32 @@ async function initialize() {
       if (!envInfo.anchorCLI.installed) logger.warn('  - Install Anchor CLI: https://www.anchor-lang.com/docs/installation');
     }
     
-    // Cleanup old temporary directories on startup
+    // Cleanup old temporary directories, orphaned wallet files and expired deployment logs on startup
     await cleanupOldDirectories();
+    cleanupStaleWalletFiles();
+    pruneLogArchive();
     
     // Schedule periodic cleanup (every 6 hours)
     setInterval(() => {
       cleanupOldDirectories().catch(err => {
         logger.error('Scheduled cleanup failed', { error: err.message });
       });
+      cleanupStaleWalletFiles();
+      pruneLogArchive();
     }, 6 * 60 * 60 * 1000);
     
+    // Probe RPC endpoints so deployments start on a healthy one
+    startRpcHealthMonitor();
+    
+    // Run deployments in this process unless a dedicated worker is used
+    if (RUN_WORKER_IN_PROCESS) {
+      startDeploymentWorker();
+      
+      retryPendingSweeps().catch(error => {
+        logger.error('Retrying wallet sweeps failed', { error: error.message });
+      });
+    }
+    
     logger.info('Initialization complete');
   } catch (error) {
     logger.error('Initialization failed', { error: error.message, stack: error.stack });
@@ -156,21 +206,21 @@ async function start() {
     });
     
     // Graceful shutdown
-    process.on('SIGTERM', () => {
-      logger.info('SIGTERM received, shutting down gracefully');
-      server.close(() => {
+    const shutdown = (signal) => {
+      logger.info(`${signal} received, shutting down gracefully`);
+      server.close(async () => {
+        stopRpcHealthMonitor();
+        await closeDeploymentQueue();
+        await closeLocalnetQueue();
+        await closeRedisConnection();
+        closeDatabase();
         logger.info('Server closed');
         process.exit(0);
       });
-    });
+    };
     
-    process.on('SIGINT', () => {
-      logger.info('SIGINT received, shutting down gracefully');
-      server.close(() => {
-        logger.info('Server closed');
-        process.exit(0);
-      });
-    });
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
     
     // Handle uncaught exceptions
     process.on('uncaughtException', (error) => {
@@ -182,7 +232,7 @@ async function start() {
       logger.error('Unhandled rejection', { reason, promise });
       process.exit(1);
     });
-    
+  
   } catch (error) {
     logger.error('Failed to start server', { error: error.message, stack: error.stack });
     process.exit(1);
@@ -0,0 +1,113 @@
+/**
+ * Admin Route Handler
+ * Operational views of the service's dependencies and API key management
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { asyncHandler } = require('../utils/errorHandler');
+const { authenticate, requireScope } = require('../utils/auth');
+const { authFailureLimiter } = require('../utils/rateLimit');
+const { validateApiKeyRequest } = require('../utils/validators');
+const { getRpcHealthReport } = require('../services/rpcHealth');
+const {
+  createApiKey,
+  listApiKeys,
+  updateApiKey,
+  revokeApiKey
+} = require('../services/apiKeys');
+const { SCOPES } = require('../config/scopes');
+
+router.use(authFailureLimiter, authenticate, requireScope(SCOPES.ADMIN));
+
+/**
+ * GET /admin/rpc-health
+ * Health of every RPC endpoint as seen by the background probe and by
+ * failed deployment calls (endpoint URLs are reduced to their origin)
+ */
+router.get('/rpc-health', asyncHandler(async (req, res) => {
+  const networks = await getRpcHealthReport();
+  
+  res.status(200).json({
+    success: true,
+    networks
+  });
+}));
+
+/**
+ * POST /admin/api-keys
+ * Create an API key. The key is only ever returned in this response.
+ */
+router.post('/api-keys', asyncHandler(async (req, res) => {
+  const settings = validateApiKeyRequest(req.body);
+  const apiKey = createApiKey(settings);
+  
+  logger.info('API key created', {
+    apiKeyId: apiKey.id,
+    name: apiKey.name,
+    scopes: apiKey.scopes,
+    createdBy: req.apiKey.id,
+    ip: req.ip
+  });
+  
+  res.status(201).json({
+    success: true,
+    api_key: apiKey
+  });
+}));
+
+/**
+ * GET /admin/api-keys
+ * List API keys with today's usage (?include_revoked=true for revoked keys)
+ */
+router.get('/api-keys', asyncHandler(async (req, res) => {
+  const apiKeys = listApiKeys({ includeRevoked: req.query.include_revoked === 'true' });
+  
+  res.status(200).json({
+    success: true,
+    api_keys: apiKeys
+  });
+}));
+
+/**
+ * PATCH /admin/api-keys/:keyId
+ * Change a key's name, scopes or quotas
+ */
+router.patch('/api-keys/:keyId', asyncHandler(async (req, res) => {
+  const changes = validateApiKeyRequest(req.body, true);
+  const apiKey = updateApiKey(req.params.keyId, changes);
+  
+  logger.info('API key updated', {
+    apiKeyId: apiKey.id,
+    fields: Object.keys(changes),
+    updatedBy: req.apiKey.id,
+    ip: req.ip
+  });
+  
+  res.status(200).json({
+    success: true,
+    api_key: apiKey
+  });
+}));
+
+/**
+ * DELETE /admin/api-keys/:keyId
+ * Revoke a key; requests made with it are rejected from now on
+ */
+router.delete('/api-keys/:keyId', asyncHandler(async (req, res) => {
+  const apiKey = revokeApiKey(req.params.keyId);
+  
+  logger.info('API key revoked', {
+    apiKeyId: apiKey.id,
+    revokedBy: req.apiKey.id,
+    ip: req.ip
+  });
+  
+  res.status(200).json({
+    success: true,
+    api_key: apiKey
+  });
+}));
+
+module.exports = router;
@@ -6,144 +6,89 @@
 const express = require('express');
 const router = express.Router();
 const logger = require('../utils/logger');
-const { asyncHandler } = require('../utils/errorHandler');
+const { asyncHandler, NotFoundError, ConflictError } = require('../utils/errorHandler');
 const { validateDeploymentRequest } = require('../utils/validators');
-const { 
-  generateDeploymentId,
-  cloneRepository,
-  validateAnchorProject,
-  cleanupDirectory
-} = require('../services/projectManager');
-const { setupWallet, cleanupWallet } = require('../services/walletManager');
-const { configureCluster, ensureFunding, getBalance } = require('../services/solanaCliWrapper');
-const { buildProgram, deployProgram, verifyDeployment } = require('../services/anchorDeployer');
+const {
+  authenticate,
+  assertScope,
+  assertCanReadDeployment,
+  assertCanUseWallet
+} = require('../utils/auth');
+const { authFailureLimiter, deployLimiter, cancelLimiter, pollingLimiter } = require('../utils/rateLimit');
+const { generateDeploymentId } = require('../services/projectManager');
+const { enqueueDeployment, cancelDeployment } = require('../services/deploymentQueue');
+const { getDeploymentState, isFinished } = require('../services/deploymentState');
+const { EVENT_TYPES, readEvents } = require('../services/deploymentEvents');
+const { createRedisConnection } = require('../services/redisClient');
+const { getQueueInfo } = require('../services/scheduler');
+const { checkDeploymentQuota } = require('../services/apiKeys');
+const { getWallet } = require('../services/walletKeystore');
+const { SCOPES, getDeployScope } = require('../config/scopes');
+const { DEPLOYMENT_STATUS, LOG_STREAM_HEARTBEAT_MS } = require('../config/constants');
 
-/**
- * Main deployment orchestrator
- * @param {string} repoUrl - GitHub repository URL
- * @param {string} network - Target network
- * @param {string} deploymentId - Unique deployment identifier
- * @param {Object} customWallet - Custom wallet options
- * @returns {Promise<Object>} Deployment result
- */
-async function orchestrateDeployment(repoUrl, network, deploymentId, customWallet = null) {
-  let projectPath = null;
-  let keypairPath = null;
-  let walletAddress = null;
-  
-  const startTime = Date.now();
-  
-  try {
-    logger.deployment(deploymentId, 'info', 'Starting deployment orchestration', {
-      repoUrl,
-      network,
-      hasCustomWallet: !!customWallet
-    });
-    
-    // Step 1: Clone repository
-    logger.deployment(deploymentId, 'info', 'Step 1/6: Cloning repository');
-    projectPath = await cloneRepository(repoUrl, deploymentId);
-    
-    // Step 2: Validate Anchor project
-    logger.deployment(deploymentId, 'info', 'Step 2/6: Validating Anchor project');
-    const projectConfig = await validateAnchorProject(projectPath, deploymentId);
-    
-    // Step 3: Configure Solana cluster
-    logger.deployment(deploymentId, 'info', 'Step 3/6: Configuring Solana cluster');
-    await configureCluster(network, deploymentId);
-    
-    // Step 4: Setup and fund wallet
-    logger.deployment(deploymentId, 'info', 'Step 4/6: Setting up wallet');
-    const walletInfo = await setupWallet(deploymentId, network, customWallet);
-    keypairPath = walletInfo.keypairPath;
-    walletAddress = walletInfo.address;
-    
-    // Ensure wallet has sufficient funds (skip for custom wallets with address only)
-    if (!customWallet || !customWallet.wallet_address) {
-      const balance = await ensureFunding(walletAddress, network, deploymentId);
-      logger.deployment(deploymentId, 'info', 'Wallet funded', { 
-        address: walletAddress,
-        balance 
-      });
-    } else {
-      logger.deployment(deploymentId, 'info', 'Skipping funding for custom wallet', { 
-        address: walletAddress 
-      });
-    }
-    
-    // Step 5: Build program
-    logger.deployment(deploymentId, 'info', 'Step 5/6: Building Anchor program');
-    const buildResult = await buildProgram(projectPath, deploymentId);
-    
-    // Step 6: Deploy program
-    logger.deployment(deploymentId, 'info', 'Step 6/6: Deploying Anchor program');
-    const deployResult = await deployProgram(projectPath, deploymentId);
-    
-    // Verify deployment (optional, best effort)
-    const verified = await verifyDeployment(deployResult.programId, deploymentId);
-    
-    const totalDuration = Date.now() - startTime;
-    
-    logger.deployment(deploymentId, 'info', 'Deployment completed successfully', {
-      programId: deployResult.programId,
-      signature: deployResult.signature,
-      totalDurationMs: totalDuration,
-      isCustomWallet: walletInfo.isCustom
-    });
-    
-    return {
-      success: true,
-      data: {
-        program_id: deployResult.programId,
-        signature: deployResult.signature,
-        network: network,
-        wallet_address: walletAddress,
-        deployment_time: new Date().toISOString(),
-        build_duration_ms: buildResult.duration,
-        deploy_duration_ms: deployResult.duration,
-        total_duration_ms: totalDuration,
-        verified: verified,
-        is_custom_wallet: walletInfo.isCustom,
-        build_logs: buildResult.logs.slice(-50), // Last 50 lines
-        deploy_logs: deployResult.logs.slice(-50) // Last 50 lines
-      }
-    };
-  } catch (error) {
-    logger.deployment(deploymentId, 'error', 'Deployment failed', {
-      error: error.message,
-      stack: error.stack
-    });
-    
-    throw error;
-  } finally {
-    // Cleanup
-    logger.deployment(deploymentId, 'info', 'Cleaning up resources');
-    
-    if (projectPath) {
-      await cleanupDirectory(projectPath, deploymentId);
-    }
-    
-    // Only cleanup keypair if it's not a custom wallet path
-    if (keypairPath && (!customWallet || !customWallet.wallet_path)) {
-      cleanupWallet(keypairPath);
-    }
-  }
-}
+// Redis stream IDs, used as SSE event IDs for resuming
+const EVENT_ID_PATTERN = /^\d+-\d+$/;
 
 /**
  * POST /deploy
- * Deploy Solana program from GitHub repository
+ * Queue a Solana program deployment from a GitHub repository. The API key
+ * needs the network's deploy scope and must be within its daily quotas.
  */
-router.post('/', asyncHandler(async (req, res) => {
+router.post('/', authFailureLimiter, authenticate, deployLimiter, asyncHandler(async (req, res) => {
   // Validate request
   const validatedData = validateDeploymentRequest(req.body);
-  const { repo_url, network, wallet_address, wallet_keypair, wallet_path } = validatedData;
+  const {
+    repo_url,
+    network,
+    mode,
+    program_id,
+    ref,
+    commit,
+    project_path,
+    programs,
+    program_keypairs,
+    vanity_prefix,
+    vanity_suffix,
+    vanity_case_insensitive,
+    priority,
+    upgrade_authority,
+    wallet_address,
+    immutable,
+    wallet_keypair,
+    wallet_path,
+    wallet_id
+  } = validatedData;
+  
+  // wallet_address predates upgrade_authority and means the same
+  const upgradeAuthority = upgrade_authority || wallet_address || null;
+  
+  // Mainnet clusters need deploy:mainnet; not even admin keys can skip it
+  assertScope(req.apiKey, getDeployScope(network));
+  checkDeploymentQuota(req.apiKey, network);
+  
+  // Fail now rather than in the worker if the stored wallet does not exist
+  // or is not this key's to spend
+  if (wallet_id) {
+    assertCanUseWallet(req.apiKey, getWallet(wallet_id));
+  }
+  
+  // A keypair file on the server is only for operators; other keys use
+  // stored wallets granted to them
+  if (wallet_path) {
+    assertScope(req.apiKey, SCOPES.ADMIN);
+  }
   
   // Extract custom wallet options
-  const customWallet = wallet_address || wallet_keypair || wallet_path ? {
-    wallet_address,
+  const customWallet = wallet_keypair || wallet_path || wallet_id ? {
     wallet_keypair,
-    wallet_path
+    wallet_path,
+    wallet_id
+  } : null;
+  
+  const vanity = vanity_prefix || vanity_suffix ? {
+    prefix: vanity_prefix || null,
+    suffix: vanity_suffix || null,
+    caseInsensitive: vanity_case_insensitive
   } : null;
   
   // Generate unique deployment ID
@@ -154,24 +99,73 @@ router.post('/', asyncHandler(async (req, res) => {
     deploymentId,
     repoUrl: repo_url,
     network,
+    mode,
+    programId: program_id,
+    ref,
+    commit,
+    projectPath: project_path,
+    programs,
+    vanity,
+    priority,
     hasCustomWallet: !!customWallet,
+    upgradeAuthority,
+    immutable,
+    apiKeyId: req.apiKey.id,
     ip: req.ip,
     userAgent: req.get('user-agent')
   });
   
-  try {
-    // Execute deployment
-    const result = await orchestrateDeployment(repo_url, network, deploymentId, customWallet);
-    
-    // Return success response
-    res.status(200).json({
-      ...result,
-      deployment_id: deploymentId
-    });
-  } catch (error) {
-    // Error is handled by error middleware
-    throw error;
-  }
+  // Queue deployment and return immediately
+  const state = await enqueueDeployment(
+    deploymentId,
+    {
+      repoUrl: repo_url,
+      network,
+      mode,
+      programId: program_id,
+      ref,
+      commit,
+      projectSubPath: project_path,
+      programs,
+      programKeypairs: program_keypairs,
+      vanity,
+      customWallet,
+      upgradeAuthority,
+      immutable,
+      apiKeyId: req.apiKey.id
+    },
+    {
+      repo_url,
+      network,
+      mode,
+      program_id: program_id || null,
+      ref: ref || null,
+      commit: commit || null,
+      project_path: project_path || null,
+      programs: programs || null,
+      // Names only; the secret keys stay in the job
+      program_keypairs: program_keypairs ? Object.keys(program_keypairs) : null,
+      vanity_prefix: vanity_prefix || null,
+      vanity_suffix: vanity_suffix || null,
+      vanity_case_insensitive: vanity ? vanity_case_insensitive : null,
+      priority,
+      upgrade_authority: upgradeAuthority,
+      immutable,
+      wallet_id: wallet_id || null,
+      has_custom_wallet: !!customWallet,
+      api_key_id: req.apiKey.id,
+      api_key_name: req.apiKey.name
+    },
+    { clientId: req.apiKey.id, priority }
+  );
+  
+  res.status(202).json({
+    success: true,
+    deployment_id: deploymentId,
+    status: state.status,
+    status_url: `/deploy/status/${deploymentId}`,
+    logs_stream_url: `/deploy/${deploymentId}/logs/stream`
+  });
 }));
 
 /**
@@ -188,18 +182,170 @@ router.get('/health', (req, res) => {
 
 /**
  * GET /status/:deploymentId
- * Get deployment status (placeholder for future queue implementation)
+ * Get deployment status and per-step progress
  */
-router.get('/status/:deploymentId', asyncHandler(async (req, res) => {
+router.get('/status/:deploymentId', authFailureLimiter, authenticate, pollingLimiter, asyncHandler(async (req, res) => {
   const { deploymentId } = req.params;
   
-  // This is a placeholder - in production, you'd query a database or cache
+  const state = await getDeploymentState(deploymentId);
+  
+  if (!state) {
+    throw new NotFoundError('Deployment not found', { deployment_id: deploymentId });
+  }
+  
+  assertCanReadDeployment(req.apiKey, state);
+  
+  // Waiting deployments also report queue position and estimated start
+  const queue = state.status === DEPLOYMENT_STATUS.QUEUED
+    ? await getQueueInfo(deploymentId)
+    : null;
+  
   res.status(200).json({
+    success: true,
+    ...state,
+    queue
+  });
+}));
+
+/**
+ * DELETE /:deploymentId
+ * Cancel a queued or running deployment. Queued deployments are cancelled
+ * at once (200); running ones are aborted in the background (202) and reach
+ * cancelled once workspace and keypair cleanup has finished. Keys can
+ * cancel the deployments they started; admin keys can cancel any.
+ */
+router.delete('/:deploymentId', authFailureLimiter, authenticate, cancelLimiter, asyncHandler(async (req, res) => {
+  const { deploymentId } = req.params;
+  
+  const state = await getDeploymentState(deploymentId);
+  
+  if (!state) {
+    throw new NotFoundError('Deployment not found', { deployment_id: deploymentId });
+  }
+  
+  if (state.request.api_key_id !== req.apiKey.id) {
+    assertScope(req.apiKey, SCOPES.ADMIN);
+  }
+  
+  if (isFinished(state)) {
+    throw new ConflictError('Deployment has already finished', {
+      deployment_id: deploymentId,
+      status: state.status
+    });
+  }
+  
+  const status = await cancelDeployment(deploymentId);
+  
+  res.status(status === DEPLOYMENT_STATUS.CANCELLED ? 200 : 202).json({
+    success: true,
     deployment_id: deploymentId,
-    status: 'unknown',
-    message: 'Status tracking not yet implemented'
+    status,
+    status_url: `/deploy/status/${deploymentId}`
   });
 }));
 
+/**
+ * Write one Server-Sent Event
+ * @param {Response} res - Express response
+ * @param {Object} event - Event ({ id, type, data })
+ */
+function writeEvent(res, event) {
+  if (event.id) {
+    res.write(`id: ${event.id}\n`);
+  }
+  
+  res.write(`event: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+/**
+ * GET /:deploymentId/logs/stream
+ * Stream step transitions and build/deploy output as Server-Sent Events.
+ * Every subscriber gets a replay from the beginning; browsers reconnecting
+ * with Last-Event-ID resume after the last event they received.
+ */
+router.get('/:deploymentId/logs/stream', authFailureLimiter, authenticate, pollingLimiter, asyncHandler(async (req, res) => {
+  const { deploymentId } = req.params;
+  
+  const state = await getDeploymentState(deploymentId);
+  
+  if (!state) {
+    throw new NotFoundError('Deployment not found', { deployment_id: deploymentId });
+  }
+  
+  assertCanReadDeployment(req.apiKey, state);
+  
+  const lastEventId = req.get('Last-Event-ID');
+  let cursor = EVENT_ID_PATTERN.test(lastEventId || '') ? lastEventId : '0';
+  
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  
+  // Blocking reads tie up a connection, so each subscriber gets its own
+  const connection = createRedisConnection();
+  let closed = false;
+  
+  req.on('close', () => {
+    closed = true;
+    connection.disconnect();
+  });
+  
+  try {
+    let ended = false;
+    
+    // Write events and advance the cursor; returns how many were read
+    const pump = async (blockMs = 0) => {
+      const events = await readEvents(deploymentId, cursor, { connection, blockMs });
+      
+      for (const event of events) {
+        writeEvent(res, event);
+        cursor = event.id;
+        ended = ended || event.type === EVENT_TYPES.END;
+      }
+      
+      return events.length;
+    };
+    
+    // Replay everything recorded so far
+    let replayed;
+    
+    do {
+      replayed = await pump();
+    } while (replayed > 0 && !ended);
+    
+    // Events may have expired or been trimmed; the stored state still knows the outcome.
+    // The final events are published just after the state is saved, so drain once more first
+    const current = await getDeploymentState(deploymentId);
+    
+    if (!ended && current && isFinished(current)) {
+      await pump();
+      
+      if (!ended) {
+        writeEvent(res, { type: EVENT_TYPES.END, data: { status: current.status } });
+        ended = true;
+      }
+    }
+    
+    // Follow live events until the deployment ends or the client leaves
+    while (!ended && !closed) {
+      if (await pump(LOG_STREAM_HEARTBEAT_MS) === 0) {
+        res.write(': keep-alive\n\n');
+      }
+    }
+  } catch (error) {
+    // Disconnecting the client's connection aborts the pending read
+    if (!closed) {
+      logger.deployment(deploymentId, 'error', 'Log stream failed', { error: error.message });
+    }
+  } finally {
+    connection.disconnect();
+    res.end();
+  }
+}));
+
 module.exports = router;
 
@@ -0,0 +1,100 @@
+/**
+ * Deployments Route Handler
+ * Searchable history of every deployment
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { asyncHandler, NotFoundError } = require('../utils/errorHandler');
+const { validateDeploymentQuery, validateDeploymentLogQuery } = require('../utils/validators');
+const { authenticate, hasScope, assertCanReadDeployment } = require('../utils/auth');
+const { authFailureLimiter, pollingLimiter } = require('../utils/rateLimit');
+const { listDeployments, getDeploymentRecord } = require('../services/deploymentHistory');
+const { hasDeploymentLog, pipeDeploymentLog } = require('../utils/deploymentLogArchive');
+const { SCOPES } = require('../config/scopes');
+
+router.use(authFailureLimiter, authenticate, pollingLimiter);
+
+/**
+ * GET /deployments
+ * List deployments, newest first, filtered by repo_url, network, status,
+ * program_id, api_key_id and a from/to creation date range, with cursor
+ * pagination. Keys without read:deployments only see their own deployments.
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const filters = validateDeploymentQuery(req.query);
+  
+  if (!hasScope(req.apiKey, SCOPES.READ_DEPLOYMENTS)) {
+    filters.api_key_id = req.apiKey.id;
+  }
+  
+  const { deployments, next_cursor } = listDeployments(filters);
+  
+  res.status(200).json({
+    success: true,
+    deployments,
+    next_cursor
+  });
+}));
+
+/**
+ * GET /deployments/:deploymentId
+ * Get the full history record of a deployment
+ */
+router.get('/:deploymentId', asyncHandler(async (req, res) => {
+  const { deploymentId } = req.params;
+  
+  const record = getDeploymentRecord(deploymentId);
+  
+  if (!record) {
+    throw new NotFoundError('Deployment not found', { deployment_id: deploymentId });
+  }
+  
+  assertCanReadDeployment(req.apiKey, record);
+  
+  res.status(200).json({
+    success: true,
+    ...record
+  });
+}));
+
+/**
+ * GET /deployments/:deploymentId/logs
+ * Download the complete archived log as plain text (default) or NDJSON,
+ * optionally limited to one step
+ */
+router.get('/:deploymentId/logs', asyncHandler(async (req, res) => {
+  const { deploymentId } = req.params;
+  const { format, step } = validateDeploymentLogQuery(req.query);
+  
+  const record = getDeploymentRecord(deploymentId);
+  
+  if (!record) {
+    throw new NotFoundError('Deployment not found', { deployment_id: deploymentId });
+  }
+  
+  assertCanReadDeployment(req.apiKey, record);
+  
+  if (!hasDeploymentLog(deploymentId)) {
+    throw new NotFoundError('Deployment log not found or expired', { deployment_id: deploymentId });
+  }
+  
+  const extension = format === 'ndjson' ? 'ndjson' : 'log';
+  
+  res.status(200).set({
+    'Content-Type': format === 'ndjson' ? 'application/x-ndjson' : 'text/plain; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${deploymentId}.${extension}"`
+  });
+  
+  try {
+    await pipeDeploymentLog(deploymentId, { format, step }, res);
+    res.end();
+  } catch (error) {
+    // Headers are already sent, so the error middleware cannot respond
+    logger.deployment(deploymentId, 'error', 'Log download failed', { error: error.message });
+    res.destroy();
+  }
+}));
+
+module.exports = router;
@@ -0,0 +1,60 @@
+/**
+ * Localnet Route Handler
+ * Manages the service-owned local validator used by localnet deployments
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { asyncHandler } = require('../utils/errorHandler');
+const { authenticate, requireScope } = require('../utils/auth');
+const { authFailureLimiter } = require('../utils/rateLimit');
+const { runLocalnetAction } = require('../services/localnetQueue');
+const { SCOPES } = require('../config/scopes');
+
+router.use(authFailureLimiter, authenticate);
+
+/**
+ * GET /localnet
+ * Get local validator status
+ */
+router.get('/', requireScope(SCOPES.READ_DEPLOYMENTS), asyncHandler(async (req, res) => {
+  const status = await runLocalnetAction('status');
+  
+  res.status(200).json({
+    success: true,
+    validator: status
+  });
+}));
+
+/**
+ * POST /localnet/reset
+ * Restart the local validator with an empty ledger
+ */
+router.post('/reset', requireScope(SCOPES.ADMIN), asyncHandler(async (req, res) => {
+  logger.info('Local validator reset requested', { apiKeyId: req.apiKey.id, ip: req.ip });
+  
+  const status = await runLocalnetAction('reset');
+  
+  res.status(200).json({
+    success: true,
+    validator: status
+  });
+}));
+
+/**
+ * DELETE /localnet
+ * Stop the local validator and delete its ledger
+ */
+router.delete('/', requireScope(SCOPES.ADMIN), asyncHandler(async (req, res) => {
+  logger.info('Local validator teardown requested', { apiKeyId: req.apiKey.id, ip: req.ip });
+  
+  const status = await runLocalnetAction('teardown');
+  
+  res.status(200).json({
+    success: true,
+    validator: status
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,21 @@
+/**
+ * Networks Route Handler
+ * Lists the clusters deployments can target
+ */
+
+const express = require('express');
+const router = express.Router();
+const { listNetworks } = require('../config/networks');
+
+/**
+ * GET /networks
+ * List registered networks (endpoint URLs are reduced to their origin)
+ */
+router.get('/', (req, res) => {
+  res.status(200).json({
+    success: true,
+    networks: listNetworks()
+  });
+});
+
+module.exports = router;
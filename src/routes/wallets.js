@@ -0,0 +1,183 @@
+/**
+ * Wallets Route Handler
+ * Named deployer wallets kept in the encrypted keystore. Responses carry
+ * addresses only; secret keys never leave the server.
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { asyncHandler, ValidationError } = require('../utils/errorHandler');
+const { authenticate, requireScope } = require('../utils/auth');
+const { authFailureLimiter } = require('../utils/rateLimit');
+const { validateWalletRequest, isValidNetwork } = require('../utils/validators');
+const {
+  createWallet,
+  importWallet,
+  listWallets,
+  getWallet,
+  getWalletBalance,
+  grantWallet,
+  revokeWalletGrant,
+  deleteWallet
+} = require('../services/walletKeystore');
+const { getApiKey } = require('../services/apiKeys');
+const { SCOPES } = require('../config/scopes');
+const { NETWORKS } = require('../config/constants');
+
+router.use(authFailureLimiter, authenticate, requireScope(SCOPES.ADMIN));
+
+/**
+ * POST /wallets
+ * Generate a new wallet and store it
+ */
+router.post('/', asyncHandler(async (req, res) => {
+  const { name } = validateWalletRequest(req.body);
+  const wallet = createWallet(name, req.apiKey.id);
+  
+  logger.info('Wallet created', {
+    walletId: wallet.id,
+    name: wallet.name,
+    address: wallet.address,
+    createdBy: req.apiKey.id,
+    ip: req.ip
+  });
+  
+  res.status(201).json({
+    success: true,
+    wallet
+  });
+}));
+
+/**
+ * POST /wallets/import
+ * Store an existing keypair (64-byte secret key)
+ */
+router.post('/import', asyncHandler(async (req, res) => {
+  const { name, secret_key } = validateWalletRequest(req.body, true);
+  const wallet = importWallet(name, secret_key, req.apiKey.id);
+  
+  logger.info('Wallet imported', {
+    walletId: wallet.id,
+    name: wallet.name,
+    address: wallet.address,
+    createdBy: req.apiKey.id,
+    ip: req.ip
+  });
+  
+  res.status(201).json({
+    success: true,
+    wallet
+  });
+}));
+
+/**
+ * GET /wallets
+ * List stored wallets
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    wallets: listWallets()
+  });
+}));
+
+/**
+ * GET /wallets/:walletId
+ * Get a stored wallet
+ */
+router.get('/:walletId', asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    wallet: getWallet(req.params.walletId)
+  });
+}));
+
+/**
+ * GET /wallets/:walletId/balance
+ * Get a stored wallet's balance (?network=, devnet by default)
+ */
+router.get('/:walletId/balance', asyncHandler(async (req, res) => {
+  const network = req.query.network || NETWORKS.DEVNET;
+  
+  if (!isValidNetwork(network)) {
+    throw new ValidationError('Invalid query parameters', [{
+      field: 'network',
+      message: `Unknown network: ${network}`
+    }]);
+  }
+  
+  const balance = await getWalletBalance(req.params.walletId, network);
+  
+  res.status(200).json({
+    success: true,
+    ...balance
+  });
+}));
+
+/**
+ * PUT /wallets/:walletId/api-keys/:apiKeyId
+ * Let an API key deploy with the wallet
+ */
+router.put('/:walletId/api-keys/:apiKeyId', asyncHandler(async (req, res) => {
+  const apiKey = getApiKey(req.params.apiKeyId);
+  const wallet = grantWallet(req.params.walletId, apiKey.id);
+  
+  logger.info('Wallet granted', {
+    walletId: wallet.id,
+    name: wallet.name,
+    apiKeyId: apiKey.id,
+    grantedBy: req.apiKey.id,
+    ip: req.ip
+  });
+  
+  res.status(200).json({
+    success: true,
+    wallet
+  });
+}));
+
+/**
+ * DELETE /wallets/:walletId/api-keys/:apiKeyId
+ * Stop an API key from deploying with the wallet
+ */
+router.delete('/:walletId/api-keys/:apiKeyId', asyncHandler(async (req, res) => {
+  const wallet = revokeWalletGrant(req.params.walletId, req.params.apiKeyId);
+  
+  logger.info('Wallet grant revoked', {
+    walletId: wallet.id,
+    name: wallet.name,
+    apiKeyId: req.params.apiKeyId,
+    revokedBy: req.apiKey.id,
+    ip: req.ip
+  });
+  
+  res.status(200).json({
+    success: true,
+    wallet
+  });
+}));
+
+/**
+ * DELETE /wallets/:walletId
+ * Delete a stored wallet. Sweep its funds first: the secret key is
+ * destroyed with it.
+ */
+router.delete('/:walletId', asyncHandler(async (req, res) => {
+  const wallet = deleteWallet(req.params.walletId);
+  
+  logger.warn('Wallet deleted', {
+    walletId: wallet.id,
+    name: wallet.name,
+    address: wallet.address,
+    deletedBy: req.apiKey.id,
+    ip: req.ip
+  });
+  
+  res.status(200).json({
+    success: true,
+    wallet
+  });
+}));
+
+module.exports = router;
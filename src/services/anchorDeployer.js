@@ -3,33 +3,80 @@
  * Core deployment functionality for Anchor programs
  */
 
+const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const {
+  Connection,
+  PublicKey,
+  Transaction,
+  TransactionInstruction,
+  sendAndConfirmTransaction
+} = require('@solana/web3.js');
 const logger = require('../utils/logger');
-const { BuildError, DeploymentError } = require('../utils/errorHandler');
-const { executeCommand } = require('./solanaCliWrapper');
+const { BuildError, DeploymentError, VerificationError } = require('../utils/errorHandler');
+const { executeCommand } = require('../utils/commandExecutor');
+const { getClusterArgs, withRpcFailover } = require('./solanaCliWrapper');
+const { scrubUrl } = require('./rpcHealth');
+const { createLogSink } = require('./deploymentEvents');
+const { loadKeypair } = require('./walletManager');
 const { 
   ANCHOR_CLI_PATH,
+  SOLANA_CLI_PATH,
   BUILD_TIMEOUT_MS,
-  DEPLOYMENT_TIMEOUT_MS
+  DEPLOY_TIMEOUT_MS,
+  DEPLOYMENT_STATUS
 } = require('../config/constants');
 
+// Rent-exempt minimum is (128 bytes of account overhead + data length) * 6960 lamports
+const RENT_OVERHEAD_BYTES = 128;
+const RENT_LAMPORTS_PER_BYTE = 6960;
+
+// Upgradeable loader account sizes, less the program bytes
+const PROGRAM_ACCOUNT_BYTES = 36;
+const PROGRAMDATA_HEADER_BYTES = 45;
+
+// The CLI writes the buffer in chunks of roughly this many bytes, one transaction each
+const BUFFER_WRITE_BYTES = 900;
+const SIGNATURE_FEE_LAMPORTS = 5000;
+
+// Buffer creation, deploy and confirmation transactions on top of the writes
+const DEPLOY_EXTRA_TRANSACTIONS = 10;
+
+// Program data accounts leave room for the binary to double, so upgrades fit
+const PROGRAMDATA_GROWTH_FACTOR = 2;
+
+// Upgradeable loader and the index of its SetAuthority instruction
+const BPF_LOADER_UPGRADEABLE_PROGRAM_ID = new PublicKey('BPFLoaderUpgradeab1e11111111111111111111111');
+const SET_AUTHORITY_INSTRUCTION = 4;
+
+/**
+ * Build Anchor provider overrides for a deployment's cluster and signer
+ * These take precedence over [provider] in Anchor.toml
+ * @param {Object} cluster - Cluster context from configureCluster
+ * @returns {Array<string>} CLI arguments
+ */
+function getProviderArgs(cluster) {
+  return ['--provider.cluster', cluster.rpcUrl, '--provider.wallet', cluster.keypairPath];
+}
+
 /**
  * Build Anchor program
  * @param {string} projectPath - Path to Anchor project
  * @param {string} deploymentId - Deployment identifier
+ * @param {Object} cluster - Cluster context from configureCluster
  * @returns {Promise<Object>} Build result with logs
  */
-async function buildProgram(projectPath, deploymentId) {
+async function buildProgram(projectPath, deploymentId, cluster) {
   logger.deployment(deploymentId, 'info', 'Building Anchor program', { projectPath });
   
   try {
-    const command = `${ANCHOR_CLI_PATH} build`;
-    
     const startTime = Date.now();
-    const result = await executeCommand(command, {
+    const result = await executeCommand(ANCHOR_CLI_PATH, ['build', ...getProviderArgs(cluster)], {
       cwd: projectPath,
       timeout: BUILD_TIMEOUT_MS,
-      stream: true
+      stream: true,
+      onOutput: createLogSink(deploymentId, DEPLOYMENT_STATUS.BUILDING)
     });
     const buildDuration = Date.now() - startTime;
     
@@ -65,20 +112,36 @@ async function buildProgram(projectPath, deploymentId) {
  * Deploy Anchor program
  * @param {string} projectPath - Path to Anchor project
  * @param {string} deploymentId - Deployment identifier
+ * @param {Object} cluster - Cluster context from configureCluster
+ * @param {string} programName - Program to deploy (optional, all programs when omitted)
  * @returns {Promise<Object>} Deployment result
  */
-async function deployProgram(projectPath, deploymentId) {
-  logger.deployment(deploymentId, 'info', 'Deploying Anchor program', { projectPath });
+async function deployProgram(projectPath, deploymentId, cluster, programName = null) {
+  logger.deployment(deploymentId, 'info', 'Deploying Anchor program', { projectPath, programName });
   
   try {
-    const command = `${ANCHOR_CLI_PATH} deploy`;
+    const programArgs = programName ? ['--program-name', programName] : [];
     
+    // Passed through to `solana program deploy`, so the size is the one estimateDeploymentCost paid for
+    const maxLen = getProgramMaxLen(projectPath, programName);
+    const solanaArgs = maxLen === null ? [] : ['--', '--max-len', maxLen];
+    
+    // Anchor prints the cluster URL, which may carry an API key
+    const onOutput = createLogSink(deploymentId, DEPLOYMENT_STATUS.DEPLOYING, text => scrubUrl(text, cluster.rpcUrl));
+    
+    // A timed-out deploy may still land, so only fail over when the
+    // endpoint clearly refused or dropped the request
     const startTime = Date.now();
-    const result = await executeCommand(command, {
-      cwd: projectPath,
-      timeout: DEPLOYMENT_TIMEOUT_MS,
-      stream: true
-    });
+    const result = await withRpcFailover(cluster, deploymentId, () => executeCommand(
+      ANCHOR_CLI_PATH,
+      ['deploy', ...programArgs, ...getProviderArgs(cluster), ...solanaArgs],
+      {
+        cwd: projectPath,
+        timeout: DEPLOY_TIMEOUT_MS,
+        stream: true,
+        onOutput
+      }
+    ), { failoverOnTimeout: false });
     const deployDuration = Date.now() - startTime;
     
     // Extract program ID and signature from deployment output
@@ -91,6 +154,7 @@ async function deployProgram(projectPath, deploymentId) {
     
     logger.deployment(deploymentId, 'info', 'Program deployed successfully', { 
       projectPath,
+      programName,
       programId,
       signature,
       deployDurationMs: deployDuration
@@ -98,8 +162,10 @@ async function deployProgram(projectPath, deploymentId) {
     
     return {
       success: true,
+      programName,
       programId,
       signature,
+      rpcUrl: cluster.rpcUrl,
       logs: result.logs,
       duration: deployDuration,
       stdout: result.stdout
@@ -107,20 +173,58 @@ async function deployProgram(projectPath, deploymentId) {
   } catch (error) {
     logger.deployment(deploymentId, 'error', 'Deployment failed', { 
       error: error.message,
-      projectPath 
+      projectPath,
+      programName
     });
     
     // Extract meaningful error messages
     const errorDetails = extractDeploymentErrors(error.message);
     
     throw new DeploymentError(
-      'Failed to deploy Anchor program',
+      programName ? `Failed to deploy Anchor program ${programName}` : 'Failed to deploy Anchor program',
       errorDetails,
       error.message.split('\n')
     );
   }
 }
 
+/**
+ * Deploy each selected program separately so every program gets its own ID and signature
+ * @param {string} projectPath - Path to Anchor project
+ * @param {string} deploymentId - Deployment identifier
+ * @param {Object} cluster - Cluster context from configureCluster
+ * @param {Array<string>} programNames - Programs to deploy (empty for a bare anchor deploy)
+ * @param {Function} onDeployed - Called with each program name (null for a bare deploy) once it is live (optional)
+ * @returns {Promise<Object>} Per-program results with combined logs and duration
+ */
+async function deployPrograms(projectPath, deploymentId, cluster, programNames, onDeployed = null) {
+  const names = programNames.length > 0 ? programNames : [null];
+  const programs = [];
+  const logs = [];
+  let duration = 0;
+  
+  for (const programName of names) {
+    const result = await deployProgram(projectPath, deploymentId, cluster, programName);
+    
+    if (onDeployed) {
+      onDeployed(programName);
+    }
+    
+    programs.push({
+      ...result,
+      binarySize: programName ? getProgramBinarySize(projectPath, programName) : null
+    });
+    logs.push(...result.logs);
+    duration += result.duration;
+  }
+  
+  return {
+    programs,
+    logs,
+    duration
+  };
+}
+
 /**
  * Extract program ID from deployment output
  * @param {string} output - Deployment stdout
@@ -247,15 +351,14 @@ function extractDeploymentErrors(output) {
  * Run Anchor tests (optional)
  * @param {string} projectPath - Path to Anchor project
  * @param {string} deploymentId - Deployment identifier
+ * @param {Object} cluster - Cluster context from configureCluster
  * @returns {Promise<Object>} Test result
  */
-async function runTests(projectPath, deploymentId) {
+async function runTests(projectPath, deploymentId, cluster) {
   logger.deployment(deploymentId, 'info', 'Running Anchor tests', { projectPath });
   
   try {
-    const command = `${ANCHOR_CLI_PATH} test --skip-local-validator`;
-    
-    const result = await executeCommand(command, {
+    const result = await executeCommand(ANCHOR_CLI_PATH, ['test', '--skip-local-validator', ...getProviderArgs(cluster)], {
       cwd: projectPath,
       timeout: BUILD_TIMEOUT_MS,
       stream: true
@@ -291,21 +394,122 @@ function getProgramKeypairPath(projectPath, programName) {
   return path.join(projectPath, 'target', 'deploy', `${programName}-keypair.json`);
 }
 
+/**
+ * Get compiled program binary path from build
+ * @param {string} projectPath - Path to Anchor project
+ * @param {string} programName - Program name
+ * @returns {string} Path to program .so file
+ */
+function getProgramBinaryPath(projectPath, programName) {
+  return path.join(projectPath, 'target', 'deploy', `${programName}.so`);
+}
+
+/**
+ * Get compiled program binary size
+ * @param {string} projectPath - Path to Anchor project
+ * @param {string} programName - Program name
+ * @returns {number|null} Size in bytes, or null if the binary is missing
+ */
+function getProgramBinarySize(projectPath, programName) {
+  try {
+    return fs.statSync(getProgramBinaryPath(projectPath, programName)).size;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * List the programs a build produced
+ * @param {string} projectPath - Path to Anchor project
+ * @returns {Array<string>} Program names
+ */
+function listBuiltPrograms(projectPath) {
+  return fs.readdirSync(path.join(projectPath, 'target', 'deploy'))
+    .filter(file => file.endsWith('.so'))
+    .map(file => path.basename(file, '.so'));
+}
+
+/**
+ * Get the program data size a deploy allocates (its --max-len)
+ * A bare anchor deploy passes one size to every program, so it is sized
+ * for the largest binary.
+ * @param {string} projectPath - Path to Anchor project
+ * @param {string|null} programName - Program, or null for every built program
+ * @returns {number|null} Bytes, or null if a binary is missing
+ */
+function getProgramMaxLen(projectPath, programName) {
+  let sizes;
+  
+  try {
+    sizes = (programName ? [programName] : listBuiltPrograms(projectPath))
+      .map(name => getProgramBinarySize(projectPath, name));
+  } catch (error) {
+    return null;
+  }
+  
+  if (sizes.length === 0 || sizes.includes(null)) {
+    return null;
+  }
+  
+  return Math.max(...sizes) * PROGRAMDATA_GROWTH_FACTOR;
+}
+
+/**
+ * Get the rent-exempt minimum for an account
+ * @param {number} dataLength - Account data length in bytes
+ * @returns {number} Lamports
+ */
+function getRentExemptLamports(dataLength) {
+  return (RENT_OVERHEAD_BYTES + dataLength) * RENT_LAMPORTS_PER_BYTE;
+}
+
+/**
+ * Estimate the lamports a deployer wallet needs to deploy built programs
+ * Covers rent for the program and program data accounts, the latter at the
+ * --max-len deployProgram passes, plus transaction fees.
+ * The buffer's rent is refunded when the program data account is paid for,
+ * so it does not add to the peak.
+ * @param {string} projectPath - Path to Anchor project
+ * @param {Array<string>} programNames - Programs to deploy (empty for every built program)
+ * @returns {number} Lamports
+ * @throws {DeploymentError} If a program binary is missing
+ */
+function estimateDeploymentCost(projectPath, programNames) {
+  const names = programNames.length > 0 ? programNames : listBuiltPrograms(projectPath);
+  
+  return names.reduce((total, programName) => {
+    const binarySize = getProgramBinarySize(projectPath, programName);
+    
+    if (binarySize === null) {
+      throw new DeploymentError(`Program binary not found: ${programName}.so`, { program: programName });
+    }
+    
+    const transactions = Math.ceil(binarySize / BUFFER_WRITE_BYTES) + DEPLOY_EXTRA_TRANSACTIONS;
+    const maxLen = getProgramMaxLen(projectPath, programNames.length > 0 ? programName : null);
+    
+    return total +
+      getRentExemptLamports(PROGRAM_ACCOUNT_BYTES) +
+      getRentExemptLamports(PROGRAMDATA_HEADER_BYTES + maxLen) +
+      transactions * SIGNATURE_FEE_LAMPORTS;
+  }, 0);
+}
+
 /**
  * Verify program deployment
  * @param {string} programId - Program ID to verify
  * @param {string} deploymentId - Deployment identifier
+ * @param {Object} cluster - Cluster context from configureCluster
  * @returns {Promise<boolean>} True if verified
  */
-async function verifyDeployment(programId, deploymentId) {
+async function verifyDeployment(programId, deploymentId, cluster) {
   logger.deployment(deploymentId, 'info', 'Verifying program deployment', { programId });
   
   try {
-    const command = `solana program show ${programId}`;
-    
-    await executeCommand(command, {
-      timeout: 30000
-    });
+    await withRpcFailover(cluster, deploymentId, () => executeCommand(
+      SOLANA_CLI_PATH,
+      ['program', 'show', ...getClusterArgs(cluster), '--', programId],
+      { timeout: 30000 }
+    ));
     
     logger.deployment(deploymentId, 'info', 'Program deployment verified', { programId });
     return true;
@@ -318,13 +522,326 @@ async function verifyDeployment(programId, deploymentId) {
   }
 }
 
+/**
+ * Get a deployed program's on-chain account details
+ * @param {string} programId - Program ID
+ * @param {string} deploymentId - Deployment identifier
+ * @param {Object} cluster - Cluster context from configureCluster
+ * @returns {Promise<Object>} `solana program show` JSON (programdataAddress, authority, ...)
+ */
+async function getProgramInfo(programId, deploymentId, cluster) {
+  const result = await withRpcFailover(cluster, deploymentId, () => executeCommand(
+    SOLANA_CLI_PATH,
+    ['program', 'show', '--output', 'json', ...getClusterArgs(cluster), '--', programId],
+    { timeout: 30000 }
+  ));
+  
+  return JSON.parse(result.stdout);
+}
+
+/**
+ * Hash program bytes the way `solana-verify get-program-hash` does
+ * Program data accounts are zero-padded past the binary, so trailing zeros
+ * are dropped before hashing; a local .so then hashes the same as its
+ * on-chain copy.
+ * @param {Buffer} data - Program bytes
+ * @returns {string} SHA-256 hex digest
+ */
+function hashProgramData(data) {
+  let end = data.length;
+  
+  while (end > 0 && data[end - 1] === 0) {
+    end--;
+  }
+  
+  return crypto.createHash('sha256').update(data.subarray(0, end)).digest('hex');
+}
+
+/**
+ * Get the hash and deploy slot of a program's on-chain data
+ * @param {string} programId - Program ID
+ * @param {string} deploymentId - Deployment identifier
+ * @param {Object} cluster - Cluster context from configureCluster
+ * @returns {Promise<Object>} { authority, data_len, programdata_hash, slot }
+ * @throws {DeploymentError} If the program cannot be read
+ */
+async function getProgramSnapshot(programId, deploymentId, cluster) {
+  // The dump goes next to the deployment's CLI config, which is removed with it
+  const dumpPath = path.join(path.dirname(cluster.configPath), `${programId}.so`);
+  
+  try {
+    const info = await getProgramInfo(programId, deploymentId, cluster);
+    
+    await withRpcFailover(cluster, deploymentId, () => executeCommand(
+      SOLANA_CLI_PATH,
+      ['program', 'dump', ...getClusterArgs(cluster), '--', programId, dumpPath],
+      { timeout: 60000 }
+    ));
+    
+    return {
+      authority: info.authority,
+      data_len: info.dataLen,
+      programdata_hash: hashProgramData(fs.readFileSync(dumpPath)),
+      slot: info.lastDeploySlot
+    };
+  } catch (error) {
+    throw new DeploymentError(
+      'Failed to read program',
+      { program_id: programId },
+      error.message.split('\n')
+    );
+  } finally {
+    fs.rmSync(dumpPath, { force: true });
+  }
+}
+
+/**
+ * Upgrade an existing program in place from a built binary
+ * The binary is written to a buffer, the program data account is extended
+ * if the binary outgrew it, and the buffer is swapped in. The cluster's
+ * keypair pays and must be the program's upgrade authority.
+ * @param {string} projectPath - Path to Anchor project
+ * @param {string} deploymentId - Deployment identifier
+ * @param {Object} cluster - Cluster context signing with the upgrade authority
+ * @param {string} programName - Program to upgrade from
+ * @param {string} programId - Program to upgrade
+ * @param {Object} previous - Snapshot from getProgramSnapshot before the upgrade
+ * @returns {Promise<Object>} Upgrade result, with program data snapshots before and after
+ * @throws {DeploymentError} If the upgrade fails; details name any buffer left behind
+ * @throws {VerificationError} If the upgrade landed but the program data does not match the build
+ */
+async function upgradeProgram(projectPath, deploymentId, cluster, programName, programId, previous) {
+  logger.deployment(deploymentId, 'info', 'Upgrading program', { projectPath, programName, programId });
+  
+  const binaryPath = getProgramBinaryPath(projectPath, programName);
+  const binarySize = getProgramBinarySize(projectPath, programName);
+  const onOutput = createLogSink(deploymentId, DEPLOYMENT_STATUS.DEPLOYING, text => scrubUrl(text, cluster.rpcUrl));
+  const logs = [];
+  let buffer = null;
+  let signature = null;
+  let duration = null;
+  
+  // None of these are failed over on timeouts: each may still land
+  const run = async (subcommand, operands, timeout) => {
+    const result = await withRpcFailover(cluster, deploymentId, () => executeCommand(
+      SOLANA_CLI_PATH,
+      ['program', subcommand, ...getClusterArgs(cluster), '--', ...operands],
+      { timeout, stream: true, onOutput }
+    ), { failoverOnTimeout: false });
+    
+    logs.push(...result.logs);
+    return result;
+  };
+  
+  try {
+    if (binarySize === null) {
+      throw new Error(`Program binary not found: ${programName}.so`);
+    }
+    
+    const startTime = Date.now();
+    const bufferResult = await run('write-buffer', [binaryPath], DEPLOY_TIMEOUT_MS);
+    const bufferMatch = bufferResult.stdout.match(/Buffer:\s*([1-9A-HJ-NP-Za-km-z]{32,44})/);
+    
+    if (!bufferMatch) {
+      throw new Error('Could not extract buffer address from write-buffer output');
+    }
+    
+    buffer = bufferMatch[1];
+    
+    if (binarySize > previous.data_len) {
+      await run('extend', [programId, String(binarySize - previous.data_len)], 60000);
+    }
+    
+    const upgradeResult = await run('upgrade', [buffer, programId], 60000);
+    duration = Date.now() - startTime;
+    signature = extractSignature(upgradeResult.stdout);
+    
+    // The buffer is consumed by the upgrade
+    buffer = null;
+  } catch (error) {
+    logger.deployment(deploymentId, 'error', 'Upgrade failed', {
+      error: error.message,
+      programName,
+      programId,
+      buffer
+    });
+    
+    // A written buffer holds rent until it is closed with `solana program close`
+    throw new DeploymentError(
+      `Failed to upgrade program ${programName}`,
+      { program_id: programId, buffer },
+      error.message.split('\n')
+    );
+  }
+  
+  // The upgrade has landed from here on, so failures name its signature
+  const expectedHash = hashProgramData(fs.readFileSync(binaryPath));
+  let current;
+  
+  try {
+    current = await getProgramSnapshot(programId, deploymentId, cluster);
+  } catch (error) {
+    throw new VerificationError(
+      `Program ${programName} was upgraded but could not be read back`,
+      { program_id: programId, signature, expected_hash: expectedHash },
+      error.logs || error.message.split('\n')
+    );
+  }
+  
+  if (current.programdata_hash !== expectedHash) {
+    logger.deployment(deploymentId, 'error', 'Upgraded program does not match the build', {
+      programName,
+      programId,
+      signature,
+      expectedHash,
+      programdataHash: current.programdata_hash
+    });
+    
+    throw new VerificationError(`On-chain program data of ${programName} does not match the build after upgrading`, {
+      program_id: programId,
+      signature,
+      expected_hash: expectedHash,
+      programdata_hash: current.programdata_hash
+    });
+  }
+  
+  logger.deployment(deploymentId, 'info', 'Program upgraded successfully', {
+    programName,
+    programId,
+    previousSlot: previous.slot,
+    slot: current.slot,
+    deployDurationMs: duration
+  });
+  
+  return {
+    success: true,
+    programName,
+    programId,
+    signature,
+    rpcUrl: cluster.rpcUrl,
+    binarySize,
+    upgrade: {
+      previous: { programdata_hash: previous.programdata_hash, slot: previous.slot },
+      current: { programdata_hash: current.programdata_hash, slot: current.slot }
+    },
+    logs,
+    duration
+  };
+}
+
+/**
+ * Send the upgradeable loader's SetAuthority instruction for a program
+ * `solana program set-upgrade-authority` prints no signature, so the change
+ * is sent here to report the transaction that made it.
+ * @param {Object} cluster - Cluster context signing with the current authority
+ * @param {string} programId - Program ID
+ * @param {string|null} newAuthority - New upgrade authority, or null to make the program immutable
+ * @returns {Promise<string>} Signature of the confirmed transaction
+ */
+async function sendSetAuthority(cluster, programId, newAuthority) {
+  const authority = loadKeypair(cluster.keypairPath);
+  const [programData] = PublicKey.findProgramAddressSync(
+    [new PublicKey(programId).toBuffer()],
+    BPF_LOADER_UPGRADEABLE_PROGRAM_ID
+  );
+  const data = Buffer.alloc(4);
+  data.writeUInt32LE(SET_AUTHORITY_INSTRUCTION);
+  
+  // Leaving out the new authority account finalizes the program; the new
+  // authority is the caller's wallet, which cannot co-sign here
+  const keys = [
+    { pubkey: programData, isSigner: false, isWritable: true },
+    { pubkey: authority.publicKey, isSigner: true, isWritable: false }
+  ];
+  
+  if (newAuthority) {
+    keys.push({ pubkey: new PublicKey(newAuthority), isSigner: false, isWritable: false });
+  }
+  
+  const connection = new Connection(cluster.rpcUrl, {
+    commitment: 'confirmed',
+    wsEndpoint: cluster.wsUrl || undefined
+  });
+  const transaction = new Transaction().add(new TransactionInstruction({
+    programId: BPF_LOADER_UPGRADEABLE_PROGRAM_ID,
+    keys,
+    data
+  }));
+  
+  return sendAndConfirmTransaction(connection, transaction, [authority], { commitment: 'confirmed' });
+}
+
+/**
+ * Hand a program's upgrade authority to another address, or finalize it
+ * @param {string} programId - Program ID
+ * @param {string|null} newAuthority - New upgrade authority, or null to make the program immutable
+ * @param {string} deploymentId - Deployment identifier
+ * @param {Object} cluster - Cluster context signing with the current authority
+ * @returns {Promise<Object>} { authority, signature } (authority is null once immutable)
+ * @throws {DeploymentError} If the change fails or does not show on-chain
+ */
+async function setUpgradeAuthority(programId, newAuthority, deploymentId, cluster) {
+  logger.deployment(deploymentId, 'info', newAuthority ? 'Transferring upgrade authority' : 'Making program immutable', {
+    programId,
+    newAuthority
+  });
+  
+  try {
+    // Not failed over on timeouts: the change may still land
+    const signature = await withRpcFailover(
+      cluster,
+      deploymentId,
+      active => sendSetAuthority(active, programId, newAuthority),
+      { failoverOnTimeout: false }
+    );
+    
+    const { authority } = await getProgramInfo(programId, deploymentId, cluster);
+    const expected = newAuthority || 'none';
+    
+    if (authority !== expected) {
+      throw new Error(`Upgrade authority is ${authority}, expected ${expected}`);
+    }
+    
+    logger.deployment(deploymentId, 'info', 'Upgrade authority changed', {
+      programId,
+      authority: expected,
+      signature
+    });
+    
+    return {
+      authority: newAuthority,
+      signature
+    };
+  } catch (error) {
+    logger.deployment(deploymentId, 'error', 'Failed to change upgrade authority', {
+      error: error.message,
+      programId,
+      newAuthority
+    });
+    
+    throw new DeploymentError(
+      newAuthority ? 'Failed to transfer upgrade authority' : 'Failed to make program immutable',
+      { program_id: programId, upgrade_authority: newAuthority },
+      error.message.split('\n')
+    );
+  }
+}
+
 module.exports = {
   buildProgram,
   deployProgram,
+  deployPrograms,
   runTests,
   extractProgramId,
   extractSignature,
   getProgramKeypairPath,
+  getProgramBinaryPath,
+  getProgramBinarySize,
+  estimateDeploymentCost,
+  getProgramInfo,
+  getProgramSnapshot,
+  upgradeProgram,
+  setUpgradeAuthority,
   verifyDeployment
 };
 
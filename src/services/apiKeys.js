@@ -0,0 +1,300 @@
+/**
+ * API Keys Module
+ * Issues and checks API keys. Only a SHA-256 hash of each key is stored;
+ * the key itself is shown once, when it is created.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { defineSchema, prepare } = require('./database');
+const { getApiKeyUsage } = require('./deploymentHistory');
+const { getNetwork, getNetworkNames } = require('../config/networks');
+const { SCOPES } = require('../config/scopes');
+const { NotFoundError, QuotaExceededError } = require('../utils/errorHandler');
+const { ADMIN_API_KEY } = require('../config/constants');
+
+const KEY_PREFIX = 'spd_';
+
+// Only refresh last_used_at this often, so reads do not turn into writes
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const BOOTSTRAP_KEY_ID = 'admin-bootstrap';
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS api_keys (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  key_prefix TEXT NOT NULL,
+  scopes TEXT NOT NULL,
+  max_deployments_per_day INTEGER,
+  max_sol_per_day REAL,
+  created_at TEXT NOT NULL,
+  last_used_at TEXT,
+  revoked_at TEXT
+);
+`;
+
+defineSchema((db) => {
+  db.exec(SCHEMA);
+});
+
+/**
+ * Hash an API key for storage and lookup
+ * Keys are 256 random bits, so a fast unsalted hash is enough
+ * @param {string} key - API key
+ * @returns {string} Hex digest
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Convert a database row to an API key object
+ * @param {Object} row - api_keys row
+ * @returns {Object} API key (without the hash)
+ */
+function fromRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    key_prefix: row.key_prefix,
+    scopes: JSON.parse(row.scopes),
+    max_deployments_per_day: row.max_deployments_per_day,
+    max_sol_per_day: row.max_sol_per_day,
+    created_at: row.created_at,
+    last_used_at: row.last_used_at,
+    revoked_at: row.revoked_at
+  };
+}
+
+/**
+ * Get the start of the current UTC day, when daily quotas reset
+ * @returns {string} ISO 8601 timestamp
+ */
+function getQuotaDayStart() {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())).toISOString();
+}
+
+/**
+ * Get the networks whose SOL spending counts towards max_sol_per_day
+ * Test clusters are funded by faucets, so only mainnet clusters count
+ * @returns {Array<string>} Network names
+ */
+function getSpendNetworks() {
+  return getNetworkNames().filter(name => getNetwork(name).mainnet);
+}
+
+/**
+ * Get an API key's usage for the current quota day
+ * @param {string} apiKeyId - API key identifier
+ * @returns {Object} { deployments, sol_spent, since }
+ */
+function getUsageToday(apiKeyId) {
+  const since = getQuotaDayStart();
+  return { ...getApiKeyUsage(apiKeyId, since, getSpendNetworks()), since };
+}
+
+/**
+ * Create an API key
+ * @param {Object} options - Key settings (validated)
+ * @param {string} options.name - Human-readable name
+ * @param {Array<string>} options.scopes - Granted scopes
+ * @param {number|null} options.max_deployments_per_day - Daily deployment quota (null for none)
+ * @param {number|null} options.max_sol_per_day - Daily mainnet SOL quota (null for none)
+ * @returns {Object} API key, including the key itself (never retrievable again)
+ */
+function createApiKey({ name, scopes, max_deployments_per_day = null, max_sol_per_day = null }) {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const row = {
+    id: uuidv4(),
+    name,
+    key_hash: hashKey(key),
+    key_prefix: key.slice(0, KEY_PREFIX.length + 6),
+    scopes: JSON.stringify(scopes),
+    max_deployments_per_day,
+    max_sol_per_day,
+    created_at: new Date().toISOString()
+  };
+  
+  prepare(`
+    INSERT INTO api_keys (id, name, key_hash, key_prefix, scopes, max_deployments_per_day, max_sol_per_day, created_at)
+    VALUES (@id, @name, @key_hash, @key_prefix, @scopes, @max_deployments_per_day, @max_sol_per_day, @created_at)
+  `).run(row);
+  
+  return { ...fromRow({ ...row, last_used_at: null, revoked_at: null }), key };
+}
+
+/**
+ * Get an API key
+ * @param {string} apiKeyId - API key identifier
+ * @returns {Object} API key with today's usage
+ * @throws {NotFoundError} If the key does not exist
+ */
+function getApiKey(apiKeyId) {
+  const row = prepare('SELECT * FROM api_keys WHERE id = ?').get(apiKeyId);
+  
+  if (!row) {
+    throw new NotFoundError('API key not found', { api_key_id: apiKeyId });
+  }
+  
+  return { ...fromRow(row), usage_today: getUsageToday(row.id) };
+}
+
+/**
+ * List API keys, newest first
+ * @param {Object} options - List options
+ * @param {boolean} options.includeRevoked - Include revoked keys
+ * @returns {Array<Object>} API keys with today's usage
+ */
+function listApiKeys({ includeRevoked = false } = {}) {
+  const rows = prepare(`
+    SELECT * FROM api_keys
+    WHERE ? OR revoked_at IS NULL
+    ORDER BY created_at DESC
+  `).all(includeRevoked ? 1 : 0);
+  
+  return rows.map(row => ({ ...fromRow(row), usage_today: getUsageToday(row.id) }));
+}
+
+/**
+ * Change an API key's name, scopes or quotas
+ * @param {string} apiKeyId - API key identifier
+ * @param {Object} changes - Fields to change (validated)
+ * @returns {Object} Updated API key
+ * @throws {NotFoundError} If the key does not exist or was revoked
+ */
+function updateApiKey(apiKeyId, changes) {
+  const current = prepare('SELECT * FROM api_keys WHERE id = ? AND revoked_at IS NULL').get(apiKeyId);
+  
+  if (!current) {
+    throw new NotFoundError('API key not found', { api_key_id: apiKeyId });
+  }
+  
+  const updated = { ...fromRow(current), ...changes };
+  
+  prepare(`
+    UPDATE api_keys
+    SET name = ?, scopes = ?, max_deployments_per_day = ?, max_sol_per_day = ?
+    WHERE id = ?
+  `).run(
+    updated.name,
+    JSON.stringify(updated.scopes),
+    updated.max_deployments_per_day,
+    updated.max_sol_per_day,
+    apiKeyId
+  );
+  
+  return getApiKey(apiKeyId);
+}
+
+/**
+ * Revoke an API key; it stays listed for the audit trail
+ * @param {string} apiKeyId - API key identifier
+ * @returns {Object} Revoked API key
+ * @throws {NotFoundError} If the key does not exist or was already revoked
+ */
+function revokeApiKey(apiKeyId) {
+  const { changes } = prepare('UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL')
+    .run(new Date().toISOString(), apiKeyId);
+  
+  if (changes === 0) {
+    throw new NotFoundError('API key not found', { api_key_id: apiKeyId });
+  }
+  
+  return getApiKey(apiKeyId);
+}
+
+/**
+ * Check a key against ADMIN_API_KEY in constant time
+ * @param {string} key - Presented key
+ * @returns {boolean} True if it is the bootstrap admin key
+ */
+function isBootstrapKey(key) {
+  if (!ADMIN_API_KEY) {
+    return false;
+  }
+  
+  // Comparing digests keeps the lengths equal, as timingSafeEqual requires
+  return crypto.timingSafeEqual(
+    Buffer.from(hashKey(key), 'hex'),
+    Buffer.from(hashKey(ADMIN_API_KEY), 'hex')
+  );
+}
+
+/**
+ * Look up the API key presented with a request
+ * @param {string} key - Presented key
+ * @returns {Object|null} Active API key, or null if unknown or revoked
+ */
+function authenticateKey(key) {
+  if (isBootstrapKey(key)) {
+    return {
+      id: BOOTSTRAP_KEY_ID,
+      name: 'ADMIN_API_KEY',
+      scopes: [SCOPES.ADMIN],
+      max_deployments_per_day: null,
+      max_sol_per_day: null
+    };
+  }
+  
+  const row = prepare('SELECT * FROM api_keys WHERE key_hash = ?').get(hashKey(key));
+  
+  if (!row || row.revoked_at) {
+    return null;
+  }
+  
+  const now = new Date();
+  
+  if (!row.last_used_at || now - new Date(row.last_used_at) > LAST_USED_RESOLUTION_MS) {
+    prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?').run(now.toISOString(), row.id);
+    row.last_used_at = now.toISOString();
+  }
+  
+  return fromRow(row);
+}
+
+/**
+ * Check that an API key may start another deployment today
+ * Usage is read from deployment history, so two requests racing at the
+ * limit can both pass; quotas are a spending guard, not an exact count.
+ * SOL spent is only known once a deployment ends, so deployments still
+ * running are not counted against max_sol_per_day.
+ * @param {Object} apiKey - Authenticated API key
+ * @param {string} network - Target network
+ * @throws {QuotaExceededError} If a daily quota is used up
+ */
+function checkDeploymentQuota(apiKey, network) {
+  const { max_deployments_per_day: maxDeployments, max_sol_per_day: maxSol } = apiKey;
+  
+  if (maxDeployments === null && maxSol === null) {
+    return;
+  }
+  
+  const usage = getUsageToday(apiKey.id);
+  
+  if (maxDeployments !== null && usage.deployments >= maxDeployments) {
+    throw new QuotaExceededError('Daily deployment quota exceeded', {
+      max_deployments_per_day: maxDeployments,
+      deployments_today: usage.deployments
+    });
+  }
+  
+  if (maxSol !== null && getNetwork(network).mainnet && usage.sol_spent >= maxSol) {
+    throw new QuotaExceededError('Daily SOL spending quota exceeded', {
+      max_sol_per_day: maxSol,
+      sol_spent_today: usage.sol_spent
+    });
+  }
+}
+
+module.exports = {
+  createApiKey,
+  getApiKey,
+  listApiKeys,
+  updateApiKey,
+  revokeApiKey,
+  authenticateKey,
+  checkDeploymentQuota
+};
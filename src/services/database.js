@@ -0,0 +1,89 @@
+/**
+ * Database Module
+ * Shared embedded SQLite database for data that must outlive Redis:
+ * deployment history and API keys
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const logger = require('../utils/logger');
+const { DEPLOYMENT_DB_PATH } = require('../config/constants');
+
+const migrations = [];
+const statements = new Map();
+
+let db = null;
+
+/**
+ * Register schema setup to run whenever the database is opened
+ * Migrations must be idempotent (CREATE ... IF NOT EXISTS and the like)
+ * @param {Function} migrate - Receives the database
+ */
+function defineSchema(migrate) {
+  migrations.push(migrate);
+  
+  if (db) {
+    migrate(db);
+  }
+}
+
+/**
+ * Open (or lazily create) the database
+ * @returns {Database} SQLite database
+ */
+function getDatabase() {
+  if (!db) {
+    fs.mkdirSync(path.dirname(DEPLOYMENT_DB_PATH), { recursive: true });
+    
+    db = new Database(DEPLOYMENT_DB_PATH);
+    
+    // WAL lets the API read while a worker process writes
+    db.pragma('journal_mode = WAL');
+    db.pragma('busy_timeout = 5000');
+    db.pragma('foreign_keys = ON');
+    
+    for (const migrate of migrations) {
+      migrate(db);
+    }
+    
+    logger.info('Database opened', { path: DEPLOYMENT_DB_PATH });
+  }
+  
+  return db;
+}
+
+/**
+ * Get a prepared statement, compiling it on first use
+ * @param {string} sql - SQL text
+ * @returns {Statement} Prepared statement
+ */
+function prepare(sql) {
+  const database = getDatabase();
+  let statement = statements.get(sql);
+  
+  if (!statement) {
+    statement = database.prepare(sql);
+    statements.set(sql, statement);
+  }
+  
+  return statement;
+}
+
+/**
+ * Close the database
+ */
+function closeDatabase() {
+  if (db) {
+    statements.clear();
+    db.close();
+    db = null;
+  }
+}
+
+module.exports = {
+  defineSchema,
+  getDatabase,
+  prepare,
+  closeDatabase
+};
@@ -0,0 +1,123 @@
+/**
+ * Deployment Cancellation Module
+ * Relays cancel requests from the API to whichever worker runs the
+ * deployment. A Redis flag covers jobs that have not started yet and a
+ * pub/sub message aborts ones that are running.
+ */
+
+const logger = require('../utils/logger');
+const { CancelledError } = require('../utils/errorHandler');
+const { getRedisConnection, createRedisConnection } = require('./redisClient');
+const { DEPLOYMENT_STATE_TTL_SECONDS } = require('../config/constants');
+
+const CANCEL_CHANNEL = 'deployment:cancel';
+const CANCEL_KEY_PREFIX = 'deployment:cancel:';
+
+// Deployments running in this process, by ID
+const controllers = new Map();
+
+let subscriber = null;
+
+/**
+ * Get Redis key for a deployment's cancel flag
+ * @param {string} deploymentId - Deployment identifier
+ * @returns {string} Redis key
+ */
+function getCancelKey(deploymentId) {
+  return `${CANCEL_KEY_PREFIX}${deploymentId}`;
+}
+
+/**
+ * Abort a deployment if it is running in this process
+ * @param {string} deploymentId - Deployment identifier
+ */
+function abortLocal(deploymentId) {
+  const controller = controllers.get(deploymentId);
+  
+  if (controller && !controller.signal.aborted) {
+    logger.deployment(deploymentId, 'info', 'Aborting deployment');
+    controller.abort(new CancelledError('Deployment cancelled'));
+  }
+}
+
+/**
+ * Register a deployment that is starting in this process
+ * @param {string} deploymentId - Deployment identifier
+ * @returns {AbortController} Controller aborted when the deployment is cancelled
+ */
+function registerDeployment(deploymentId) {
+  const controller = new AbortController();
+  controllers.set(deploymentId, controller);
+  return controller;
+}
+
+/**
+ * Forget a deployment once it has finished
+ * @param {string} deploymentId - Deployment identifier
+ */
+function unregisterDeployment(deploymentId) {
+  controllers.delete(deploymentId);
+}
+
+/**
+ * Check whether a deployment has been asked to cancel
+ * @param {string} deploymentId - Deployment identifier
+ * @returns {Promise<boolean>} True if cancellation was requested
+ */
+async function isCancelRequested(deploymentId) {
+  return (await getRedisConnection().exists(getCancelKey(deploymentId))) === 1;
+}
+
+/**
+ * Ask a deployment to cancel, wherever it is running
+ * @param {string} deploymentId - Deployment identifier
+ * @returns {Promise<void>}
+ */
+async function requestCancellation(deploymentId) {
+  const redis = getRedisConnection();
+  
+  await redis.set(getCancelKey(deploymentId), new Date().toISOString(), 'EX', DEPLOYMENT_STATE_TTL_SECONDS);
+  await redis.publish(CANCEL_CHANNEL, deploymentId);
+}
+
+/**
+ * Start listening for cancel requests
+ * Pub/sub needs a dedicated connection
+ * @returns {Promise<void>}
+ */
+async function startCancellationListener() {
+  if (subscriber) {
+    return;
+  }
+  
+  subscriber = createRedisConnection();
+  subscriber.on('message', (channel, deploymentId) => {
+    if (channel === CANCEL_CHANNEL) {
+      abortLocal(deploymentId);
+    }
+  });
+  
+  await subscriber.subscribe(CANCEL_CHANNEL);
+  
+  logger.info('Deployment cancellation listener started', { channel: CANCEL_CHANNEL });
+}
+
+/**
+ * Stop listening for cancel requests
+ * @returns {Promise<void>}
+ */
+async function stopCancellationListener() {
+  if (subscriber) {
+    await subscriber.quit();
+    subscriber = null;
+  }
+}
+
+module.exports = {
+  registerDeployment,
+  unregisterDeployment,
+  isCancelRequested,
+  requestCancellation,
+  startCancellationListener,
+  stopCancellationListener
+};
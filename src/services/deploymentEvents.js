@@ -0,0 +1,125 @@
+/**
+ * Deployment Events Module
+ * Records step transitions and raw build/deploy output in a Redis stream
+ * per deployment so subscribers can replay and follow a deployment live
+ */
+
+const logger = require('../utils/logger');
+const { appendOutput } = require('../utils/deploymentLogArchive');
+const { getRedisConnection } = require('./redisClient');
+const {
+  DEPLOYMENT_STATE_TTL_SECONDS,
+  DEPLOYMENT_EVENTS_MAX_LENGTH
+} = require('../config/constants');
+
+const EVENTS_KEY_PREFIX = 'deployment:events:';
+
+const EVENT_TYPES = {
+  STATUS: 'status',
+  LOG: 'log',
+  END: 'end'
+};
+
+/**
+ * Get Redis key for a deployment's event stream
+ * @param {string} deploymentId - Deployment identifier
+ * @returns {string} Redis key
+ */
+function getEventsKey(deploymentId) {
+  return `${EVENTS_KEY_PREFIX}${deploymentId}`;
+}
+
+/**
+ * Append an event to a deployment's stream
+ * @param {string} deploymentId - Deployment identifier
+ * @param {string} type - Event type (one of EVENT_TYPES)
+ * @param {Object} data - Event payload
+ * @returns {Promise<void>}
+ */
+async function publishEvent(deploymentId, type, data) {
+  const key = getEventsKey(deploymentId);
+  const payload = JSON.stringify({ ...data, timestamp: new Date().toISOString() });
+  
+  await getRedisConnection()
+    .multi()
+    .xadd(key, 'MAXLEN', '~', DEPLOYMENT_EVENTS_MAX_LENGTH, '*', 'type', type, 'data', payload)
+    .expire(key, DEPLOYMENT_STATE_TTL_SECONDS)
+    .exec();
+}
+
+/**
+ * Create an output handler for executeCommand that archives output and publishes log events
+ * Publishing is fire-and-forget so a slow Redis never stalls a build
+ * @param {string} deploymentId - Deployment identifier
+ * @param {string} step - Step the output belongs to
+ * @param {Function} scrub - Optional filter applied to each chunk before publishing
+ * @returns {Function} Handler receiving (text, stream)
+ */
+function createLogSink(deploymentId, step, scrub = text => text) {
+  let warned = false;
+  
+  return (text, stream) => {
+    const scrubbed = scrub(text);
+    
+    appendOutput(deploymentId, step, stream, scrubbed);
+    
+    publishEvent(deploymentId, EVENT_TYPES.LOG, { step, stream, text: scrubbed }).catch((error) => {
+      if (!warned) {
+        warned = true;
+        logger.deployment(deploymentId, 'warn', 'Failed to publish deployment output', {
+          error: error.message
+        });
+      }
+    });
+  };
+}
+
+/**
+ * Parse stream entries returned by XREAD
+ * @param {Array} entries - [id, [field, value, ...]] pairs
+ * @returns {Array<Object>} Events ({ id, type, data })
+ */
+function parseEntries(entries) {
+  return entries.map(([id, fields]) => {
+    const values = {};
+    
+    for (let i = 0; i < fields.length; i += 2) {
+      values[fields[i]] = fields[i + 1];
+    }
+    
+    return {
+      id,
+      type: values.type,
+      data: JSON.parse(values.data)
+    };
+  });
+}
+
+/**
+ * Read events recorded after a given event ID
+ * @param {string} deploymentId - Deployment identifier
+ * @param {string} afterId - Stream ID to read after ('0' for the beginning)
+ * @param {Object} options - Read options
+ * @param {IORedis} options.connection - Connection to read on; blocking reads need a dedicated one
+ * @param {number} options.blockMs - Wait up to this long for new events (0 for no wait)
+ * @param {number} options.count - Maximum events to return
+ * @returns {Promise<Array<Object>>} Events ({ id, type, data })
+ */
+async function readEvents(deploymentId, afterId, { connection = getRedisConnection(), blockMs = 0, count = 500 } = {}) {
+  const args = ['COUNT', count];
+  
+  if (blockMs > 0) {
+    args.push('BLOCK', blockMs);
+  }
+  
+  const result = await connection.xread(...args, 'STREAMS', getEventsKey(deploymentId), afterId);
+  
+  return result ? parseEntries(result[0][1]) : [];
+}
+
+module.exports = {
+  EVENT_TYPES,
+  publishEvent,
+  createLogSink,
+  readEvents
+};
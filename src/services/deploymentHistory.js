@@ -0,0 +1,271 @@
+/**
+ * Deployment History Module
+ * Keeps a permanent record of every deployment in an embedded SQLite
+ * database, as the audit trail of what was deployed to which cluster
+ */
+
+const { defineSchema, getDatabase, prepare } = require('./database');
+const { ValidationError } = require('../utils/errorHandler');
+const { DEPLOYMENT_MODES } = require('../config/constants');
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS deployments (
+  id TEXT PRIMARY KEY,
+  repo_url TEXT NOT NULL,
+  network TEXT NOT NULL,
+  status TEXT NOT NULL,
+  api_key_id TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  record TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS deployments_created ON deployments (created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS deployments_repo ON deployments (repo_url COLLATE NOCASE);
+CREATE INDEX IF NOT EXISTS deployments_network_status ON deployments (network, status);
+
+CREATE TABLE IF NOT EXISTS deployment_programs (
+  deployment_id TEXT NOT NULL REFERENCES deployments (id) ON DELETE CASCADE,
+  name TEXT,
+  program_id TEXT NOT NULL,
+  signature TEXT,
+  PRIMARY KEY (deployment_id, program_id)
+);
+
+CREATE INDEX IF NOT EXISTS deployment_programs_program ON deployment_programs (program_id);
+`;
+
+const UPSERT_SQL = `
+  INSERT INTO deployments (id, repo_url, network, status, api_key_id, created_at, updated_at, record)
+  VALUES (@id, @repo_url, @network, @status, @api_key_id, @created_at, @updated_at, @record)
+  ON CONFLICT (id) DO UPDATE SET
+    status = excluded.status,
+    updated_at = excluded.updated_at,
+    record = excluded.record
+`;
+
+const INSERT_PROGRAM_SQL = `
+  INSERT OR IGNORE INTO deployment_programs (deployment_id, name, program_id, signature)
+  VALUES (?, ?, ?, ?)
+`;
+
+defineSchema((db) => {
+  db.exec(SCHEMA);
+  
+  // api_key_id was added after the first release; older databases need the column
+  const columns = db.prepare('PRAGMA table_info(deployments)').all().map(column => column.name);
+  
+  if (!columns.includes('api_key_id')) {
+    db.exec('ALTER TABLE deployments ADD COLUMN api_key_id TEXT');
+  }
+  
+  db.exec('CREATE INDEX IF NOT EXISTS deployments_api_key ON deployments (api_key_id, created_at)');
+});
+
+/**
+ * Save a deployment state snapshot to history
+ * Called on every state change so running deployments are listed too
+ * @param {Object} state - Deployment state (contains no secrets)
+ */
+function recordDeployment(state) {
+  const programs = (state.result && state.result.programs) || [];
+  
+  getDatabase().transaction(() => {
+    prepare(UPSERT_SQL).run({
+      id: state.deployment_id,
+      repo_url: state.request.repo_url,
+      network: state.request.network,
+      status: state.status,
+      api_key_id: state.request.api_key_id || null,
+      created_at: state.created_at,
+      updated_at: state.updated_at,
+      record: JSON.stringify(state)
+    });
+    
+    prepare('DELETE FROM deployment_programs WHERE deployment_id = ?').run(state.deployment_id);
+    
+    for (const program of programs) {
+      prepare(INSERT_PROGRAM_SQL).run(state.deployment_id, program.name, program.program_id, program.signature);
+    }
+  })();
+}
+
+/**
+ * Get the full history record of a deployment
+ * @param {string} deploymentId - Deployment identifier
+ * @returns {Object|null} Deployment record or null if unknown
+ */
+function getDeploymentRecord(deploymentId) {
+  const row = prepare('SELECT record FROM deployments WHERE id = ?').get(deploymentId);
+  return row ? JSON.parse(row.record) : null;
+}
+
+/**
+ * Encode a pagination cursor
+ * @param {Object} row - Last row of a page
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor(row) {
+  return Buffer.from(JSON.stringify([row.created_at, row.id])).toString('base64url');
+}
+
+/**
+ * Decode a pagination cursor
+ * @param {string} cursor - Opaque cursor
+ * @returns {Array} [created_at, id]
+ * @throws {ValidationError} If the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const value = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    
+    if (Array.isArray(value) && value.length === 2 && value.every(part => typeof part === 'string')) {
+      return value;
+    }
+  } catch (error) {
+    // Fall through to the validation error
+  }
+  
+  throw new ValidationError('Invalid cursor', { cursor });
+}
+
+/**
+ * Summarize a deployment record for list responses
+ * @param {Object} record - Deployment record
+ * @returns {Object} Summary
+ */
+function summarize(record) {
+  const result = record.result || {};
+  
+  return {
+    deployment_id: record.deployment_id,
+    status: record.status,
+    repo_url: record.request.repo_url,
+    network: record.request.network,
+    mode: record.request.mode || DEPLOYMENT_MODES.DEPLOY,
+    ref: record.request.ref,
+    commit: result.commit ? result.commit.sha : record.request.commit,
+    programs: (result.programs || []).map(program => ({
+      name: program.name,
+      program_id: program.program_id
+    })),
+    wallet_address: result.wallet_address || record.request.wallet_address,
+    api_key_id: record.request.api_key_id || null,
+    sol_spent: record.sol_spent !== undefined ? record.sol_spent : null,
+    sol_swept: record.sweep ? record.sweep.sol_swept : null,
+    error_code: record.error ? record.error.code : null,
+    created_at: record.created_at,
+    started_at: record.started_at,
+    finished_at: record.finished_at,
+    total_duration_ms: result.total_duration_ms || null
+  };
+}
+
+/**
+ * List deployments, newest first
+ * @param {Object} filters - Validated query filters
+ * @param {string} filters.repo_url - Repository URL (case-insensitive exact match)
+ * @param {string} filters.network - Network name
+ * @param {string} filters.status - Deployment status
+ * @param {string} filters.program_id - Deployed program ID
+ * @param {string} filters.api_key_id - API key that requested the deployment
+ * @param {string} filters.from - Earliest creation time (ISO 8601, inclusive)
+ * @param {string} filters.to - Latest creation time (ISO 8601, inclusive)
+ * @param {number} filters.limit - Page size
+ * @param {string} filters.cursor - Cursor from a previous page
+ * @returns {Object} { deployments, next_cursor }
+ */
+function listDeployments({ repo_url, network, status, program_id, api_key_id, from, to, limit, cursor }) {
+  const database = getDatabase();
+  const conditions = [];
+  const params = [];
+  
+  if (repo_url) {
+    conditions.push('repo_url = ? COLLATE NOCASE');
+    params.push(repo_url);
+  }
+  
+  if (network) {
+    conditions.push('network = ?');
+    params.push(network);
+  }
+  
+  if (status) {
+    conditions.push('status = ?');
+    params.push(status);
+  }
+  
+  if (program_id) {
+    conditions.push('EXISTS (SELECT 1 FROM deployment_programs p WHERE p.deployment_id = id AND p.program_id = ?)');
+    params.push(program_id);
+  }
+  
+  if (api_key_id) {
+    conditions.push('api_key_id = ?');
+    params.push(api_key_id);
+  }
+  
+  if (from) {
+    conditions.push('created_at >= ?');
+    params.push(from);
+  }
+  
+  if (to) {
+    conditions.push('created_at <= ?');
+    params.push(to);
+  }
+  
+  if (cursor) {
+    const [createdAt, id] = decodeCursor(cursor);
+    conditions.push('(created_at < ? OR (created_at = ? AND id < ?))');
+    params.push(createdAt, createdAt, id);
+  }
+  
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  
+  // Fetch one extra row to know whether there is another page
+  const rows = database.prepare(`
+    SELECT id, created_at, record FROM deployments
+    ${where}
+    ORDER BY created_at DESC, id DESC
+    LIMIT ?
+  `).all(...params, limit + 1);
+  
+  const page = rows.slice(0, limit);
+  
+  return {
+    deployments: page.map(row => summarize(JSON.parse(row.record))),
+    next_cursor: rows.length > limit ? encodeCursor(page[page.length - 1]) : null
+  };
+}
+
+/**
+ * Get what an API key has used since a point in time
+ * @param {string} apiKeyId - API key identifier
+ * @param {string} since - Start time (ISO 8601, inclusive)
+ * @param {Array<string>} spendNetworks - Networks whose SOL spending counts
+ * @returns {Object} { deployments, sol_spent }
+ */
+function getApiKeyUsage(apiKeyId, since, spendNetworks) {
+  const placeholders = spendNetworks.map(() => '?').join(', ') || 'NULL';
+  
+  const row = getDatabase().prepare(`
+    SELECT
+      COUNT(*) AS deployments,
+      TOTAL(CASE WHEN network IN (${placeholders}) THEN json_extract(record, '$.sol_spent') END) AS sol_spent
+    FROM deployments
+    WHERE api_key_id = ? AND created_at >= ?
+  `).get(...spendNetworks, apiKeyId, since);
+  
+  return {
+    deployments: row.deployments,
+    sol_spent: Math.round(row.sol_spent * 1e9) / 1e9
+  };
+}
+
+module.exports = {
+  recordDeployment,
+  getDeploymentRecord,
+  listDeployments,
+  getApiKeyUsage
+};
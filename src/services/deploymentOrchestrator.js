@@ -0,0 +1,494 @@
+/**
+ * Deployment Orchestrator Module
+ * Runs the clone → build → deploy pipeline for a single deployment
+ */
+
+const path = require('path');
+const logger = require('../utils/logger');
+const {
+  cloneRepository,
+  resolveCommit,
+  resolveWorkspace,
+  validateAnchorProject,
+  selectPrograms,
+  syncProgramIds,
+  cleanupDirectory
+} = require('./projectManager');
+const { getCustomWalletAddress, setupWallet, cleanupWallet } = require('./walletManager');
+const { isSweepEnabled, registerSweep, sweepWallet } = require('./walletSweeper');
+const { isTreasuryFundingEnabled, fundFromTreasury } = require('./treasury');
+const { injectProgramKeypairs, persistProgramKeypairs } = require('./programKeystore');
+const { grindProgramKeypair } = require('./vanityGrinder');
+const {
+  configureCluster,
+  setClusterKeypair,
+  cleanupClusterConfig,
+  ensureFunding,
+  getBalance,
+  findProgramBuffers,
+  closeProgramBuffer
+} = require('./solanaCliWrapper');
+const {
+  buildProgram,
+  deployPrograms,
+  verifyDeployment,
+  estimateDeploymentCost,
+  getProgramSnapshot,
+  upgradeProgram,
+  setUpgradeAuthority
+} = require('./anchorDeployer');
+const { ensureLocalValidator } = require('./localValidator');
+const { transitionStep, recordSolSpent } = require('./deploymentState');
+const {
+  throwIfCancelled,
+  isCancellationRequested,
+  runStep,
+  runOutsideDeploymentContext
+} = require('../utils/deploymentContext');
+const { CancelledError, ValidationError, WalletError, DeploymentError } = require('../utils/errorHandler');
+const { getNetwork, redactUrl } = require('../config/networks');
+const {
+  DEPLOYMENT_STATUS,
+  DEPLOYMENT_MODES,
+  GIT_CLONE_TIMEOUT_MS,
+  VALIDATE_TIMEOUT_MS,
+  VANITY_TIMEOUT_MS,
+  FUNDING_TIMEOUT_MS,
+  BUILD_TIMEOUT_MS,
+  DEPLOY_TIMEOUT_MS,
+  VERIFY_TIMEOUT_MS
+} = require('../config/constants');
+
+/**
+ * Record the SOL a deployment spent, from the wallet balance after funding
+ * and after deploying (best effort; runs after cancellation too)
+ * @param {string} deploymentId - Deployment identifier
+ * @param {string} walletAddress - Deployer wallet address
+ * @param {Object} cluster - Cluster context from configureCluster
+ * @param {number} fundedBalance - Balance before the deploy step
+ */
+async function recordWalletSpending(deploymentId, walletAddress, cluster, fundedBalance) {
+  try {
+    const balance = await runOutsideDeploymentContext(() => getBalance(walletAddress, deploymentId, cluster));
+    const solSpent = Math.max(0, fundedBalance - balance);
+    
+    await recordSolSpent(deploymentId, solSpent);
+    logger.deployment(deploymentId, 'info', 'SOL spent recorded', { solSpent });
+  } catch (error) {
+    logger.deployment(deploymentId, 'warn', 'Failed to measure SOL spent', { error: error.message });
+  }
+}
+
+/**
+ * Close the program buffers an interrupted deploy left behind
+ * Their rent goes back to the deployment wallet before it is swept, so it
+ * reaches the treasury or the caller's own wallet (best effort; never throws)
+ * @param {string} deploymentId - Deployment identifier
+ * @param {string} walletAddress - Deployer wallet address, the buffers' authority
+ * @param {Object} cluster - Cluster context signing with the deployer wallet
+ * @returns {Promise<Array<Object>>} Buffers found ({ address, authority, balance_sol, closed })
+ */
+async function reclaimProgramBuffers(deploymentId, walletAddress, cluster) {
+  let buffers = [];
+  
+  try {
+    buffers = await runOutsideDeploymentContext(() => findProgramBuffers(walletAddress, deploymentId, cluster));
+  } catch (error) {
+    logger.deployment(deploymentId, 'warn', 'Failed to look up program buffers', { error: error.message });
+  }
+  
+  for (const buffer of buffers) {
+    try {
+      await runOutsideDeploymentContext(() => closeProgramBuffer(buffer.address, deploymentId, cluster));
+      buffer.closed = true;
+    } catch (error) {
+      buffer.closed = false;
+      logger.deployment(deploymentId, 'warn', 'Failed to close program buffer', {
+        error: error.message,
+        buffer: buffer.address
+      });
+    }
+  }
+  
+  return buffers;
+}
+
+/**
+ * Main deployment orchestrator
+ * @param {string} deploymentId - Unique deployment identifier
+ * @param {Object} options - Deployment options
+ * @param {string} options.repoUrl - GitHub repository URL
+ * @param {string} options.network - Target network
+ * @param {string} options.mode - deploy a new program, or upgrade options.programId in place
+ * @param {string} options.programId - Existing program to upgrade (upgrade mode)
+ * @param {string} options.ref - Branch or tag to deploy (optional)
+ * @param {string} options.commit - Commit SHA to deploy (optional)
+ * @param {string} options.projectSubPath - Anchor workspace path inside the repository (optional)
+ * @param {Array<string>} options.programs - Program names to deploy (optional, all when omitted)
+ * @param {Object} options.programKeypairs - 64-byte program secret keys by program name (optional)
+ * @param {Object} options.vanity - Program ID pattern to grind: { prefix, suffix, caseInsensitive } (optional)
+ * @param {Object} options.customWallet - Custom wallet options
+ * @param {string} options.upgradeAuthority - Address to hand the programs' upgrade authority to (optional)
+ * @param {boolean} options.immutable - Make the programs immutable after deploying
+ * @param {string} options.apiKeyId - API key that requested the deployment; owns its stored program keypairs
+ * @returns {Promise<Object>} Deployment result
+ */
+async function orchestrateDeployment(deploymentId, {
+  repoUrl,
+  network,
+  mode = DEPLOYMENT_MODES.DEPLOY,
+  programId = null,
+  ref = null,
+  commit = null,
+  projectSubPath = null,
+  programs = null,
+  programKeypairs = null,
+  vanity = null,
+  customWallet = null,
+  upgradeAuthority = null,
+  immutable = false,
+  apiKeyId = null
+}) {
+  let repoPath = null;
+  let projectPath = null;
+  let cluster = null;
+  let keypairPath = null;
+  let walletAddress = null;
+  let deployStarted = false;
+  let fundedBalance = null;
+  let sweepRegistered = false;
+  let treasuryTopUp = false;
+  let buffersLeft = false;
+  let previousProgram = null;
+  let workspacePrograms = [];
+  
+  // Program keypairs are kept per API key and network
+  const keypairOwner = { apiKeyId, network, repoUrl };
+  const startTime = Date.now();
+  
+  try {
+    logger.deployment(deploymentId, 'info', 'Starting deployment orchestration', {
+      repoUrl,
+      network,
+      mode,
+      programId,
+      ref,
+      commit,
+      projectSubPath,
+      programs,
+      hasCustomWallet: !!customWallet
+    });
+    
+    // Each step runs under its own time limit and the overall DEPLOYMENT_TIMEOUT_MS budget
+    // Step 1: Clone repository
+    logger.deployment(deploymentId, 'info', 'Step 1/6: Cloning repository');
+    await transitionStep(deploymentId, DEPLOYMENT_STATUS.CLONING);
+    const commitInfo = await runStep(DEPLOYMENT_STATUS.CLONING, GIT_CLONE_TIMEOUT_MS, async () => {
+      repoPath = await cloneRepository(repoUrl, deploymentId, { ref, commit });
+      return resolveCommit(repoPath, deploymentId);
+    });
+    
+    // Step 2: Validate Anchor project
+    throwIfCancelled();
+    logger.deployment(deploymentId, 'info', 'Step 2/6: Validating Anchor project');
+    await transitionStep(deploymentId, DEPLOYMENT_STATUS.VALIDATING);
+    const programNames = await runStep(DEPLOYMENT_STATUS.VALIDATING, VALIDATE_TIMEOUT_MS, async () => {
+      projectPath = await resolveWorkspace(repoPath, deploymentId, projectSubPath);
+      const projectConfig = await validateAnchorProject(projectPath, deploymentId);
+      const selected = selectPrograms(projectConfig, programs, Object.keys(programKeypairs || {}));
+      workspacePrograms = projectConfig.programs.map(program => program.name);
+      
+      if ((mode === DEPLOYMENT_MODES.UPGRADE || vanity) && selected.length !== 1) {
+        const feature = vanity ? 'A vanity program ID' : 'Upgrade mode';
+        throw new ValidationError(`${feature} needs exactly one program; choose it with programs`, {
+          available: selected
+        });
+      }
+      
+      return selected;
+    });
+    
+    // Grind the vanity program keypair before any SOL is spent
+    let vanityResult = null;
+    
+    if (vanity) {
+      throwIfCancelled();
+      logger.deployment(deploymentId, 'info', 'Grinding vanity program ID');
+      await transitionStep(deploymentId, DEPLOYMENT_STATUS.GRINDING);
+      // The grinder stops itself at VANITY_TIMEOUT_MS; the margin covers starting the threads
+      vanityResult = await runStep(DEPLOYMENT_STATUS.GRINDING, VANITY_TIMEOUT_MS + 30000, () => (
+        grindProgramKeypair(deploymentId, keypairOwner, programNames[0], vanity, getCustomWalletAddress(customWallet))
+      ));
+    }
+    
+    // Step 3: Configure Solana cluster
+    throwIfCancelled();
+    logger.deployment(deploymentId, 'info', 'Step 3/6: Configuring Solana cluster');
+    await transitionStep(deploymentId, DEPLOYMENT_STATUS.FUNDING);
+    const walletInfo = await runStep(DEPLOYMENT_STATUS.FUNDING, FUNDING_TIMEOUT_MS, async () => {
+      if (getNetwork(network).managedValidator) {
+        await ensureLocalValidator(deploymentId);
+      }
+      
+      cluster = await configureCluster(network, deploymentId);
+      
+      // Step 4: Setup and fund wallet
+      throwIfCancelled();
+      logger.deployment(deploymentId, 'info', 'Step 4/6: Setting up wallet');
+      const wallet = await setupWallet(deploymentId, network, customWallet);
+      keypairPath = wallet.keypairPath;
+      walletAddress = wallet.address;
+      
+      // Register before funding so a crash from here on still gets swept at startup
+      if (wallet.isEphemeral && isSweepEnabled()) {
+        registerSweep(deploymentId, network, walletAddress, keypairPath);
+        sweepRegistered = true;
+      }
+      
+      await setClusterKeypair(cluster, keypairPath, deploymentId);
+      
+      // Check the wallet controls the program before any SOL is spent on it
+      if (mode === DEPLOYMENT_MODES.UPGRADE) {
+        previousProgram = await getProgramSnapshot(programId, deploymentId, cluster);
+        
+        if (previousProgram.authority === 'none') {
+          throw new DeploymentError('Program is immutable and cannot be upgraded', { program_id: programId });
+        }
+        
+        if (previousProgram.authority !== walletAddress) {
+          throw new WalletError('Wallet is not the program\'s upgrade authority', {
+            program_id: programId,
+            upgrade_authority: previousProgram.authority,
+            wallet_address: walletAddress
+          });
+        }
+      }
+      
+      // Ensure wallet has sufficient funds. Generated wallets the faucet cannot fund are
+      // topped up from the treasury once the build shows how much the deploy needs
+      const deferShortfall = wallet.isEphemeral && isTreasuryFundingEnabled();
+      fundedBalance = await ensureFunding(walletAddress, network, deploymentId, cluster, { deferShortfall });
+      treasuryTopUp = deferShortfall && fundedBalance < getNetwork(network).minBalance;
+      
+      logger.deployment(deploymentId, 'info', treasuryTopUp ? 'Wallet will be funded from the treasury' : 'Wallet funded', {
+        address: walletAddress,
+        balance: fundedBalance
+      });
+      
+      return wallet;
+    });
+    
+    // Step 5: Build program
+    throwIfCancelled();
+    logger.deployment(deploymentId, 'info', 'Step 5/6: Building Anchor program');
+    await transitionStep(deploymentId, DEPLOYMENT_STATUS.BUILDING);
+    let programIdSync = null;
+    const buildResult = await runStep(DEPLOYMENT_STATUS.BUILDING, BUILD_TIMEOUT_MS, async () => {
+      // Reuse the keypairs behind this key's earlier deploys of the repository so program IDs stay stable
+      if (mode === DEPLOYMENT_MODES.DEPLOY) {
+        const supplied = vanityResult
+          ? { [programNames[0]]: Array.from(vanityResult.keypair.secretKey) }
+          : programKeypairs;
+        
+        await injectProgramKeypairs(deploymentId, projectPath, keypairOwner, workspacePrograms, supplied, walletAddress);
+      }
+      
+      // A declare_id! that disagrees with the deployed ID builds fine but fails every call.
+      // An upgrade only touches the program it upgrades; the other crates are not deployed
+      programIdSync = syncProgramIds(
+        projectPath,
+        network,
+        deploymentId,
+        mode === DEPLOYMENT_MODES.UPGRADE
+          ? { programNames: [programNames[0]], overrides: { [programNames[0]]: programId } }
+          : {}
+      );
+      
+      return buildProgram(projectPath, deploymentId, cluster);
+    });
+    
+    // Step 6: Deploy program
+    throwIfCancelled();
+    logger.deployment(deploymentId, 'info', 'Step 6/6: Deploying Anchor program');
+    await transitionStep(deploymentId, DEPLOYMENT_STATUS.DEPLOYING);
+    const deployResult = await runStep(DEPLOYMENT_STATUS.DEPLOYING, DEPLOY_TIMEOUT_MS, async () => {
+      if (treasuryTopUp) {
+        const requiredLamports = estimateDeploymentCost(projectPath, programNames);
+        fundedBalance = await fundFromTreasury(deploymentId, walletAddress, requiredLamports, cluster);
+      }
+      
+      deployStarted = true;
+      let result;
+      
+      if (mode === DEPLOYMENT_MODES.UPGRADE) {
+        const upgraded = await upgradeProgram(
+          projectPath, deploymentId, cluster, programNames[0], programId, previousProgram
+        );
+        result = { programs: [upgraded], logs: upgraded.logs, duration: upgraded.duration };
+      } else {
+        // Keep each program's keypair once it is live, and only then
+        result = await deployPrograms(projectPath, deploymentId, cluster, programNames, (programName) => {
+          persistProgramKeypairs(deploymentId, projectPath, keypairOwner, programName ? [programName] : []);
+        });
+      }
+      
+      // The deployer wallet holds the upgrade authority until it is handed over
+      for (const program of result.programs) {
+        program.upgradeAuthority = walletAddress;
+        program.authoritySignature = null;
+      }
+      
+      if (upgradeAuthority || immutable) {
+        for (const program of result.programs) {
+          try {
+            const change = await setUpgradeAuthority(program.programId, upgradeAuthority, deploymentId, cluster);
+            program.upgradeAuthority = change.authority;
+            program.authoritySignature = change.signature;
+          } catch (error) {
+            // The programs are live either way; say which ones
+            error.details = {
+              ...(error.details || {}),
+              deployed_programs: result.programs.map(deployed => ({
+                program_id: deployed.programId,
+                upgrade_authority: deployed.upgradeAuthority
+              }))
+            };
+            throw error;
+          }
+        }
+      }
+      
+      return result;
+    });
+    
+    // Verify deployment (optional, best effort)
+    await transitionStep(deploymentId, DEPLOYMENT_STATUS.VERIFYING);
+    const deployedPrograms = await runStep(DEPLOYMENT_STATUS.VERIFYING, VERIFY_TIMEOUT_MS, async () => {
+      const verified = [];
+      
+      for (const program of deployResult.programs) {
+        verified.push({
+          name: program.programName,
+          program_id: program.programId,
+          signature: program.signature,
+          upgrade_authority: program.upgradeAuthority,
+          authority_signature: program.authoritySignature,
+          upgrade: program.upgrade || null,
+          rpc_endpoint: redactUrl(program.rpcUrl),
+          binary_size_bytes: program.binarySize,
+          verified: await verifyDeployment(program.programId, deploymentId, cluster)
+        });
+      }
+      
+      return verified;
+    });
+    
+    const [primaryProgram] = deployedPrograms;
+    const totalDuration = Date.now() - startTime;
+    
+    logger.deployment(deploymentId, 'info', 'Deployment completed successfully', {
+      programs: deployedPrograms.map(program => ({
+        name: program.name,
+        programId: program.program_id,
+        signature: program.signature
+      })),
+      commit: commitInfo.sha,
+      totalDurationMs: totalDuration,
+      isCustomWallet: walletInfo.isCustom
+    });
+    
+    return {
+      success: true,
+      data: {
+        program_id: primaryProgram.program_id,
+        signature: primaryProgram.signature,
+        programs: deployedPrograms,
+        network: network,
+        mode,
+        rpc_endpoint: redactUrl(cluster.rpcUrl),
+        commit: {
+          ...commitInfo,
+          ref
+        },
+        project_path: path.relative(repoPath, projectPath) || '.',
+        program_id_sync: programIdSync,
+        vanity: vanityResult && {
+          prefix: vanity.prefix || null,
+          suffix: vanity.suffix || null,
+          case_insensitive: !!vanity.caseInsensitive,
+          address: vanityResult.address,
+          attempts: vanityResult.attempts,
+          duration_ms: vanityResult.duration_ms,
+          reused: vanityResult.reused
+        },
+        wallet_address: walletAddress,
+        deployment_time: new Date().toISOString(),
+        build_duration_ms: buildResult.duration,
+        deploy_duration_ms: deployResult.duration,
+        total_duration_ms: totalDuration,
+        verified: deployedPrograms.every(program => program.verified),
+        immutable,
+        is_custom_wallet: walletInfo.isCustom,
+        build_logs: buildResult.logs.slice(-50), // Last 50 lines
+        deploy_logs: deployResult.logs.slice(-50) // Last 50 lines
+      }
+    };
+  } catch (error) {
+    if (isCancellationRequested()) {
+      // Close buffers before the wallet is swept and cleanup removes the cluster config
+      const buffers = deployStarted ? await reclaimProgramBuffers(deploymentId, walletAddress, cluster) : [];
+      buffersLeft = buffers.some(buffer => !buffer.closed);
+      
+      logger.deployment(deploymentId, 'warn', 'Deployment cancelled', {
+        error: error.message,
+        buffers: buffers.map(buffer => buffer.address)
+      });
+      
+      // Only the buffer authority can close what is left, so its keypair stays
+      if (buffersLeft) {
+        logger.deployment(deploymentId, 'warn', 'Keeping deployment keypair for unclosed program buffers', {
+          keypairPath,
+          walletAddress
+        });
+      }
+      
+      throw new CancelledError('Deployment cancelled', { buffers });
+    }
+    
+    logger.deployment(deploymentId, 'error', 'Deployment failed', {
+      error: error.message,
+      stack: error.stack
+    });
+    
+    throw error;
+  } finally {
+    // Measure spending while the cluster config still exists; quotas rely on it
+    if (deployStarted && fundedBalance !== null) {
+      await recordWalletSpending(deploymentId, walletAddress, cluster, fundedBalance);
+    }
+    
+    // Return leftover SOL to the treasury; a failed sweep keeps the keypair for a retry
+    const sweepPending = sweepRegistered &&
+      !(await runOutsideDeploymentContext(() => sweepWallet(deploymentId, cluster)));
+    
+    // Cleanup
+    logger.deployment(deploymentId, 'info', 'Cleaning up resources');
+    
+    if (repoPath) {
+      await cleanupDirectory(repoPath, deploymentId);
+    }
+    
+    if (cluster) {
+      cleanupClusterConfig(cluster, deploymentId);
+    }
+    
+    // Only cleanup keypair if it's not a custom wallet path
+    if (keypairPath && !sweepPending && !buffersLeft && (!customWallet || !customWallet.wallet_path)) {
+      cleanupWallet(keypairPath);
+    }
+  }
+}
+
+module.exports = {
+  orchestrateDeployment
+};
@@ -0,0 +1,274 @@
+/**
+ * Deployment Queue Module
+ * BullMQ queue and worker that run deployments asynchronously
+ */
+
+const { Queue, Worker, DelayedError } = require('bullmq');
+const logger = require('../utils/logger');
+const { createRedisConnection } = require('./redisClient');
+const { orchestrateDeployment } = require('./deploymentOrchestrator');
+const {
+  createDeploymentState,
+  markSucceeded,
+  markFailed,
+  markCancelled
+} = require('./deploymentState');
+const {
+  registerDeployment,
+  unregisterDeployment,
+  isCancelRequested,
+  requestCancellation,
+  startCancellationListener,
+  stopCancellationListener
+} = require('./deploymentCancellation');
+const { runWithDeploymentContext } = require('../utils/deploymentContext');
+const {
+  getJobPriority,
+  addWaiting,
+  removeWaiting,
+  pruneWaiting,
+  acquireSlot,
+  releaseSlot,
+  recordDeploymentDuration
+} = require('./scheduler');
+const {
+  DEPLOYMENT_QUEUE_NAME,
+  MAX_CONCURRENT_DEPLOYMENTS,
+  SCHEDULER_RETRY_DELAY_MS,
+  DEPLOYMENT_TIMEOUT_MS,
+  DEPLOYMENT_STATUS
+} = require('../config/constants');
+
+let queue = null;
+let worker = null;
+
+/**
+ * Get (or lazily create) the deployment queue
+ * @returns {Queue} BullMQ queue
+ */
+function getDeploymentQueue() {
+  if (!queue) {
+    queue = new Queue(DEPLOYMENT_QUEUE_NAME, {
+      connection: createRedisConnection()
+    });
+  }
+  
+  return queue;
+}
+
+/**
+ * Enqueue a deployment
+ * @param {string} deploymentId - Unique deployment identifier
+ * @param {Object} options - Orchestration options (repoUrl, network, customWallet)
+ * @param {Object} publicRequest - Request parameters safe to persist (no secrets)
+ * @param {Object} scheduling - Scheduling options
+ * @param {string} scheduling.clientId - Client used for fairness limits
+ * @param {string} scheduling.priority - Priority name (high, normal, low)
+ * @returns {Promise<Object>} Initial deployment state
+ */
+async function enqueueDeployment(deploymentId, options, publicRequest, { clientId, priority = 'normal' }) {
+  const state = await createDeploymentState(deploymentId, publicRequest);
+  
+  // The scheduler keeps the start order, so the deployment takes its place before the job exists
+  await addWaiting(deploymentId, clientId, priority);
+  
+  // Job data may carry a custom keypair, so never keep finished jobs around
+  try {
+    await getDeploymentQueue().add('deploy', { deploymentId, clientId, options }, {
+      jobId: deploymentId,
+      priority: getJobPriority(priority),
+      removeOnComplete: true,
+      removeOnFail: true
+    });
+  } catch (error) {
+    await removeWaiting(deploymentId);
+    throw error;
+  }
+  
+  logger.deployment(deploymentId, 'info', 'Deployment queued', { clientId, priority });
+  
+  return state;
+}
+
+/**
+ * Process a single deployment job
+ * @param {Job} job - BullMQ job
+ * @param {string} token - Worker lock token
+ * @returns {Promise<Object>} Job return value
+ */
+async function processDeploymentJob(job, token) {
+  const { deploymentId, clientId, options } = job.data;
+  
+  // Cancelled between being picked up and starting
+  if (await isCancelRequested(deploymentId)) {
+    await removeWaiting(deploymentId);
+    await markCancelled(deploymentId);
+    return { deployment_id: deploymentId, cancelled: true };
+  }
+  
+  // Defer the job if all slots are busy, this client already has its share
+  // or a deployment queued earlier can start first
+  const slot = await acquireSlot(deploymentId, clientId);
+  
+  if (!slot.acquired) {
+    logger.deployment(deploymentId, 'debug', 'Deployment deferred by scheduler', {
+      clientId,
+      reason: slot.reason
+    });
+    await job.moveToDelayed(Date.now() + SCHEDULER_RETRY_DELAY_MS, token);
+    throw new DelayedError();
+  }
+  
+  const startTime = Date.now();
+  const controller = registerDeployment(deploymentId);
+  
+  try {
+    // A cancel published before registration would otherwise be missed
+    if (await isCancelRequested(deploymentId)) {
+      controller.abort();
+    }
+    
+    // The time budget starts once the deployment holds a slot, not while it waits
+    const result = await runWithDeploymentContext(
+      { deploymentId, signal: controller.signal, deadline: startTime + DEPLOYMENT_TIMEOUT_MS },
+      () => orchestrateDeployment(deploymentId, options)
+    );
+    await markSucceeded(deploymentId, result.data);
+    await recordDeploymentDuration(Date.now() - startTime);
+    
+    return { deployment_id: deploymentId, program_id: result.data.program_id };
+  } catch (error) {
+    if (controller.signal.aborted) {
+      await markCancelled(deploymentId, error.details || {});
+      return { deployment_id: deploymentId, cancelled: true };
+    }
+    
+    await markFailed(deploymentId, error).catch((stateError) => {
+      logger.deployment(deploymentId, 'error', 'Failed to record deployment failure', {
+        error: stateError.message
+      });
+    });
+    
+    throw error;
+  } finally {
+    unregisterDeployment(deploymentId);
+    await releaseSlot(deploymentId, clientId);
+  }
+}
+
+/**
+ * Cancel a deployment
+ * Jobs still waiting in the queue are removed and cancelled immediately;
+ * running jobs are aborted by their worker, which records the cancellation
+ * once cleanup has finished
+ * @param {string} deploymentId - Deployment identifier
+ * @returns {Promise<string>} cancelled or cancelling
+ */
+async function cancelDeployment(deploymentId) {
+  await requestCancellation(deploymentId);
+  
+  const job = await getDeploymentQueue().getJob(deploymentId);
+  const jobState = job ? await job.getState() : null;
+  
+  // A worker may lock the job between getState and remove; remove then
+  // throws and the worker sees the cancel flag instead
+  if (['waiting', 'prioritized', 'delayed'].includes(jobState)) {
+    try {
+      await job.remove();
+      await removeWaiting(deploymentId);
+      await markCancelled(deploymentId);
+      
+      logger.deployment(deploymentId, 'info', 'Queued deployment cancelled');
+      
+      return DEPLOYMENT_STATUS.CANCELLED;
+    } catch (error) {
+      logger.deployment(deploymentId, 'debug', 'Deployment started while cancelling', {
+        error: error.message
+      });
+    }
+  }
+  
+  logger.deployment(deploymentId, 'info', 'Deployment cancellation requested');
+  
+  return 'cancelling';
+}
+
+/**
+ * Start the deployment worker
+ * @returns {Worker} BullMQ worker
+ */
+function startDeploymentWorker() {
+  if (worker) {
+    return worker;
+  }
+  
+  // The scheduler enforces the cap across all workers; this keeps a single
+  // worker from pulling more jobs than could ever run
+  worker = new Worker(DEPLOYMENT_QUEUE_NAME, processDeploymentJob, {
+    connection: createRedisConnection(),
+    concurrency: MAX_CONCURRENT_DEPLOYMENTS
+  });
+  
+  startCancellationListener().catch((error) => {
+    logger.error('Failed to start cancellation listener', { error: error.message });
+  });
+  
+  // Entries left behind by a crash would hold back every deployment queued after them
+  pruneWaiting(async deploymentId => !!(await getDeploymentQueue().getJob(deploymentId)))
+    .then((pruned) => {
+      if (pruned > 0) {
+        logger.warn('Dropped waiting deployments with no queued job', { count: pruned });
+      }
+    })
+    .catch((error) => {
+      logger.error('Failed to prune waiting deployments', { error: error.message });
+    });
+  
+  worker.on('failed', (job, error) => {
+    logger.warn('Deployment job failed', {
+      deploymentId: job && job.data.deploymentId,
+      error: error.message
+    });
+    
+    // A job that failed before getting a slot is still in the waiting order
+    if (job) {
+      removeWaiting(job.data.deploymentId).catch(() => {});
+    }
+  });
+  
+  worker.on('error', (error) => {
+    logger.error('Deployment worker error', { error: error.message });
+  });
+  
+  logger.info('Deployment worker started', {
+    queue: DEPLOYMENT_QUEUE_NAME,
+    concurrency: MAX_CONCURRENT_DEPLOYMENTS
+  });
+  
+  return worker;
+}
+
+/**
+ * Close the worker and queue connections
+ * @returns {Promise<void>}
+ */
+async function closeDeploymentQueue() {
+  if (worker) {
+    await worker.close();
+    await stopCancellationListener();
+    worker = null;
+  }
+  
+  if (queue) {
+    await queue.close();
+    queue = null;
+  }
+}
+
+module.exports = {
+  getDeploymentQueue,
+  enqueueDeployment,
+  cancelDeployment,
+  startDeploymentWorker,
+  closeDeploymentQueue
+};
@@ -0,0 +1,343 @@
+/**
+ * Deployment State Module
+ * Persists per-deployment lifecycle state in Redis for status tracking
+ */
+
+const logger = require('../utils/logger');
+const { getRedisConnection } = require('./redisClient');
+const { EVENT_TYPES, publishEvent } = require('./deploymentEvents');
+const { recordDeployment, getDeploymentRecord } = require('./deploymentHistory');
+const { setDeploymentStep } = require('../utils/deploymentLogArchive');
+const {
+  DEPLOYMENT_STATUS,
+  DEPLOYMENT_STATE_TTL_SECONDS
+} = require('../config/constants');
+
+const STATE_KEY_PREFIX = 'deployment:state:';
+
+/**
+ * Get Redis key for a deployment
+ * @param {string} deploymentId - Deployment identifier
+ * @returns {string} Redis key
+ */
+function getStateKey(deploymentId) {
+  return `${STATE_KEY_PREFIX}${deploymentId}`;
+}
+
+/**
+ * Persist deployment state to Redis and the history database
+ * @param {Object} state - Deployment state
+ * @returns {Promise<Object>} Saved state
+ */
+async function saveState(state) {
+  state.updated_at = new Date().toISOString();
+  
+  await getRedisConnection().set(
+    getStateKey(state.deployment_id),
+    JSON.stringify(state),
+    'EX',
+    DEPLOYMENT_STATE_TTL_SECONDS
+  );
+  
+  // Redis state expires; history keeps the permanent record
+  try {
+    recordDeployment(state);
+  } catch (error) {
+    logger.deployment(state.deployment_id, 'error', 'Failed to record deployment history', {
+      error: error.message
+    });
+  }
+  
+  return state;
+}
+
+/**
+ * Get deployment state
+ * @param {string} deploymentId - Deployment identifier
+ * @returns {Promise<Object|null>} Deployment state or null if unknown
+ */
+async function getDeploymentState(deploymentId) {
+  const raw = await getRedisConnection().get(getStateKey(deploymentId));
+  return raw ? JSON.parse(raw) : null;
+}
+
+/**
+ * Publish a lifecycle event to the deployment's event stream
+ * State in Redis stays authoritative, so a failed publish is only logged
+ * @param {string} deploymentId - Deployment identifier
+ * @param {string} type - Event type
+ * @param {Object} data - Event payload
+ * @returns {Promise<void>}
+ */
+async function publishLifecycleEvent(deploymentId, type, data) {
+  try {
+    await publishEvent(deploymentId, type, data);
+  } catch (error) {
+    logger.deployment(deploymentId, 'warn', 'Failed to publish deployment event', {
+      type,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Create initial state for a queued deployment
+ * @param {string} deploymentId - Deployment identifier
+ * @param {Object} request - Public request parameters (no secrets)
+ * @returns {Promise<Object>} Created state
+ */
+async function createDeploymentState(deploymentId, request) {
+  const now = new Date().toISOString();
+  
+  const state = await saveState({
+    deployment_id: deploymentId,
+    status: DEPLOYMENT_STATUS.QUEUED,
+    request,
+    steps: [],
+    result: null,
+    error: null,
+    sol_spent: null,
+    sweep: null,
+    created_at: now,
+    started_at: null,
+    finished_at: null
+  });
+  
+  await publishLifecycleEvent(deploymentId, EVENT_TYPES.STATUS, { status: state.status });
+  
+  return state;
+}
+
+/**
+ * Close the currently running step, if any
+ * @param {Object} state - Deployment state
+ * @param {string} stepStatus - Final status of the step (completed, failed or cancelled)
+ */
+function closeRunningStep(state, stepStatus) {
+  const runningStep = state.steps.find(step => step.status === 'running');
+  
+  if (runningStep) {
+    const completedAt = new Date();
+    runningStep.status = stepStatus;
+    runningStep.completed_at = completedAt.toISOString();
+    runningStep.duration_ms = completedAt.getTime() - new Date(runningStep.started_at).getTime();
+  }
+}
+
+/**
+ * Load state or fail loudly if it has expired
+ * @param {string} deploymentId - Deployment identifier
+ * @returns {Promise<Object>} Deployment state
+ */
+async function loadState(deploymentId) {
+  const state = await getDeploymentState(deploymentId);
+  
+  if (!state) {
+    throw new Error(`Deployment state not found: ${deploymentId}`);
+  }
+  
+  return state;
+}
+
+/**
+ * Move a deployment into a new orchestration step
+ * @param {string} deploymentId - Deployment identifier
+ * @param {string} status - New step status (one of DEPLOYMENT_STATUS)
+ * @returns {Promise<Object>} Updated state
+ */
+async function transitionStep(deploymentId, status) {
+  const state = await loadState(deploymentId);
+  
+  if (state.status === status) {
+    return state;
+  }
+  
+  closeRunningStep(state, 'completed');
+  setDeploymentStep(deploymentId, status);
+  
+  state.status = status;
+  state.started_at = state.started_at || new Date().toISOString();
+  state.steps.push({
+    name: status,
+    status: 'running',
+    started_at: new Date().toISOString(),
+    completed_at: null,
+    duration_ms: null
+  });
+  
+  logger.deployment(deploymentId, 'info', 'Deployment status changed', { status });
+  
+  await saveState(state);
+  await publishLifecycleEvent(deploymentId, EVENT_TYPES.STATUS, { status });
+  
+  return state;
+}
+
+/**
+ * Record how much SOL a deployment's wallet spent
+ * @param {string} deploymentId - Deployment identifier
+ * @param {number} solSpent - SOL spent on fees and rent
+ * @returns {Promise<Object>} Updated state
+ */
+async function recordSolSpent(deploymentId, solSpent) {
+  const state = await loadState(deploymentId);
+  
+  state.sol_spent = Math.round(solSpent * 1e9) / 1e9;
+  
+  return saveState(state);
+}
+
+/**
+ * Record progress on the running step, shown with it in the deployment status
+ * @param {string} deploymentId - Deployment identifier
+ * @param {Object} progress - Step-specific progress details
+ * @returns {Promise<Object>} Updated state
+ */
+async function recordStepProgress(deploymentId, progress) {
+  const state = await loadState(deploymentId);
+  const runningStep = state.steps.find(step => step.status === 'running');
+  
+  if (runningStep) {
+    runningStep.progress = progress;
+  }
+  
+  return saveState(state);
+}
+
+/**
+ * Record the sweep of a deployment's wallet to the treasury
+ * Sweeps retried at startup may outlive the Redis state, so the history
+ * record is updated directly when the state has expired
+ * @param {string} deploymentId - Deployment identifier
+ * @param {Object} sweep - Sweep outcome ({ status, sol_swept, signature, swept_at })
+ * @returns {Promise<Object>} Updated state or history record
+ */
+async function recordSweep(deploymentId, sweep) {
+  const state = await getDeploymentState(deploymentId);
+  
+  if (state) {
+    state.sweep = sweep;
+    return saveState(state);
+  }
+  
+  const record = getDeploymentRecord(deploymentId);
+  
+  if (!record) {
+    throw new Error(`Deployment state not found: ${deploymentId}`);
+  }
+  
+  record.sweep = sweep;
+  record.updated_at = new Date().toISOString();
+  recordDeployment(record);
+  
+  return record;
+}
+
+/**
+ * Mark a deployment as succeeded
+ * @param {string} deploymentId - Deployment identifier
+ * @param {Object} result - Deployment result data
+ * @returns {Promise<Object>} Updated state
+ */
+async function markSucceeded(deploymentId, result) {
+  const state = await loadState(deploymentId);
+  
+  closeRunningStep(state, 'completed');
+  setDeploymentStep(deploymentId, DEPLOYMENT_STATUS.SUCCEEDED);
+  
+  state.status = DEPLOYMENT_STATUS.SUCCEEDED;
+  state.result = result;
+  state.finished_at = new Date().toISOString();
+  
+  await saveState(state);
+  await publishLifecycleEvent(deploymentId, EVENT_TYPES.END, {
+    status: state.status,
+    program_id: result.program_id
+  });
+  
+  return state;
+}
+
+/**
+ * Mark a deployment as failed
+ * @param {string} deploymentId - Deployment identifier
+ * @param {Error} error - Error that ended the deployment
+ * @returns {Promise<Object>} Updated state
+ */
+async function markFailed(deploymentId, error) {
+  const state = await loadState(deploymentId);
+  
+  closeRunningStep(state, 'failed');
+  setDeploymentStep(deploymentId, DEPLOYMENT_STATUS.FAILED);
+  
+  state.status = DEPLOYMENT_STATUS.FAILED;
+  state.error = {
+    code: error.code || 'SYSTEM_ERROR',
+    message: error.message,
+    details: error.details || null,
+    logs: error.logs || []
+  };
+  state.finished_at = new Date().toISOString();
+  
+  await saveState(state);
+  await publishLifecycleEvent(deploymentId, EVENT_TYPES.END, {
+    status: state.status,
+    error: { code: state.error.code, message: state.error.message }
+  });
+  
+  return state;
+}
+
+/**
+ * Mark a deployment as cancelled
+ * @param {string} deploymentId - Deployment identifier
+ * @param {Object} details - Cancellation details
+ * @param {Array<Object>} details.buffers - Program buffers left behind by an interrupted deploy
+ * @returns {Promise<Object>} Updated state
+ */
+async function markCancelled(deploymentId, { buffers = [] } = {}) {
+  const state = await loadState(deploymentId);
+  
+  closeRunningStep(state, 'cancelled');
+  setDeploymentStep(deploymentId, DEPLOYMENT_STATUS.CANCELLED);
+  
+  state.status = DEPLOYMENT_STATUS.CANCELLED;
+  state.cancellation = { buffers };
+  state.finished_at = new Date().toISOString();
+  
+  logger.deployment(deploymentId, 'info', 'Deployment status changed', { status: state.status });
+  
+  await saveState(state);
+  await publishLifecycleEvent(deploymentId, EVENT_TYPES.END, {
+    status: state.status,
+    buffers
+  });
+  
+  return state;
+}
+
+/**
+ * Check whether a deployment has finished
+ * @param {Object} state - Deployment state
+ * @returns {boolean} True if the deployment succeeded, failed or was cancelled
+ */
+function isFinished(state) {
+  return [
+    DEPLOYMENT_STATUS.SUCCEEDED,
+    DEPLOYMENT_STATUS.FAILED,
+    DEPLOYMENT_STATUS.CANCELLED
+  ].includes(state.status);
+}
+
+module.exports = {
+  isFinished,
+  createDeploymentState,
+  getDeploymentState,
+  transitionStep,
+  recordSolSpent,
+  recordStepProgress,
+  recordSweep,
+  markSucceeded,
+  markFailed,
+  markCancelled
+};
@@ -0,0 +1,316 @@
+/**
+ * Local Validator Module
+ * Manages a service-owned solana-test-validator for localnet deployments.
+ * The PID file records the validator's start time as well as its PID, so a
+ * recycled PID is never mistaken for the validator and signalled.
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { NetworkError } = require('../utils/errorHandler');
+const { executeCommand } = require('../utils/commandExecutor');
+const {
+  TEMP_DIR_PATH,
+  SOLANA_CLI_PATH,
+  SOLANA_TEST_VALIDATOR_PATH,
+  LOCALNET_RPC_PORT,
+  LOCALNET_RPC_URL,
+  LOCALNET_STARTUP_TIMEOUT_MS
+} = require('../config/constants');
+
+const LOCALNET_DIR = path.join(TEMP_DIR_PATH, 'localnet');
+const LEDGER_PATH = path.join(LOCALNET_DIR, 'ledger');
+const PID_PATH = path.join(LOCALNET_DIR, 'validator.pid');
+const LOG_PATH = path.join(LOCALNET_DIR, 'validator.log');
+
+// Shared by concurrent deployments so only one validator is ever started
+let startingPromise = null;
+
+/**
+ * Check whether a process is alive
+ * @param {number} pid - Process ID
+ * @returns {boolean} True if running
+ */
+function isProcessRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get when a process started, to tell it apart from a later one with the same PID
+ * Read from /proc where there is one, otherwise from ps
+ * @param {number} pid - Process ID
+ * @returns {Promise<string|null>} Start time, or null if the process is gone
+ */
+async function getProcessStartTime(pid) {
+  if (fs.existsSync('/proc/self/stat')) {
+    try {
+      // Field 22 (starttime); the command name before it is parenthesised and may contain spaces
+      const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+      return stat.slice(stat.lastIndexOf(')') + 2).split(' ')[19] || null;
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  try {
+    const result = await executeCommand('ps', ['-o', 'lstart=', '-p', pid], { timeout: 5000, signal: null });
+    return result.stdout.trim() || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Record the validator's PID and start time
+ * @param {number} pid - Validator process ID
+ * @returns {Promise<void>}
+ */
+async function writePidFile(pid) {
+  const startTime = await getProcessStartTime(pid);
+  fs.writeFileSync(PID_PATH, JSON.stringify({ pid, start_time: startTime }));
+}
+
+/**
+ * Get the PID of the running validator
+ * The recorded start time must match the process now holding the PID; a
+ * PID file without one (or from an older version) is not trusted
+ * @returns {Promise<number|null>} PID, or null if the validator is not running
+ */
+async function getValidatorPid() {
+  let record;
+  
+  try {
+    record = JSON.parse(fs.readFileSync(PID_PATH, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+  
+  if (!record || !Number.isInteger(record.pid) || !record.start_time) {
+    return null;
+  }
+  
+  const startTime = await getProcessStartTime(record.pid);
+  
+  return startTime === record.start_time ? record.pid : null;
+}
+
+/**
+ * Send a signal to the validator's process group
+ * @param {number} pid - Validator process ID (group leader)
+ * @param {string} signal - Signal name
+ */
+function signalValidator(pid, signal) {
+  try {
+    process.kill(-pid, signal);
+  } catch (error) {
+    // The group may be gone while the leader lingers; otherwise the validator already exited
+    try {
+      process.kill(pid, signal);
+    } catch (leaderError) {
+      // Already exited
+    }
+  }
+}
+
+/**
+ * Check whether the local validator answers RPC requests
+ * @returns {Promise<boolean>} True if healthy
+ */
+async function isValidatorHealthy() {
+  try {
+    await executeCommand(SOLANA_CLI_PATH, ['cluster-version', '--url', LOCALNET_RPC_URL], {
+      timeout: 5000
+    });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Wait for the local validator to become healthy
+ * @param {number} pid - Validator process ID
+ * @returns {Promise<void>}
+ */
+async function waitForValidator(pid) {
+  const deadline = Date.now() + LOCALNET_STARTUP_TIMEOUT_MS;
+  
+  while (Date.now() < deadline) {
+    if (await isValidatorHealthy()) {
+      return;
+    }
+    
+    if (!isProcessRunning(pid)) {
+      throw new NetworkError('Local validator exited during startup', { logPath: LOG_PATH });
+    }
+    
+    await new Promise(resolve => setTimeout(resolve, 1000));
+  }
+  
+  throw new NetworkError('Local validator did not become healthy in time', {
+    timeoutMs: LOCALNET_STARTUP_TIMEOUT_MS,
+    logPath: LOG_PATH
+  });
+}
+
+/**
+ * Start solana-test-validator in the background
+ * @param {Object} options - Start options
+ * @param {boolean} options.reset - Wipe the ledger before starting
+ * @returns {Promise<number>} Validator process ID
+ */
+async function startValidator({ reset = false } = {}) {
+  fs.mkdirSync(LOCALNET_DIR, { recursive: true });
+  
+  const args = [
+    '--ledger', LEDGER_PATH,
+    '--rpc-port', String(LOCALNET_RPC_PORT),
+    '--quiet'
+  ];
+  
+  if (reset) {
+    args.push('--reset');
+  }
+  
+  logger.info('Starting local validator', { ledger: LEDGER_PATH, rpcUrl: LOCALNET_RPC_URL, reset });
+  
+  const logFd = fs.openSync(LOG_PATH, 'a');
+  
+  // Detached into its own process group so it outlives individual deployments
+  const child = spawn(SOLANA_TEST_VALIDATOR_PATH, args, {
+    detached: true,
+    stdio: ['ignore', logFd, logFd]
+  });
+  
+  fs.closeSync(logFd);
+  
+  await new Promise((resolve, reject) => {
+    child.once('spawn', resolve);
+    child.once('error', (error) => {
+      reject(new NetworkError('Failed to start local validator', error.message));
+    });
+  });
+  
+  child.unref();
+  await writePidFile(child.pid);
+  
+  await waitForValidator(child.pid);
+  
+  logger.info('Local validator is healthy', { pid: child.pid, rpcUrl: LOCALNET_RPC_URL });
+  
+  return child.pid;
+}
+
+/**
+ * Start the local validator, or reuse it if it is already running
+ * @param {string} deploymentId - Deployment identifier for logging
+ * @returns {Promise<Object>} Validator status
+ */
+async function ensureLocalValidator(deploymentId) {
+  if (await isValidatorHealthy()) {
+    logger.deployment(deploymentId, 'info', 'Reusing running local validator', { rpcUrl: LOCALNET_RPC_URL });
+    return getLocalValidatorStatus();
+  }
+  
+  if (!startingPromise) {
+    startingPromise = startValidator().finally(() => {
+      startingPromise = null;
+    });
+  }
+  
+  logger.deployment(deploymentId, 'info', 'Waiting for local validator to start');
+  await startingPromise;
+  
+  return getLocalValidatorStatus();
+}
+
+/**
+ * Stop the local validator if it is running
+ * @returns {Promise<boolean>} True if a validator was stopped
+ */
+async function stopValidator() {
+  const pid = await getValidatorPid();
+  
+  if (!pid) {
+    fs.rmSync(PID_PATH, { force: true });
+    return false;
+  }
+  
+  logger.info('Stopping local validator', { pid });
+  
+  // Signal the whole process group started with detached: true
+  signalValidator(pid, 'SIGTERM');
+  
+  const deadline = Date.now() + 15000;
+  
+  while (isProcessRunning(pid) && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+  
+  if (isProcessRunning(pid)) {
+    signalValidator(pid, 'SIGKILL');
+  }
+  
+  fs.rmSync(PID_PATH, { force: true });
+  
+  return true;
+}
+
+/**
+ * Restart the local validator with an empty ledger
+ * @returns {Promise<Object>} Validator status
+ */
+async function resetLocalValidator() {
+  await stopValidator();
+  await startValidator({ reset: true });
+  
+  logger.info('Local validator reset');
+  
+  return getLocalValidatorStatus();
+}
+
+/**
+ * Stop the local validator and delete its ledger
+ * @returns {Promise<Object>} Validator status
+ */
+async function teardownLocalValidator() {
+  const stopped = await stopValidator();
+  
+  fs.rmSync(LOCALNET_DIR, { recursive: true, force: true });
+  
+  logger.info('Local validator torn down', { stopped });
+  
+  return getLocalValidatorStatus();
+}
+
+/**
+ * Get local validator status
+ * @returns {Promise<Object>} Validator status
+ */
+async function getLocalValidatorStatus() {
+  const pid = await getValidatorPid();
+  const running = !!pid;
+  
+  return {
+    running,
+    healthy: running ? await isValidatorHealthy() : false,
+    pid: running ? pid : null,
+    rpc_url: LOCALNET_RPC_URL,
+    ledger_path: LEDGER_PATH
+  };
+}
+
+module.exports = {
+  LOCALNET_DIR,
+  ensureLocalValidator,
+  resetLocalValidator,
+  teardownLocalValidator,
+  getLocalValidatorStatus
+};
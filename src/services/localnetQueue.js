@@ -0,0 +1,146 @@
+/**
+ * Localnet Queue Module
+ * The local validator runs on the worker host. With a dedicated worker
+ * (RUN_WORKER_IN_PROCESS=false) the API has no validator of its own, so
+ * status, reset and teardown requests are queued for the worker to run.
+ */
+
+const { Queue, QueueEvents, Worker } = require('bullmq');
+const logger = require('../utils/logger');
+const { NetworkError, TimeoutError, ValidationError } = require('../utils/errorHandler');
+const { createRedisConnection } = require('./redisClient');
+const {
+  resetLocalValidator,
+  teardownLocalValidator,
+  getLocalValidatorStatus
+} = require('./localValidator');
+const {
+  LOCALNET_QUEUE_NAME,
+  LOCALNET_STARTUP_TIMEOUT_MS,
+  RUN_WORKER_IN_PROCESS
+} = require('../config/constants');
+
+const ACTIONS = {
+  status: getLocalValidatorStatus,
+  reset: resetLocalValidator,
+  teardown: teardownLocalValidator
+};
+
+// Stopping the validator may take 15 seconds before it is started again
+const ACTION_TIMEOUT_MS = {
+  status: 15000,
+  reset: LOCALNET_STARTUP_TIMEOUT_MS + 30000,
+  teardown: 30000
+};
+
+// Finished jobs are kept briefly so the API can still read their result
+const FINISHED_JOB_AGE_SECONDS = 3600;
+
+let queue = null;
+let queueEvents = null;
+let worker = null;
+
+/**
+ * Run a local validator action in this process
+ * @param {string} action - status, reset or teardown
+ * @returns {Promise<Object>} Validator status
+ */
+function runAction(action) {
+  if (!ACTIONS[action]) {
+    throw new ValidationError(`Unknown local validator action: ${action}`);
+  }
+  
+  return ACTIONS[action]();
+}
+
+/**
+ * Run a local validator action where the validator lives
+ * @param {string} action - status, reset or teardown
+ * @returns {Promise<Object>} Validator status
+ * @throws {TimeoutError} If no worker finished the action in time
+ * @throws {NetworkError} If the action failed on the worker
+ */
+async function runLocalnetAction(action) {
+  if (RUN_WORKER_IN_PROCESS) {
+    return runAction(action);
+  }
+  
+  if (!queue) {
+    queue = new Queue(LOCALNET_QUEUE_NAME, { connection: createRedisConnection() });
+    queueEvents = new QueueEvents(LOCALNET_QUEUE_NAME, { connection: createRedisConnection() });
+  }
+  
+  const job = await queue.add(action, { action }, {
+    removeOnComplete: { age: FINISHED_JOB_AGE_SECONDS },
+    removeOnFail: { age: FINISHED_JOB_AGE_SECONDS }
+  });
+  
+  try {
+    return await job.waitUntilFinished(queueEvents, ACTION_TIMEOUT_MS[action]);
+  } catch (error) {
+    if (/timed out before finishing/.test(error.message)) {
+      // Nobody may ever pick it up; a stale reset must not run later
+      await job.remove().catch(() => {});
+      
+      throw new TimeoutError('No worker finished the local validator request in time', {
+        action,
+        timeout_ms: ACTION_TIMEOUT_MS[action]
+      });
+    }
+    
+    throw new NetworkError(error.message, { action });
+  }
+}
+
+/**
+ * Start the worker that runs queued local validator actions
+ * One at a time, so a reset and a teardown never overlap
+ * @returns {Worker} BullMQ worker
+ */
+function startLocalnetWorker() {
+  if (worker) {
+    return worker;
+  }
+  
+  worker = new Worker(LOCALNET_QUEUE_NAME, job => runAction(job.data.action), {
+    connection: createRedisConnection(),
+    concurrency: 1
+  });
+  
+  worker.on('failed', (job, error) => {
+    logger.warn('Local validator request failed', {
+      action: job && job.data.action,
+      error: error.message
+    });
+  });
+  
+  worker.on('error', (error) => {
+    logger.error('Localnet worker error', { error: error.message });
+  });
+  
+  return worker;
+}
+
+/**
+ * Close the worker and queue connections
+ * @returns {Promise<void>}
+ */
+async function closeLocalnetQueue() {
+  if (worker) {
+    await worker.close();
+    worker = null;
+  }
+  
+  if (queue) {
+    await queueEvents.close();
+    await queue.close();
+    queue = null;
+    queueEvents = null;
+  }
+}
+
+module.exports = {
+  runLocalnetAction,
+  startLocalnetWorker,
+  closeLocalnetQueue
+};
@@ -0,0 +1,449 @@
+/**
+ * Program Keystore Module
+ * Keeps the keypairs behind the programs the service deploys, encrypted
+ * like stored wallets and keyed by API key, network, repository and program
+ * name. They are written back into target/deploy before the same key's next
+ * build of the repository for that network, so a redeploy keeps its program
+ * ID instead of generating a new one. A stored keypair is only set aside
+ * once its program is live under an upgrade authority the deploying wallet
+ * is not: no deploy can ever use it again.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Keypair } = require('@solana/web3.js');
+const logger = require('../utils/logger');
+const { defineSchema, getDatabase, prepare } = require('./database');
+const { isKeystoreConfigured, encryptSecret, decryptSecret } = require('./walletKeystore');
+const { getProgramKeypairPath } = require('./anchorDeployer');
+const { rpcCall } = require('./rpcHealth');
+const { encodeBase58 } = require('../utils/base58');
+const { ValidationError, ConflictError, NetworkError } = require('../utils/errorHandler');
+
+const UPGRADEABLE_LOADER_ID = 'BPFLoaderUpgradeab1e11111111111111111111111';
+
+// Upgradeable loader account layouts: a u32 variant tag, then for a program
+// its program data address, and for program data the deploy slot followed
+// by an optional upgrade authority
+const PROGRAM_DATA_ADDRESS_OFFSET = 4;
+const AUTHORITY_OPTION_OFFSET = 12;
+const PUBKEY_BYTES = 32;
+
+const STORED_KEYPAIR_STATUS = {
+  // No program lives at the address yet
+  UNDEPLOYED: 'undeployed',
+  // The program is live and the deploying wallet is its upgrade authority
+  CONTROLLED: 'controlled',
+  // The program is live under another authority, or immutable
+  FOREIGN: 'foreign'
+};
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS program_keypairs (
+  api_key_id TEXT NOT NULL,
+  network TEXT NOT NULL,
+  repo_url TEXT NOT NULL,
+  program_name TEXT NOT NULL,
+  address TEXT NOT NULL,
+  encrypted_secret TEXT NOT NULL,
+  deployment_id TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  PRIMARY KEY (api_key_id, network, repo_url, program_name)
+);
+`;
+
+defineSchema((db) => {
+  db.exec(SCHEMA);
+});
+
+/**
+ * Normalize a repository URL so spellings of the same repository share keys
+ * @param {string} repoUrl - GitHub repository URL
+ * @returns {string} Lowercase URL without trailing slash or .git
+ */
+function normalizeRepoUrl(repoUrl) {
+  return repoUrl.toLowerCase().replace(/^http:/, 'https:').replace(/\/+$/, '').replace(/\.git$/, '');
+}
+
+/**
+ * Get the associated data binding a ciphertext to its row
+ * @param {Object} owner - { apiKeyId, network, repoUrl (normalized) }
+ * @param {string} programName - Program name
+ * @returns {string} Row key
+ */
+function getRowKey({ apiKeyId, network, repoUrl }, programName) {
+  return `${apiKeyId}#${network}#${repoUrl}#${programName}`;
+}
+
+/**
+ * Normalize the owner of a set of program keypairs
+ * @param {Object} owner - Deploying API key, network and repository
+ * @param {string} owner.apiKeyId - API key
+ * @param {string} owner.network - Network name
+ * @param {string} owner.repoUrl - GitHub repository URL
+ * @returns {Object} Owner with the repository URL normalized
+ */
+function normalizeOwner({ apiKeyId, network, repoUrl }) {
+  return { apiKeyId, network, repoUrl: normalizeRepoUrl(repoUrl) };
+}
+
+/**
+ * Get the stored keypairs for a repository's programs
+ * @param {Object} owner - { apiKeyId, network, repoUrl }
+ * @returns {Map<string, Keypair>} Keypairs by program name
+ */
+function getProgramKeypairs(owner) {
+  const normalized = normalizeOwner(owner);
+  const rows = prepare('SELECT * FROM program_keypairs WHERE api_key_id = ? AND network = ? AND repo_url = ?')
+    .all(normalized.apiKeyId, normalized.network, normalized.repoUrl);
+  
+  return new Map(rows.map(row => [
+    row.program_name,
+    Keypair.fromSecretKey(decryptSecret(row.encrypted_secret, getRowKey(normalized, row.program_name)))
+  ]));
+}
+
+/**
+ * Get the program IDs stored for a repository's programs
+ * Needs no WALLET_MASTER_KEY, as nothing is decrypted
+ * @param {Object} owner - { apiKeyId, network, repoUrl }
+ * @returns {Map<string, string>} Program IDs by program name
+ */
+function getStoredProgramIds(owner) {
+  const normalized = normalizeOwner(owner);
+  const rows = prepare('SELECT program_name, address FROM program_keypairs WHERE api_key_id = ? AND network = ? AND repo_url = ?')
+    .all(normalized.apiKeyId, normalized.network, normalized.repoUrl);
+  
+  return new Map(rows.map(row => [row.program_name, row.address]));
+}
+
+/**
+ * Build the error for a keypair that differs from the one stored for its program
+ * @param {Object} owner - { apiKeyId, network, repoUrl }
+ * @param {string} programName - Program name
+ * @param {string} storedProgramId - Program ID of the stored keypair
+ * @param {string} programId - Program ID of the other keypair
+ * @returns {ConflictError} Error
+ */
+function keypairConflict(owner, programName, storedProgramId, programId) {
+  return new ConflictError(
+    `A different keypair is already stored for program ${programName} of this repository`,
+    {
+      repo_url: normalizeRepoUrl(owner.repoUrl),
+      network: owner.network,
+      program: programName,
+      stored_program_id: storedProgramId,
+      program_id: programId
+    }
+  );
+}
+
+/**
+ * Store a program keypair
+ * Storing the keypair already kept for the program only records the deployment
+ * @param {Object} owner - { apiKeyId, network, repoUrl }
+ * @param {string} programName - Program name
+ * @param {Keypair} keypair - Program keypair
+ * @param {string} deploymentId - Deployment that used it
+ * @returns {boolean} True if the keypair was new
+ * @throws {ConflictError} If a different keypair is stored for the program
+ */
+function saveProgramKeypair(owner, programName, keypair, deploymentId) {
+  const normalized = normalizeOwner(owner);
+  const { apiKeyId, network, repoUrl } = normalized;
+  const address = keypair.publicKey.toBase58();
+  const now = new Date().toISOString();
+  
+  // Immediate, so two deployments of the same repository cannot both insert
+  return getDatabase().transaction(() => {
+    const existing = prepare(`
+      SELECT address FROM program_keypairs
+      WHERE api_key_id = ? AND network = ? AND repo_url = ? AND program_name = ?
+    `).get(apiKeyId, network, repoUrl, programName);
+    
+    if (existing) {
+      if (existing.address !== address) {
+        throw keypairConflict(owner, programName, existing.address, address);
+      }
+      
+      prepare(`
+        UPDATE program_keypairs SET deployment_id = ?, updated_at = ?
+        WHERE api_key_id = ? AND network = ? AND repo_url = ? AND program_name = ?
+      `).run(deploymentId, now, apiKeyId, network, repoUrl, programName);
+      return false;
+    }
+    
+    prepare(`
+      INSERT INTO program_keypairs
+        (api_key_id, network, repo_url, program_name, address, encrypted_secret, deployment_id, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      apiKeyId,
+      network,
+      repoUrl,
+      programName,
+      address,
+      encryptSecret(keypair.secretKey, getRowKey(normalized, programName)),
+      deploymentId,
+      now,
+      now
+    );
+    return true;
+  }).immediate();
+}
+
+/**
+ * Remove a stored program keypair
+ * Only for keypairs no deploy can use: their program is live under an
+ * authority the owner's deployments do not hold
+ * @param {Object} owner - { apiKeyId, network, repoUrl }
+ * @param {string} programName - Program name
+ */
+function retireProgramKeypair(owner, programName) {
+  const { apiKeyId, network, repoUrl } = normalizeOwner(owner);
+  
+  prepare('DELETE FROM program_keypairs WHERE api_key_id = ? AND network = ? AND repo_url = ? AND program_name = ?')
+    .run(apiKeyId, network, repoUrl, programName);
+}
+
+/**
+ * Fetch an account's data through the network's RPC endpoints
+ * @param {string} network - Network name
+ * @param {string} address - Account address
+ * @param {Object} dataSlice - { offset, length } (optional)
+ * @returns {Promise<Object|null>} { owner, data } or null if the account does not exist
+ */
+async function getAccount(network, address, dataSlice = undefined) {
+  const { value } = await rpcCall(network, 'getAccountInfo', [
+    address,
+    { encoding: 'base64', commitment: 'confirmed', dataSlice }
+  ]);
+  
+  return value && { owner: value.owner, data: Buffer.from(value.data[0], 'base64') };
+}
+
+/**
+ * Read a program's upgrade authority from the network
+ * @param {string} network - Network name
+ * @param {string} programId - Program ID
+ * @returns {Promise<string|null|undefined>} Authority address, null if the program
+ *   is immutable or not upgradeable, undefined if nothing lives at the address
+ * @throws {NetworkError} If the accounts cannot be read
+ */
+async function getProgramAuthority(network, programId) {
+  try {
+    const program = await getAccount(network, programId);
+    
+    if (!program) {
+      return undefined;
+    }
+    
+    if (program.owner !== UPGRADEABLE_LOADER_ID || program.data.length < PROGRAM_DATA_ADDRESS_OFFSET + PUBKEY_BYTES) {
+      return null;
+    }
+    
+    const programDataAddress = encodeBase58(
+      program.data.subarray(PROGRAM_DATA_ADDRESS_OFFSET, PROGRAM_DATA_ADDRESS_OFFSET + PUBKEY_BYTES)
+    );
+    const programData = await getAccount(network, programDataAddress, {
+      offset: 0,
+      length: AUTHORITY_OPTION_OFFSET + 1 + PUBKEY_BYTES
+    });
+    
+    if (!programData || programData.data[AUTHORITY_OPTION_OFFSET] !== 1) {
+      return null;
+    }
+    
+    return encodeBase58(programData.data.subarray(AUTHORITY_OPTION_OFFSET + 1));
+  } catch (error) {
+    throw new NetworkError('Failed to look up stored program on chain', {
+      network,
+      program_id: programId,
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Check whether a stored keypair can still deploy its program
+ * @param {string} network - Network name
+ * @param {string} programId - Program ID of the stored keypair
+ * @param {string|null} signerAddress - Wallet the deployment signs with (null if not known yet)
+ * @returns {Promise<string>} STORED_KEYPAIR_STATUS value
+ * @throws {NetworkError} If the program cannot be looked up
+ */
+async function getStoredKeypairStatus(network, programId, signerAddress) {
+  const authority = await getProgramAuthority(network, programId);
+  
+  if (authority === undefined) {
+    return STORED_KEYPAIR_STATUS.UNDEPLOYED;
+  }
+  
+  return authority && authority === signerAddress
+    ? STORED_KEYPAIR_STATUS.CONTROLLED
+    : STORED_KEYPAIR_STATUS.FOREIGN;
+}
+
+/**
+ * Write program keypairs into target/deploy before a build
+ * Stored keypairs win over any the repository ships. Each is checked on
+ * chain first: one whose program is live under another authority is
+ * retired and the program built with a fresh keypair. A supplied keypair
+ * may only name a program with no usable stored keypair, or repeat it
+ * @param {string} deploymentId - Deployment identifier
+ * @param {string} projectPath - Path to Anchor project
+ * @param {Object} owner - { apiKeyId, network, repoUrl }
+ * @param {Array<string>} workspacePrograms - Programs listed in Anchor.toml
+ * @param {Object} supplied - 64-byte secret keys by program name (optional)
+ * @param {string} signerAddress - Wallet the deployment signs with
+ * @returns {Promise<Object>} Where each written keypair came from ('supplied' or 'stored'), by program name
+ * @throws {ValidationError} If a supplied keypair names a program Anchor.toml does not list
+ * @throws {ConflictError} If a supplied keypair differs from the one stored for its program,
+ *   or repeats a stored one whose program the wallet cannot deploy to
+ * @throws {NetworkError} If a stored program cannot be looked up
+ */
+async function injectProgramKeypairs(deploymentId, projectPath, owner, workspacePrograms, supplied = null, signerAddress = null) {
+  const unknown = workspacePrograms.length > 0
+    ? Object.keys(supplied || {}).filter(name => !workspacePrograms.includes(name))
+    : [];
+  
+  if (unknown.length > 0) {
+    throw new ValidationError(
+      `Program keypair given for unknown program${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`,
+      { unknown, available: workspacePrograms }
+    );
+  }
+  
+  const keypairs = new Map();
+  const sources = {};
+  const storedIds = getStoredProgramIds(owner);
+  const retired = new Map();
+  
+  // Anchor deploy would try to upgrade a live program and fail late on the wrong signer
+  for (const [programName, programId] of storedIds) {
+    const status = await getStoredKeypairStatus(owner.network, programId, signerAddress);
+    
+    if (status === STORED_KEYPAIR_STATUS.FOREIGN) {
+      retired.set(programName, programId);
+    }
+  }
+  
+  // Keypairs for programs the workspace no longer builds are ignored by Anchor
+  if (isKeystoreConfigured()) {
+    for (const [programName, keypair] of getProgramKeypairs(owner)) {
+      if (!retired.has(programName)) {
+        keypairs.set(programName, keypair);
+        sources[programName] = 'stored';
+      }
+    }
+  }
+  
+  for (const [programName, secretKey] of Object.entries(supplied || {})) {
+    let keypair;
+    
+    try {
+      keypair = Keypair.fromSecretKey(Uint8Array.from(secretKey));
+    } catch (error) {
+      throw new ValidationError(`Invalid program keypair for ${programName}`, { error: error.message });
+    }
+    
+    const programId = keypair.publicKey.toBase58();
+    
+    if (retired.get(programName) === programId) {
+      throw new ConflictError(`Program ${programName} is already deployed under another upgrade authority`, {
+        program: programName,
+        program_id: programId,
+        wallet_address: signerAddress
+      });
+    }
+    
+    if (storedIds.has(programName) && !retired.has(programName) && storedIds.get(programName) !== programId) {
+      throw keypairConflict(owner, programName, storedIds.get(programName), programId);
+    }
+    
+    keypairs.set(programName, keypair);
+    sources[programName] = 'supplied';
+  }
+  
+  for (const [programName, programId] of retired) {
+    retireProgramKeypair(owner, programName);
+    logger.deployment(deploymentId, 'warn', 'Stored program keypair retired; its program is live under another upgrade authority', {
+      programName,
+      programId,
+      walletAddress: signerAddress
+    });
+  }
+  
+  for (const [programName, keypair] of keypairs) {
+    const keypairPath = getProgramKeypairPath(projectPath, programName);
+    
+    fs.mkdirSync(path.dirname(keypairPath), { recursive: true });
+    fs.writeFileSync(keypairPath, JSON.stringify(Array.from(keypair.secretKey)), { mode: 0o600 });
+  }
+  
+  if (keypairs.size > 0) {
+    logger.deployment(deploymentId, 'info', 'Program keypairs restored', {
+      programs: Object.entries(sources).map(([name, source]) => ({
+        name,
+        source,
+        programId: keypairs.get(name).publicKey.toBase58()
+      }))
+    });
+  }
+  
+  return sources;
+}
+
+/**
+ * Store the keypairs of programs that were deployed (best effort)
+ * Called as each program lands, so a key is kept even if a later program
+ * or step fails, and never for a deploy that did not happen
+ * @param {string} deploymentId - Deployment identifier
+ * @param {string} projectPath - Path to Anchor project
+ * @param {Object} owner - { apiKeyId, network, repoUrl }
+ * @param {Array<string>} programNames - Programs deployed (empty for every built program)
+ * @returns {number} Number of keypairs stored
+ */
+function persistProgramKeypairs(deploymentId, projectPath, owner, programNames) {
+  if (!isKeystoreConfigured()) {
+    logger.deployment(deploymentId, 'warn', 'WALLET_MASTER_KEY is not set; program keypairs will not be kept');
+    return 0;
+  }
+  
+  const names = programNames.length > 0
+    ? programNames
+    : fs.readdirSync(path.join(projectPath, 'target', 'deploy'))
+      .filter(file => file.endsWith('-keypair.json'))
+      .map(file => path.basename(file, '-keypair.json'));
+  let stored = 0;
+  
+  for (const programName of names) {
+    try {
+      const secretKey = JSON.parse(fs.readFileSync(getProgramKeypairPath(projectPath, programName), 'utf8'));
+      
+      if (saveProgramKeypair(owner, programName, Keypair.fromSecretKey(Uint8Array.from(secretKey)), deploymentId)) {
+        stored++;
+      }
+    } catch (error) {
+      // A conflict means another deployment of the repository stored its key first; that one is kept
+      logger.deployment(deploymentId, 'warn', 'Failed to store program keypair', {
+        programName,
+        error: error.message
+      });
+    }
+  }
+  
+  return stored;
+}
+
+module.exports = {
+  STORED_KEYPAIR_STATUS,
+  normalizeRepoUrl,
+  getProgramKeypairs,
+  getStoredProgramIds,
+  saveProgramKeypair,
+  getStoredKeypairStatus,
+  injectProgramKeypairs,
+  persistProgramKeypairs
+};
@@ -6,15 +6,26 @@
 const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const { Keypair } = require('@solana/web3.js');
 const logger = require('../utils/logger');
-const { CloneError, InvalidProjectError, TimeoutError } = require('../utils/errorHandler');
-const { executeCommand } = require('./solanaCliWrapper');
+const {
+  CloneError,
+  InvalidProjectError,
+  ValidationError,
+  TimeoutError
+} = require('../utils/errorHandler');
+const { executeCommand } = require('../utils/commandExecutor');
+const { LOCALNET_DIR } = require('./localValidator');
+const { getProgramKeypairPath } = require('./anchorDeployer');
+const { getNetwork } = require('../config/networks');
 const { 
   TEMP_DIR_PATH,
   GIT_CLONE_TIMEOUT_MS,
   MAX_REPO_SIZE_MB
 } = require('../config/constants');
 
+const DECLARE_ID_PATTERN = /declare_id!\s*\(\s*"([^"]*)"\s*\)/g;
+
 /**
  * Ensure temp directory exists
  */
@@ -35,37 +46,53 @@ function generateDeploymentId() {
 
 /**
  * Clone GitHub repository to temp directory
+ * Fetches exactly one revision (default branch, a branch/tag or a commit SHA) with depth 1
  * @param {string} repoUrl - Repository URL
  * @param {string} deploymentId - Deployment identifier
+ * @param {Object} revision - Revision to check out
+ * @param {string} revision.ref - Branch or tag name (optional)
+ * @param {string} revision.commit - Full commit SHA (optional)
  * @returns {Promise<string>} Path to cloned repository
  */
-async function cloneRepository(repoUrl, deploymentId) {
-  logger.deployment(deploymentId, 'info', 'Cloning repository', { repoUrl });
+async function cloneRepository(repoUrl, deploymentId, { ref = null, commit = null } = {}) {
+  const revision = commit || ref || 'HEAD';
+  
+  logger.deployment(deploymentId, 'info', 'Cloning repository', { repoUrl, revision });
+  
+  const tempDir = path.join(TEMP_DIR_PATH, deploymentId);
   
   try {
     ensureTempDirectory();
     
-    const tempDir = path.join(TEMP_DIR_PATH, deploymentId);
-    
     // Ensure target directory doesn't exist
     if (fs.existsSync(tempDir)) {
       fs.rmSync(tempDir, { recursive: true, force: true });
     }
     
-    // Clone repository with depth 1 for faster cloning
-    const command = `git clone --depth 1 ${repoUrl} ${tempDir}`;
+    fs.mkdirSync(tempDir, { recursive: true });
     
-    await executeCommand(command, {
-      timeout: GIT_CLONE_TIMEOUT_MS,
-      stream: true
-    });
+    // Shallow fetch of exactly the requested revision. User-supplied values
+    // follow `--` so git can never read them as options (--upload-pack=...)
+    const commands = [
+      ['init', '--quiet'],
+      ['remote', 'add', '--', 'origin', repoUrl],
+      ['fetch', '--depth', '1', '--', 'origin', revision],
+      ['checkout', '--quiet', '--detach', 'FETCH_HEAD']
+    ];
+    
+    for (const args of commands) {
+      await executeCommand('git', args, {
+        cwd: tempDir,
+        timeout: GIT_CLONE_TIMEOUT_MS,
+        stream: true
+      });
+    }
     
     // Check directory size
     const size = await getDirectorySize(tempDir);
     const sizeMB = size / (1024 * 1024);
     
     if (sizeMB > MAX_REPO_SIZE_MB) {
-      await cleanupDirectory(tempDir);
       throw new CloneError(
         `Repository size (${sizeMB.toFixed(2)}MB) exceeds maximum allowed (${MAX_REPO_SIZE_MB}MB)`,
         { size: sizeMB, maxSize: MAX_REPO_SIZE_MB }
@@ -74,6 +101,7 @@ async function cloneRepository(repoUrl, deploymentId) {
     
     logger.deployment(deploymentId, 'info', 'Repository cloned successfully', { 
       path: tempDir,
+      revision,
       sizeMB: sizeMB.toFixed(2)
     });
     
@@ -81,17 +109,80 @@ async function cloneRepository(repoUrl, deploymentId) {
   } catch (error) {
     logger.deployment(deploymentId, 'error', 'Failed to clone repository', { 
       error: error.message,
-      repoUrl 
+      repoUrl,
+      revision
     });
     
+    await cleanupDirectory(tempDir, deploymentId);
+    
     if (error instanceof CloneError) {
       throw error;
     }
     
+    if (isMissingRevisionError(error.message)) {
+      const message = commit
+        ? `Commit ${commit} does not exist in ${repoUrl}`
+        : `Ref ${ref} does not exist in ${repoUrl}`;
+      
+      throw new CloneError(message, { repoUrl, ref, commit, reason: 'REVISION_NOT_FOUND' });
+    }
+    
     throw new CloneError('Failed to clone repository', error.message);
   }
 }
 
+/**
+ * Check whether a git error means the requested revision does not exist
+ * @param {string} output - Git error output
+ * @returns {boolean} True if the revision is missing on the remote
+ */
+function isMissingRevisionError(output) {
+  return /couldn't find remote ref|not our ref|unadvertised object|no such remote ref/i.test(output);
+}
+
+/**
+ * Resolve the commit that was checked out
+ * @param {string} projectPath - Path to cloned repository
+ * @param {string} deploymentId - Deployment identifier
+ * @returns {Promise<Object>} Commit SHA, message and author
+ */
+async function resolveCommit(projectPath, deploymentId) {
+  try {
+    // Fields are NUL-separated because the message body may contain anything
+    const result = await executeCommand('git', ['log', '-1', '--format=%H%x00%an%x00%ae%x00%aI%x00%B'], {
+      cwd: projectPath,
+      timeout: 30000
+    });
+    
+    const [sha, authorName, authorEmail, date, message] = result.stdout.split('\0');
+    
+    const commitInfo = {
+      sha: sha.trim(),
+      message: (message || '').trim(),
+      author: {
+        name: authorName,
+        email: authorEmail
+      },
+      date
+    };
+    
+    logger.deployment(deploymentId, 'info', 'Resolved commit', {
+      commit: commitInfo.sha,
+      author: commitInfo.author.name,
+      subject: commitInfo.message.split('\n')[0]
+    });
+    
+    return commitInfo;
+  } catch (error) {
+    logger.deployment(deploymentId, 'error', 'Failed to resolve commit', {
+      error: error.message,
+      projectPath
+    });
+    
+    throw new CloneError('Failed to resolve checked out commit', error.message);
+  }
+}
+
 /**
  * Get directory size recursively
  * @param {string} dirPath - Directory path
@@ -116,6 +207,102 @@ async function getDirectorySize(dirPath) {
   return size;
 }
 
+// Directories never searched when discovering Anchor workspaces
+const DISCOVERY_SKIP_DIRS = ['.git', 'node_modules', 'target', '.anchor'];
+const DISCOVERY_MAX_DEPTH = 6;
+
+/**
+ * Find directories containing an Anchor.toml below a repository root
+ * @param {string} dirPath - Directory to search
+ * @param {number} depth - Current search depth
+ * @returns {Array<string>} Absolute paths of Anchor workspaces
+ */
+function findAnchorWorkspaces(dirPath, depth = 0) {
+  const workspaces = [];
+  
+  if (depth > DISCOVERY_MAX_DEPTH) {
+    return workspaces;
+  }
+  
+  const items = fs.readdirSync(dirPath, { withFileTypes: true });
+  
+  if (items.some(item => item.isFile() && item.name === 'Anchor.toml')) {
+    workspaces.push(dirPath);
+  }
+  
+  for (const item of items) {
+    if (item.isDirectory() && !DISCOVERY_SKIP_DIRS.includes(item.name)) {
+      workspaces.push(...findAnchorWorkspaces(path.join(dirPath, item.name), depth + 1));
+    }
+  }
+  
+  return workspaces;
+}
+
+/**
+ * Resolve the Anchor workspace inside a cloned repository
+ * Uses the requested subdirectory, or the single Anchor.toml discovered in the
+ * tree; the root is a candidate like any other, so nested workspaces are never
+ * passed over silently
+ * @param {string} repoPath - Path to cloned repository
+ * @param {string} deploymentId - Deployment identifier
+ * @param {string} projectSubPath - Workspace path relative to the repository root (optional)
+ * @returns {Promise<string>} Absolute path to the Anchor workspace
+ */
+async function resolveWorkspace(repoPath, deploymentId, projectSubPath = null) {
+  const root = path.resolve(repoPath);
+  
+  if (projectSubPath) {
+    const workspacePath = path.resolve(root, projectSubPath);
+    
+    if (!directoryExists(workspacePath)) {
+      throw new InvalidProjectError(
+        `project_path not found in repository: ${projectSubPath}`,
+        { project_path: projectSubPath }
+      );
+    }
+    
+    // isSafePath is checked at the API boundary; this also catches symlinks
+    // that point outside the clone
+    const relative = path.relative(fs.realpathSync(root), fs.realpathSync(workspacePath));
+    
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new InvalidProjectError(
+        'project_path must stay inside the repository',
+        { project_path: projectSubPath }
+      );
+    }
+    
+    logger.deployment(deploymentId, 'info', 'Using requested Anchor workspace', {
+      projectPath: projectSubPath
+    });
+    
+    return workspacePath;
+  }
+  
+  const candidates = findAnchorWorkspaces(root).map(dir => path.relative(root, dir) || '.');
+  
+  if (candidates.length === 0) {
+    throw new InvalidProjectError(
+      'Not an Anchor project: Anchor.toml not found',
+      { path: repoPath }
+    );
+  }
+  
+  if (candidates.length > 1) {
+    throw new InvalidProjectError(
+      'Multiple Anchor workspaces found, specify project_path',
+      { candidates }
+    );
+  }
+  
+  logger.deployment(deploymentId, 'info', 'Discovered Anchor workspace', {
+    projectPath: candidates[0]
+  });
+  
+  return path.join(root, candidates[0]);
+}
+
 /**
  * Validate that directory contains an Anchor project
  * @param {string} projectPath - Path to project directory
@@ -169,6 +356,47 @@ async function validateAnchorProject(projectPath, deploymentId) {
   }
 }
 
+/**
+ * Select the programs to deploy from an Anchor workspace
+ * Also checks the names program keypairs were supplied for, so a misspelt
+ * name fails as soon as the workspace is known
+ * @param {Object} config - Parsed Anchor.toml configuration
+ * @param {Array<string>} requested - Program names requested by the caller (optional)
+ * @param {Array<string>} keypairNames - Programs the caller supplied keypairs for (optional)
+ * @returns {Array<string>} Program names to deploy
+ * @throws {ValidationError} If a requested program, or one given a keypair, is not in the workspace
+ */
+function selectPrograms(config, requested = null, keypairNames = []) {
+  const available = config.programs.map(program => program.name);
+  
+  // Like injectProgramKeypairs, only checked when Anchor.toml lists programs
+  const unknownKeypairs = available.length > 0
+    ? keypairNames.filter(name => !available.includes(name))
+    : [];
+  
+  if (unknownKeypairs.length > 0) {
+    throw new ValidationError(
+      `Program keypair given for unknown program${unknownKeypairs.length > 1 ? 's' : ''}: ${unknownKeypairs.join(', ')}`,
+      { unknown: unknownKeypairs, available }
+    );
+  }
+  
+  if (!requested || requested.length === 0) {
+    return available;
+  }
+  
+  const unknown = requested.filter(name => !available.includes(name));
+  
+  if (unknown.length > 0) {
+    throw new ValidationError(
+      `Unknown program${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`,
+      { unknown, available }
+    );
+  }
+  
+  return requested;
+}
+
 /**
  * Parse Anchor.toml configuration file
  * @param {string} tomlPath - Path to Anchor.toml
@@ -212,6 +440,174 @@ function parseAnchorToml(tomlPath) {
   }
 }
 
+/**
+ * Find the program crates in a workspace's programs directory
+ * @param {string} projectPath - Path to Anchor project
+ * @returns {Array<Object>} Programs ({ name, libPath }), named like their target/deploy files
+ */
+function findProgramCrates(projectPath) {
+  const programsPath = path.join(projectPath, 'programs');
+  
+  return fs.readdirSync(programsPath, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && fs.existsSync(path.join(programsPath, entry.name, 'Cargo.toml')))
+    .map(entry => {
+      const cratePath = path.join(programsPath, entry.name);
+      const manifest = fs.readFileSync(path.join(cratePath, 'Cargo.toml'), 'utf8');
+      const libName = manifest.match(/\[lib\][^[]*?^\s*name\s*=\s*"([^"]+)"/m);
+      const packageName = manifest.match(/\[package\][^[]*?^\s*name\s*=\s*"([^"]+)"/m);
+      
+      return {
+        name: (libName ? libName[1] : packageName ? packageName[1] : entry.name).replace(/-/g, '_'),
+        libPath: path.join(cratePath, 'src', 'lib.rs')
+      };
+    });
+}
+
+/**
+ * Set a program's ID in an Anchor.toml [programs.<cluster>] section,
+ * adding the entry or the section if missing
+ * @param {string} content - Anchor.toml content
+ * @param {string} cluster - Anchor cluster name
+ * @param {string} programName - Program name
+ * @param {string} programId - Program ID
+ * @returns {Object} { content, previous } (previous is null if the entry was added)
+ */
+function setAnchorTomlProgramId(content, cluster, programName, programId) {
+  const lines = content.split('\n');
+  const header = lines.findIndex(line => line.trim() === `[programs.${cluster}]`);
+  const entry = `${programName} = "${programId}"`;
+  
+  if (header === -1) {
+    return {
+      content: `${content.replace(/\n*$/, '')}\n\n[programs.${cluster}]\n${entry}\n`,
+      previous: null
+    };
+  }
+  
+  let end = header + 1;
+  
+  while (end < lines.length && !lines[end].trim().startsWith('[')) {
+    end++;
+  }
+  
+  for (let i = header + 1; i < end; i++) {
+    const match = lines[i].match(/^\s*([\w-]+)\s*=\s*"([^"]*)"/);
+    
+    if (match && match[1] === programName) {
+      lines[i] = entry;
+      return { content: lines.join('\n'), previous: match[2] };
+    }
+  }
+  
+  lines.splice(header + 1, 0, entry);
+  
+  return { content: lines.join('\n'), previous: null };
+}
+
+/**
+ * Make each program's keypair, declare_id! and Anchor.toml entry agree
+ * before a build, as `anchor keys sync` does. The keypair in target/deploy
+ * decides the ID, and is generated here if missing, as the build would.
+ * Programs in overrides take that ID instead and keep their keypair.
+ * @param {string} projectPath - Path to Anchor project
+ * @param {string} network - Target network
+ * @param {string} deploymentId - Deployment identifier
+ * @param {Object} options - Sync options
+ * @param {Array<string>} options.programNames - Only sync these programs (all by default)
+ * @param {Object} options.overrides - Program IDs by program name (upgrade mode)
+ * @returns {Array<Object>} Per program: { name, program_id, changed, previous }
+ * @throws {InvalidProjectError} If a program's ID cannot be reconciled
+ */
+function syncProgramIds(projectPath, network, deploymentId, { programNames = null, overrides = {} } = {}) {
+  const crates = findProgramCrates(projectPath);
+  const requested = [...new Set([...(programNames || []), ...Object.keys(overrides)])];
+  const missing = requested.filter(name => !crates.some(crate => crate.name === name));
+  
+  if (missing.length > 0) {
+    throw new InvalidProjectError('Program crate not found in programs directory', {
+      programs: missing,
+      available: crates.map(crate => crate.name)
+    });
+  }
+  
+  const anchorTomlPath = path.join(projectPath, 'Anchor.toml');
+  const cluster = getNetwork(network).anchorCluster;
+  const originalAnchorToml = fs.readFileSync(anchorTomlPath, 'utf8');
+  let anchorToml = originalAnchorToml;
+  const report = [];
+  
+  for (const { name, libPath } of crates.filter(crate => !programNames || programNames.includes(crate.name))) {
+    const changed = [];
+    const relativeLibPath = path.relative(projectPath, libPath);
+    let programId = overrides[name];
+    
+    if (!programId) {
+      const keypairPath = getProgramKeypairPath(projectPath, name);
+      
+      if (!fs.existsSync(keypairPath)) {
+        fs.mkdirSync(path.dirname(keypairPath), { recursive: true });
+        fs.writeFileSync(keypairPath, JSON.stringify(Array.from(Keypair.generate().secretKey)), { mode: 0o600 });
+        changed.push('keypair');
+      }
+      
+      try {
+        const secretKey = JSON.parse(fs.readFileSync(keypairPath, 'utf8'));
+        programId = Keypair.fromSecretKey(Uint8Array.from(secretKey)).publicKey.toBase58();
+      } catch (error) {
+        throw new InvalidProjectError('Program keypair is not a valid keypair file', {
+          program: name,
+          file: path.relative(projectPath, keypairPath),
+          error: error.message
+        });
+      }
+    }
+    
+    const source = fs.existsSync(libPath) ? fs.readFileSync(libPath, 'utf8') : '';
+    const declarations = [...source.matchAll(DECLARE_ID_PATTERN)];
+    
+    if (declarations.length !== 1) {
+      throw new InvalidProjectError(
+        declarations.length === 0 ? 'declare_id! not found' : 'More than one declare_id! found',
+        { program: name, file: relativeLibPath, program_id: programId }
+      );
+    }
+    
+    const previous = { declare_id: declarations[0][1], anchor_toml: null };
+    
+    if (previous.declare_id !== programId) {
+      fs.writeFileSync(libPath, source.replace(DECLARE_ID_PATTERN, `declare_id!("${programId}")`));
+      changed.push('declare_id');
+    }
+    
+    const updated = setAnchorTomlProgramId(anchorToml, cluster, name, programId);
+    previous.anchor_toml = updated.previous;
+    
+    if (updated.previous !== programId) {
+      anchorToml = updated.content;
+      changed.push('anchor_toml');
+    }
+    
+    report.push({ name, program_id: programId, changed, previous });
+  }
+  
+  if (anchorToml !== originalAnchorToml) {
+    fs.writeFileSync(anchorTomlPath, anchorToml);
+  }
+  
+  const synced = report.filter(program => program.changed.length > 0);
+  
+  logger.deployment(deploymentId, 'info', 'Program IDs synced', {
+    cluster,
+    programs: synced.map(program => ({
+      name: program.name,
+      programId: program.program_id,
+      changed: program.changed
+    }))
+  });
+  
+  return report;
+}
+
 /**
  * Cleanup temporary directory
  * @param {string} dirPath - Directory to cleanup
@@ -257,6 +653,12 @@ async function cleanupOldDirectories() {
     
     for (const item of items) {
       const itemPath = path.join(TEMP_DIR_PATH, item);
+      
+      // The local validator ledger lives here too and is managed separately
+      if (path.resolve(itemPath) === path.resolve(LOCALNET_DIR)) {
+        continue;
+      }
+      
       const stats = fs.statSync(itemPath);
       
       if (stats.isDirectory() && (now - stats.mtimeMs) > maxAge) {
@@ -297,8 +699,13 @@ function listFiles(dirPath) {
 module.exports = {
   generateDeploymentId,
   cloneRepository,
+  resolveCommit,
+  resolveWorkspace,
   validateAnchorProject,
+  selectPrograms,
   parseAnchorToml,
+  setAnchorTomlProgramId,
+  syncProgramIds,
   cleanupDirectory,
   cleanupOldDirectories,
   directoryExists,
@@ -0,0 +1,92 @@
+/**
+ * Rate Limit Store Module
+ * express-rate-limit store that keeps hit counts in Redis, so limits are
+ * shared by every API replica and survive restarts
+ */
+
+const { getRedisConnection } = require('./redisClient');
+
+const KEY_PREFIX = 'ratelimit:';
+
+/**
+ * Count a hit in a fixed window that starts with the first hit.
+ * Returns { hits, ms until the window resets }.
+ */
+const INCREMENT_SCRIPT = `
+local hits = redis.call('INCR', KEYS[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+  ttl = tonumber(ARGV[1])
+end
+return { hits, ttl }
+`;
+
+class RedisRateLimitStore {
+  /**
+   * @param {string} name - Limiter name; each limiter needs its own
+   */
+  constructor(name) {
+    this.prefix = `${KEY_PREFIX}${name}:`;
+    this.localKeys = false;
+    this.windowMs = null;
+  }
+  
+  /**
+   * Called by express-rate-limit with the limiter's options
+   * @param {Object} options - Limiter options
+   */
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+  
+  /**
+   * Get the Redis key for a client
+   * @param {string} key - Client key from the key generator
+   * @returns {string} Redis key
+   */
+  getKey(key) {
+    return `${this.prefix}${key}`;
+  }
+  
+  /**
+   * Count a request
+   * @param {string} key - Client key
+   * @returns {Promise<Object>} { totalHits, resetTime }
+   */
+  async increment(key) {
+    const [totalHits, ttl] = await getRedisConnection().eval(
+      INCREMENT_SCRIPT,
+      1,
+      this.getKey(key),
+      this.windowMs
+    );
+    
+    return {
+      totalHits,
+      resetTime: new Date(Date.now() + ttl)
+    };
+  }
+  
+  /**
+   * Undo a counted request (for skipSuccessfulRequests and the like)
+   * @param {string} key - Client key
+   * @returns {Promise<void>}
+   */
+  async decrement(key) {
+    await getRedisConnection().decr(this.getKey(key));
+  }
+  
+  /**
+   * Clear a client's count
+   * @param {string} key - Client key
+   * @returns {Promise<void>}
+   */
+  async resetKey(key) {
+    await getRedisConnection().del(this.getKey(key));
+  }
+}
+
+module.exports = {
+  RedisRateLimitStore
+};
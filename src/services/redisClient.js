@@ -0,0 +1,56 @@
+/**
+ * Redis Client Module
+ * Creates and shares ioredis connections for the queue and state store
+ */
+
+const IORedis = require('ioredis');
+const logger = require('../utils/logger');
+const { REDIS_URL } = require('../config/constants');
+
+let sharedConnection = null;
+
+/**
+ * Create a new Redis connection
+ * BullMQ requires maxRetriesPerRequest to be null for blocking connections
+ * @returns {IORedis} Redis connection
+ */
+function createRedisConnection() {
+  const connection = new IORedis(REDIS_URL, {
+    maxRetriesPerRequest: null
+  });
+  
+  connection.on('error', (error) => {
+    logger.error('Redis connection error', { error: error.message });
+  });
+  
+  return connection;
+}
+
+/**
+ * Get the shared Redis connection used for non-blocking commands
+ * @returns {IORedis} Redis connection
+ */
+function getRedisConnection() {
+  if (!sharedConnection) {
+    sharedConnection = createRedisConnection();
+  }
+  
+  return sharedConnection;
+}
+
+/**
+ * Close the shared Redis connection
+ * @returns {Promise<void>}
+ */
+async function closeRedisConnection() {
+  if (sharedConnection) {
+    await sharedConnection.quit();
+    sharedConnection = null;
+  }
+}
+
+module.exports = {
+  createRedisConnection,
+  getRedisConnection,
+  closeRedisConnection
+};
@@ -0,0 +1,390 @@
+/**
+ * RPC Health Module
+ * Probes every registered RPC endpoint in the background and orders
+ * endpoints for failover. Health is kept in Redis so the API and all
+ * workers share one view.
+ */
+
+const logger = require('../utils/logger');
+const { getRedisConnection } = require('./redisClient');
+const { getNetwork, getNetworkNames, redactUrl } = require('../config/networks');
+const {
+  RPC_HEALTH_CHECK_INTERVAL_MS,
+  RPC_HEALTH_CHECK_TIMEOUT_MS,
+  RPC_MAX_SLOT_LAG
+} = require('../config/constants');
+
+const HEALTH_KEY = 'rpc:health';
+const PROBE_LOCK_KEY = 'rpc:health:lock';
+
+// Solana CLI / RPC failures that mean the endpoint itself is unusable,
+// as opposed to errors about the request (missing account, bad signature...)
+const TRANSPORT_ERROR_PATTERN = new RegExp([
+  'error sending request',
+  'connection refused',
+  'connection reset',
+  'connection closed',
+  'operation timed out',
+  'dns error',
+  'tcp connect error',
+  '429 Too Many Requests',
+  'HTTP status server error',
+  'RPC response error -32005',
+  'Node is (unhealthy|behind)'
+].join('|'), 'i');
+
+let probeTimer = null;
+
+/**
+ * Get the Redis hash field for an endpoint
+ * @param {string} network - Network name
+ * @param {string} rpcUrl - Endpoint URL
+ * @returns {string} Hash field
+ */
+function getHealthField(network, rpcUrl) {
+  return `${network}|${rpcUrl}`;
+}
+
+/**
+ * Replace an endpoint URL in a message with its origin
+ * CLI errors echo the full URL, which may embed an API key
+ * @param {string} message - Error message
+ * @param {string} rpcUrl - Endpoint URL
+ * @returns {string} Scrubbed message
+ */
+function scrubUrl(message, rpcUrl) {
+  return String(message).split(rpcUrl).join(redactUrl(rpcUrl));
+}
+
+/**
+ * Check whether an error means the RPC endpoint failed
+ * A command killed because its deployment was cancelled or ran out of time
+ * says nothing about the endpoint, even when it rejects with a TimeoutError
+ * @param {Error} error - Error thrown by a CLI command
+ * @param {AbortSignal|null} signal - Signal of the deployment the command ran in
+ * @returns {boolean} True if another endpoint should be tried
+ */
+function isRpcTransportError(error, signal = null) {
+  if (signal && signal.aborted) {
+    return false;
+  }
+  
+  return error.name === 'TimeoutError' || TRANSPORT_ERROR_PATTERN.test(error.message);
+}
+
+/**
+ * Send a JSON-RPC request
+ * @param {string} rpcUrl - Endpoint URL
+ * @param {string} method - RPC method
+ * @param {Array} params - RPC parameters
+ * @returns {Promise<*>} RPC result
+ */
+async function rpcRequest(rpcUrl, method, params = []) {
+  const response = await fetch(rpcUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
+    signal: AbortSignal.timeout(RPC_HEALTH_CHECK_TIMEOUT_MS)
+  });
+  
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  
+  const body = await response.json();
+  
+  if (body.error) {
+    const error = new Error(body.error.message);
+    error.rpcCode = body.error.code;
+    throw error;
+  }
+  
+  return body.result;
+}
+
+/**
+ * Probe a single endpoint with getHealth and getSlot
+ * @param {string} rpcUrl - Endpoint URL
+ * @returns {Promise<Object>} Probe result
+ */
+async function probeEndpoint(rpcUrl) {
+  const startTime = Date.now();
+  
+  try {
+    await rpcRequest(rpcUrl, 'getHealth');
+    const slot = await rpcRequest(rpcUrl, 'getSlot');
+    
+    return {
+      healthy: true,
+      slot,
+      latency_ms: Date.now() - startTime,
+      error: null
+    };
+  } catch (error) {
+    return {
+      healthy: false,
+      slot: null,
+      latency_ms: null,
+      error: scrubUrl(error.message, rpcUrl)
+    };
+  }
+}
+
+/**
+ * Read stored health records for a network
+ * @param {Object} network - Network configuration
+ * @returns {Promise<Object>} Health records keyed by endpoint URL
+ */
+async function readHealth(network) {
+  const fields = network.rpcUrls.map(rpcUrl => getHealthField(network.name, rpcUrl));
+  const values = await getRedisConnection().hmget(HEALTH_KEY, ...fields);
+  const records = {};
+  
+  network.rpcUrls.forEach((rpcUrl, index) => {
+    records[rpcUrl] = values[index] ? JSON.parse(values[index]) : null;
+  });
+  
+  return records;
+}
+
+/**
+ * Probe every endpoint of a network and store the results
+ * Endpoints lagging the network's highest observed slot by more than
+ * RPC_MAX_SLOT_LAG are marked unhealthy
+ * @param {Object} network - Network configuration
+ * @returns {Promise<void>}
+ */
+async function checkNetwork(network) {
+  const results = await Promise.all(network.rpcUrls.map(probeEndpoint));
+  const previous = await readHealth(network);
+  const highestSlot = Math.max(0, ...results.map(result => result.slot || 0));
+  const now = new Date().toISOString();
+  const updates = [];
+  
+  network.rpcUrls.forEach((rpcUrl, index) => {
+    const result = results[index];
+    const slotLag = result.slot !== null ? highestSlot - result.slot : null;
+    
+    if (result.healthy && slotLag > RPC_MAX_SLOT_LAG) {
+      result.healthy = false;
+      result.error = `Behind by ${slotLag} slots`;
+    }
+    
+    const before = previous[rpcUrl];
+    
+    if (before && before.healthy !== result.healthy) {
+      logger[result.healthy ? 'info' : 'warn'](
+        result.healthy ? 'RPC endpoint recovered' : 'RPC endpoint unhealthy',
+        { network: network.name, endpoint: redactUrl(rpcUrl), error: result.error }
+      );
+    }
+    
+    updates.push(getHealthField(network.name, rpcUrl), JSON.stringify({
+      healthy: result.healthy,
+      latency_ms: result.latency_ms,
+      slot: result.slot,
+      slot_lag: slotLag,
+      last_checked_at: now,
+      last_error: result.error,
+      consecutive_failures: result.healthy ? 0 : ((before && before.consecutive_failures) || 0) + 1
+    }));
+  });
+  
+  await getRedisConnection().hset(HEALTH_KEY, ...updates);
+}
+
+/**
+ * Probe all networks once
+ * Managed validators are skipped; their health is reported by /localnet
+ * @returns {Promise<void>}
+ */
+async function runHealthChecks() {
+  // Only one process probes per interval, however many workers are running
+  const locked = await getRedisConnection().set(
+    PROBE_LOCK_KEY, process.pid, 'PX', RPC_HEALTH_CHECK_INTERVAL_MS, 'NX'
+  );
+  
+  if (!locked) {
+    return;
+  }
+  
+  const networks = getNetworkNames()
+    .map(getNetwork)
+    .filter(network => !network.managedValidator);
+  
+  for (const network of networks) {
+    await checkNetwork(network);
+  }
+}
+
+/**
+ * Start the background health probe
+ */
+function startRpcHealthMonitor() {
+  if (probeTimer) {
+    return;
+  }
+  
+  const run = () => {
+    runHealthChecks().catch((error) => {
+      logger.error('RPC health check failed', { error: error.message });
+    });
+  };
+  
+  run();
+  probeTimer = setInterval(run, RPC_HEALTH_CHECK_INTERVAL_MS);
+  probeTimer.unref();
+  
+  logger.info('RPC health monitor started', { intervalMs: RPC_HEALTH_CHECK_INTERVAL_MS });
+}
+
+/**
+ * Stop the background health probe
+ */
+function stopRpcHealthMonitor() {
+  if (probeTimer) {
+    clearInterval(probeTimer);
+    probeTimer = null;
+  }
+}
+
+/**
+ * Order a network's endpoints for use
+ * Healthy and not-yet-probed endpoints keep their configured order and come
+ * first; unhealthy endpoints follow as a last resort
+ * @param {string} networkName - Network name
+ * @returns {Promise<Array<string>>} Endpoint URLs
+ */
+async function getOrderedEndpoints(networkName) {
+  const network = getNetwork(networkName);
+  
+  if (network.rpcUrls.length === 1) {
+    return network.rpcUrls;
+  }
+  
+  let health;
+  
+  try {
+    health = await readHealth(network);
+  } catch (error) {
+    logger.warn('Failed to read RPC health, using configured order', {
+      network: networkName,
+      error: error.message
+    });
+    return network.rpcUrls;
+  }
+  
+  const isUsable = rpcUrl => !health[rpcUrl] || health[rpcUrl].healthy;
+  
+  return [
+    ...network.rpcUrls.filter(isUsable),
+    ...network.rpcUrls.filter(rpcUrl => !isUsable(rpcUrl))
+  ];
+}
+
+/**
+ * Mark an endpoint unhealthy after a failed call
+ * It is reconsidered after the next successful probe
+ * @param {string} networkName - Network name
+ * @param {string} rpcUrl - Endpoint URL
+ * @param {Error} error - Failure
+ * @returns {Promise<void>}
+ */
+async function reportEndpointFailure(networkName, rpcUrl, error) {
+  const field = getHealthField(networkName, rpcUrl);
+  
+  try {
+    const redis = getRedisConnection();
+    const before = JSON.parse(await redis.hget(HEALTH_KEY, field)) || {};
+    
+    await redis.hset(HEALTH_KEY, field, JSON.stringify({
+      ...before,
+      healthy: false,
+      last_error: scrubUrl(error.message, rpcUrl).slice(0, 500),
+      last_failure_at: new Date().toISOString(),
+      consecutive_failures: (before.consecutive_failures || 0) + 1
+    }));
+  } catch (redisError) {
+    // Health is advisory; the next probe will refresh it
+    logger.warn('Failed to record RPC endpoint failure', {
+      network: networkName,
+      endpoint: redactUrl(rpcUrl),
+      error: redisError.message
+    });
+  }
+}
+
+/**
+ * Send a JSON-RPC request to a network, failing over between its endpoints
+ * For reads made outside deployments, which have no Solana CLI config
+ * @param {string} networkName - Network name
+ * @param {string} method - RPC method
+ * @param {Array} params - RPC parameters
+ * @returns {Promise<*>} RPC result
+ */
+async function rpcCall(networkName, method, params = []) {
+  let lastError = null;
+  
+  for (const rpcUrl of await getOrderedEndpoints(networkName)) {
+    try {
+      return await rpcRequest(rpcUrl, method, params);
+    } catch (error) {
+      lastError = new Error(scrubUrl(error.message, rpcUrl));
+      
+      // Most JSON-RPC errors are about the request; another endpoint would say the same
+      if (error.rpcCode !== undefined && !isRpcTransportError(error)) {
+        throw lastError;
+      }
+      
+      await reportEndpointFailure(networkName, rpcUrl, error);
+    }
+  }
+  
+  throw lastError;
+}
+
+/**
+ * Get health of every endpoint in a form safe to return from the API
+ * @returns {Promise<Array<Object>>} Per-network endpoint health
+ */
+async function getRpcHealthReport() {
+  const report = [];
+  
+  for (const name of getNetworkNames()) {
+    const network = getNetwork(name);
+    const health = await readHealth(network);
+    
+    report.push({
+      name,
+      managed_validator: network.managedValidator,
+      endpoints: network.rpcUrls.map((rpcUrl, index) => ({
+        url: redactUrl(rpcUrl),
+        primary: index === 0,
+        probed: !!health[rpcUrl],
+        healthy: health[rpcUrl] ? health[rpcUrl].healthy : null,
+        latency_ms: null,
+        slot: null,
+        slot_lag: null,
+        last_checked_at: null,
+        last_error: null,
+        last_failure_at: null,
+        consecutive_failures: 0,
+        ...health[rpcUrl]
+      }))
+    });
+  }
+  
+  return report;
+}
+
+module.exports = {
+  isRpcTransportError,
+  scrubUrl,
+  startRpcHealthMonitor,
+  stopRpcHealthMonitor,
+  runHealthChecks,
+  getOrderedEndpoints,
+  reportEndpointFailure,
+  rpcCall,
+  getRpcHealthReport
+};
@@ -0,0 +1,282 @@
+/**
+ * Deployment Scheduler Module
+ * Caps concurrent orchestrations across workers, applies per-client fairness
+ * and estimates queue position / start time for waiting deployments.
+ * Waiting deployments are kept in enqueue order here rather than relying on
+ * BullMQ's, which a deferred job loses when it is retried.
+ */
+
+const logger = require('../utils/logger');
+const { getRedisConnection } = require('./redisClient');
+const {
+  MAX_CONCURRENT_DEPLOYMENTS,
+  MAX_DEPLOYMENTS_PER_CLIENT,
+  SCHEDULER_SLOT_TTL_MS,
+  DEFAULT_DEPLOYMENT_DURATION_MS,
+  DEPLOYMENT_PRIORITIES
+} = require('../config/constants');
+
+const GLOBAL_SLOTS_KEY = 'scheduler:slots:global';
+const CLIENT_SLOTS_PREFIX = 'scheduler:slots:client:';
+const WAITING_KEY = 'scheduler:waiting';
+const WAITING_CLIENTS_KEY = 'scheduler:waiting:clients';
+const AVG_DURATION_KEY = 'scheduler:avg_duration_ms';
+
+// Weight of the latest sample in the moving average of deployment durations
+const DURATION_SMOOTHING = 0.2;
+
+// Waiting order score: priority first, then enqueue time (ms timestamps stay below this)
+const PRIORITY_SCORE_STEP = 1e13;
+
+/**
+ * Atomically claim a global slot and a per-client slot.
+ * Slots are sorted sets scored by claim time so that slots held by a crashed
+ * worker expire after SCHEDULER_SLOT_TTL_MS instead of leaking forever.
+ * A deployment only starts when every deployment enqueued ahead of it is
+ * held back by its own client's cap, so waiting deployments run in order.
+ * Returns 1 on success, 0 if the global cap is reached, -1 if the client cap
+ * is reached, -2 if an earlier deployment can start first.
+ */
+const ACQUIRE_SLOT_SCRIPT = `
+local now = tonumber(ARGV[1])
+local staleBefore = now - tonumber(ARGV[2])
+local clientLimit = tonumber(ARGV[4])
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', staleBefore)
+redis.call('ZREMRANGEBYSCORE', KEYS[2], '-inf', staleBefore)
+if redis.call('ZSCORE', KEYS[1], ARGV[5]) then
+  return 1
+end
+if redis.call('ZCARD', KEYS[1]) >= tonumber(ARGV[3]) then
+  return 0
+end
+if redis.call('ZCARD', KEYS[2]) >= clientLimit then
+  return -1
+end
+local rank = redis.call('ZRANK', KEYS[3], ARGV[5])
+if rank and rank > 0 then
+  for _, id in ipairs(redis.call('ZRANGE', KEYS[3], 0, rank - 1)) do
+    local client = redis.call('HGET', KEYS[4], id)
+    if client and redis.call('ZCOUNT', ARGV[6] .. client, staleBefore, '+inf') < clientLimit then
+      return -2
+    end
+  end
+end
+redis.call('ZADD', KEYS[1], now, ARGV[5])
+redis.call('ZADD', KEYS[2], now, ARGV[5])
+redis.call('PEXPIRE', KEYS[2], ARGV[2])
+redis.call('ZREM', KEYS[3], ARGV[5])
+redis.call('HDEL', KEYS[4], ARGV[5])
+return 1
+`;
+
+const DEFER_REASONS = {
+  '0': 'global_limit',
+  '-1': 'client_limit',
+  '-2': 'queue_order'
+};
+
+/**
+ * Get Redis key for a client's slots
+ * @param {string} clientId - Client identifier
+ * @returns {string} Redis key
+ */
+function getClientSlotsKey(clientId) {
+  return `${CLIENT_SLOTS_PREFIX}${clientId}`;
+}
+
+/**
+ * Map a request priority name to a BullMQ priority value
+ * Every job gets an explicit priority so FIFO order holds within each level
+ * @param {string} priority - Priority name (high, normal, low)
+ * @returns {number} BullMQ priority (lower runs first)
+ */
+function getJobPriority(priority) {
+  return DEPLOYMENT_PRIORITIES[priority] || DEPLOYMENT_PRIORITIES.normal;
+}
+
+/**
+ * Add a deployment to the waiting order (call before queueing its job)
+ * @param {string} deploymentId - Deployment identifier
+ * @param {string} clientId - Client that requested the deployment
+ * @param {string} priority - Priority name (high, normal, low)
+ * @returns {Promise<void>}
+ */
+async function addWaiting(deploymentId, clientId, priority) {
+  await getRedisConnection()
+    .multi()
+    .zadd(WAITING_KEY, getJobPriority(priority) * PRIORITY_SCORE_STEP + Date.now(), deploymentId)
+    .hset(WAITING_CLIENTS_KEY, deploymentId, clientId)
+    .exec();
+}
+
+/**
+ * Remove a deployment that will never start from the waiting order
+ * @param {string} deploymentId - Deployment identifier
+ * @returns {Promise<void>}
+ */
+async function removeWaiting(deploymentId) {
+  await getRedisConnection()
+    .multi()
+    .zrem(WAITING_KEY, deploymentId)
+    .hdel(WAITING_CLIENTS_KEY, deploymentId)
+    .exec();
+}
+
+/**
+ * Drop waiting entries whose job is gone, such as after a crash
+ * @param {Function} hasJob - Resolves true if a deployment's job still exists
+ * @returns {Promise<number>} Number of entries dropped
+ */
+async function pruneWaiting(hasJob) {
+  const waiting = await getRedisConnection().zrange(WAITING_KEY, 0, -1);
+  let pruned = 0;
+  
+  for (const deploymentId of waiting) {
+    if (!(await hasJob(deploymentId))) {
+      await removeWaiting(deploymentId);
+      pruned++;
+    }
+  }
+  
+  return pruned;
+}
+
+/**
+ * Try to claim an execution slot for a deployment
+ * @param {string} deploymentId - Deployment identifier
+ * @param {string} clientId - Client that requested the deployment
+ * @returns {Promise<Object>} { acquired, reason }
+ */
+async function acquireSlot(deploymentId, clientId) {
+  const result = await getRedisConnection().eval(
+    ACQUIRE_SLOT_SCRIPT,
+    4,
+    GLOBAL_SLOTS_KEY,
+    getClientSlotsKey(clientId),
+    WAITING_KEY,
+    WAITING_CLIENTS_KEY,
+    Date.now(),
+    SCHEDULER_SLOT_TTL_MS,
+    MAX_CONCURRENT_DEPLOYMENTS,
+    MAX_DEPLOYMENTS_PER_CLIENT,
+    deploymentId,
+    CLIENT_SLOTS_PREFIX
+  );
+  
+  if (result === 1) {
+    logger.deployment(deploymentId, 'info', 'Execution slot acquired', { clientId });
+    return { acquired: true, reason: null };
+  }
+  
+  return {
+    acquired: false,
+    reason: DEFER_REASONS[result]
+  };
+}
+
+/**
+ * Release an execution slot
+ * @param {string} deploymentId - Deployment identifier
+ * @param {string} clientId - Client that requested the deployment
+ * @returns {Promise<void>}
+ */
+async function releaseSlot(deploymentId, clientId) {
+  try {
+    await getRedisConnection()
+      .multi()
+      .zrem(GLOBAL_SLOTS_KEY, deploymentId)
+      .zrem(getClientSlotsKey(clientId), deploymentId)
+      .exec();
+  } catch (error) {
+    // Slot will expire after SCHEDULER_SLOT_TTL_MS
+    logger.deployment(deploymentId, 'warn', 'Failed to release execution slot', {
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Count deployments currently holding a slot
+ * @param {string} clientId - Count only this client's deployments (optional)
+ * @returns {Promise<number>} Number of running deployments
+ */
+async function getActiveCount(clientId = null) {
+  const staleBefore = Date.now() - SCHEDULER_SLOT_TTL_MS;
+  const key = clientId ? getClientSlotsKey(clientId) : GLOBAL_SLOTS_KEY;
+  
+  return getRedisConnection().zcount(key, staleBefore, '+inf');
+}
+
+/**
+ * Record a finished deployment's duration in the moving average
+ * @param {number} durationMs - Deployment duration
+ * @returns {Promise<void>}
+ */
+async function recordDeploymentDuration(durationMs) {
+  const redis = getRedisConnection();
+  const current = parseFloat(await redis.get(AVG_DURATION_KEY));
+  
+  const average = Number.isFinite(current)
+    ? current + DURATION_SMOOTHING * (durationMs - current)
+    : durationMs;
+  
+  await redis.set(AVG_DURATION_KEY, Math.round(average));
+}
+
+/**
+ * Get the average deployment duration
+ * @returns {Promise<number>} Average duration in milliseconds
+ */
+async function getAverageDuration() {
+  const value = parseInt(await getRedisConnection().get(AVG_DURATION_KEY), 10);
+  return Number.isFinite(value) ? value : DEFAULT_DEPLOYMENT_DURATION_MS;
+}
+
+/**
+ * Estimate queue position and start time of a waiting deployment
+ * @param {string} deploymentId - Deployment identifier
+ * @returns {Promise<Object|null>} Queue info, or null if the deployment is not waiting
+ */
+async function getQueueInfo(deploymentId) {
+  const redis = getRedisConnection();
+  const [index, queueLength, clientId] = await Promise.all([
+    redis.zrank(WAITING_KEY, deploymentId),
+    redis.zcard(WAITING_KEY),
+    redis.hget(WAITING_CLIENTS_KEY, deploymentId)
+  ]);
+  
+  if (index === null) {
+    return null;
+  }
+  
+  const position = index + 1;
+  const activeCount = await getActiveCount();
+  const clientActiveCount = clientId ? await getActiveCount(clientId) : 0;
+  const averageDuration = await getAverageDuration();
+  
+  // Deployments that must finish before this one can start
+  const ahead = activeCount + index;
+  const waves = ahead < MAX_CONCURRENT_DEPLOYMENTS
+    ? 0
+    : Math.floor((ahead - MAX_CONCURRENT_DEPLOYMENTS) / MAX_CONCURRENT_DEPLOYMENTS) + 1;
+  
+  return {
+    position,
+    queue_length: queueLength,
+    running: activeCount,
+    max_concurrent: MAX_CONCURRENT_DEPLOYMENTS,
+    deferred: clientActiveCount >= MAX_DEPLOYMENTS_PER_CLIENT,
+    estimated_start_time: new Date(Date.now() + waves * averageDuration).toISOString()
+  };
+}
+
+module.exports = {
+  getJobPriority,
+  addWaiting,
+  removeWaiting,
+  pruneWaiting,
+  acquireSlot,
+  releaseSlot,
+  recordDeploymentDuration,
+  getQueueInfo
+};
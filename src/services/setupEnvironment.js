@@ -3,14 +3,34 @@
  * Verifies and installs prerequisites for Solana program deployment
  */
 
-const { exec } = require('child_process');
-const util = require('util');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const logger = require('../utils/logger');
+const { executeCommand } = require('../utils/commandExecutor');
 const { SOLANA_CLI_PATH, ANCHOR_CLI_PATH, SOLANA_CONFIG_DIR } = require('../config/constants');
 
-const execPromise = util.promisify(exec);
+/**
+ * Download an installer script and run it with sh
+ * Replaces `curl ... | sh` so no shell ever parses a command line
+ * @param {string} url - Installer URL (HTTPS only)
+ * @param {Array<string>} args - Arguments for the installer
+ * @param {number} timeout - Time limit for the install
+ * @returns {Promise<void>}
+ */
+async function runInstallerScript(url, args, timeout) {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'installer-'));
+  const scriptPath = path.join(tempDir, 'install.sh');
+  
+  try {
+    await executeCommand('curl', ['--proto', '=https', '--tlsv1.2', '-sSfL', '-o', scriptPath, url], {
+      timeout: 60000
+    });
+    await executeCommand('sh', [scriptPath, ...args], { timeout });
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
 
 /**
  * Check if a command exists in the system
@@ -19,7 +39,7 @@ const execPromise = util.promisify(exec);
  */
 async function commandExists(command) {
   try {
-    await execPromise(`which ${command}`);
+    await executeCommand('which', [command]);
     return true;
   } catch (error) {
     return false;
@@ -32,7 +52,7 @@ async function commandExists(command) {
  */
 async function checkRust() {
   try {
-    const { stdout } = await execPromise('rustc --version');
+    const { stdout } = await executeCommand('rustc', ['--version']);
     const version = stdout.trim();
     logger.info('Rust detected', { version });
     return { installed: true, version };
@@ -49,9 +69,7 @@ async function checkRust() {
 async function installRust() {
   logger.info('Installing Rust via rustup...');
   try {
-    await execPromise('curl --proto "=https" --tlsv1.2 -sSf https://sh.rustup.rs | sh -s -- -y', {
-      timeout: 300000 // 5 minutes
-    });
+    await runInstallerScript('https://sh.rustup.rs', ['-y'], 300000); // 5 minutes
     
     // Source cargo env
     process.env.PATH = `${process.env.HOME}/.cargo/bin:${process.env.PATH}`;
@@ -69,7 +87,7 @@ async function installRust() {
  */
 async function checkSolanaCLI() {
   try {
-    const { stdout } = await execPromise(`${SOLANA_CLI_PATH} --version`);
+    const { stdout } = await executeCommand(SOLANA_CLI_PATH, ['--version']);
     const version = stdout.trim();
     logger.info('Solana CLI detected', { version });
     return { installed: true, version };
@@ -86,9 +104,7 @@ async function checkSolanaCLI() {
 async function installSolanaCLI() {
   logger.info('Installing Solana CLI...');
   try {
-    await execPromise('sh -c "$(curl -sSfL https://release.solana.com/stable/install)"', {
-      timeout: 300000 // 5 minutes
-    });
+    await runInstallerScript('https://release.solana.com/stable/install', [], 300000); // 5 minutes
     
     // Add Solana to PATH
     process.env.PATH = `${process.env.HOME}/.local/share/solana/install/active_release/bin:${process.env.PATH}`;
@@ -106,7 +122,7 @@ async function installSolanaCLI() {
  */
 async function checkAnchorCLI() {
   try {
-    const { stdout } = await execPromise(`${ANCHOR_CLI_PATH} --version`);
+    const { stdout } = await executeCommand(ANCHOR_CLI_PATH, ['--version']);
     const version = stdout.trim();
     logger.info('Anchor CLI detected', { version });
     return { installed: true, version };
@@ -124,16 +140,16 @@ async function installAnchorCLI() {
   logger.info('Installing Anchor CLI from source...');
   try {
     // Install via avm (Anchor Version Manager) for easier management
-    await execPromise('cargo install --git https://github.com/coral-xyz/anchor avm --locked --force', {
+    await executeCommand('cargo', ['install', '--git', 'https://github.com/coral-xyz/anchor', 'avm', '--locked', '--force'], {
       timeout: 600000 // 10 minutes
     });
     
     // Install latest anchor version
-    await execPromise('avm install latest', {
+    await executeCommand('avm', ['install', 'latest'], {
       timeout: 600000 // 10 minutes
     });
     
-    await execPromise('avm use latest');
+    await executeCommand('avm', ['use', 'latest']);
     
     logger.info('Anchor CLI installed successfully');
   } catch (error) {
@@ -158,7 +174,12 @@ async function checkSystemDependencies() {
       
       if (hasApt) {
         logger.info('Installing system dependencies via apt-get...');
-        await execPromise('sudo apt-get update && sudo apt-get install -y build-essential pkg-config libudev-dev llvm libclang-dev', {
+        await executeCommand('sudo', ['apt-get', 'update'], {
+          timeout: 300000 // 5 minutes
+        });
+        await executeCommand('sudo', [
+          'apt-get', 'install', '-y', 'build-essential', 'pkg-config', 'libudev-dev', 'llvm', 'libclang-dev'
+        ], {
           timeout: 300000 // 5 minutes
         });
         logger.info('System dependencies installed');
@@ -3,79 +3,45 @@
  * Wraps Solana CLI commands with proper error handling and logging
  */
 
-const { exec, spawn } = require('child_process');
-const util = require('util');
+const fs = require('fs');
+const path = require('path');
 const logger = require('../utils/logger');
-const { NetworkError, InsufficientBalanceError, TimeoutError } = require('../utils/errorHandler');
+const {
+  NetworkError,
+  InsufficientBalanceError,
+  TimeoutError,
+  ValidationError
+} = require('../utils/errorHandler');
+const { executeCommand } = require('../utils/commandExecutor');
+const { getDeploymentSignal } = require('../utils/deploymentContext');
+const { getNetwork, redactUrl } = require('../config/networks');
+const {
+  isRpcTransportError,
+  scrubUrl,
+  getOrderedEndpoints,
+  reportEndpointFailure
+} = require('./rpcHealth');
 const { 
   SOLANA_CLI_PATH,
-  NETWORKS,
-  DEVNET_RPC_URL,
-  MAINNET_RPC_URL,
-  MIN_SOL_BALANCE,
+  DEPLOYMENT_CONFIG_DIR,
   AIRDROP_AMOUNT,
   AIRDROP_MAX_RETRIES
 } = require('../config/constants');
 
-const execPromise = util.promisify(exec);
-
 /**
- * Execute a command with timeout and log streaming
- * @param {string} command - Command to execute
- * @param {Object} options - Execution options
- * @returns {Promise<Object>} Result with stdout, stderr, and logs
+ * Get network configuration from the registry
+ * @param {string} network - Network name
+ * @returns {Object} Network configuration
+ * @throws {ValidationError} If the network is not registered
  */
-async function executeCommand(command, options = {}) {
-  const timeout = options.timeout || 60000; // 1 minute default
-  const logs = [];
+function requireNetwork(network) {
+  const config = getNetwork(network);
   
-  return new Promise((resolve, reject) => {
-    const child = spawn(command, [], { 
-      shell: true,
-      cwd: options.cwd || process.cwd(),
-      env: { ...process.env, ...options.env }
-    });
-    
-    const timer = setTimeout(() => {
-      child.kill();
-      reject(new TimeoutError(`Command timeout: ${command}`));
-    }, timeout);
-    
-    let stdout = '';
-    let stderr = '';
-    
-    child.stdout.on('data', (data) => {
-      const output = data.toString();
-      stdout += output;
-      logs.push(output);
-      if (options.stream) {
-        logger.debug(output.trim());
-      }
-    });
-    
-    child.stderr.on('data', (data) => {
-      const output = data.toString();
-      stderr += output;
-      logs.push(output);
-      if (options.stream) {
-        logger.debug(output.trim());
-      }
-    });
-    
-    child.on('close', (code) => {
-      clearTimeout(timer);
-      if (code !== 0) {
-        reject(new Error(`Command failed with code ${code}: ${command}\n${stderr}`));
-      } else {
-        resolve({ code, stdout, stderr, logs });
-      }
-    });
-    
-    child.on('error', (error) => {
-      clearTimeout(timer);
-      reject(error);
-    });
-  });
+  if (!config) {
+    throw new ValidationError(`Unknown network: ${network}`, { network });
+  }
+  
+  return config;
 }
 
 /**
@@ -84,37 +50,132 @@ async function executeCommand(command, options = {}) {
  * @returns {string} RPC URL
  */
 function getRpcUrl(network) {
-  switch (network) {
-    case NETWORKS.DEVNET:
-      return DEVNET_RPC_URL;
-    case NETWORKS.MAINNET:
-      return MAINNET_RPC_URL;
-    default:
-      return DEVNET_RPC_URL;
+  return requireNetwork(network).rpcUrl;
+}
+
+/**
+ * Build the CLI arguments that pin a command to a deployment's cluster
+ * Every Solana CLI call passes its config, RPC URL and signer explicitly so
+ * concurrent deployments never share the global config or id.json
+ * @param {Object} cluster - Cluster context from configureCluster
+ * @returns {Array<string>} CLI arguments
+ */
+function getClusterArgs(cluster) {
+  const args = ['--config', cluster.configPath, '--url', cluster.rpcUrl];
+  
+  if (cluster.wsUrl) {
+    args.push('--ws', cluster.wsUrl);
+  }
+  
+  if (cluster.keypairPath) {
+    args.push('--keypair', cluster.keypairPath);
+  }
+  
+  return args;
+}
+
+/**
+ * Get the websocket URL to pair with an RPC endpoint
+ * A configured ws_url belongs to the primary endpoint; for fallbacks the CLI
+ * derives the websocket URL from the RPC URL
+ * @param {string} network - Network name
+ * @param {string} rpcUrl - RPC endpoint
+ * @returns {string|null} Websocket URL
+ */
+function getEndpointWsUrl(network, rpcUrl) {
+  const config = requireNetwork(network);
+  return rpcUrl === config.rpcUrl ? config.wsUrl : null;
+}
+
+/**
+ * Run an RPC-backed operation, failing over between the network's endpoints
+ * The cluster context is pointed at each endpoint in turn and stays on the
+ * one that succeeded, so later calls start there
+ * @param {Object} cluster - Cluster context from configureCluster
+ * @param {string} deploymentId - Deployment identifier for logging
+ * @param {Function} operation - Receives the cluster context; rejects on failure
+ * @param {Object} options - Failover options
+ * @param {boolean} options.failoverOnTimeout - Treat a command timeout as an endpoint failure
+ *   (never applies once the deployment is cancelled or out of time)
+ * @returns {Promise<*>} Operation result
+ */
+async function withRpcFailover(cluster, deploymentId, operation, { failoverOnTimeout = true } = {}) {
+  const signal = getDeploymentSignal();
+  const ordered = await getOrderedEndpoints(cluster.network);
+  const endpoints = [cluster.rpcUrl, ...ordered.filter(rpcUrl => rpcUrl !== cluster.rpcUrl)];
+  
+  for (let i = 0; i < endpoints.length; i++) {
+    const rpcUrl = endpoints[i];
+    cluster.rpcUrl = rpcUrl;
+    cluster.wsUrl = getEndpointWsUrl(cluster.network, rpcUrl);
+    
+    try {
+      return await operation(cluster);
+    } catch (error) {
+      // CLI errors echo the command line, which may carry an API key
+      error.message = scrubUrl(error.message, rpcUrl);
+      
+      const isEndpointFailure = isRpcTransportError(error, signal) &&
+        (failoverOnTimeout || !(error instanceof TimeoutError));
+      
+      if (!isEndpointFailure) {
+        throw error;
+      }
+      
+      await reportEndpointFailure(cluster.network, rpcUrl, error);
+      
+      if (i === endpoints.length - 1) {
+        throw error;
+      }
+      
+      logger.deployment(deploymentId, 'warn', 'RPC endpoint failed, failing over', {
+        network: cluster.network,
+        failedEndpoint: redactUrl(rpcUrl),
+        nextEndpoint: redactUrl(endpoints[i + 1]),
+        error: error.message
+      });
+    }
   }
 }
 
 /**
- * Configure Solana CLI cluster
+ * Create an isolated Solana CLI config for a deployment
  * @param {string} network - Target network
  * @param {string} deploymentId - Deployment identifier for logging
- * @returns {Promise<void>}
+ * @returns {Promise<Object>} Cluster context (network, rpcUrl, wsUrl, configPath, keypairPath)
  */
 async function configureCluster(network, deploymentId) {
   logger.deployment(deploymentId, 'info', 'Configuring Solana cluster', { network });
   
   try {
-    const rpcUrl = getRpcUrl(network);
-    const command = `${SOLANA_CLI_PATH} config set --url ${rpcUrl}`;
+    requireNetwork(network);
+    
+    // Start on the best endpoint; calls fail over from there
+    const [rpcUrl] = await getOrderedEndpoints(network);
+    const wsUrl = getEndpointWsUrl(network, rpcUrl);
+    const configDir = path.join(DEPLOYMENT_CONFIG_DIR, deploymentId);
+    const configPath = path.join(configDir, 'config.yml');
     
-    const result = await executeCommand(command, { timeout: 30000 });
+    fs.mkdirSync(configDir, { recursive: true, mode: 0o700 });
+    
+    const wsArgs = wsUrl ? ['--ws', wsUrl] : [];
+    await executeCommand(SOLANA_CLI_PATH, [
+      'config', 'set', '--config', configPath, '--url', rpcUrl, ...wsArgs
+    ], { timeout: 30000 });
     
     logger.deployment(deploymentId, 'info', 'Cluster configured successfully', { 
       network, 
-      rpcUrl 
+      endpoint: redactUrl(rpcUrl),
+      configPath
     });
     
-    return result;
+    return {
+      network,
+      rpcUrl,
+      wsUrl,
+      configPath,
+      keypairPath: null
+    };
   } catch (error) {
     logger.deployment(deploymentId, 'error', 'Failed to configure cluster', { 
       error: error.message,
@@ -124,18 +185,69 @@ async function configureCluster(network, deploymentId) {
   }
 }
 
+/**
+ * Point a deployment's Solana CLI config at its signer keypair
+ * @param {Object} cluster - Cluster context from configureCluster
+ * @param {string} keypairPath - Path to the deployment keypair
+ * @param {string} deploymentId - Deployment identifier for logging
+ * @returns {Promise<Object>} Updated cluster context
+ */
+async function setClusterKeypair(cluster, keypairPath, deploymentId) {
+  logger.deployment(deploymentId, 'info', 'Setting deployment keypair', { keypairPath });
+  
+  try {
+    await executeCommand(SOLANA_CLI_PATH, [
+      'config', 'set', '--config', cluster.configPath, '--keypair', keypairPath
+    ], { timeout: 30000 });
+    
+    cluster.keypairPath = keypairPath;
+    
+    return cluster;
+  } catch (error) {
+    logger.deployment(deploymentId, 'error', 'Failed to set deployment keypair', { 
+      error: error.message,
+      keypairPath 
+    });
+    throw new NetworkError('Failed to configure Solana keypair', error.message);
+  }
+}
+
+/**
+ * Remove a deployment's Solana CLI config
+ * @param {Object} cluster - Cluster context from configureCluster
+ * @param {string} deploymentId - Deployment identifier for logging
+ */
+function cleanupClusterConfig(cluster, deploymentId) {
+  try {
+    fs.rmSync(path.dirname(cluster.configPath), { recursive: true, force: true });
+    logger.deployment(deploymentId, 'info', 'Removed deployment Solana config', {
+      configPath: cluster.configPath
+    });
+  } catch (error) {
+    logger.deployment(deploymentId, 'warn', 'Failed to remove deployment Solana config', {
+      error: error.message,
+      configPath: cluster.configPath
+    });
+    // Don't throw - cleanup is best effort
+  }
+}
+
 /**
  * Get wallet balance
  * @param {string} address - Wallet address
  * @param {string} deploymentId - Deployment identifier for logging
+ * @param {Object} cluster - Cluster context from configureCluster
  * @returns {Promise<number>} Balance in SOL
  */
-async function getBalance(address, deploymentId) {
+async function getBalance(address, deploymentId, cluster) {
   logger.deployment(deploymentId, 'info', 'Checking wallet balance', { address });
   
   try {
-    const command = `${SOLANA_CLI_PATH} balance ${address}`;
-    const result = await executeCommand(command, { timeout: 30000 });
+    const result = await withRpcFailover(cluster, deploymentId, () => executeCommand(
+      SOLANA_CLI_PATH,
+      ['balance', ...getClusterArgs(cluster), '--', address],
+      { timeout: 30000 }
+    ));
     
     // Parse balance from output (format: "X.XXXXXXXXX SOL")
     const balanceMatch = result.stdout.match(/(\d+\.?\d*)\s+SOL/);
@@ -161,10 +273,11 @@ async function getBalance(address, deploymentId) {
  * @param {string} address - Wallet address
  * @param {number} amount - Amount of SOL to airdrop
  * @param {string} deploymentId - Deployment identifier for logging
+ * @param {Object} cluster - Cluster context from configureCluster
  * @param {number} retries - Number of retries remaining
  * @returns {Promise<string>} Transaction signature
  */
-async function requestAirdrop(address, amount, deploymentId, retries = AIRDROP_MAX_RETRIES) {
+async function requestAirdrop(address, amount, deploymentId, cluster, retries = AIRDROP_MAX_RETRIES) {
   logger.deployment(deploymentId, 'info', 'Requesting airdrop', { 
     address, 
     amount,
@@ -172,8 +285,11 @@ async function requestAirdrop(address, amount, deploymentId, retries = AIRDROP_M
   });
   
   try {
-    const command = `${SOLANA_CLI_PATH} airdrop ${amount} ${address}`;
-    const result = await executeCommand(command, { timeout: 60000 });
+    const result = await withRpcFailover(cluster, deploymentId, () => executeCommand(
+      SOLANA_CLI_PATH,
+      ['airdrop', ...getClusterArgs(cluster), '--', amount, address],
+      { timeout: 60000 }
+    ));
     
     // Extract signature from output
     const signatureMatch = result.stdout.match(/Signature: ([A-Za-z0-9]+)/);
@@ -183,7 +299,7 @@ async function requestAirdrop(address, amount, deploymentId, retries = AIRDROP_M
     await new Promise(resolve => setTimeout(resolve, 3000));
     
     // Verify balance increased
-    const balance = await getBalance(address, deploymentId);
+    const balance = await getBalance(address, deploymentId, cluster);
     
     if (balance < amount * 0.9) { // Allow 10% margin
       throw new Error('Airdrop did not reflect in balance');
@@ -207,7 +323,7 @@ async function requestAirdrop(address, amount, deploymentId, retries = AIRDROP_M
       // Wait before retry
       await new Promise(resolve => setTimeout(resolve, 5000));
       
-      return requestAirdrop(address, amount, deploymentId, retries - 1);
+      return requestAirdrop(address, amount, deploymentId, cluster, retries - 1);
     }
     
     logger.deployment(deploymentId, 'error', 'Airdrop failed after all retries', { 
@@ -225,21 +341,27 @@ async function requestAirdrop(address, amount, deploymentId, retries = AIRDROP_M
  * @param {string} address - Wallet address
  * @param {string} network - Target network
  * @param {string} deploymentId - Deployment identifier for logging
+ * @param {Object} cluster - Cluster context from configureCluster
+ * @param {Object} options - Funding options
+ * @param {boolean} options.deferShortfall - Return a balance the faucet could not top up
+ *   (no faucet, or airdrops failed after retries) instead of throwing, for the caller to fund
  * @returns {Promise<number>} Final balance
  */
-async function ensureFunding(address, network, deploymentId) {
+async function ensureFunding(address, network, deploymentId, cluster, { deferShortfall = false } = {}) {
+  const { minBalance, airdrop } = requireNetwork(network);
+  
   logger.deployment(deploymentId, 'info', 'Ensuring wallet has sufficient funds', { 
     address, 
     network,
-    minBalance: MIN_SOL_BALANCE
+    minBalance
   });
   
   try {
     // Check current balance
-    let balance = await getBalance(address, deploymentId);
+    let balance = await getBalance(address, deploymentId, cluster);
     
     // If balance is sufficient, return
-    if (balance >= MIN_SOL_BALANCE) {
+    if (balance >= minBalance) {
       logger.deployment(deploymentId, 'info', 'Wallet has sufficient balance', { 
         address, 
         balance 
@@ -247,29 +369,52 @@ async function ensureFunding(address, network, deploymentId) {
       return balance;
     }
     
-    // Only devnet supports airdrops
-    if (network !== NETWORKS.DEVNET) {
+    // Only networks with a faucet support airdrops
+    if (!airdrop && deferShortfall) {
+      logger.deployment(deploymentId, 'info', 'No faucet on network, deferring funding', {
+        address,
+        network,
+        balance
+      });
+      return balance;
+    }
+    
+    if (!airdrop) {
       throw new InsufficientBalanceError(
-        `Insufficient balance for mainnet deployment. Required: ${MIN_SOL_BALANCE} SOL, Current: ${balance} SOL`,
-        { address, balance, required: MIN_SOL_BALANCE }
+        `Insufficient balance for ${network} deployment. Required: ${minBalance} SOL, Current: ${balance} SOL`,
+        { address, balance, required: minBalance }
       );
     }
     
-    // Request airdrop on devnet
-    logger.deployment(deploymentId, 'info', 'Requesting devnet airdrop', { 
+    // Request airdrop
+    logger.deployment(deploymentId, 'info', 'Requesting airdrop', { 
       address,
+      network,
       amount: AIRDROP_AMOUNT
     });
     
-    await requestAirdrop(address, AIRDROP_AMOUNT, deploymentId);
+    try {
+      await requestAirdrop(address, AIRDROP_AMOUNT, deploymentId, cluster);
+    } catch (error) {
+      if (!deferShortfall) {
+        throw error;
+      }
+      
+      logger.deployment(deploymentId, 'warn', 'Faucet unavailable, deferring funding', {
+        address,
+        network,
+        error: error.message
+      });
+      return getBalance(address, deploymentId, cluster);
+    }
     
     // Get updated balance
-    balance = await getBalance(address, deploymentId);
+    balance = await getBalance(address, deploymentId, cluster);
     
-    if (balance < MIN_SOL_BALANCE) {
+    if (balance < minBalance) {
       throw new InsufficientBalanceError(
-        `Insufficient balance after airdrop. Required: ${MIN_SOL_BALANCE} SOL, Current: ${balance} SOL`,
-        { address, balance, required: MIN_SOL_BALANCE }
+        `Insufficient balance after airdrop. Required: ${minBalance} SOL, Current: ${balance} SOL`,
+        { address, balance, required: minBalance }
       );
     }
     
@@ -294,18 +439,57 @@ async function ensureFunding(address, network, deploymentId) {
   }
 }
 
+/**
+ * Transfer SOL from the cluster's keypair, which also pays the fee
+ * Not failed over on timeouts: the transfer may already have landed.
+ * @param {string} recipient - Recipient address
+ * @param {number|string} amount - Amount in SOL, or 'ALL' for the whole balance less the fee
+ * @param {string} deploymentId - Deployment identifier for logging
+ * @param {Object} cluster - Cluster context from configureCluster
+ * @returns {Promise<string|null>} Transaction signature
+ */
+async function transfer(recipient, amount, deploymentId, cluster) {
+  // Fixed-point, so small amounts are not written in exponent notation
+  const amountArg = amount === 'ALL' ? amount : amount.toFixed(9);
+  
+  logger.deployment(deploymentId, 'info', 'Transferring SOL', { recipient, amount: amountArg });
+  
+  try {
+    const result = await withRpcFailover(cluster, deploymentId, () => executeCommand(
+      SOLANA_CLI_PATH,
+      ['transfer', ...getClusterArgs(cluster), '--allow-unfunded-recipient', '--', recipient, amountArg],
+      { timeout: 60000 }
+    ), { failoverOnTimeout: false });
+    
+    const signatureMatch = result.stdout.match(/Signature: ([A-Za-z0-9]+)/);
+    
+    return signatureMatch ? signatureMatch[1] : null;
+  } catch (error) {
+    logger.deployment(deploymentId, 'error', 'Failed to transfer SOL', {
+      error: error.message,
+      recipient,
+      amount: amountArg
+    });
+    throw new NetworkError('Failed to transfer SOL', error.message);
+  }
+}
+
 /**
  * Confirm transaction
  * @param {string} signature - Transaction signature
  * @param {string} deploymentId - Deployment identifier for logging
+ * @param {Object} cluster - Cluster context from configureCluster
  * @returns {Promise<boolean>} True if confirmed
  */
-async function confirmTransaction(signature, deploymentId) {
+async function confirmTransaction(signature, deploymentId, cluster) {
   logger.deployment(deploymentId, 'info', 'Confirming transaction', { signature });
   
   try {
-    const command = `${SOLANA_CLI_PATH} confirm ${signature}`;
-    await executeCommand(command, { timeout: 60000 });
+    await withRpcFailover(cluster, deploymentId, () => executeCommand(
+      SOLANA_CLI_PATH,
+      ['confirm', ...getClusterArgs(cluster), '--', signature],
+      { timeout: 60000 }
+    ));
     
     logger.deployment(deploymentId, 'info', 'Transaction confirmed', { signature });
     return true;
@@ -318,13 +502,73 @@ async function confirmTransaction(signature, deploymentId) {
   }
 }
 
+/**
+ * Find program buffer accounts held by an authority
+ * An interrupted deploy leaves its program bytes in a buffer account whose
+ * rent can be reclaimed with closeProgramBuffer
+ * @param {string} authority - Buffer authority (the deployment wallet)
+ * @param {string} deploymentId - Deployment identifier for logging
+ * @param {Object} cluster - Cluster context from configureCluster
+ * @returns {Promise<Array<Object>>} Buffers ({ address, authority, balance_sol }); empty if the lookup fails
+ */
+async function findProgramBuffers(authority, deploymentId, cluster) {
+  try {
+    // Runs after a cancellation, so it must not use the deployment's signal
+    const result = await withRpcFailover(cluster, deploymentId, () => executeCommand(
+      SOLANA_CLI_PATH,
+      ['program', 'show', '--buffers', '--buffer-authority', authority, '--output', 'json', ...getClusterArgs(cluster)],
+      { timeout: 30000, signal: null }
+    ));
+    
+    const { buffers = [] } = JSON.parse(result.stdout);
+    
+    return buffers.map(buffer => ({
+      address: buffer.address,
+      authority: buffer.authority,
+      balance_sol: buffer.lamports / 1e9
+    }));
+  } catch (error) {
+    logger.deployment(deploymentId, 'warn', 'Failed to look up program buffers', {
+      error: error.message,
+      authority
+    });
+    return [];
+  }
+}
+
+/**
+ * Close a program buffer account, returning its rent to the buffer authority
+ * @param {string} address - Buffer address
+ * @param {string} deploymentId - Deployment identifier for logging
+ * @param {Object} cluster - Cluster context signing with the buffer authority
+ * @returns {Promise<void>}
+ * @throws {Error} If the buffer cannot be closed
+ */
+async function closeProgramBuffer(address, deploymentId, cluster) {
+  // Runs after a cancellation, so it must not use the deployment's signal;
+  // not failed over on timeouts, as the close may still land
+  await withRpcFailover(cluster, deploymentId, () => executeCommand(
+    SOLANA_CLI_PATH,
+    ['program', 'close', ...getClusterArgs(cluster), '--', address],
+    { timeout: 60000, signal: null }
+  ), { failoverOnTimeout: false });
+  
+  logger.deployment(deploymentId, 'info', 'Program buffer closed', { buffer: address });
+}
+
 module.exports = {
-  executeCommand,
   configureCluster,
+  setClusterKeypair,
+  cleanupClusterConfig,
+  getClusterArgs,
+  withRpcFailover,
   getBalance,
   requestAirdrop,
   ensureFunding,
+  transfer,
   confirmTransaction,
+  findProgramBuffers,
+  closeProgramBuffer,
   getRpcUrl
 };
 
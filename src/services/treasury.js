@@ -0,0 +1,238 @@
+/**
+ * Treasury Module
+ * Funds ephemeral deployer wallets from a stored wallet when no faucet can,
+ * within per-deployment and per-day spend ceilings. Every transfer is
+ * recorded, and counted against the ceilings, before it is sent.
+ */
+
+const logger = require('../utils/logger');
+const { defineSchema, getDatabase, prepare } = require('./database');
+const { getWallet } = require('./walletKeystore');
+const { saveStoredWalletKeypair, deleteKeypair } = require('./walletManager');
+const { getBalance, transfer } = require('./solanaCliWrapper');
+const {
+  WalletError,
+  NotFoundError,
+  InsufficientBalanceError,
+  QuotaExceededError
+} = require('../utils/errorHandler');
+const {
+  DEPLOYMENT_TIMEOUT_MS,
+  TREASURY_ADDRESS,
+  TREASURY_WALLET_ID,
+  TREASURY_MAX_SOL_PER_DEPLOYMENT,
+  TREASURY_MAX_SOL_PER_DAY
+} = require('../config/constants');
+
+// Fee for the top-up transfer, paid by the treasury on top of the amount
+const TRANSFER_FEE_LAMPORTS = 5000;
+
+const TRANSFER_STATUS = {
+  PENDING: 'pending',
+  SENT: 'sent',
+  FAILED: 'failed'
+};
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS treasury_transfers (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  deployment_id TEXT NOT NULL,
+  network TEXT NOT NULL,
+  recipient TEXT NOT NULL,
+  lamports INTEGER NOT NULL,
+  status TEXT NOT NULL,
+  signature TEXT,
+  error TEXT,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS treasury_transfers_created ON treasury_transfers (created_at);
+CREATE INDEX IF NOT EXISTS treasury_transfers_deployment ON treasury_transfers (deployment_id);
+`;
+
+defineSchema((db) => {
+  db.exec(SCHEMA);
+});
+
+/**
+ * Check whether ephemeral wallets can be funded from the treasury
+ * @returns {boolean} True if a treasury wallet is configured
+ */
+function isTreasuryFundingEnabled() {
+  return !!TREASURY_WALLET_ID;
+}
+
+/**
+ * Get the stored treasury wallet
+ * @returns {Object} Wallet
+ * @throws {WalletError} If TREASURY_WALLET_ID is not a stored wallet
+ */
+function getTreasuryWallet() {
+  try {
+    return getWallet(TREASURY_WALLET_ID);
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      throw new WalletError('TREASURY_WALLET_ID does not name a stored wallet', { wallet_id: TREASURY_WALLET_ID });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get the address leftover SOL is swept to
+ * @returns {string|null} TREASURY_ADDRESS, else the treasury wallet's address
+ */
+function getTreasuryAddress() {
+  if (TREASURY_ADDRESS) {
+    return TREASURY_ADDRESS;
+  }
+  
+  return isTreasuryFundingEnabled() ? getTreasuryWallet().address : null;
+}
+
+/**
+ * Get the start of the current UTC day, when the daily ceiling resets
+ * @returns {string} ISO 8601 timestamp
+ */
+function getSpendDayStart() {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())).toISOString();
+}
+
+/**
+ * Record a transfer before sending it, if it fits under both ceilings
+ * Runs as an immediate transaction so concurrent workers cannot both take
+ * the last of the daily budget
+ * @param {string} deploymentId - Deployment identifier
+ * @param {string} network - Network name
+ * @param {string} recipient - Recipient address
+ * @param {number} lamports - Amount
+ * @returns {number} Transfer row ID
+ * @throws {QuotaExceededError} If a ceiling would be exceeded
+ */
+function reserveTransfer(deploymentId, network, recipient, lamports) {
+  return getDatabase().transaction(() => {
+    // Failed transfers still count: one that timed out may have landed
+    const spentFor = (condition, param) => prepare(`
+      SELECT TOTAL(lamports) AS lamports FROM treasury_transfers WHERE ${condition}
+    `).get(param).lamports;
+    
+    const deploymentTotal = spentFor('deployment_id = ?', deploymentId) + lamports;
+    const dayTotal = spentFor('created_at >= ?', getSpendDayStart()) + lamports;
+    
+    if (deploymentTotal > TREASURY_MAX_SOL_PER_DEPLOYMENT * 1e9) {
+      throw new QuotaExceededError('Treasury per-deployment spend ceiling exceeded', {
+        required_sol: deploymentTotal / 1e9,
+        max_sol_per_deployment: TREASURY_MAX_SOL_PER_DEPLOYMENT
+      });
+    }
+    
+    if (dayTotal > TREASURY_MAX_SOL_PER_DAY * 1e9) {
+      throw new QuotaExceededError('Treasury daily spend ceiling exceeded', {
+        required_sol: lamports / 1e9,
+        spent_today_sol: (dayTotal - lamports) / 1e9,
+        max_sol_per_day: TREASURY_MAX_SOL_PER_DAY
+      });
+    }
+    
+    return prepare(`
+      INSERT INTO treasury_transfers (deployment_id, network, recipient, lamports, status, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(deploymentId, network, recipient, lamports, TRANSFER_STATUS.PENDING, new Date().toISOString())
+      .lastInsertRowid;
+  }).immediate();
+}
+
+/**
+ * Drop a reserved transfer that was never sent, so it no longer counts
+ * @param {number} transferId - Transfer row ID
+ */
+function releaseTransfer(transferId) {
+  prepare('DELETE FROM treasury_transfers WHERE id = ? AND status = ?').run(transferId, TRANSFER_STATUS.PENDING);
+}
+
+/**
+ * Get what other reserved transfers will take from the treasury on a network
+ * Pending rows older than DEPLOYMENT_TIMEOUT_MS were left by a crashed
+ * worker and are ignored.
+ * @param {string} network - Network name
+ * @param {number} transferId - Transfer to leave out
+ * @returns {number} Lamports, fees included
+ */
+function getReservedLamports(network, transferId) {
+  const cutoff = new Date(Date.now() - DEPLOYMENT_TIMEOUT_MS).toISOString();
+  const { lamports, count } = prepare(`
+    SELECT TOTAL(lamports) AS lamports, COUNT(*) AS count FROM treasury_transfers
+    WHERE network = ? AND status = ? AND id != ? AND created_at >= ?
+  `).get(network, TRANSFER_STATUS.PENDING, transferId, cutoff);
+  
+  return lamports + count * TRANSFER_FEE_LAMPORTS;
+}
+
+/**
+ * Top up a deployer wallet from the treasury to the amount a deploy needs
+ * @param {string} deploymentId - Deployment identifier
+ * @param {string} address - Deployer wallet address
+ * @param {number} requiredLamports - Balance the deploy needs
+ * @param {Object} cluster - Cluster context for the deployment
+ * @returns {Promise<number>} Wallet balance after the top-up, in SOL
+ * @throws {QuotaExceededError} If a spend ceiling would be exceeded
+ * @throws {InsufficientBalanceError} If the treasury cannot cover the top-up
+ */
+async function fundFromTreasury(deploymentId, address, requiredLamports, cluster) {
+  const balance = await getBalance(address, deploymentId, cluster);
+  const lamports = requiredLamports - Math.round(balance * 1e9);
+  
+  if (lamports <= 0) {
+    return balance;
+  }
+  
+  const treasury = getTreasuryWallet();
+  const transferId = reserveTransfer(deploymentId, cluster.network, address, lamports);
+  let keypairPath;
+  
+  // Checked once reserved, so concurrent top-ups are counted against the same balance
+  try {
+    const treasuryBalance = await getBalance(treasury.address, deploymentId, cluster);
+    const reserved = getReservedLamports(cluster.network, transferId);
+    
+    if (Math.round(treasuryBalance * 1e9) - reserved < lamports + TRANSFER_FEE_LAMPORTS) {
+      throw new InsufficientBalanceError(
+        `Treasury balance too low to fund deployment. Required: ${lamports / 1e9} SOL, Treasury: ${treasuryBalance} SOL`,
+        { treasury: treasury.address, balance: treasuryBalance, reserved: reserved / 1e9, required: lamports / 1e9 }
+      );
+    }
+    
+    ({ keypairPath } = saveStoredWalletKeypair(treasury.id, `treasury-${deploymentId}`));
+  } catch (error) {
+    releaseTransfer(transferId);
+    throw error;
+  }
+  
+  try {
+    const signature = await transfer(address, lamports / 1e9, deploymentId, { ...cluster, keypairPath });
+    
+    prepare('UPDATE treasury_transfers SET status = ?, signature = ? WHERE id = ?')
+      .run(TRANSFER_STATUS.SENT, signature, transferId);
+    
+    logger.deployment(deploymentId, 'info', 'Wallet funded from treasury', {
+      address,
+      amount: lamports / 1e9,
+      signature
+    });
+  } catch (error) {
+    prepare('UPDATE treasury_transfers SET status = ?, error = ? WHERE id = ?')
+      .run(TRANSFER_STATUS.FAILED, error.message, transferId);
+    throw error;
+  } finally {
+    deleteKeypair(keypairPath);
+  }
+  
+  return getBalance(address, deploymentId, cluster);
+}
+
+module.exports = {
+  isTreasuryFundingEnabled,
+  getTreasuryAddress,
+  fundFromTreasury
+};
@@ -0,0 +1,276 @@
+/**
+ * Vanity Grinder Module
+ * Grinds program keypairs whose address starts and/or ends with a pattern,
+ * spreading the search over worker threads. The ground keypair goes through
+ * the program keystore like any other, so redeploys keep the vanity ID. A
+ * program that already has a usable stored keypair keeps it.
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { Keypair } = require('@solana/web3.js');
+const logger = require('../utils/logger');
+const {
+  STORED_KEYPAIR_STATUS,
+  getProgramKeypairs,
+  getStoredProgramIds,
+  getStoredKeypairStatus
+} = require('./programKeystore');
+const { recordStepProgress } = require('./deploymentState');
+const { getDeploymentSignal } = require('../utils/deploymentContext');
+const { estimateVanityAttempts } = require('../utils/validators');
+const { CancelledError, TimeoutError, ConflictError } = require('../utils/errorHandler');
+const {
+  VANITY_THREADS,
+  VANITY_MAX_ATTEMPTS,
+  VANITY_TIMEOUT_MS
+} = require('../config/constants');
+
+const WORKER_PATH = path.join(__dirname, 'vanityGrinderWorker.js');
+
+// How often progress is reported while grinding
+const PROGRESS_INTERVAL_MS = 2000;
+
+/**
+ * Check whether an address matches a vanity pattern
+ * @param {string} address - base58 address
+ * @param {Object} pattern - { prefix, suffix, caseInsensitive }
+ * @returns {boolean} True if it matches
+ */
+function matchesPattern(address, { prefix = '', suffix = '', caseInsensitive = false }) {
+  const normalize = value => (caseInsensitive ? value.toLowerCase() : value);
+  const normalized = normalize(address);
+  
+  return normalized.startsWith(normalize(prefix || '')) && normalized.endsWith(normalize(suffix || ''));
+}
+
+/**
+ * Grind a keypair matching a vanity pattern across worker threads
+ * Inside a deployment the workers stop when it is cancelled or its step
+ * runs out of time
+ * @param {Object} pattern - { prefix, suffix, caseInsensitive }
+ * @param {Object} options - Grinding options
+ * @param {number} options.threads - Worker threads
+ * @param {number} options.maxAttempts - Attempt budget across all threads
+ * @param {number} options.timeoutMs - Time budget
+ * @param {Function} options.onProgress - Called with { attempts, elapsed_ms } every few seconds
+ * @returns {Promise<Object>} { keypair, attempts, duration_ms }
+ * @throws {TimeoutError} If either budget runs out first
+ * @throws {CancelledError} If the deployment is cancelled
+ * @throws {Error} If a worker thread fails
+ */
+function grindVanityKeypair(pattern, {
+  threads = VANITY_THREADS,
+  maxAttempts = VANITY_MAX_ATTEMPTS,
+  timeoutMs = VANITY_TIMEOUT_MS,
+  onProgress = null
+} = {}) {
+  const signal = getDeploymentSignal();
+  
+  if (signal && signal.aborted) {
+    return Promise.reject(signal.reason instanceof TimeoutError
+      ? signal.reason
+      : new CancelledError('Vanity grinding cancelled'));
+  }
+  
+  return new Promise((resolve, reject) => {
+    const startTime = Date.now();
+    const workers = [];
+    let attempts = 0;
+    let settled = false;
+    let reported = Promise.resolve();
+    
+    // Progress writes are chained so they land in order and finish before the promise settles;
+    // a failed write only loses that report
+    const report = () => {
+      if (onProgress) {
+        const progress = { attempts, elapsed_ms: Date.now() - startTime };
+        reported = reported.then(() => onProgress(progress)).catch(() => {});
+      }
+    };
+    
+    const finish = (error, result) => {
+      if (settled) {
+        return;
+      }
+      
+      settled = true;
+      clearTimeout(timer);
+      clearInterval(progressTimer);
+      
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      
+      workers.forEach(worker => worker.terminate());
+      report();
+      reported.then(() => (error ? reject(error) : resolve(result)));
+    };
+    
+    const outOfBudget = reason => new TimeoutError(`Vanity grinding ${reason} without a match`, {
+      attempts,
+      elapsed_ms: Date.now() - startTime,
+      max_attempts: maxAttempts,
+      timeout_ms: timeoutMs
+    });
+    
+    const onAbort = () => finish(signal.reason instanceof TimeoutError
+      ? signal.reason
+      : new CancelledError('Vanity grinding cancelled', { attempts }));
+    
+    const timer = setTimeout(() => finish(outOfBudget('timed out')), timeoutMs);
+    const progressTimer = setInterval(report, PROGRESS_INTERVAL_MS);
+    
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    
+    for (let i = 0; i < Math.max(1, threads); i++) {
+      const worker = new Worker(WORKER_PATH, {
+        workerData: {
+          prefix: pattern.prefix || '',
+          suffix: pattern.suffix || '',
+          caseInsensitive: !!pattern.caseInsensitive
+        }
+      });
+      
+      worker.on('message', (message) => {
+        if (settled) {
+          return;
+        }
+        
+        attempts += message.attempts;
+        
+        if (message.secretKey) {
+          finish(null, {
+            keypair: Keypair.fromSecretKey(Uint8Array.from(message.secretKey)),
+            attempts,
+            duration_ms: Date.now() - startTime
+          });
+        } else if (attempts >= maxAttempts) {
+          finish(outOfBudget('used its attempt budget'));
+        }
+      });
+      
+      // Workers only exit once terminated; any earlier exit means one died
+      worker.on('error', finish);
+      worker.on('exit', code => finish(new Error(`Vanity grinder thread exited with code ${code}`)));
+      workers.push(worker);
+    }
+  });
+}
+
+/**
+ * Check whether a stored keypair can still deploy its program (best effort)
+ * @param {string} deploymentId - Deployment identifier
+ * @param {string} network - Network name
+ * @param {string} programId - Program ID of the stored keypair
+ * @param {string|null} signerAddress - Wallet the deployment will sign with
+ * @returns {Promise<boolean>} False if its program is live under another authority
+ */
+async function isStoredKeypairUsable(deploymentId, network, programId, signerAddress) {
+  try {
+    return await getStoredKeypairStatus(network, programId, signerAddress) !== STORED_KEYPAIR_STATUS.FOREIGN;
+  } catch (error) {
+    // A local validator may not be up yet; the build step checks again before writing keypairs
+    logger.deployment(deploymentId, 'warn', 'Could not look up stored program before grinding', {
+      programId,
+      error: error.message
+    });
+    return true;
+  }
+}
+
+/**
+ * Get a vanity keypair for a deployment's program
+ * A keypair stored from the key's earlier deploy of the repository is reused if it
+ * matches, so redeploying does not grind a new program ID. One whose program is
+ * live under an authority the deployment's wallet is not can never deploy again,
+ * so a new keypair is ground in its place.
+ * @param {string} deploymentId - Deployment identifier
+ * @param {Object} owner - { apiKeyId, network, repoUrl } owning the stored keypairs
+ * @param {string} programName - Program the keypair is for
+ * @param {Object} pattern - { prefix, suffix, caseInsensitive }
+ * @param {string|null} signerAddress - Wallet the deployment will sign with (null for a generated one)
+ * @returns {Promise<Object>} { keypair, address, attempts, duration_ms, reused }
+ * @throws {ConflictError} If the program already has a usable stored keypair that does not match
+ */
+async function grindProgramKeypair(deploymentId, owner, programName, pattern, signerAddress = null) {
+  let storedProgramId = getStoredProgramIds(owner).get(programName);
+  
+  if (storedProgramId && !(await isStoredKeypairUsable(deploymentId, owner.network, storedProgramId, signerAddress))) {
+    logger.deployment(deploymentId, 'info', 'Stored program keypair cannot deploy again; grinding a new one', {
+      programName,
+      storedProgramId
+    });
+    storedProgramId = null;
+  }
+  
+  // The stored keypair may be the only key behind a deployed program; never grind over it
+  if (storedProgramId && !matchesPattern(storedProgramId, pattern)) {
+    throw new ConflictError(`Program ${programName} of this repository already has a program ID that does not match the vanity pattern`, {
+      program: programName,
+      stored_program_id: storedProgramId,
+      vanity_prefix: pattern.prefix || null,
+      vanity_suffix: pattern.suffix || null
+    });
+  }
+  
+  if (storedProgramId) {
+    const stored = getProgramKeypairs(owner).get(programName);
+    
+    logger.deployment(deploymentId, 'info', 'Stored program keypair already matches vanity pattern', {
+      programName,
+      address: stored.publicKey.toBase58()
+    });
+    
+    return {
+      keypair: stored,
+      address: stored.publicKey.toBase58(),
+      attempts: 0,
+      duration_ms: 0,
+      reused: true
+    };
+  }
+  
+  const threads = Math.max(1, VANITY_THREADS);
+  const expectedAttempts = Math.round(estimateVanityAttempts(pattern.prefix, pattern.suffix, pattern.caseInsensitive));
+  
+  logger.deployment(deploymentId, 'info', 'Grinding vanity program keypair', {
+    programName,
+    prefix: pattern.prefix,
+    suffix: pattern.suffix,
+    caseInsensitive: !!pattern.caseInsensitive,
+    expectedAttempts,
+    threads
+  });
+  
+  const result = await grindVanityKeypair(pattern, {
+    threads,
+    onProgress: ({ attempts, elapsed_ms }) => recordStepProgress(deploymentId, {
+      attempts,
+      attempts_per_second: elapsed_ms > 0 ? Math.round(attempts / (elapsed_ms / 1000)) : 0,
+      expected_attempts: expectedAttempts,
+      elapsed_ms,
+      max_attempts: VANITY_MAX_ATTEMPTS,
+      timeout_ms: VANITY_TIMEOUT_MS,
+      threads
+    })
+  });
+  const address = result.keypair.publicKey.toBase58();
+  
+  logger.deployment(deploymentId, 'info', 'Vanity program keypair found', {
+    programName,
+    address,
+    attempts: result.attempts,
+    durationMs: result.duration_ms
+  });
+  
+  return { ...result, address, reused: false };
+}
+
+module.exports = {
+  matchesPattern,
+  grindVanityKeypair,
+  grindProgramKeypair
+};
@@ -0,0 +1,46 @@
+/**
+ * Vanity Grinder Worker
+ * Runs in a worker thread: generates ed25519 keypairs until one's address
+ * matches the pattern, reporting attempts to the parent as it goes. Kept
+ * free of service imports so threads start quickly.
+ */
+
+const crypto = require('crypto');
+const { parentPort, workerData } = require('worker_threads');
+const { encodeBase58 } = require('../utils/base58');
+
+// Keypairs per batch; each message carries the attempts since the last
+const BATCH_SIZE = 1000;
+
+const { prefix, suffix, caseInsensitive } = workerData;
+const normalize = address => (caseInsensitive ? address.toLowerCase() : address);
+const wantedPrefix = normalize(prefix);
+const wantedSuffix = normalize(suffix);
+
+/**
+ * Try one batch of keypairs, then report progress and yield
+ */
+function grindBatch() {
+  for (let attempts = 1; attempts <= BATCH_SIZE; attempts++) {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    const publicBytes = Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url');
+    const address = normalize(encodeBase58(publicBytes));
+    
+    // Only the matching keypair needs its private key exported
+    if (address.startsWith(wantedPrefix) && address.endsWith(wantedSuffix)) {
+      const seed = Buffer.from(privateKey.export({ format: 'jwk' }).d, 'base64url');
+      
+      // Solana secret keys are the 32-byte seed followed by the public key
+      parentPort.postMessage({
+        attempts,
+        secretKey: [...seed, ...publicBytes]
+      });
+      return;
+    }
+  }
+  
+  parentPort.postMessage({ attempts: BATCH_SIZE });
+  setImmediate(grindBatch);
+}
+
+grindBatch();
@@ -0,0 +1,349 @@
+/**
+ * Wallet Keystore Module
+ * Named deployer wallets whose secret keys are encrypted at rest with
+ * AES-256-GCM under WALLET_MASTER_KEY. Secret bytes only leave the
+ * keystore for a running deployment. The program keystore reuses the
+ * same encryption.
+ */
+
+const crypto = require('crypto');
+const { Keypair } = require('@solana/web3.js');
+const { v4: uuidv4 } = require('uuid');
+const { defineSchema, prepare } = require('./database');
+const { rpcCall } = require('./rpcHealth');
+const {
+  WalletError,
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  NetworkError
+} = require('../utils/errorHandler');
+const { WALLET_MASTER_KEY, TREASURY_WALLET_ID } = require('../config/constants');
+
+const CIPHER = 'aes-256-gcm';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS wallets (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL UNIQUE,
+  address TEXT NOT NULL UNIQUE,
+  encrypted_secret TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  created_by TEXT,
+  last_used_at TEXT,
+  deployable INTEGER NOT NULL DEFAULT 1,
+  allowed_api_keys TEXT NOT NULL DEFAULT '[]'
+);
+`;
+
+defineSchema((db) => {
+  db.exec(SCHEMA);
+  
+  // The treasury is only spent by the treasury module, within its ceilings
+  if (TREASURY_WALLET_ID) {
+    db.prepare('UPDATE wallets SET deployable = 0 WHERE id = ?').run(TREASURY_WALLET_ID);
+  }
+});
+
+let masterKey = null;
+
+/**
+ * Check whether secret keys can be stored
+ * @returns {boolean} True if WALLET_MASTER_KEY is set
+ */
+function isKeystoreConfigured() {
+  return !!WALLET_MASTER_KEY;
+}
+
+/**
+ * Get the master key, decoded from WALLET_MASTER_KEY
+ * @returns {Buffer} 32-byte key
+ * @throws {WalletError} If the keystore is not configured
+ */
+function getMasterKey() {
+  if (!masterKey) {
+    if (!WALLET_MASTER_KEY) {
+      throw new WalletError('Wallet keystore is not configured; set WALLET_MASTER_KEY');
+    }
+    
+    const key = /^[0-9a-f]{64}$/i.test(WALLET_MASTER_KEY)
+      ? Buffer.from(WALLET_MASTER_KEY, 'hex')
+      : Buffer.from(WALLET_MASTER_KEY, 'base64');
+    
+    if (key.length !== 32) {
+      throw new WalletError('WALLET_MASTER_KEY must be 32 bytes, base64 or hex encoded');
+    }
+    
+    masterKey = key;
+  }
+  
+  return masterKey;
+}
+
+/**
+ * Encrypt a secret key
+ * The owning row's ID is bound as associated data, so a ciphertext copied
+ * onto another row fails to decrypt
+ * @param {Uint8Array} secretKey - 64-byte secret key
+ * @param {string} walletId - Wallet identifier, or another row's unique key
+ * @returns {string} base64 of IV, auth tag and ciphertext
+ */
+function encryptSecret(secretKey, walletId) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(CIPHER, getMasterKey(), iv);
+  
+  cipher.setAAD(Buffer.from(walletId));
+  
+  const ciphertext = Buffer.concat([cipher.update(secretKey), cipher.final()]);
+  
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+}
+
+/**
+ * Decrypt a secret key
+ * @param {string} encrypted - Output of encryptSecret
+ * @param {string} walletId - Identifier it was encrypted with
+ * @returns {Uint8Array} 64-byte secret key
+ * @throws {WalletError} If the master key is wrong or the data was altered
+ */
+function decryptSecret(encrypted, walletId) {
+  const data = Buffer.from(encrypted, 'base64');
+  const decipher = crypto.createDecipheriv(CIPHER, getMasterKey(), data.subarray(0, IV_BYTES));
+  
+  decipher.setAAD(Buffer.from(walletId));
+  decipher.setAuthTag(data.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  
+  try {
+    return Uint8Array.from(Buffer.concat([
+      decipher.update(data.subarray(IV_BYTES + TAG_BYTES)),
+      decipher.final()
+    ]));
+  } catch (error) {
+    throw new WalletError('Failed to decrypt stored wallet; check WALLET_MASTER_KEY', { wallet_id: walletId });
+  }
+}
+
+/**
+ * Convert a database row to a wallet object
+ * @param {Object} row - wallets row
+ * @returns {Object} Wallet (without secret material)
+ */
+function fromRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    address: row.address,
+    created_at: row.created_at,
+    created_by: row.created_by,
+    last_used_at: row.last_used_at,
+    deployable: row.deployable === 1,
+    allowed_api_keys: JSON.parse(row.allowed_api_keys)
+  };
+}
+
+/**
+ * Get a wallet's row
+ * @param {string} walletId - Wallet identifier
+ * @returns {Object} wallets row
+ * @throws {NotFoundError} If the wallet does not exist
+ */
+function getWalletRow(walletId) {
+  const row = prepare('SELECT * FROM wallets WHERE id = ?').get(walletId);
+  
+  if (!row) {
+    throw new NotFoundError('Wallet not found', { wallet_id: walletId });
+  }
+  
+  return row;
+}
+
+/**
+ * Encrypt and store a keypair under a name
+ * @param {string} name - Wallet name
+ * @param {Keypair} keypair - Keypair to store
+ * @param {string} createdBy - API key that added the wallet
+ * @returns {Object} Stored wallet
+ * @throws {ConflictError} If the name or address is already stored
+ */
+function storeKeypair(name, keypair, createdBy) {
+  const address = keypair.publicKey.toBase58();
+  const existing = prepare('SELECT name, address FROM wallets WHERE name = ? OR address = ?').get(name, address);
+  
+  if (existing) {
+    throw new ConflictError(
+      existing.name === name ? 'A wallet with this name already exists' : 'This keypair is already stored',
+      { name: existing.name, address: existing.address }
+    );
+  }
+  
+  const id = uuidv4();
+  const row = {
+    id,
+    name,
+    address,
+    encrypted_secret: encryptSecret(keypair.secretKey, id),
+    created_at: new Date().toISOString(),
+    created_by: createdBy
+  };
+  
+  prepare(`
+    INSERT INTO wallets (id, name, address, encrypted_secret, created_at, created_by)
+    VALUES (@id, @name, @address, @encrypted_secret, @created_at, @created_by)
+  `).run(row);
+  
+  return fromRow({ ...row, last_used_at: null, deployable: 1, allowed_api_keys: '[]' });
+}
+
+/**
+ * Generate and store a new wallet
+ * @param {string} name - Wallet name
+ * @param {string} createdBy - API key that created the wallet
+ * @returns {Object} Stored wallet
+ */
+function createWallet(name, createdBy) {
+  return storeKeypair(name, Keypair.generate(), createdBy);
+}
+
+/**
+ * Store an existing keypair
+ * @param {string} name - Wallet name
+ * @param {Array<number>} secretKey - 64-byte secret key
+ * @param {string} createdBy - API key that imported the wallet
+ * @returns {Object} Stored wallet
+ * @throws {ValidationError} If the bytes are not a valid keypair
+ */
+function importWallet(name, secretKey, createdBy) {
+  let keypair;
+  
+  try {
+    keypair = Keypair.fromSecretKey(Uint8Array.from(secretKey));
+  } catch (error) {
+    throw new ValidationError('Invalid keypair', { error: error.message });
+  }
+  
+  return storeKeypair(name, keypair, createdBy);
+}
+
+/**
+ * List stored wallets
+ * @returns {Array<Object>} Wallets, by name
+ */
+function listWallets() {
+  return prepare('SELECT * FROM wallets ORDER BY name').all().map(fromRow);
+}
+
+/**
+ * Get a stored wallet
+ * @param {string} walletId - Wallet identifier
+ * @returns {Object} Wallet
+ * @throws {NotFoundError} If the wallet does not exist
+ */
+function getWallet(walletId) {
+  return fromRow(getWalletRow(walletId));
+}
+
+/**
+ * Get a stored wallet's balance
+ * @param {string} walletId - Wallet identifier
+ * @param {string} network - Network to query
+ * @returns {Promise<Object>} { wallet_id, address, network, balance_sol }
+ */
+async function getWalletBalance(walletId, network) {
+  const { address } = getWalletRow(walletId);
+  let value;
+  
+  try {
+    ({ value } = await rpcCall(network, 'getBalance', [address]));
+  } catch (error) {
+    throw new NetworkError('Failed to get wallet balance', error.message);
+  }
+  
+  return {
+    wallet_id: walletId,
+    address,
+    network,
+    balance_sol: value / 1e9
+  };
+}
+
+/**
+ * Let an API key deploy with a stored wallet
+ * @param {string} walletId - Wallet identifier
+ * @param {string} apiKeyId - API key to grant the wallet to
+ * @returns {Object} Wallet
+ * @throws {NotFoundError} If the wallet does not exist
+ */
+function grantWallet(walletId, apiKeyId) {
+  const wallet = getWallet(walletId);
+  
+  if (!wallet.allowed_api_keys.includes(apiKeyId)) {
+    wallet.allowed_api_keys.push(apiKeyId);
+    prepare('UPDATE wallets SET allowed_api_keys = ? WHERE id = ?').run(JSON.stringify(wallet.allowed_api_keys), walletId);
+  }
+  
+  return wallet;
+}
+
+/**
+ * Stop an API key from deploying with a stored wallet
+ * @param {string} walletId - Wallet identifier
+ * @param {string} apiKeyId - API key to revoke the grant of
+ * @returns {Object} Wallet
+ * @throws {NotFoundError} If the wallet does not exist
+ */
+function revokeWalletGrant(walletId, apiKeyId) {
+  const wallet = getWallet(walletId);
+  
+  wallet.allowed_api_keys = wallet.allowed_api_keys.filter(id => id !== apiKeyId);
+  prepare('UPDATE wallets SET allowed_api_keys = ? WHERE id = ?').run(JSON.stringify(wallet.allowed_api_keys), walletId);
+  
+  return wallet;
+}
+
+/**
+ * Delete a stored wallet. Its secret key is gone for good, so any funds
+ * left on it become unreachable.
+ * @param {string} walletId - Wallet identifier
+ * @returns {Object} Deleted wallet
+ * @throws {NotFoundError} If the wallet does not exist
+ */
+function deleteWallet(walletId) {
+  const wallet = getWallet(walletId);
+  
+  prepare('DELETE FROM wallets WHERE id = ?').run(walletId);
+  
+  return wallet;
+}
+
+/**
+ * Decrypt a stored wallet for a deployment
+ * @param {string} walletId - Wallet identifier
+ * @returns {Keypair} Keypair
+ * @throws {NotFoundError} If the wallet does not exist
+ * @throws {WalletError} If decryption fails
+ */
+function loadWalletKeypair(walletId) {
+  const row = getWalletRow(walletId);
+  const keypair = Keypair.fromSecretKey(decryptSecret(row.encrypted_secret, row.id));
+  
+  prepare('UPDATE wallets SET last_used_at = ? WHERE id = ?').run(new Date().toISOString(), row.id);
+  
+  return keypair;
+}
+
+module.exports = {
+  isKeystoreConfigured,
+  encryptSecret,
+  decryptSecret,
+  createWallet,
+  importWallet,
+  listWallets,
+  getWallet,
+  getWalletBalance,
+  grantWallet,
+  revokeWalletGrant,
+  deleteWallet,
+  loadWalletKeypair
+};
@@ -8,13 +8,19 @@ const fs = require('fs');
 const path = require('path');
 const logger = require('../utils/logger');
 const { WalletError } = require('../utils/errorHandler');
+const { getWallet, loadWalletKeypair } = require('./walletKeystore');
 const { 
   SOLANA_CONFIG_DIR, 
   MIN_SOL_BALANCE,
   AIRDROP_AMOUNT,
-  AIRDROP_MAX_RETRIES
+  AIRDROP_MAX_RETRIES,
+  DEPLOYMENT_TIMEOUT_MS,
+  TREASURY_WALLET_ID
 } = require('../config/constants');
 
+// Keypair files decrypted from the keystore, told apart from ephemeral ones
+const STORED_WALLET_FILE_PREFIX = 'stored';
+
 /**
  * Generate a new Solana keypair
  * @returns {Keypair} New keypair
@@ -36,9 +42,10 @@ function generateKeypair() {
  * Save keypair to file
  * @param {Keypair} keypair - Keypair to save
  * @param {string} deploymentId - Unique deployment identifier
+ * @param {string} prefix - File name prefix
  * @returns {string} Path to saved keypair file
  */
-function saveKeypair(keypair, deploymentId) {
+function saveKeypair(keypair, deploymentId, prefix = 'deployer') {
   try {
     // Ensure config directory exists
     if (!fs.existsSync(SOLANA_CONFIG_DIR)) {
@@ -46,7 +53,7 @@ function saveKeypair(keypair, deploymentId) {
     }
     
     // Use deployment-specific keypair file
-    const keypairPath = path.join(SOLANA_CONFIG_DIR, `deployer-${deploymentId}.json`);
+    const keypairPath = path.join(SOLANA_CONFIG_DIR, `${prefix}-${deploymentId}.json`);
     
     // Convert keypair to array format expected by Solana CLI
     const keypairArray = Array.from(keypair.secretKey);
@@ -110,32 +117,19 @@ function deleteKeypair(keypairPath) {
 }
 
 /**
- * Create default keypair symlink for Solana CLI
- * @param {string} keypairPath - Path to actual keypair file
- * @returns {string} Path to default keypair location
+ * Decrypt a stored wallet to a keypair file for the CLI
+ * Callers delete the file when done; cleanupStaleWalletFiles catches the rest
+ * @param {string} walletId - Stored wallet identifier
+ * @param {string} fileId - Unique file identifier (the deployment ID, or derived from it)
+ * @returns {Object} { keypair, keypairPath }
  */
-function setDefaultKeypair(keypairPath) {
-  try {
-    const defaultKeypairPath = path.join(SOLANA_CONFIG_DIR, 'id.json');
-    
-    // Remove existing default keypair if it exists
-    if (fs.existsSync(defaultKeypairPath)) {
-      fs.unlinkSync(defaultKeypairPath);
-    }
-    
-    // Copy keypair to default location (safer than symlink)
-    fs.copyFileSync(keypairPath, defaultKeypairPath);
-    
-    logger.info('Set default keypair', { 
-      source: keypairPath,
-      destination: defaultKeypairPath
-    });
-    
-    return defaultKeypairPath;
-  } catch (error) {
-    logger.error('Failed to set default keypair', { error: error.message });
-    throw new WalletError('Failed to set default wallet', error.message);
-  }
+function saveStoredWalletKeypair(walletId, fileId) {
+  const keypair = loadWalletKeypair(walletId);
+  
+  return {
+    keypair,
+    keypairPath: saveKeypair(keypair, fileId, STORED_WALLET_FILE_PREFIX)
+  };
 }
 
 /**
@@ -187,13 +181,35 @@ function loadKeypairFromPath(keypairPath) {
   }
 }
 
+/**
+ * Get the address a deployment will sign with, before its wallet is set up
+ * @param {Object} customWallet - Custom wallet options (null for a generated wallet)
+ * @returns {string|null} Wallet address, or null for a wallet not generated yet
+ * @throws {WalletError} If the custom wallet cannot be read
+ */
+function getCustomWalletAddress(customWallet) {
+  if (!customWallet) {
+    return null;
+  }
+  
+  if (customWallet.wallet_keypair) {
+    return createKeypairFromArray(customWallet.wallet_keypair).publicKey.toBase58();
+  }
+  
+  if (customWallet.wallet_id) {
+    return getWallet(customWallet.wallet_id).address;
+  }
+  
+  return loadKeypairFromPath(customWallet.wallet_path).publicKey.toBase58();
+}
+
 /**
  * Setup wallet for deployment
  * Creates a new keypair or uses custom wallet
  * @param {string} deploymentId - Unique deployment identifier
  * @param {string} network - Target network (devnet or mainnet-beta)
  * @param {Object} customWallet - Custom wallet options
- * @returns {Promise<Object>} Wallet information
+ * @returns {Promise<Object>} Wallet information (isEphemeral when the keypair was generated here)
  */
 async function setupWallet(deploymentId, network, customWallet = null) {
   logger.info('Setting up wallet for deployment', { 
@@ -205,6 +221,7 @@ async function setupWallet(deploymentId, network, customWallet = null) {
   try {
     let keypair;
     let keypairPath;
+    let isEphemeral = false;
     
     if (customWallet) {
       // Handle custom wallet
@@ -212,17 +229,18 @@ async function setupWallet(deploymentId, network, customWallet = null) {
         // Use provided keypair array
         keypair = createKeypairFromArray(customWallet.wallet_keypair);
         keypairPath = saveKeypair(keypair, deploymentId);
+      } else if (customWallet.wallet_id) {
+        // The treasury is marked non-deployable: its ceilings only hold inside fundFromTreasury
+        if (!getWallet(customWallet.wallet_id).deployable || customWallet.wallet_id === TREASURY_WALLET_ID) {
+          throw new WalletError('The treasury wallet cannot be used for deployments', { wallet_id: customWallet.wallet_id });
+        }
+        
+        // Decrypt a stored wallet; the file is deleted with the other deployment keypairs
+        ({ keypair, keypairPath } = saveStoredWalletKeypair(customWallet.wallet_id, deploymentId));
       } else if (customWallet.wallet_path) {
         // Use provided keypair file path
         keypair = loadKeypairFromPath(customWallet.wallet_path);
         keypairPath = customWallet.wallet_path;
-      } else if (customWallet.wallet_address) {
-        // Only address provided - generate new keypair but log the expected address
-        logger.warn('Only wallet address provided, generating new keypair', {
-          expectedAddress: customWallet.wallet_address
-        });
-        keypair = generateKeypair();
-        keypairPath = saveKeypair(keypair, deploymentId);
       } else {
         throw new Error('Invalid custom wallet configuration');
       }
@@ -230,18 +248,17 @@ async function setupWallet(deploymentId, network, customWallet = null) {
       // Generate new keypair
       keypair = generateKeypair();
       keypairPath = saveKeypair(keypair, deploymentId);
+      isEphemeral = true;
     }
     
     const publicKey = keypair.publicKey.toBase58();
     
-    // Set as default keypair for Solana CLI
-    setDefaultKeypair(keypairPath);
-    
     const walletInfo = {
       address: publicKey,
       keypairPath,
       network,
-      isCustom: !!customWallet
+      isCustom: !!customWallet,
+      isEphemeral
     };
     
     logger.info('Wallet setup complete', walletInfo);
@@ -264,13 +281,9 @@ function cleanupWallet(keypairPath) {
   logger.info('Cleaning up wallet', { keypairPath });
   
   try {
-    // Delete deployment-specific keypair
+    // Delete deployment-specific keypair only - the operator's id.json is never touched
     deleteKeypair(keypairPath);
     
-    // Optionally clear default keypair
-    const defaultKeypairPath = path.join(SOLANA_CONFIG_DIR, 'id.json');
-    deleteKeypair(defaultKeypairPath);
-    
     logger.info('Wallet cleanup complete');
   } catch (error) {
     logger.warn('Wallet cleanup failed', { error: error.message });
@@ -278,6 +291,39 @@ function cleanupWallet(keypairPath) {
   }
 }
 
+/**
+ * Delete decrypted keystore wallets left behind by a crashed deployment
+ * No deployment outlives DEPLOYMENT_TIMEOUT_MS, so older files are orphans
+ * @returns {number} Number of files deleted
+ */
+function cleanupStaleWalletFiles() {
+  if (!fs.existsSync(SOLANA_CONFIG_DIR)) {
+    return 0;
+  }
+  
+  const now = Date.now();
+  let deleted = 0;
+  
+  for (const name of fs.readdirSync(SOLANA_CONFIG_DIR)) {
+    const keypairPath = path.join(SOLANA_CONFIG_DIR, name);
+    
+    if (!name.startsWith(`${STORED_WALLET_FILE_PREFIX}-`) || !name.endsWith('.json')) {
+      continue;
+    }
+    
+    try {
+      if (now - fs.statSync(keypairPath).mtimeMs > DEPLOYMENT_TIMEOUT_MS) {
+        deleteKeypair(keypairPath);
+        deleted++;
+      }
+    } catch (error) {
+      // Removed by its own deployment in the meantime
+    }
+  }
+  
+  return deleted;
+}
+
 /**
  * Validate wallet address format
  * @param {string} address - Wallet address to validate
@@ -303,9 +349,11 @@ module.exports = {
   saveKeypair,
   loadKeypair,
   deleteKeypair,
+  saveStoredWalletKeypair,
+  getCustomWalletAddress,
   setupWallet,
   cleanupWallet,
-  setDefaultKeypair,
+  cleanupStaleWalletFiles,
   isValidAddress,
   sleep
 };
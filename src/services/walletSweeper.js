@@ -0,0 +1,258 @@
+/**
+ * Wallet Sweeper Module
+ * Returns the SOL left in ephemeral deployer wallets to the treasury.
+ * Wallets are registered before they are funded, so a failed sweep or a
+ * crashed worker leaves a pending row, and its keypair file, to retry.
+ */
+
+const logger = require('../utils/logger');
+const { defineSchema, prepare } = require('./database');
+const { deleteKeypair } = require('./walletManager');
+const {
+  configureCluster,
+  setClusterKeypair,
+  cleanupClusterConfig,
+  getBalance,
+  transfer
+} = require('./solanaCliWrapper');
+const { recordSweep, isFinished } = require('./deploymentState');
+const { getDeploymentRecord } = require('./deploymentHistory');
+const { getTreasuryAddress } = require('./treasury');
+const { DEPLOYMENT_TIMEOUT_MS } = require('../config/constants');
+
+// Fee `transfer ALL` holds back: one signature at the base fee
+const TRANSFER_FEE_LAMPORTS = 5000;
+
+// A claim this old was left by a process that died mid-sweep
+const SWEEP_CLAIM_TTL_MS = 10 * 60 * 1000;
+
+const SWEEP_STATUS = {
+  PENDING: 'pending',
+  SWEEPING: 'sweeping',
+  SWEPT: 'swept',
+  EMPTY: 'empty'
+};
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS wallet_sweeps (
+  deployment_id TEXT PRIMARY KEY,
+  network TEXT NOT NULL,
+  address TEXT NOT NULL,
+  keypair_path TEXT NOT NULL,
+  status TEXT NOT NULL,
+  sol_swept REAL,
+  signature TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS wallet_sweeps_status ON wallet_sweeps (status, created_at);
+`;
+
+defineSchema((db) => {
+  db.exec(SCHEMA);
+});
+
+/**
+ * Check whether leftover SOL is swept
+ * @returns {boolean} True if a treasury is configured
+ */
+function isSweepEnabled() {
+  return !!getTreasuryAddress();
+}
+
+/**
+ * Register an ephemeral wallet to be swept when its deployment ends
+ * @param {string} deploymentId - Deployment identifier
+ * @param {string} network - Network the wallet is funded on
+ * @param {string} address - Wallet address
+ * @param {string} keypairPath - Keypair file, kept until the sweep succeeds
+ */
+function registerSweep(deploymentId, network, address, keypairPath) {
+  const now = new Date().toISOString();
+  
+  prepare(`
+    INSERT INTO wallet_sweeps (deployment_id, network, address, keypair_path, status, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (deployment_id) DO UPDATE SET
+      network = excluded.network,
+      address = excluded.address,
+      keypair_path = excluded.keypair_path,
+      status = excluded.status,
+      updated_at = excluded.updated_at
+  `).run(deploymentId, network, address, keypairPath, SWEEP_STATUS.PENDING, now, now);
+}
+
+/**
+ * Get the time before which a sweep claim is considered abandoned
+ * @returns {string} ISO 8601 timestamp
+ */
+function getClaimCutoff() {
+  return new Date(Date.now() - SWEEP_CLAIM_TTL_MS).toISOString();
+}
+
+/**
+ * Take a pending sweep, so no other process sweeps the wallet at the same time
+ * The API and the worker may both retry sweeps; only one wins the update.
+ * @param {string} deploymentId - Deployment identifier
+ * @returns {boolean} True if this process now owns the sweep
+ */
+function claimSweep(deploymentId) {
+  return prepare(`
+    UPDATE wallet_sweeps SET status = ?, updated_at = ?
+    WHERE deployment_id = ? AND (status = ? OR (status = ? AND updated_at < ?))
+  `).run(
+    SWEEP_STATUS.SWEEPING,
+    new Date().toISOString(),
+    deploymentId,
+    SWEEP_STATUS.PENDING,
+    SWEEP_STATUS.SWEEPING,
+    getClaimCutoff()
+  ).changes === 1;
+}
+
+/**
+ * Sweep a registered wallet's balance to the treasury
+ * The keypair file is deleted once the sweep succeeds; on failure both the
+ * file and the pending row are kept for retryPendingSweeps
+ * @param {string} deploymentId - Deployment identifier
+ * @param {Object} cluster - Cluster context for the wallet's network
+ * @returns {Promise<boolean>} True if the wallet no longer needs sweeping
+ */
+async function sweepWallet(deploymentId, cluster) {
+  const sweep = prepare('SELECT * FROM wallet_sweeps WHERE deployment_id = ?').get(deploymentId);
+  
+  if (!sweep || sweep.status === SWEEP_STATUS.SWEPT || sweep.status === SWEEP_STATUS.EMPTY) {
+    return true;
+  }
+  
+  // Another process is sweeping it and still needs the keypair file
+  if (!claimSweep(deploymentId)) {
+    logger.deployment(deploymentId, 'info', 'Wallet is already being swept', { address: sweep.address });
+    return false;
+  }
+  
+  try {
+    const treasury = getTreasuryAddress();
+    
+    // Never let the transfer fall back to another signer's keypair
+    if (cluster.keypairPath !== sweep.keypair_path) {
+      await setClusterKeypair(cluster, sweep.keypair_path, deploymentId);
+    }
+    
+    const lamports = Math.round(await getBalance(sweep.address, deploymentId, cluster) * 1e9);
+    const hasFunds = lamports > TRANSFER_FEE_LAMPORTS;
+    const signature = hasFunds ? await transfer(treasury, 'ALL', deploymentId, cluster) : null;
+    const outcome = {
+      status: hasFunds ? SWEEP_STATUS.SWEPT : SWEEP_STATUS.EMPTY,
+      sol_swept: hasFunds ? (lamports - TRANSFER_FEE_LAMPORTS) / 1e9 : 0,
+      signature,
+      treasury,
+      swept_at: new Date().toISOString()
+    };
+    
+    prepare(`
+      UPDATE wallet_sweeps
+      SET status = ?, sol_swept = ?, signature = ?, attempts = attempts + 1, last_error = NULL, updated_at = ?
+      WHERE deployment_id = ?
+    `).run(outcome.status, outcome.sol_swept, signature, outcome.swept_at, deploymentId);
+    
+    logger.deployment(deploymentId, 'info', 'Wallet swept to treasury', {
+      address: sweep.address,
+      solSwept: outcome.sol_swept,
+      signature
+    });
+    
+    deleteKeypair(sweep.keypair_path);
+    
+    try {
+      await recordSweep(deploymentId, outcome);
+    } catch (error) {
+      logger.deployment(deploymentId, 'warn', 'Failed to record wallet sweep', { error: error.message });
+    }
+    
+    return true;
+  } catch (error) {
+    prepare(`
+      UPDATE wallet_sweeps
+      SET status = ?, attempts = attempts + 1, last_error = ?, updated_at = ?
+      WHERE deployment_id = ?
+    `).run(SWEEP_STATUS.PENDING, error.message, new Date().toISOString(), deploymentId);
+    
+    logger.deployment(deploymentId, 'error', 'Wallet sweep failed; will retry on next startup', {
+      address: sweep.address,
+      keypairPath: sweep.keypair_path,
+      error: error.message
+    });
+    
+    return false;
+  }
+}
+
+/**
+ * Check whether a pending sweep's deployment can no longer be running
+ * @param {Object} sweep - wallet_sweeps row
+ * @returns {boolean} True if the wallet is safe to sweep
+ */
+function isAbandoned(sweep) {
+  const record = getDeploymentRecord(sweep.deployment_id);
+  
+  return (record && isFinished(record)) ||
+    Date.now() - new Date(sweep.created_at).getTime() > DEPLOYMENT_TIMEOUT_MS;
+}
+
+/**
+ * Retry sweeps that failed or were interrupted by a crash (run at startup)
+ * Safe to run from several processes at once: each sweep is claimed first
+ * @returns {Promise<number>} Number of wallets swept
+ */
+async function retryPendingSweeps() {
+  if (!isSweepEnabled()) {
+    return 0;
+  }
+  
+  const pending = prepare(`
+    SELECT * FROM wallet_sweeps
+    WHERE status = ? OR (status = ? AND updated_at < ?)
+    ORDER BY created_at
+  `).all(SWEEP_STATUS.PENDING, SWEEP_STATUS.SWEEPING, getClaimCutoff())
+    .filter(isAbandoned);
+  let swept = 0;
+  
+  for (const sweep of pending) {
+    let cluster = null;
+    
+    try {
+      cluster = await configureCluster(sweep.network, sweep.deployment_id);
+      
+      if (await sweepWallet(sweep.deployment_id, cluster)) {
+        swept++;
+      }
+    } catch (error) {
+      logger.error('Failed to retry wallet sweep', {
+        deploymentId: sweep.deployment_id,
+        address: sweep.address,
+        error: error.message
+      });
+    } finally {
+      if (cluster) {
+        cleanupClusterConfig(cluster, sweep.deployment_id);
+      }
+    }
+  }
+  
+  if (pending.length > 0) {
+    logger.info('Retried pending wallet sweeps', { pending: pending.length, swept });
+  }
+  
+  return swept;
+}
+
+module.exports = {
+  isSweepEnabled,
+  registerSweep,
+  sweepWallet,
+  retryPendingSweeps
+};
@@ -0,0 +1,124 @@
+/**
+ * Authentication middleware
+ * Requests carry an API key as `Authorization: Bearer <key>`; routes then
+ * require scopes on the key they were called with
+ */
+
+const { AuthenticationError, ForbiddenError } = require('./errorHandler');
+const { authenticateKey } = require('../services/apiKeys');
+const { SCOPES } = require('../config/scopes');
+const { TREASURY_WALLET_ID } = require('../config/constants');
+
+const BEARER_PATTERN = /^Bearer\s+(\S+)$/i;
+
+/**
+ * Check whether an API key has a scope
+ * Admin keys can cancel any deployment, so they can read any too; they do
+ * not get deploy scopes, which stay explicit
+ * @param {Object} apiKey - Authenticated API key
+ * @param {string} scope - Scope
+ * @returns {boolean} True if granted
+ */
+function hasScope(apiKey, scope) {
+  if (scope === SCOPES.READ_DEPLOYMENTS && apiKey.scopes.includes(SCOPES.ADMIN)) {
+    return true;
+  }
+  
+  return apiKey.scopes.includes(scope);
+}
+
+/**
+ * Require a scope on an API key
+ * @param {Object} apiKey - Authenticated API key
+ * @param {string} scope - Scope
+ * @throws {ForbiddenError} If the scope is not granted
+ */
+function assertScope(apiKey, scope) {
+  if (!hasScope(apiKey, scope)) {
+    throw new ForbiddenError(`API key lacks the ${scope} scope`, { required_scope: scope });
+  }
+}
+
+/**
+ * Require that an API key may read a deployment
+ * Keys with read:deployments can read every deployment; any key can read
+ * the deployments it started, so deploy-only keys can follow their own work
+ * @param {Object} apiKey - Authenticated API key
+ * @param {Object} state - Deployment state or history record
+ * @throws {ForbiddenError} If the deployment is not readable
+ */
+function assertCanReadDeployment(apiKey, state) {
+  if (state.request.api_key_id !== apiKey.id) {
+    assertScope(apiKey, SCOPES.READ_DEPLOYMENTS);
+  }
+}
+
+/**
+ * Require that an API key may deploy with a stored wallet
+ * Keys can use the wallets they added or were granted, and admin keys can
+ * use any, except the treasury: it is only spent through the treasury's
+ * ceilings
+ * @param {Object} apiKey - Authenticated API key
+ * @param {Object} wallet - Stored wallet
+ * @throws {ForbiddenError} If the wallet may not be used
+ */
+function assertCanUseWallet(apiKey, wallet) {
+  if (!wallet.deployable || wallet.id === TREASURY_WALLET_ID) {
+    throw new ForbiddenError('The treasury wallet cannot be used for deployments', { wallet_id: wallet.id });
+  }
+  
+  const allowed = wallet.created_by === apiKey.id || wallet.allowed_api_keys.includes(apiKey.id);
+  
+  if (!allowed && !hasScope(apiKey, SCOPES.ADMIN)) {
+    throw new ForbiddenError('API key cannot use this wallet', { wallet_id: wallet.id });
+  }
+}
+
+/**
+ * Middleware that authenticates the request's API key and sets req.apiKey
+ */
+function authenticate(req, res, next) {
+  const match = BEARER_PATTERN.exec(req.get('authorization') || '');
+  
+  if (!match) {
+    return next(new AuthenticationError('API key required'));
+  }
+  
+  try {
+    const apiKey = authenticateKey(match[1]);
+    
+    if (!apiKey) {
+      return next(new AuthenticationError('Invalid or revoked API key'));
+    }
+    
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Create middleware that requires a scope (use after authenticate)
+ * @param {string} scope - Scope
+ * @returns {Function} Express middleware
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    try {
+      assertScope(req.apiKey, scope);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  hasScope,
+  assertScope,
+  assertCanReadDeployment,
+  assertCanUseWallet,
+  authenticate,
+  requireScope
+};
@@ -0,0 +1,48 @@
+/**
+ * Base58 encoding
+ * The Bitcoin alphabet Solana addresses use. Has no dependencies so the
+ * vanity grinder's worker threads can load it without the service modules.
+ */
+
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+/**
+ * Encode bytes as base58
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} base58 string; each leading zero byte becomes a '1'
+ */
+function encodeBase58(bytes) {
+  const digits = [];
+  
+  for (const byte of bytes) {
+    let carry = byte;
+    
+    for (let i = 0; i < digits.length; i++) {
+      carry += digits[i] << 8;
+      digits[i] = carry % 58;
+      carry = (carry / 58) | 0;
+    }
+    
+    while (carry > 0) {
+      digits.push(carry % 58);
+      carry = (carry / 58) | 0;
+    }
+  }
+  
+  let encoded = '';
+  
+  for (let i = 0; i < bytes.length && bytes[i] === 0; i++) {
+    encoded += BASE58_ALPHABET[0];
+  }
+  
+  for (let i = digits.length - 1; i >= 0; i--) {
+    encoded += BASE58_ALPHABET[digits[i]];
+  }
+  
+  return encoded;
+}
+
+module.exports = {
+  BASE58_ALPHABET,
+  encodeBase58
+};
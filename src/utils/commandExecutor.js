@@ -0,0 +1,208 @@
+/**
+ * Command Executor
+ * Runs CLI commands in their own process group with timeouts, cancellation
+ * and bounded output retention. Commands are a binary plus an argument
+ * vector and never go through a shell, so arguments are passed verbatim.
+ */
+
+const { spawn } = require('child_process');
+const logger = require('./logger');
+const { TimeoutError, CancelledError } = require('./errorHandler');
+const { getDeploymentSignal } = require('./deploymentContext');
+const { COMMAND_OUTPUT_MAX_BYTES } = require('../config/constants');
+
+// Time a command gets to exit after SIGTERM before its process group is killed
+const KILL_GRACE_MS = 5000;
+
+/**
+ * Keeps the most recent output of a stream up to a byte limit
+ * Older chunks are dropped first, so error messages at the end survive
+ */
+class OutputTail {
+  constructor(maxBytes) {
+    this.maxBytes = maxBytes;
+    this.chunks = [];
+    this.bytes = 0;
+    this.truncated = false;
+  }
+  
+  append(text) {
+    this.chunks.push(text);
+    this.bytes += Buffer.byteLength(text);
+    
+    while (this.bytes > this.maxBytes && this.chunks.length > 1) {
+      this.bytes -= Buffer.byteLength(this.chunks.shift());
+      this.truncated = true;
+    }
+  }
+  
+  toString() {
+    const text = this.chunks.join('');
+    
+    if (this.bytes <= this.maxBytes) {
+      return text;
+    }
+    
+    this.truncated = true;
+    return Buffer.from(text).subarray(-this.maxBytes).toString();
+  }
+}
+
+/**
+ * Terminate a command and every process it started
+ * Commands run in their own process group, so signalling the group also
+ * reaches grandchildren such as cargo and rustc under anchor build
+ * @param {ChildProcess} child - Command process (group leader)
+ * @returns {Timeout} SIGKILL escalation timer, to clear once the command has closed
+ */
+function killProcessTree(child) {
+  const signalGroup = (signal) => {
+    try {
+      process.kill(-child.pid, signal);
+    } catch (error) {
+      // Group already gone
+    }
+  };
+  
+  signalGroup('SIGTERM');
+  
+  const killTimer = setTimeout(() => signalGroup('SIGKILL'), KILL_GRACE_MS);
+  killTimer.unref();
+  
+  return killTimer;
+}
+
+/**
+ * Format a command for logs and error messages
+ * Arguments with whitespace or quotes are JSON-quoted so boundaries stay visible
+ * @param {string} file - Binary
+ * @param {Array<string>} args - Arguments
+ * @returns {string} Display string (never executed)
+ */
+function formatCommand(file, args) {
+  return [file, ...args]
+    .map(arg => (/[\s"'\\]/.test(arg) || arg === '' ? JSON.stringify(arg) : arg))
+    .join(' ');
+}
+
+/**
+ * Get the error to reject with when a command is aborted
+ * Step and deployment time limits abort with a TimeoutError as the reason
+ * @param {AbortSignal} signal - Aborted signal
+ * @param {string} command - Command that was running
+ * @returns {Error} Rejection error
+ */
+function getAbortError(signal, command) {
+  if (signal.reason instanceof TimeoutError) {
+    return new TimeoutError(`${signal.reason.message}: ${command}`, signal.reason.details);
+  }
+  
+  return new CancelledError('Command cancelled', { command });
+}
+
+/**
+ * Execute a command with timeout and log streaming
+ * Inside a deployment the command is aborted when the deployment is
+ * cancelled or its current step runs out of time. Only the last
+ * COMMAND_OUTPUT_MAX_BYTES of each stream are retained; onOutput still
+ * receives everything.
+ * @param {string} file - Binary to run (resolved through PATH)
+ * @param {Array<string|number>} args - Arguments, each passed to the binary as-is
+ * @param {Object} options - Execution options
+ * @param {Function} options.onOutput - Called with (text, 'stdout'|'stderr') for each output chunk
+ * @param {AbortSignal|null} options.signal - Overrides the deployment's signal (null to ignore it)
+ * @returns {Promise<Object>} Result with stdout, stderr, logs (last output lines) and truncated
+ */
+async function executeCommand(file, args = [], options = {}) {
+  const argv = args.map(String);
+  const command = formatCommand(file, argv);
+  const timeout = options.timeout || 60000; // 1 minute default
+  const signal = options.signal !== undefined ? options.signal : getDeploymentSignal();
+  
+  if (signal && signal.aborted) {
+    throw getAbortError(signal, command);
+  }
+  
+  return new Promise((resolve, reject) => {
+    const child = spawn(file, argv, {
+      shell: false,
+      detached: true,
+      cwd: options.cwd || process.cwd(),
+      env: { ...process.env, ...options.env }
+    });
+    
+    const stdout = new OutputTail(COMMAND_OUTPUT_MAX_BYTES);
+    const stderr = new OutputTail(COMMAND_OUTPUT_MAX_BYTES);
+    const combined = new OutputTail(COMMAND_OUTPUT_MAX_BYTES);
+    let killTimer = null;
+    
+    const timer = setTimeout(() => {
+      killTimer = killProcessTree(child);
+      reject(new TimeoutError(`Command timeout: ${command}`, { command, timeout_ms: timeout }));
+    }, timeout);
+    
+    const onAbort = () => {
+      clearTimeout(timer);
+      killTimer = killProcessTree(child);
+      reject(getAbortError(signal, command));
+    };
+    
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    
+    // Once the group is gone its ID may be reused, so never SIGKILL it late
+    const settle = () => {
+      clearTimeout(timer);
+      clearTimeout(killTimer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    };
+    
+    const handleOutput = (tail, stream) => (output) => {
+      tail.append(output);
+      combined.append(output);
+      if (options.stream) {
+        logger.debug(output.trim());
+      }
+      if (options.onOutput) {
+        options.onOutput(output, stream);
+      }
+    };
+    
+    // Decode as UTF-8 so multi-byte characters split across chunks survive
+    child.stdout.setEncoding('utf8');
+    child.stderr.setEncoding('utf8');
+    child.stdout.on('data', handleOutput(stdout, 'stdout'));
+    child.stderr.on('data', handleOutput(stderr, 'stderr'));
+    
+    child.on('close', (code) => {
+      settle();
+      
+      const result = {
+        code,
+        stdout: stdout.toString(),
+        stderr: stderr.toString(),
+        logs: combined.toString().split('\n').filter(line => line.length > 0),
+        truncated: stdout.truncated || stderr.truncated
+      };
+      
+      if (code !== 0) {
+        reject(new Error(`Command failed with code ${code}: ${command}\n${result.stderr}`));
+      } else {
+        resolve(result);
+      }
+    });
+    
+    child.on('error', (error) => {
+      settle();
+      reject(error);
+    });
+  });
+}
+
+module.exports = {
+  executeCommand,
+  formatCommand
+};
@@ -0,0 +1,127 @@
+/**
+ * Deployment Context
+ * Carries the running deployment's cancellation signal and time budget
+ * through async calls, so every command it starts can be aborted without
+ * threading the signal through each service function
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { CancelledError, TimeoutError } = require('./errorHandler');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function within a deployment's context
+ * @param {Object} context - Deployment context
+ * @param {string} context.deploymentId - Deployment identifier
+ * @param {AbortSignal} context.signal - Aborted when the deployment is cancelled
+ * @param {number} context.deadline - Epoch ms by which the whole deployment must finish
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+function runWithDeploymentContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * Run a function outside any deployment context
+ * For bookkeeping that must still work after the deployment was cancelled
+ * or ran out of time, when commands started in its context abort at once
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+function runOutsideDeploymentContext(fn) {
+  return storage.exit(fn);
+}
+
+/**
+ * Get the cancellation signal of the current deployment
+ * @returns {AbortSignal|null} Signal, or null outside a deployment
+ */
+function getDeploymentSignal() {
+  const context = storage.getStore();
+  return context ? context.signal : null;
+}
+
+/**
+ * Check whether the current deployment has been cancelled
+ * @returns {boolean} True if cancelled
+ */
+function isCancellationRequested() {
+  const signal = getDeploymentSignal();
+  return !!signal && signal.aborted;
+}
+
+/**
+ * Stop between steps if the current deployment has been cancelled
+ * @throws {CancelledError} If cancelled
+ */
+function throwIfCancelled() {
+  if (isCancellationRequested()) {
+    throw new CancelledError('Deployment cancelled');
+  }
+}
+
+/**
+ * Run one deployment step under its own time limit
+ * The step gets a signal that aborts on cancellation, when the step timeout
+ * elapses or when the deployment's overall deadline passes, whichever comes
+ * first. Running commands are killed on abort; other waits are abandoned.
+ * @param {string} step - Step name (for error messages)
+ * @param {number} timeoutMs - Step time limit
+ * @param {Function} fn - Step body
+ * @returns {Promise<*>} Return value of fn
+ * @throws {TimeoutError} If the step or deployment runs out of time
+ * @throws {CancelledError} If the deployment is cancelled before the step starts
+ */
+async function runStep(step, timeoutMs, fn) {
+  const context = storage.getStore();
+  
+  if (!context) {
+    return fn();
+  }
+  
+  throwIfCancelled();
+  
+  const remainingMs = context.deadline - Date.now();
+  const limitedByDeadline = remainingMs < timeoutMs;
+  const reason = limitedByDeadline
+    ? new TimeoutError('Deployment exceeded its time budget', { step })
+    : new TimeoutError(`Step ${step} timed out`, { step, timeout_ms: timeoutMs });
+  
+  if (remainingMs <= 0) {
+    throw reason;
+  }
+  
+  const controller = new AbortController();
+  const forwardCancel = () => controller.abort(context.signal.reason);
+  const timer = setTimeout(() => controller.abort(reason), Math.min(timeoutMs, remainingMs));
+  
+  context.signal.addEventListener('abort', forwardCancel, { once: true });
+  
+  const aborted = new Promise((resolve, reject) => {
+    controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+  });
+  
+  try {
+    return await Promise.race([
+      storage.run({ ...context, signal: controller.signal }, fn),
+      aborted
+    ]);
+  } catch (error) {
+    // Services wrap command failures in their own errors; report the timeout itself
+    throw controller.signal.reason instanceof TimeoutError ? controller.signal.reason : error;
+  } finally {
+    clearTimeout(timer);
+    context.signal.removeEventListener('abort', forwardCancel);
+  }
+}
+
+module.exports = {
+  runWithDeploymentContext,
+  runOutsideDeploymentContext,
+  getDeploymentSignal,
+  isCancellationRequested,
+  throwIfCancelled,
+  runStep
+};
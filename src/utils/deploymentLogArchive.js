@@ -0,0 +1,248 @@
+/**
+ * Deployment Log Archive
+ * Writes each deployment's complete log - service messages from
+ * logger.deployment plus raw command output - to its own NDJSON file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { once } = require('events');
+const winston = require('winston');
+const {
+  DEPLOYMENT_LOG_DIR,
+  DEPLOYMENT_LOG_RETENTION_DAYS,
+  DEPLOYMENT_LOG_MAX_TOTAL_MB,
+  DEPLOYMENT_STATUS
+} = require('../config/constants');
+
+// Files are kept open while a deployment is logging and closed once idle
+const WRITER_IDLE_MS = 30000;
+
+const FINAL_STEPS = [DEPLOYMENT_STATUS.SUCCEEDED, DEPLOYMENT_STATUS.FAILED, DEPLOYMENT_STATUS.CANCELLED];
+
+const writers = new Map();
+const currentSteps = new Map();
+
+/**
+ * Get the archive file of a deployment
+ * @param {string} deploymentId - Deployment identifier
+ * @returns {string} File path
+ */
+function getDeploymentLogPath(deploymentId) {
+  if (path.basename(deploymentId) !== deploymentId) {
+    throw new Error(`Invalid deployment ID: ${deploymentId}`);
+  }
+  
+  return path.join(DEPLOYMENT_LOG_DIR, `${deploymentId}.ndjson`);
+}
+
+/**
+ * Get (or open) the append stream for a deployment
+ * @param {string} deploymentId - Deployment identifier
+ * @returns {fs.WriteStream} Append stream
+ */
+function getWriter(deploymentId) {
+  let writer = writers.get(deploymentId);
+  
+  if (!writer) {
+    fs.mkdirSync(DEPLOYMENT_LOG_DIR, { recursive: true });
+    
+    writer = {
+      stream: fs.createWriteStream(getDeploymentLogPath(deploymentId), { flags: 'a' }),
+      timer: null
+    };
+    writer.stream.on('error', () => {
+      // Archiving is best effort; never take down a deployment over it
+    });
+    writers.set(deploymentId, writer);
+  }
+  
+  clearTimeout(writer.timer);
+  writer.timer = setTimeout(() => {
+    writers.delete(deploymentId);
+    writer.stream.end();
+    
+    // A running deployment can be quiet for a while; only forget finished ones
+    if (FINAL_STEPS.includes(currentSteps.get(deploymentId))) {
+      currentSteps.delete(deploymentId);
+    }
+  }, WRITER_IDLE_MS);
+  writer.timer.unref();
+  
+  return writer.stream;
+}
+
+/**
+ * Append an entry to a deployment's archive
+ * @param {string} deploymentId - Deployment identifier
+ * @param {Object} entry - Entry fields
+ */
+function writeEntry(deploymentId, entry) {
+  const line = JSON.stringify({
+    timestamp: new Date().toISOString(),
+    step: currentSteps.get(deploymentId) || DEPLOYMENT_STATUS.QUEUED,
+    ...entry
+  });
+  
+  getWriter(deploymentId).write(`${line}\n`);
+}
+
+/**
+ * Record the step a deployment is in, so service messages are tagged with it
+ * @param {string} deploymentId - Deployment identifier
+ * @param {string} step - Current step (one of DEPLOYMENT_STATUS)
+ */
+function setDeploymentStep(deploymentId, step) {
+  currentSteps.set(deploymentId, step);
+}
+
+/**
+ * Archive a chunk of raw command output, one entry per line
+ * @param {string} deploymentId - Deployment identifier
+ * @param {string} step - Step that produced the output
+ * @param {string} stream - stdout or stderr
+ * @param {string} text - Output chunk
+ */
+function appendOutput(deploymentId, step, stream, text) {
+  const lines = text.replace(/\r?\n$/, '').split(/\r?\n/);
+  
+  for (const line of lines) {
+    writeEntry(deploymentId, { step, source: stream, message: line });
+  }
+}
+
+/**
+ * Winston transport that archives every log entry carrying a deploymentId
+ */
+class DeploymentLogTransport extends winston.Transport {
+  log(info, callback) {
+    const { deploymentId, level, message, timestamp, ...meta } = info;
+    
+    if (deploymentId) {
+      writeEntry(deploymentId, {
+        source: 'service',
+        // The console transport colorizes info.level in place
+        level: info[Symbol.for('level')] || level,
+        message,
+        meta: Object.keys(meta).length > 0 ? meta : undefined
+      });
+    }
+    
+    callback();
+  }
+}
+
+/**
+ * Format an archive entry as a plain-text line
+ * @param {Object} entry - Archive entry
+ * @returns {string} Log line
+ */
+function formatEntry(entry) {
+  const source = entry.source === 'service' ? entry.level : entry.source;
+  const meta = entry.meta ? ` ${JSON.stringify(entry.meta)}` : '';
+  
+  return `${entry.timestamp} [${entry.step}] ${source}: ${entry.message}${meta}`;
+}
+
+/**
+ * Check whether a deployment has an archived log
+ * @param {string} deploymentId - Deployment identifier
+ * @returns {boolean} True if the archive exists
+ */
+function hasDeploymentLog(deploymentId) {
+  return fs.existsSync(getDeploymentLogPath(deploymentId));
+}
+
+/**
+ * Write a deployment's archived log to a stream
+ * @param {string} deploymentId - Deployment identifier
+ * @param {Object} options - Output options
+ * @param {string} options.format - text or ndjson
+ * @param {string} options.step - Only include entries from this step (optional)
+ * @param {Writable} output - Destination (e.g. an Express response)
+ * @returns {Promise<void>}
+ */
+async function pipeDeploymentLog(deploymentId, { format = 'text', step = null }, output) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(getDeploymentLogPath(deploymentId)),
+    crlfDelay: Infinity
+  });
+  
+  for await (const line of lines) {
+    let entry;
+    
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      // A crash mid-write can leave a partial last line
+      continue;
+    }
+    
+    if (step && entry.step !== step) {
+      continue;
+    }
+    
+    const out = format === 'ndjson' ? line : formatEntry(entry);
+    
+    if (!output.write(`${out}\n`)) {
+      await once(output, 'drain');
+    }
+  }
+}
+
+/**
+ * Delete archived logs per the retention policy
+ * Logs older than DEPLOYMENT_LOG_RETENTION_DAYS are removed, then the oldest
+ * logs until the archive fits in DEPLOYMENT_LOG_MAX_TOTAL_MB
+ * @returns {number} Number of files deleted
+ */
+function pruneDeploymentLogs() {
+  if (!fs.existsSync(DEPLOYMENT_LOG_DIR)) {
+    return 0;
+  }
+  
+  const maxAgeMs = DEPLOYMENT_LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const maxTotalBytes = DEPLOYMENT_LOG_MAX_TOTAL_MB * 1024 * 1024;
+  const now = Date.now();
+  
+  const files = fs.readdirSync(DEPLOYMENT_LOG_DIR)
+    .filter(name => name.endsWith('.ndjson'))
+    .map((name) => {
+      const filePath = path.join(DEPLOYMENT_LOG_DIR, name);
+      const stats = fs.statSync(filePath);
+      return { filePath, deploymentId: path.basename(name, '.ndjson'), size: stats.size, mtimeMs: stats.mtimeMs };
+    })
+    .sort((a, b) => a.mtimeMs - b.mtimeMs);
+  
+  let totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+  let deleted = 0;
+  
+  for (const file of files) {
+    const expired = now - file.mtimeMs > maxAgeMs;
+    
+    if (!expired && totalBytes <= maxTotalBytes) {
+      break;
+    }
+    
+    // Never delete the log of a deployment that is still writing
+    if (writers.has(file.deploymentId)) {
+      continue;
+    }
+    
+    fs.rmSync(file.filePath, { force: true });
+    totalBytes -= file.size;
+    deleted++;
+  }
+  
+  return deleted;
+}
+
+module.exports = {
+  DeploymentLogTransport,
+  setDeploymentStep,
+  appendOutput,
+  hasDeploymentLog,
+  pipeDeploymentLog,
+  pruneDeploymentLogs
+};
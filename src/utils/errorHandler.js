@@ -79,6 +79,15 @@ class DeploymentError extends AppError {
   }
 }
 
+/**
+ * Deployed program does not match the build
+ */
+class VerificationError extends AppError {
+  constructor(message, details = null, logs = []) {
+    super(message, ERROR_CODES.VERIFICATION_FAILED, 500, details, logs);
+  }
+}
+
 /**
  * Wallet-related error
  */
@@ -115,6 +124,69 @@ class InsufficientBalanceError extends AppError {
   }
 }
 
+/**
+ * Resource not found error
+ */
+class NotFoundError extends AppError {
+  constructor(message, details = null) {
+    super(message, ERROR_CODES.NOT_FOUND, 404, details);
+  }
+}
+
+/**
+ * Request conflicts with the resource's current state
+ */
+class ConflictError extends AppError {
+  constructor(message, details = null) {
+    super(message, ERROR_CODES.CONFLICT, 409, details);
+  }
+}
+
+/**
+ * Deployment cancelled on request
+ */
+class CancelledError extends AppError {
+  constructor(message, details = null) {
+    super(message, ERROR_CODES.CANCELLED, 409, details);
+  }
+}
+
+/**
+ * Missing or invalid API key
+ */
+class AuthenticationError extends AppError {
+  constructor(message, details = null) {
+    super(message, ERROR_CODES.UNAUTHORIZED, 401, details);
+  }
+}
+
+/**
+ * API key lacks the scope required for the request
+ */
+class ForbiddenError extends AppError {
+  constructor(message, details = null) {
+    super(message, ERROR_CODES.FORBIDDEN, 403, details);
+  }
+}
+
+/**
+ * API key has used up one of its quotas
+ */
+class QuotaExceededError extends AppError {
+  constructor(message, details = null) {
+    super(message, ERROR_CODES.QUOTA_EXCEEDED, 429, details);
+  }
+}
+
+/**
+ * Client sent too many requests in the current window
+ */
+class RateLimitError extends AppError {
+  constructor(message, details = null) {
+    super(message, ERROR_CODES.RATE_LIMIT_EXCEEDED, 429, details);
+  }
+}
+
 /**
  * Express error handling middleware
  * @param {Error} err - Error object
@@ -172,10 +244,18 @@ module.exports = {
   InvalidProjectError,
   BuildError,
   DeploymentError,
+  VerificationError,
   WalletError,
   NetworkError,
   TimeoutError,
   InsufficientBalanceError,
+  NotFoundError,
+  ConflictError,
+  CancelledError,
+  AuthenticationError,
+  ForbiddenError,
+  QuotaExceededError,
+  RateLimitError,
   errorMiddleware,
   asyncHandler
 };
@@ -7,6 +7,7 @@ const winston = require('winston');
 const path = require('path');
 const fs = require('fs');
 const { LOG_DIR_PATH, LOG_LEVEL } = require('../config/constants');
+const { DeploymentLogTransport } = require('./deploymentLogArchive');
 
 // Ensure log directory exists
 if (!fs.existsSync(LOG_DIR_PATH)) {
@@ -50,7 +51,9 @@ const logger = winston.createLogger({
       level: 'error',
       maxsize: 10485760, // 10MB
       maxFiles: 5
-    })
+    }),
+    // Write each deployment's messages to its own archive file
+    new DeploymentLogTransport()
   ]
 });
 
@@ -0,0 +1,111 @@
+/**
+ * Rate limiting middleware
+ * Deployment creation, cancellation and status/log polling have separate
+ * budgets, so heavy polling never blocks a cancel. Counts
+ * are kept in Redis and keyed by API key, so a key's budget is shared across
+ * replicas and clients behind one NAT do not share a budget. The limiters
+ * report the remaining budget in RateLimit-* response headers.
+ * Requests without a valid key have no key to count against, so failed
+ * authentications are counted per IP by a limiter that runs before
+ * authenticate and blocks key guessing.
+ */
+
+const rateLimit = require('express-rate-limit');
+const { RateLimitError } = require('./errorHandler');
+const { RedisRateLimitStore } = require('../services/rateLimitStore');
+const {
+  RATE_LIMIT_DEPLOY_MAX,
+  RATE_LIMIT_POLL_MAX,
+  RATE_LIMIT_CANCEL_MAX,
+  RATE_LIMIT_AUTH_FAILURES_MAX,
+  RATE_LIMIT_WINDOW_MS
+} = require('../config/constants');
+
+/**
+ * Identify the API key a request is counted against (use after authenticate)
+ * @param {Request} req - Express request
+ * @returns {string} Client key
+ */
+function getClientKey(req) {
+  return `key:${req.apiKey.id}`;
+}
+
+/**
+ * Identify the IP a request is counted against
+ * @param {Request} req - Express request
+ * @returns {string} Client key
+ */
+function getClientIp(req) {
+  return `ip:${req.ip}`;
+}
+
+/**
+ * Create a Redis-backed limiter
+ * @param {string} name - Limiter name (separates the budgets in Redis)
+ * @param {number} limit - Requests allowed per window
+ * @param {string} message - Error message once the budget is used up
+ * @param {Object} options - Extra express-rate-limit options
+ * @returns {Function} Express middleware
+ */
+function createLimiter(name, limit, message, options = {}) {
+  return rateLimit({
+    windowMs: RATE_LIMIT_WINDOW_MS,
+    limit,
+    store: new RedisRateLimitStore(name),
+    keyGenerator: getClientKey,
+    standardHeaders: true,
+    legacyHeaders: false,
+    ...options,
+    handler: (req, res, next) => {
+      const { resetTime } = req.rateLimit;
+      
+      next(new RateLimitError(message, {
+        limit,
+        window_ms: RATE_LIMIT_WINDOW_MS,
+        reset_at: resetTime ? resetTime.toISOString() : null
+      }));
+    }
+  });
+}
+
+// POST /deploy
+const deployLimiter = createLimiter(
+  'deploy',
+  RATE_LIMIT_DEPLOY_MAX,
+  'Too many deployment requests, please try again later'
+);
+
+// DELETE /deploy/:id
+const cancelLimiter = createLimiter(
+  'cancel',
+  RATE_LIMIT_CANCEL_MAX,
+  'Too many cancellation requests, please try again later'
+);
+
+// Status, log and history reads
+const pollingLimiter = createLimiter(
+  'poll',
+  RATE_LIMIT_POLL_MAX,
+  'Too many status requests, please try again later'
+);
+
+// Failed authentications, per IP; mount before authenticate. Only 401
+// responses count, and the headers are left to the endpoint's own limiter
+const authFailureLimiter = createLimiter(
+  'auth',
+  RATE_LIMIT_AUTH_FAILURES_MAX,
+  'Too many failed authentication attempts, please try again later',
+  {
+    keyGenerator: getClientIp,
+    skipSuccessfulRequests: true,
+    requestWasSuccessful: (req, res) => res.statusCode !== 401,
+    standardHeaders: false
+  }
+);
+
+module.exports = {
+  authFailureLimiter,
+  deployLimiter,
+  cancelLimiter,
+  pollingLimiter
+};
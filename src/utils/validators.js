@@ -3,8 +3,17 @@
  */
 
 const Joi = require('joi');
-const { NETWORKS } = require('../config/constants');
+const {
+  NETWORKS,
+  DEPLOYMENT_PRIORITIES,
+  DEPLOYMENT_STATUS,
+  DEPLOYMENT_MODES,
+  VANITY_MAX_ATTEMPTS
+} = require('../config/constants');
+const { getNetworkNames } = require('../config/networks');
+const { getAvailableScopes } = require('../config/scopes');
 const { ValidationError } = require('./errorHandler');
+const { BASE58_ALPHABET } = require('./base58');
 
 /**
  * Validate GitHub repository URL
@@ -22,7 +31,7 @@ const isValidGitHubUrl = (url) => {
  * @returns {boolean} True if valid
  */
 const isValidNetwork = (network) => {
-  return Object.values(NETWORKS).includes(network);
+  return getNetworkNames().includes(network);
 };
 
 /**
@@ -47,6 +56,33 @@ const isValidKeypair = (keypair) => {
          keypair.every(byte => typeof byte === 'number' && byte >= 0 && byte <= 255);
 };
 
+/**
+ * Estimate how many keypairs a vanity pattern takes to find on average
+ * Treats address characters as uniform; prefixes starting with a lowercase
+ * or late uppercase letter take longer, as few 32-byte keys start that high
+ * @param {string} prefix - Address prefix (optional)
+ * @param {string} suffix - Address suffix (optional)
+ * @param {boolean} caseInsensitive - Match letters in either case
+ * @returns {number} Expected attempts
+ */
+const estimateVanityAttempts = (prefix = '', suffix = '', caseInsensitive = false) => {
+  return [...`${prefix || ''}${suffix || ''}`].reduce((attempts, char) => {
+    const matches = caseInsensitive
+      ? [...BASE58_ALPHABET].filter(candidate => candidate.toLowerCase() === char.toLowerCase()).length
+      : 1;
+    
+    return attempts * BASE58_ALPHABET.length / matches;
+  }, 1);
+};
+
+/**
+ * Program name as it appears in Anchor.toml [programs.*], where program
+ * keys are Rust identifiers
+ */
+const programNameSchema = Joi.string().pattern(/^[A-Za-z_][A-Za-z0-9_]*$/).max(64);
+
+const PROGRAM_NAME_MESSAGE = 'Program names are Anchor.toml program keys: letters, digits and underscores, not starting with a digit';
+
 /**
  * Deployment request schema
  */
@@ -65,13 +101,122 @@ const deploymentSchema = Joi.object({
     }),
   
   network: Joi.string()
-    .valid(...Object.values(NETWORKS))
+    .valid(...getNetworkNames())
     .default(NETWORKS.DEVNET)
     .messages({
-      'any.only': `Network must be one of: ${Object.values(NETWORKS).join(', ')}`
+      'any.only': `Network must be one of: ${getNetworkNames().join(', ')}`
     }),
 
-  // Custom wallet options
+  // Revision to deploy (defaults to the repository's default branch)
+  ref: Joi.string()
+    .max(255)
+    .pattern(/^(?!-)(?!.*\.\.)[A-Za-z0-9._/-]+$/)
+    .optional()
+    .messages({
+      'string.pattern.base': 'ref must be a valid branch or tag name'
+    }),
+
+  commit: Joi.string()
+    .pattern(/^[0-9a-fA-F]{40}$/)
+    .lowercase()
+    .optional()
+    .messages({
+      'string.pattern.base': 'commit must be a full 40-character commit SHA'
+    }),
+
+  // Anchor workspace inside the repository (discovered automatically when omitted)
+  project_path: Joi.string()
+    .max(255)
+    .optional()
+    .custom((value, helpers) => {
+      if (value && !isSafePath(value)) {
+        return helpers.error('any.invalid');
+      }
+      return value;
+    })
+    .messages({
+      'any.invalid': 'project_path must be a relative path inside the repository'
+    }),
+
+  // Programs to deploy from a multi-program workspace (all when omitted)
+  programs: Joi.array()
+    .items(programNameSchema)
+    .min(1)
+    .unique()
+    .optional()
+    .messages({
+      'string.pattern.base': PROGRAM_NAME_MESSAGE,
+      'array.unique': 'Program names must be unique'
+    }),
+
+  priority: Joi.string()
+    .valid(...Object.keys(DEPLOYMENT_PRIORITIES))
+    .default('normal')
+    .messages({
+      'any.only': `Priority must be one of: ${Object.keys(DEPLOYMENT_PRIORITIES).join(', ')}`
+    }),
+
+  mode: Joi.string()
+    .valid(...Object.values(DEPLOYMENT_MODES))
+    .default(DEPLOYMENT_MODES.DEPLOY)
+    .messages({
+      'any.only': `Mode must be one of: ${Object.values(DEPLOYMENT_MODES).join(', ')}`
+    }),
+  
+  // Existing program to upgrade in place (upgrade mode only)
+  program_id: Joi.string()
+    .when('mode', {
+      is: DEPLOYMENT_MODES.UPGRADE,
+      then: Joi.required(),
+      otherwise: Joi.forbidden()
+    })
+    .custom((value, helpers) => {
+      if (!isValidWalletAddress(value)) {
+        return helpers.error('any.invalid');
+      }
+      return value;
+    })
+    .messages({
+      'any.required': 'program_id is required in upgrade mode',
+      'any.unknown': 'program_id can only be provided in upgrade mode',
+      'any.invalid': 'Invalid program ID format'
+    }),
+  
+  // Existing program keypairs to deploy under, by program name
+  program_keypairs: Joi.object()
+    .pattern(
+      programNameSchema,
+      Joi.array().items(Joi.number().integer().min(0).max(255)).length(64)
+    )
+    .min(1)
+    .when('mode', { is: DEPLOYMENT_MODES.UPGRADE, then: Joi.forbidden() })
+    .optional()
+    // A misspelt program name must fail, not be dropped with the request's unknown fields
+    .prefs({ stripUnknown: false })
+    .messages({
+      'object.unknown': PROGRAM_NAME_MESSAGE,
+      'array.length': 'Program keypairs must be exactly 64 bytes',
+      'any.unknown': 'program_keypairs cannot be used in upgrade mode'
+    }),
+  
+  // Grind a program ID with this prefix and/or suffix (case-insensitive letters are base58 in either case)
+  vanity_prefix: Joi.string().max(16).optional(),
+  vanity_suffix: Joi.string().max(16).optional(),
+  vanity_case_insensitive: Joi.boolean().default(false),
+  
+  // Upgrade authority to hand the deployed programs to (wallet_address is the older name)
+  upgrade_authority: Joi.string()
+    .optional()
+    .custom((value, helpers) => {
+      if (value && !isValidWalletAddress(value)) {
+        return helpers.error('any.invalid');
+      }
+      return value;
+    })
+    .messages({
+      'any.invalid': 'Invalid Solana wallet address format'
+    }),
+  
   wallet_address: Joi.string()
     .optional()
     .custom((value, helpers) => {
@@ -84,6 +229,11 @@ const deploymentSchema = Joi.object({
       'any.invalid': 'Invalid Solana wallet address format'
     }),
 
+  // Make the deployed programs immutable instead
+  immutable: Joi.boolean().default(false),
+  
+  // Custom wallet options
+  
   wallet_keypair: Joi.array()
     .items(Joi.number().integer().min(0).max(255))
     .length(64)
@@ -103,22 +253,82 @@ const deploymentSchema = Joi.object({
     })
     .messages({
       'any.invalid': 'Invalid wallet file path'
-    })
+    }),
+  
+  wallet_id: Joi.string().guid().optional()
 }).custom((value, helpers) => {
+  // Ensure only one revision option is provided
+  if (value.ref && value.commit) {
+    return helpers.error('custom.multipleRevisionOptions');
+  }
+
+  if (value.upgrade_authority && value.wallet_address) {
+    return helpers.error('custom.multipleAuthorityOptions');
+  }
+  
+  if (value.immutable && (value.upgrade_authority || value.wallet_address)) {
+    return helpers.error('custom.immutableWithAuthority');
+  }
+  
   // Ensure only one wallet option is provided
   const walletOptions = [
-    value.wallet_address,
     value.wallet_keypair,
-    value.wallet_path
+    value.wallet_path,
+    value.wallet_id
   ].filter(Boolean);
 
   if (walletOptions.length > 1) {
     return helpers.error('custom.multipleWalletOptions');
   }
+  
+  if (value.vanity_prefix || value.vanity_suffix) {
+    const vanityPattern = value.vanity_case_insensitive ? /^[1-9A-Za-z]+$/ : /^[1-9A-HJ-NP-Za-km-z]+$/;
+    
+    if (![value.vanity_prefix, value.vanity_suffix].every(part => !part || vanityPattern.test(part))) {
+      return helpers.error('custom.vanityNotBase58');
+    }
+    
+    if (value.mode === DEPLOYMENT_MODES.UPGRADE || value.program_keypairs) {
+      return helpers.error('custom.vanityWithProgramId');
+    }
+    
+    if (value.programs && value.programs.length > 1) {
+      return helpers.error('custom.vanityMultiplePrograms');
+    }
+    
+    const expected = estimateVanityAttempts(value.vanity_prefix, value.vanity_suffix, value.vanity_case_insensitive);
+    
+    if (expected > VANITY_MAX_ATTEMPTS) {
+      return helpers.error('custom.vanityTooLong', {
+        expected: Math.round(expected).toLocaleString('en-US'),
+        limit: VANITY_MAX_ATTEMPTS.toLocaleString('en-US')
+      });
+    }
+  }
+  
+  // Upgrades are signed by the program's current authority, which a generated wallet never is
+  if (value.mode === DEPLOYMENT_MODES.UPGRADE) {
+    if (walletOptions.length === 0) {
+      return helpers.error('custom.upgradeWithoutWallet');
+    }
+    
+    if (value.programs && value.programs.length > 1) {
+      return helpers.error('custom.upgradeMultiplePrograms');
+    }
+  }
 
   return value;
 }).messages({
-  'custom.multipleWalletOptions': 'Only one wallet option can be provided: wallet_address, wallet_keypair, or wallet_path'
+  'custom.multipleRevisionOptions': 'Only one revision option can be provided: ref or commit',
+  'custom.multipleAuthorityOptions': 'Only one of upgrade_authority or wallet_address can be provided',
+  'custom.immutableWithAuthority': 'immutable cannot be combined with upgrade_authority or wallet_address',
+  'custom.multipleWalletOptions': 'Only one wallet option can be provided: wallet_keypair, wallet_path, or wallet_id',
+  'custom.upgradeWithoutWallet': 'Upgrade mode needs the program\'s upgrade authority as wallet_keypair, wallet_path, or wallet_id',
+  'custom.upgradeMultiplePrograms': 'Upgrade mode upgrades one program; list at most one in programs',
+  'custom.vanityNotBase58': 'vanity_prefix and vanity_suffix may only contain base58 characters: no 0, and no O, I or l unless vanity_case_insensitive is set',
+  'custom.vanityWithProgramId': 'A vanity program ID cannot be combined with upgrade mode or program_keypairs',
+  'custom.vanityMultiplePrograms': 'A vanity program ID applies to one program; list at most one in programs',
+  'custom.vanityTooLong': 'Vanity pattern is too long: about {#expected} attempts expected, the limit is {#limit}'
 });
 
 /**
@@ -146,23 +356,247 @@ const validateDeploymentRequest = (data) => {
 };
 
 /**
- * Sanitize command arguments to prevent injection
- * @param {string} input - User input
- * @returns {string} Sanitized input
+ * Deployment history query schema
  */
-const sanitizeInput = (input) => {
-  // Remove potentially dangerous characters
-  return input.replace(/[;&|`$(){}[\]<>]/g, '');
+const deploymentQuerySchema = Joi.object({
+  repo_url: Joi.string().max(500).optional(),
+  
+  // Not limited to the registry: history may reference networks that were removed
+  network: Joi.string().pattern(/^[a-z0-9][a-z0-9-]{0,63}$/).optional(),
+  
+  status: Joi.string()
+    .valid(...Object.values(DEPLOYMENT_STATUS))
+    .optional()
+    .messages({
+      'any.only': `Status must be one of: ${Object.values(DEPLOYMENT_STATUS).join(', ')}`
+    }),
+  
+  program_id: Joi.string()
+    .optional()
+    .custom((value, helpers) => {
+      if (!isValidWalletAddress(value)) {
+        return helpers.error('any.invalid');
+      }
+      return value;
+    })
+    .messages({
+      'any.invalid': 'Invalid program ID format'
+    }),
+  
+  api_key_id: Joi.string().guid().optional(),
+  
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional(),
+  
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  cursor: Joi.string().max(500).optional()
+});
+
+/**
+ * Validate deployment history query parameters
+ * @param {Object} query - Query string parameters
+ * @returns {Object} Validated filters with dates as ISO 8601 strings
+ * @throws {ValidationError} If validation fails
+ */
+const validateDeploymentQuery = (query) => {
+  const { error, value } = deploymentQuerySchema.validate(query, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+  
+  if (error) {
+    const details = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+    
+    throw new ValidationError('Invalid query parameters', details);
+  }
+
+  return {
+    ...value,
+    from: value.from ? value.from.toISOString() : undefined,
+    to: value.to ? value.to.toISOString() : undefined
+  };
+};
+
+/**
+ * API key scope list; checked against the registry at validation time so
+ * custom networks get their deploy scopes
+ */
+const scopesSchema = Joi.array()
+  .items(Joi.string().custom((value, helpers) => {
+    if (!getAvailableScopes().includes(value)) {
+      return helpers.error('any.invalid');
+    }
+    return value;
+  }))
+  .min(1)
+  .unique()
+  .messages({
+    'any.invalid': 'Unknown scope {{#value}}'
+  });
+
+/**
+ * API key creation schema
+ */
+const apiKeyCreateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  scopes: scopesSchema.required(),
+  max_deployments_per_day: Joi.number().integer().min(0).allow(null).default(null),
+  max_sol_per_day: Joi.number().min(0).allow(null).default(null)
+});
+
+/**
+ * API key update schema
+ */
+const apiKeyUpdateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).optional(),
+  scopes: scopesSchema.optional(),
+  max_deployments_per_day: Joi.number().integer().min(0).allow(null).optional(),
+  max_sol_per_day: Joi.number().min(0).allow(null).optional()
+}).min(1);
+
+/**
+ * Validate an API key creation or update payload
+ * @param {Object} data - Request data
+ * @param {boolean} partial - Validate as an update (all fields optional)
+ * @returns {Object} Validated key settings
+ * @throws {ValidationError} If validation fails
+ */
+const validateApiKeyRequest = (data, partial = false) => {
+  const schema = partial ? apiKeyUpdateSchema : apiKeyCreateSchema;
+  const { error, value } = schema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+  
+  if (error) {
+    const details = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+    
+    throw new ValidationError('Invalid request payload', details);
+  }
+  
+  return value;
+};
+
+/**
+ * Stored wallet name; kept to a safe charset as it shows up in logs and URLs
+ */
+const walletNameSchema = Joi.string()
+  .pattern(/^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/)
+  .required()
+  .messages({
+    'string.pattern.base': 'Wallet name must be 1-64 letters, digits, dashes or underscores'
+  });
+
+/**
+ * Stored wallet creation schema
+ */
+const walletCreateSchema = Joi.object({
+  name: walletNameSchema
+});
+
+/**
+ * Stored wallet import schema
+ */
+const walletImportSchema = Joi.object({
+  name: walletNameSchema,
+  secret_key: Joi.array()
+    .items(Joi.number().integer().min(0).max(255))
+    .length(64)
+    .required()
+    .messages({
+      'array.length': 'Secret key must be exactly 64 bytes',
+      'array.items': 'Each secret key byte must be between 0-255'
+    })
+});
+
+/**
+ * Validate a stored wallet creation or import payload
+ * @param {Object} data - Request data
+ * @param {boolean} isImport - Validate as an import (secret key required)
+ * @returns {Object} Validated wallet settings
+ * @throws {ValidationError} If validation fails
+ */
+const validateWalletRequest = (data, isImport = false) => {
+  const schema = isImport ? walletImportSchema : walletCreateSchema;
+  const { error, value } = schema.validate(data, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+  
+  if (error) {
+    const details = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+    
+    throw new ValidationError('Invalid request payload', details);
+  }
+  
+  return value;
 };
 
 /**
  * Validate file path to prevent directory traversal
+ * Only relative forward-slash paths without '..' segments are accepted;
+ * backslashes are refused rather than guessed at
  * @param {string} filePath - File path to validate
  * @returns {boolean} True if safe
  */
 const isSafePath = (filePath) => {
-  const normalized = filePath.replace(/\\/g, '/');
-  return !normalized.includes('../') && !normalized.startsWith('/');
+  if (filePath.includes('\\') || filePath.startsWith('/') || /^[A-Za-z]:/.test(filePath)) {
+    return false;
+  }
+  
+  return !filePath.split('/').includes('..');
+};
+
+/**
+ * Deployment log download query schema
+ */
+const deploymentLogQuerySchema = Joi.object({
+  format: Joi.string()
+    .valid('text', 'ndjson')
+    .default('text')
+    .messages({
+      'any.only': 'Format must be one of: text, ndjson'
+    }),
+
+  step: Joi.string()
+    .valid(...Object.values(DEPLOYMENT_STATUS))
+    .optional()
+    .messages({
+      'any.only': `Step must be one of: ${Object.values(DEPLOYMENT_STATUS).join(', ')}`
+    })
+});
+
+/**
+ * Validate deployment log download query parameters
+ * @param {Object} query - Query string parameters
+ * @returns {Object} Validated options
+ * @throws {ValidationError} If validation fails
+ */
+const validateDeploymentLogQuery = (query) => {
+  const { error, value } = deploymentLogQuerySchema.validate(query, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    const details = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }));
+    
+    throw new ValidationError('Invalid query parameters', details);
+  }
+
+  return value;
 };
 
 module.exports = {
@@ -170,8 +604,12 @@ module.exports = {
   isValidNetwork,
   isValidWalletAddress,
   isValidKeypair,
+  estimateVanityAttempts,
   validateDeploymentRequest,
-  sanitizeInput,
+  validateDeploymentQuery,
+  validateDeploymentLogQuery,
+  validateApiKeyRequest,
+  validateWalletRequest,
   isSafePath,
   deploymentSchema
 };
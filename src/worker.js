@@ -0,0 +1,62 @@
+/**
+ * Solana Program Deployer Worker
+ * Standalone entry point that processes queued deployments
+ * Use with RUN_WORKER_IN_PROCESS=false on the API server
+ */
+
+require('dotenv').config();
+
+const logger = require('./utils/logger');
+const { cleanupOldDirectories } = require('./services/projectManager');
+const { cleanupStaleWalletFiles } = require('./services/walletManager');
+const { retryPendingSweeps } = require('./services/walletSweeper');
+const { startDeploymentWorker, closeDeploymentQueue } = require('./services/deploymentQueue');
+const { startLocalnetWorker, closeLocalnetQueue } = require('./services/localnetQueue');
+const { closeRedisConnection } = require('./services/redisClient');
+const { startRpcHealthMonitor, stopRpcHealthMonitor } = require('./services/rpcHealth');
+const { closeDatabase } = require('./services/database');
+
+/**
+ * Start worker
+ */
+async function start() {
+  try {
+    await cleanupOldDirectories();
+    cleanupStaleWalletFiles();
+    
+    startRpcHealthMonitor();
+    startDeploymentWorker();
+    
+    // The local validator lives here, so the API hands its requests to this process
+    startLocalnetWorker();
+    
+    // Sweeps need the keypair files, which live on the worker host
+    retryPendingSweeps().catch(error => {
+      logger.error('Retrying wallet sweeps failed', { error: error.message });
+    });
+    
+    // Graceful shutdown - waits for in-flight deployments to finish
+    const shutdown = async (signal) => {
+      logger.info(`${signal} received, stopping deployment worker`);
+      stopRpcHealthMonitor();
+      await closeDeploymentQueue();
+      await closeLocalnetQueue();
+      await closeRedisConnection();
+      closeDatabase();
+      process.exit(0);
+    };
+    
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    
+    process.on('unhandledRejection', (reason) => {
+      logger.error('Unhandled rejection in worker', { reason });
+      process.exit(1);
+    });
+  } catch (error) {
+    logger.error('Failed to start worker', { error: error.message, stack: error.stack });
+    process.exit(1);
+  }
+}
+
+start();
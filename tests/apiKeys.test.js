@@ -0,0 +1,273 @@
+/**
+ * API key tests
+ * Keys are stored hashed, stop working once revoked, carry scopes, and
+ * their daily quotas are checked against deployment history
+ */
+
+const fs = require('fs');
+
+const workDir = process.env.TEST_WORK_DIR;
+
+process.env.ADMIN_API_KEY = 'bootstrap-admin-key';
+
+jest.mock('ioredis', () => require('ioredis-mock'));
+
+jest.mock('../src/services/deploymentQueue', () => ({
+  enqueueDeployment: jest.fn(),
+  cancelDeployment: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const {
+  createApiKey,
+  getApiKey,
+  listApiKeys,
+  updateApiKey,
+  revokeApiKey,
+  authenticateKey,
+  checkDeploymentQuota
+} = require('../src/services/apiKeys');
+const { recordDeployment } = require('../src/services/deploymentHistory');
+const { createDeploymentState, markSucceeded } = require('../src/services/deploymentState');
+const deployRouter = require('../src/routes/deploy');
+const { authenticate, hasScope, requireScope } = require('../src/utils/auth');
+const { errorMiddleware, NotFoundError, QuotaExceededError } = require('../src/utils/errorHandler');
+const { prepare, closeDatabase } = require('../src/services/database');
+const { SCOPES } = require('../src/config/scopes');
+
+let deploymentCount = 0;
+
+/**
+ * Record a deployment started with an API key
+ * @param {Object} apiKey - API key
+ * @param {Object} options - Deployment fields
+ * @param {string} options.network - Network name
+ * @param {number} options.solSpent - SOL spent (optional)
+ * @param {string} options.createdAt - Creation time (defaults to now)
+ */
+function recordUsage(apiKey, { network = 'devnet', solSpent, createdAt = new Date().toISOString() } = {}) {
+  deploymentCount++;
+  recordDeployment({
+    deployment_id: `deployment-${deploymentCount}`,
+    status: 'completed',
+    request: { repo_url: 'https://github.com/example/escrow', network, api_key_id: apiKey.id },
+    sol_spent: solSpent,
+    created_at: createdAt,
+    updated_at: createdAt
+  });
+}
+
+/**
+ * Create a key with quotas
+ * @param {Object} quotas - max_deployments_per_day and max_sol_per_day
+ * @returns {Object} API key
+ */
+function keyWithQuotas(quotas) {
+  return createApiKey({ name: 'quota', scopes: [SCOPES.DEPLOY_MAINNET], ...quotas });
+}
+
+/**
+ * Get the error checkDeploymentQuota throws
+ * @param {Object} apiKey - API key
+ * @param {string} network - Target network
+ * @returns {Error|null} Thrown error, or null if the deployment may start
+ */
+function quotaError(apiKey, network) {
+  try {
+    checkDeploymentQuota(apiKey, network);
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+afterAll(() => {
+  closeDatabase();
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('API keys', () => {
+  test('are stored as a hash and shown once', () => {
+    const created = createApiKey({ name: 'ci', scopes: [SCOPES.READ_DEPLOYMENTS] });
+    const row = prepare('SELECT * FROM api_keys WHERE id = ?').get(created.id);
+
+    expect(created.key.startsWith(created.key_prefix)).toBe(true);
+    expect(JSON.stringify(row)).not.toContain(created.key);
+    expect(getApiKey(created.id)).not.toHaveProperty('key');
+  });
+
+  test('authenticate with the key and record its use', () => {
+    const created = createApiKey({ name: 'ci', scopes: [SCOPES.READ_DEPLOYMENTS] });
+
+    const apiKey = authenticateKey(created.key);
+
+    expect(apiKey).toMatchObject({ id: created.id, scopes: [SCOPES.READ_DEPLOYMENTS] });
+    expect(getApiKey(created.id).last_used_at).not.toBeNull();
+    expect(authenticateKey(`${created.key}x`)).toBeNull();
+  });
+
+  test('stop authenticating once revoked but stay listed', () => {
+    const created = createApiKey({ name: 'ci', scopes: [SCOPES.READ_DEPLOYMENTS] });
+
+    revokeApiKey(created.id);
+
+    expect(authenticateKey(created.key)).toBeNull();
+    expect(listApiKeys().map(apiKey => apiKey.id)).not.toContain(created.id);
+    expect(listApiKeys({ includeRevoked: true }).map(apiKey => apiKey.id)).toContain(created.id);
+    expect(() => revokeApiKey(created.id)).toThrow(NotFoundError);
+    expect(() => updateApiKey(created.id, { name: 'renamed' })).toThrow(NotFoundError);
+  });
+
+  test('take new scopes and quotas', () => {
+    const created = createApiKey({ name: 'ci', scopes: [SCOPES.READ_DEPLOYMENTS] });
+
+    const updated = updateApiKey(created.id, { scopes: [SCOPES.ADMIN], max_deployments_per_day: 3 });
+
+    expect(updated).toMatchObject({ name: 'ci', scopes: [SCOPES.ADMIN], max_deployments_per_day: 3 });
+    expect(authenticateKey(created.key).scopes).toEqual([SCOPES.ADMIN]);
+  });
+
+  test('accept ADMIN_API_KEY as an admin key', () => {
+    expect(authenticateKey('bootstrap-admin-key')).toMatchObject({ scopes: [SCOPES.ADMIN] });
+    expect(authenticateKey('bootstrap-admin-kez')).toBeNull();
+  });
+});
+
+describe('checkDeploymentQuota', () => {
+  test('lets a key without quotas deploy', () => {
+    const apiKey = keyWithQuotas({});
+    recordUsage(apiKey, { network: 'mainnet-beta', solSpent: 100 });
+
+    expect(() => checkDeploymentQuota(apiKey, 'mainnet-beta')).not.toThrow();
+  });
+
+  test('stops a key that used its daily deployments', () => {
+    const apiKey = keyWithQuotas({ max_deployments_per_day: 2 });
+    recordUsage(apiKey);
+
+    expect(quotaError(apiKey, 'devnet')).toBeNull();
+
+    recordUsage(apiKey);
+
+    const error = quotaError(apiKey, 'devnet');
+
+    expect(error).toBeInstanceOf(QuotaExceededError);
+    expect(error.details).toEqual({ max_deployments_per_day: 2, deployments_today: 2 });
+  });
+
+  test('does not count deployments from before today', () => {
+    const apiKey = keyWithQuotas({ max_deployments_per_day: 1 });
+    recordUsage(apiKey, { createdAt: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString() });
+
+    expect(() => checkDeploymentQuota(apiKey, 'devnet')).not.toThrow();
+  });
+
+  test('stops mainnet deployments once the SOL quota is spent', () => {
+    const apiKey = keyWithQuotas({ max_sol_per_day: 2 });
+    recordUsage(apiKey, { network: 'mainnet-beta', solSpent: 2.5 });
+
+    expect(() => checkDeploymentQuota(apiKey, 'mainnet-beta')).toThrow('Daily SOL spending quota exceeded');
+    expect(() => checkDeploymentQuota(apiKey, 'devnet')).not.toThrow();
+  });
+
+  test('does not count SOL spent on test clusters', () => {
+    const apiKey = keyWithQuotas({ max_sol_per_day: 2 });
+    recordUsage(apiKey, { network: 'devnet', solSpent: 5 });
+
+    expect(() => checkDeploymentQuota(apiKey, 'mainnet-beta')).not.toThrow();
+    expect(getApiKey(apiKey.id).usage_today).toMatchObject({ deployments: 1, sol_spent: 0 });
+  });
+});
+
+describe('authenticate middleware', () => {
+  const app = express();
+  app.get('/deployments', authenticate, requireScope(SCOPES.READ_DEPLOYMENTS), (req, res) => {
+    res.json({ success: true, api_key_id: req.apiKey.id });
+  });
+  app.use(errorMiddleware);
+
+  test('requires a key', async () => {
+    const response = await request(app).get('/deployments');
+
+    expect(response.status).toBe(401);
+  });
+
+  test('rejects a key without the scope', async () => {
+    const { key } = createApiKey({ name: 'deployer', scopes: ['deploy:devnet'] });
+
+    const response = await request(app).get('/deployments').set('Authorization', `Bearer ${key}`);
+
+    expect(response.status).toBe(403);
+    expect(response.body.error.details).toEqual({ required_scope: SCOPES.READ_DEPLOYMENTS });
+  });
+
+  test.each([
+    ['ADMIN_API_KEY', 'bootstrap-admin-key'],
+    ['an admin key', createApiKey({ name: 'admin', scopes: [SCOPES.ADMIN] }).key]
+  ])('lets %s read deployments', async (label, key) => {
+    const response = await request(app).get('/deployments').set('Authorization', `Bearer ${key}`);
+
+    expect(response.status).toBe(200);
+  });
+
+  test('does not give admin keys deploy scopes', () => {
+    const apiKey = authenticateKey('bootstrap-admin-key');
+
+    expect(hasScope(apiKey, SCOPES.DEPLOY_MAINNET)).toBe(false);
+    expect(hasScope(apiKey, 'deploy:devnet')).toBe(false);
+  });
+
+  test('passes the authenticated key on', async () => {
+    const { id, key } = createApiKey({ name: 'reader', scopes: [SCOPES.READ_DEPLOYMENTS] });
+
+    const response = await request(app).get('/deployments').set('Authorization', `Bearer ${key}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.api_key_id).toBe(id);
+  });
+});
+
+describe('reading a deployment another key started', () => {
+  const app = express();
+  app.use('/deploy', deployRouter);
+  app.use(errorMiddleware);
+
+  let deploymentId;
+
+  beforeAll(async () => {
+    const owner = createApiKey({ name: 'owner', scopes: ['deploy:devnet'] });
+    deploymentId = 'deployment-other-key';
+    await createDeploymentState(deploymentId, {
+      repo_url: 'https://github.com/example/escrow',
+      network: 'devnet',
+      api_key_id: owner.id
+    });
+    await markSucceeded(deploymentId, { programs: [] });
+  });
+
+  test.each([
+    ['ADMIN_API_KEY', () => 'bootstrap-admin-key'],
+    ['an admin key', () => createApiKey({ name: 'admin', scopes: [SCOPES.ADMIN] }).key]
+  ])('is allowed for %s', async (label, getKey) => {
+    const key = getKey();
+
+    const status = await request(app).get(`/deploy/status/${deploymentId}`).set('Authorization', `Bearer ${key}`);
+    const stream = await request(app).get(`/deploy/${deploymentId}/logs/stream`).set('Authorization', `Bearer ${key}`);
+
+    expect(status.status).toBe(200);
+    expect(status.body.status).toBe('succeeded');
+    expect(stream.status).toBe(200);
+    expect(stream.text).toContain('event: end');
+  });
+
+  test('is refused for a key without read:deployments', async () => {
+    const { key } = createApiKey({ name: 'deployer', scopes: ['deploy:devnet'] });
+
+    const status = await request(app).get(`/deploy/status/${deploymentId}`).set('Authorization', `Bearer ${key}`);
+    const stream = await request(app).get(`/deploy/${deploymentId}/logs/stream`).set('Authorization', `Bearer ${key}`);
+
+    expect(status.status).toBe(403);
+    expect(stream.status).toBe(403);
+  });
+});
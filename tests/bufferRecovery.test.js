@@ -0,0 +1,182 @@
+/**
+ * Buffer recovery tests
+ * A deploy cancelled after it started closes the program buffers it left
+ * behind before the wallet is swept, keeps the keypair that can still close
+ * any it could not, and ends as cancelled even when the lookup fails
+ */
+
+const fs = require('fs');
+
+const workDir = process.env.TEST_WORK_DIR;
+
+const WALLET = '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM';
+const KEYPAIR_PATH = '/keys/deployment-1.json';
+
+// The pipeline around the deploy step is faked; calls are recorded in order
+const calls = [];
+
+jest.mock('../src/services/projectManager', () => ({
+  cloneRepository: jest.fn(async () => '/repo'),
+  resolveCommit: jest.fn(async () => ({ sha: 'a'.repeat(40) })),
+  resolveWorkspace: jest.fn(async () => '/repo'),
+  validateAnchorProject: jest.fn(async () => ({ programs: [{ name: 'escrow' }] })),
+  selectPrograms: jest.fn(() => ['escrow']),
+  syncProgramIds: jest.fn(() => null),
+  cleanupDirectory: jest.fn(async () => {})
+}));
+
+jest.mock('../src/services/walletManager', () => ({
+  getCustomWalletAddress: jest.fn(() => null),
+  setupWallet: jest.fn(async () => ({
+    address: '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM',
+    keypairPath: '/keys/deployment-1.json',
+    isCustom: false,
+    isEphemeral: true
+  })),
+  cleanupWallet: jest.fn(keypairPath => calls.push(`cleanupWallet ${keypairPath}`))
+}));
+
+jest.mock('../src/services/walletSweeper', () => ({
+  isSweepEnabled: () => true,
+  registerSweep: jest.fn(),
+  sweepWallet: jest.fn(async () => {
+    calls.push('sweepWallet');
+    return true;
+  })
+}));
+
+jest.mock('../src/services/treasury', () => ({
+  isTreasuryFundingEnabled: () => false,
+  fundFromTreasury: jest.fn()
+}));
+
+jest.mock('../src/services/programKeystore', () => ({
+  injectProgramKeypairs: jest.fn(async () => {}),
+  persistProgramKeypairs: jest.fn()
+}));
+
+jest.mock('../src/services/vanityGrinder', () => ({
+  grindProgramKeypair: jest.fn()
+}));
+
+jest.mock('../src/services/localValidator', () => ({
+  ensureLocalValidator: jest.fn()
+}));
+
+jest.mock('../src/services/deploymentState', () => ({
+  transitionStep: jest.fn(async () => {}),
+  recordSolSpent: jest.fn(async () => {})
+}));
+
+jest.mock('../src/services/solanaCliWrapper', () => ({
+  configureCluster: jest.fn(async () => ({ network: 'devnet', rpcUrl: 'https://api.devnet.solana.com', configPath: '/config.yml' })),
+  setClusterKeypair: jest.fn(async () => {}),
+  cleanupClusterConfig: jest.fn(),
+  ensureFunding: jest.fn(async () => 2),
+  getBalance: jest.fn(async () => 1),
+  findProgramBuffers: jest.fn(),
+  closeProgramBuffer: jest.fn()
+}));
+
+jest.mock('../src/services/anchorDeployer', () => ({
+  buildProgram: jest.fn(async () => ({ logs: [], duration: 1 })),
+  deployPrograms: jest.fn(),
+  verifyDeployment: jest.fn(),
+  estimateDeploymentCost: jest.fn(),
+  getProgramSnapshot: jest.fn(),
+  upgradeProgram: jest.fn(),
+  setUpgradeAuthority: jest.fn()
+}));
+
+const { orchestrateDeployment } = require('../src/services/deploymentOrchestrator');
+const { findProgramBuffers, closeProgramBuffer } = require('../src/services/solanaCliWrapper');
+const { deployPrograms } = require('../src/services/anchorDeployer');
+const { runWithDeploymentContext } = require('../src/utils/deploymentContext');
+const { CancelledError } = require('../src/utils/errorHandler');
+
+/**
+ * Run a deployment that is cancelled once its deploy step has started
+ * @returns {Promise<Error>} The error the deployment ended with
+ */
+async function cancelDuringDeploy() {
+  const controller = new AbortController();
+
+  deployPrograms.mockImplementation(() => {
+    controller.abort(new CancelledError('Deployment cancelled'));
+    return new Promise(() => {});
+  });
+
+  return runWithDeploymentContext(
+    { deploymentId: 'deployment-1', signal: controller.signal, deadline: Date.now() + 60000 },
+    () => orchestrateDeployment('deployment-1', { repoUrl: 'https://github.com/example/escrow', network: 'devnet' })
+  ).catch(error => error);
+}
+
+/**
+ * Describe a buffer as findProgramBuffers reports it
+ * @param {string} address - Buffer address
+ * @returns {Object} Buffer
+ */
+function buffer(address) {
+  return { address, authority: WALLET, balance_sol: 1.2876 };
+}
+
+beforeEach(() => {
+  calls.length = 0;
+  findProgramBuffers.mockReset();
+  closeProgramBuffer.mockReset().mockImplementation(async (address) => {
+    calls.push(`closeProgramBuffer ${address}`);
+  });
+});
+
+afterAll(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('a deploy cancelled after it started', () => {
+  test('closes its buffers before the wallet is swept and its keypair deleted', async () => {
+    findProgramBuffers.mockResolvedValue([buffer('Buffer1'), buffer('Buffer2')]);
+
+    const error = await cancelDuringDeploy();
+
+    expect(error).toBeInstanceOf(CancelledError);
+    expect(error.details.buffers).toEqual([
+      { ...buffer('Buffer1'), closed: true },
+      { ...buffer('Buffer2'), closed: true }
+    ]);
+    expect(findProgramBuffers).toHaveBeenCalledWith(WALLET, 'deployment-1', expect.any(Object));
+    expect(calls).toEqual([
+      'closeProgramBuffer Buffer1',
+      'closeProgramBuffer Buffer2',
+      'sweepWallet',
+      `cleanupWallet ${KEYPAIR_PATH}`
+    ]);
+  });
+
+  test('keeps the keypair while a buffer it holds could not be closed', async () => {
+    findProgramBuffers.mockResolvedValue([buffer('Buffer1'), buffer('Buffer2')]);
+    closeProgramBuffer.mockImplementation(async (address) => {
+      if (address === 'Buffer1') {
+        throw new Error('error sending request');
+      }
+    });
+
+    const error = await cancelDuringDeploy();
+
+    expect(error.details.buffers.map(({ address, closed }) => ({ address, closed }))).toEqual([
+      { address: 'Buffer1', closed: false },
+      { address: 'Buffer2', closed: true }
+    ]);
+    expect(calls).not.toContain(`cleanupWallet ${KEYPAIR_PATH}`);
+  });
+
+  test('still ends as cancelled when the buffers cannot be looked up', async () => {
+    findProgramBuffers.mockRejectedValue(new Error('connection refused'));
+
+    const error = await cancelDuringDeploy();
+
+    expect(error).toBeInstanceOf(CancelledError);
+    expect(error.details).toEqual({ buffers: [] });
+    expect(calls).toEqual(['sweepWallet', `cleanupWallet ${KEYPAIR_PATH}`]);
+  });
+});
@@ -0,0 +1,250 @@
+/**
+ * Cancellation tests
+ * Queued deployments are cancelled at once; running ones are aborted in
+ * whichever process runs them, killing the commands of the current step
+ */
+
+const fs = require('fs');
+
+const workDir = process.env.TEST_WORK_DIR;
+
+jest.mock('ioredis', () => require('ioredis-mock'));
+
+// Jobs are looked up by ID only; the tests decide what state each one is in
+jest.mock('bullmq', () => {
+  const jobs = new Map();
+
+  class Queue {
+    async getJob(jobId) {
+      return jobs.get(jobId) || null;
+    }
+
+    async close() {}
+  }
+
+  return { Queue, Worker: class {}, DelayedError: class extends Error {}, jobs };
+});
+
+const express = require('express');
+const request = require('supertest');
+const { jobs } = require('bullmq');
+const deployRouter = require('../src/routes/deploy');
+const { cancelDeployment } = require('../src/services/deploymentQueue');
+const {
+  registerDeployment,
+  unregisterDeployment,
+  isCancelRequested,
+  requestCancellation,
+  startCancellationListener,
+  stopCancellationListener
+} = require('../src/services/deploymentCancellation');
+const { createDeploymentState, getDeploymentState, markSucceeded } = require('../src/services/deploymentState');
+const { runWithDeploymentContext, runStep } = require('../src/utils/deploymentContext');
+const { executeCommand } = require('../src/utils/commandExecutor');
+const { createApiKey } = require('../src/services/apiKeys');
+const { getRedisConnection } = require('../src/services/redisClient');
+const { closeDatabase } = require('../src/services/database');
+const { errorMiddleware, CancelledError } = require('../src/utils/errorHandler');
+const { SCOPES } = require('../src/config/scopes');
+
+const app = express();
+app.use(express.json());
+app.use('/deploy', deployRouter);
+app.use(errorMiddleware);
+
+let deploymentCount = 0;
+
+/**
+ * Create a queued deployment and its job
+ * @param {Object} options - Deployment settings
+ * @param {string} options.apiKeyId - API key that started it
+ * @param {string} options.jobState - BullMQ state of its job
+ * @param {boolean} options.locked - Whether a worker takes the job while it is being removed
+ * @returns {Promise<Object>} { deploymentId, job }
+ */
+async function queueDeployment({ apiKeyId = null, jobState = 'waiting', locked = false } = {}) {
+  deploymentCount++;
+  const deploymentId = `deployment-${deploymentCount}`;
+  const job = {
+    getState: jest.fn(async () => jobState),
+    remove: jest.fn(async () => {
+      if (locked) {
+        throw new Error('Job is locked');
+      }
+      jobs.delete(deploymentId);
+    })
+  };
+
+  jobs.set(deploymentId, job);
+  await createDeploymentState(deploymentId, {
+    repo_url: 'https://github.com/example/escrow',
+    network: 'devnet',
+    api_key_id: apiKeyId
+  });
+
+  return { deploymentId, job };
+}
+
+/**
+ * Wait for a signal to abort
+ * @param {AbortSignal} signal - Signal
+ * @returns {Promise<*>} Abort reason
+ */
+function waitForAbort(signal) {
+  if (signal.aborted) {
+    return Promise.resolve(signal.reason);
+  }
+
+  return new Promise(resolve => signal.addEventListener('abort', () => resolve(signal.reason), { once: true }));
+}
+
+beforeEach(async () => {
+  jobs.clear();
+  await getRedisConnection().flushall();
+});
+
+afterAll(async () => {
+  await stopCancellationListener();
+  closeDatabase();
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('cancel requests', () => {
+  test('leave a flag for deployments that have not started', async () => {
+    expect(await isCancelRequested('deployment-x')).toBe(false);
+
+    await requestCancellation('deployment-x');
+
+    expect(await isCancelRequested('deployment-x')).toBe(true);
+  });
+
+  test('abort a deployment running in this process', async () => {
+    await startCancellationListener();
+    const controller = registerDeployment('deployment-running');
+
+    try {
+      await requestCancellation('deployment-running');
+
+      expect(await waitForAbort(controller.signal)).toBeInstanceOf(CancelledError);
+    } finally {
+      unregisterDeployment('deployment-running');
+    }
+  });
+});
+
+describe('cancelled steps', () => {
+  test('do not start once the deployment is cancelled', async () => {
+    const controller = new AbortController();
+    const step = jest.fn();
+    controller.abort(new CancelledError('Deployment cancelled'));
+
+    const running = runWithDeploymentContext(
+      { deploymentId: 'deployment-1', signal: controller.signal, deadline: Date.now() + 60000 },
+      () => runStep('build', 60000, step)
+    );
+
+    await expect(running).rejects.toThrow(CancelledError);
+    expect(step).not.toHaveBeenCalled();
+  });
+
+  test('kill the command they are running', async () => {
+    const controller = new AbortController();
+    const startedAt = Date.now();
+
+    const running = runWithDeploymentContext(
+      { deploymentId: 'deployment-1', signal: controller.signal, deadline: Date.now() + 60000 },
+      () => runStep('build', 60000, () => executeCommand('sleep', ['30'], { timeout: 60000 }))
+    );
+
+    setTimeout(() => controller.abort(new CancelledError('Deployment cancelled')), 100);
+
+    await expect(running).rejects.toThrow(CancelledError);
+    expect(Date.now() - startedAt).toBeLessThan(5000);
+  });
+});
+
+describe('cancelDeployment', () => {
+  test('cancels a queued deployment at once', async () => {
+    const { deploymentId, job } = await queueDeployment();
+
+    expect(await cancelDeployment(deploymentId)).toBe('cancelled');
+    expect(job.remove).toHaveBeenCalled();
+    expect((await getDeploymentState(deploymentId)).status).toBe('cancelled');
+  });
+
+  test('leaves a running deployment to its worker', async () => {
+    const { deploymentId, job } = await queueDeployment({ jobState: 'active' });
+
+    expect(await cancelDeployment(deploymentId)).toBe('cancelling');
+    expect(job.remove).not.toHaveBeenCalled();
+    expect(await isCancelRequested(deploymentId)).toBe(true);
+    expect((await getDeploymentState(deploymentId)).status).toBe('queued');
+  });
+
+  test('leaves a deployment a worker picked up while cancelling to that worker', async () => {
+    const { deploymentId } = await queueDeployment({ locked: true });
+
+    expect(await cancelDeployment(deploymentId)).toBe('cancelling');
+    expect(await isCancelRequested(deploymentId)).toBe(true);
+    expect((await getDeploymentState(deploymentId)).status).toBe('queued');
+  });
+});
+
+describe('DELETE /deploy/:deploymentId', () => {
+  /**
+   * Send a cancel request
+   * @param {string} deploymentId - Deployment identifier
+   * @param {string} key - API key
+   * @returns {Promise<Response>} Response
+   */
+  function cancel(deploymentId, key) {
+    return request(app).delete(`/deploy/${deploymentId}`).set('Authorization', `Bearer ${key}`);
+  }
+
+  test('cancels a deployment the key started', async () => {
+    const apiKey = createApiKey({ name: 'deployer', scopes: ['deploy:devnet'] });
+    const { deploymentId } = await queueDeployment({ apiKeyId: apiKey.id });
+
+    const response = await cancel(deploymentId, apiKey.key);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ deployment_id: deploymentId, status: 'cancelled' });
+  });
+
+  test('accepts the request for a running deployment', async () => {
+    const apiKey = createApiKey({ name: 'deployer', scopes: ['deploy:devnet'] });
+    const { deploymentId } = await queueDeployment({ apiKeyId: apiKey.id, jobState: 'active' });
+
+    const response = await cancel(deploymentId, apiKey.key);
+
+    expect(response.status).toBe(202);
+    expect(response.body.status).toBe('cancelling');
+  });
+
+  test('lets only admin keys cancel deployments they did not start', async () => {
+    const owner = createApiKey({ name: 'owner', scopes: ['deploy:devnet'] });
+    const other = createApiKey({ name: 'other', scopes: ['deploy:devnet'] });
+    const admin = createApiKey({ name: 'admin', scopes: [SCOPES.ADMIN] });
+    const { deploymentId } = await queueDeployment({ apiKeyId: owner.id });
+
+    expect((await cancel(deploymentId, other.key)).status).toBe(403);
+    expect((await cancel(deploymentId, admin.key)).status).toBe(200);
+  });
+
+  test('refuses to cancel a finished deployment', async () => {
+    const apiKey = createApiKey({ name: 'deployer', scopes: ['deploy:devnet'] });
+    const { deploymentId } = await queueDeployment({ apiKeyId: apiKey.id });
+    await markSucceeded(deploymentId, { programs: [] });
+
+    const response = await cancel(deploymentId, apiKey.key);
+
+    expect(response.status).toBe(409);
+    expect(await isCancelRequested(deploymentId)).toBe(false);
+  });
+
+  test('reports an unknown deployment', async () => {
+    const apiKey = createApiKey({ name: 'deployer', scopes: ['deploy:devnet'] });
+
+    expect((await cancel('deployment-missing', apiKey.key)).status).toBe(404);
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Clone revision tests
+ * Deployments check out the default branch, a branch, a tag or a commit,
+ * record the commit they got, and say so clearly when it does not exist
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const workDir = process.env.TEST_WORK_DIR;
+
+// Keep log sinks off Redis; only the checkout matters here
+jest.mock('../src/services/deploymentEvents', () => ({
+  createLogSink: () => () => {}
+}));
+
+const { cloneRepository, resolveCommit } = require('../src/services/projectManager');
+const { CloneError } = require('../src/utils/errorHandler');
+
+const upstream = path.join(workDir, 'upstream');
+const MISSING_COMMIT = '1'.repeat(40);
+
+const commits = {};
+
+/**
+ * Run git in the upstream repository
+ * @param {...string} args - Git arguments
+ * @returns {string} Trimmed output
+ */
+function git(...args) {
+  return execFileSync('git', args, {
+    cwd: upstream,
+    env: {
+      ...process.env,
+      GIT_AUTHOR_NAME: 'Ada Lovelace',
+      GIT_AUTHOR_EMAIL: 'ada@example.com',
+      GIT_COMMITTER_NAME: 'Ada Lovelace',
+      GIT_COMMITTER_EMAIL: 'ada@example.com'
+    }
+  }).toString().trim();
+}
+
+/**
+ * Commit a version file to the upstream repository
+ * @param {string} version - File contents
+ * @param {string} message - Commit message
+ * @returns {string} Commit SHA
+ */
+function commitVersion(version, message) {
+  fs.writeFileSync(path.join(upstream, 'VERSION'), version);
+  git('add', 'VERSION');
+  git('commit', '--quiet', '-m', message);
+  return git('rev-parse', 'HEAD');
+}
+
+/**
+ * Read the version a clone checked out
+ * @param {string} repoPath - Clone path
+ * @returns {string} File contents
+ */
+function checkedOutVersion(repoPath) {
+  return fs.readFileSync(path.join(repoPath, 'VERSION'), 'utf8');
+}
+
+/**
+ * Get the error a call rejects with
+ * @param {Promise} promise - Pending call
+ * @returns {Promise<Error|null>} Rejection, or null if it resolved
+ */
+async function rejection(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+beforeAll(() => {
+  fs.mkdirSync(upstream, { recursive: true });
+  git('init', '--quiet', '--initial-branch', 'main');
+  commits.first = commitVersion('1.0.0', 'Release 1.0.0');
+  git('tag', 'v1.0.0');
+  commits.second = commitVersion('1.1.0', 'Release 1.1.0\n\nAdds the withdraw instruction');
+  git('checkout', '--quiet', '-b', 'next');
+  commits.next = commitVersion('2.0.0-beta', 'Start 2.0');
+  git('checkout', '--quiet', 'main');
+});
+
+afterAll(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('cloneRepository', () => {
+  test('checks out the default branch', async () => {
+    const repoPath = await cloneRepository(upstream, 'clone-default');
+
+    expect(checkedOutVersion(repoPath)).toBe('1.1.0');
+  });
+
+  test('checks out a branch', async () => {
+    const repoPath = await cloneRepository(upstream, 'clone-branch', { ref: 'next' });
+
+    expect(checkedOutVersion(repoPath)).toBe('2.0.0-beta');
+  });
+
+  test('checks out a tag', async () => {
+    const repoPath = await cloneRepository(upstream, 'clone-tag', { ref: 'v1.0.0' });
+
+    expect(checkedOutVersion(repoPath)).toBe('1.0.0');
+  });
+
+  test('checks out a commit without its history', async () => {
+    const repoPath = await cloneRepository(upstream, 'clone-commit', { commit: commits.first });
+
+    expect(checkedOutVersion(repoPath)).toBe('1.0.0');
+    expect(execFileSync('git', ['rev-list', '--count', 'HEAD'], { cwd: repoPath }).toString().trim()).toBe('1');
+  });
+
+  test('reports a commit that does not exist', async () => {
+    const error = await rejection(cloneRepository(upstream, 'clone-missing-commit', { commit: MISSING_COMMIT }));
+
+    expect(error).toBeInstanceOf(CloneError);
+    expect(error.code).toBe('CLONE_FAILED');
+    expect(error.message).toBe(`Commit ${MISSING_COMMIT} does not exist in ${upstream}`);
+    expect(error.details).toEqual({ repoUrl: upstream, ref: null, commit: MISSING_COMMIT, reason: 'REVISION_NOT_FOUND' });
+    expect(fs.existsSync(path.join(process.env.TEMP_DIR_PATH, 'clone-missing-commit'))).toBe(false);
+  });
+
+  test('reports a ref that does not exist', async () => {
+    const error = await rejection(cloneRepository(upstream, 'clone-missing-ref', { ref: 'release/9.9' }));
+
+    expect(error).toBeInstanceOf(CloneError);
+    expect(error.message).toBe(`Ref release/9.9 does not exist in ${upstream}`);
+    expect(error.details.reason).toBe('REVISION_NOT_FOUND');
+  });
+});
+
+describe('resolveCommit', () => {
+  test('reports the commit that was checked out', async () => {
+    const repoPath = await cloneRepository(upstream, 'resolve-default');
+
+    const commit = await resolveCommit(repoPath, 'resolve-default');
+
+    expect(commit).toEqual({
+      sha: commits.second,
+      message: 'Release 1.1.0\n\nAdds the withdraw instruction',
+      author: { name: 'Ada Lovelace', email: 'ada@example.com' },
+      date: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T/)
+    });
+  });
+
+  test('reports a tag as the commit it points to', async () => {
+    const repoPath = await cloneRepository(upstream, 'resolve-tag', { ref: 'v1.0.0' });
+
+    expect((await resolveCommit(repoPath, 'resolve-tag')).sha).toBe(commits.first);
+  });
+});
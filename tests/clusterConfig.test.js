@@ -0,0 +1,181 @@
+/**
+ * Cluster config tests
+ * Each deployment gets its own Solana CLI config, and every CLI and Anchor
+ * call names that deployment's RPC URL and signer; the operator's config and
+ * id.json are never read or written
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const workDir = process.env.TEST_WORK_DIR;
+
+process.env.SOLANA_CONFIG_DIR = path.join(workDir, 'solana');
+
+jest.mock('../src/utils/commandExecutor', () => ({
+  executeCommand: jest.fn()
+}));
+
+// Keep log sinks off Redis; only the arguments matter here
+jest.mock('../src/services/deploymentEvents', () => ({
+  createLogSink: () => () => {}
+}));
+
+const { executeCommand } = require('../src/utils/commandExecutor');
+const {
+  configureCluster,
+  setClusterKeypair,
+  cleanupClusterConfig,
+  getBalance,
+  confirmTransaction
+} = require('../src/services/solanaCliWrapper');
+const { buildProgram, deployProgram } = require('../src/services/anchorDeployer');
+const { setupWallet, cleanupWallet } = require('../src/services/walletManager');
+const { DEPLOYMENT_CONFIG_DIR, DEVNET_RPC_URL, TESTNET_RPC_URL } = require('../src/config/constants');
+
+const PROGRAM_ID = 'Fg6PaFpoGXkYsidMpWTK6W2BeZ7FEfcYkg476zPFsLnS';
+const OPERATOR_KEYPAIR = path.join(process.env.SOLANA_CONFIG_DIR, 'id.json');
+const OPERATOR_CONFIG = path.join(process.env.SOLANA_CONFIG_DIR, 'cli', 'config.yml');
+
+/**
+ * Get the arguments of every recorded command
+ * @returns {Array<Array<string>>} Arguments, one list per call
+ */
+function commandArgs() {
+  return executeCommand.mock.calls.map(([, args]) => args.map(String));
+}
+
+/**
+ * Get the value following an option in a command's arguments
+ * @param {Array<string>} args - Command arguments
+ * @param {string} option - Option name
+ * @returns {string|undefined} Option value
+ */
+function optionValue(args, option) {
+  const index = args.indexOf(option);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+beforeAll(() => {
+  fs.mkdirSync(path.dirname(OPERATOR_CONFIG), { recursive: true });
+  fs.writeFileSync(OPERATOR_KEYPAIR, '[1,2,3]');
+  fs.writeFileSync(OPERATOR_CONFIG, 'json_rpc_url: "https://operator.example.com"\n');
+});
+
+beforeEach(() => {
+  executeCommand.mockReset();
+  executeCommand.mockResolvedValue({ stdout: '1.5 SOL', stderr: '', logs: [] });
+});
+
+afterAll(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('configureCluster', () => {
+  test('writes a config of the deployment\'s own', async () => {
+    const cluster = await configureCluster('devnet', 'deployment-1');
+
+    expect(cluster).toEqual({
+      network: 'devnet',
+      rpcUrl: DEVNET_RPC_URL,
+      wsUrl: null,
+      configPath: path.join(DEPLOYMENT_CONFIG_DIR, 'deployment-1', 'config.yml'),
+      keypairPath: null
+    });
+    expect(commandArgs()).toEqual([
+      ['config', 'set', '--config', cluster.configPath, '--url', DEVNET_RPC_URL]
+    ]);
+    expect(fs.statSync(path.dirname(cluster.configPath)).mode & 0o777).toBe(0o700);
+  });
+
+  test('gives concurrent deployments separate configs', async () => {
+    const devnet = await configureCluster('devnet', 'deployment-2');
+    const testnet = await configureCluster('testnet', 'deployment-3');
+
+    expect(devnet.configPath).not.toBe(testnet.configPath);
+    expect(testnet.rpcUrl).toBe(TESTNET_RPC_URL);
+  });
+
+  test('refuses an unknown network', async () => {
+    await expect(configureCluster('mainnet-beta-typo', 'deployment-4')).rejects.toThrow('Failed to configure Solana cluster');
+    expect(executeCommand).not.toHaveBeenCalled();
+  });
+});
+
+describe('setClusterKeypair', () => {
+  test('sets the signer in the deployment\'s config only', async () => {
+    const cluster = await configureCluster('devnet', 'deployment-5');
+    executeCommand.mockClear();
+
+    await setClusterKeypair(cluster, '/keys/deployer-5.json', 'deployment-5');
+
+    expect(cluster.keypairPath).toBe('/keys/deployer-5.json');
+    expect(commandArgs()).toEqual([
+      ['config', 'set', '--config', cluster.configPath, '--keypair', '/keys/deployer-5.json']
+    ]);
+  });
+});
+
+describe('commands', () => {
+  let devnet;
+  let testnet;
+
+  beforeAll(async () => {
+    devnet = await configureCluster('devnet', 'deployment-6');
+    testnet = await configureCluster('testnet', 'deployment-7');
+    devnet.keypairPath = '/keys/deployer-6.json';
+    testnet.keypairPath = '/keys/deployer-7.json';
+  });
+
+  test('name the deployment\'s config, RPC URL and signer', async () => {
+    await getBalance(PROGRAM_ID, 'deployment-6', devnet);
+    await confirmTransaction('5'.repeat(88), 'deployment-7', testnet);
+
+    const [balance, confirm] = commandArgs();
+
+    expect(optionValue(balance, '--config')).toBe(devnet.configPath);
+    expect(optionValue(balance, '--url')).toBe(DEVNET_RPC_URL);
+    expect(optionValue(balance, '--keypair')).toBe('/keys/deployer-6.json');
+    expect(optionValue(confirm, '--config')).toBe(testnet.configPath);
+    expect(optionValue(confirm, '--url')).toBe(TESTNET_RPC_URL);
+    expect(optionValue(confirm, '--keypair')).toBe('/keys/deployer-7.json');
+  });
+
+  test('pass Anchor the deployment\'s cluster and wallet', async () => {
+    executeCommand.mockResolvedValue({ stdout: `Program Id: ${PROGRAM_ID}`, stderr: '', logs: [] });
+
+    await buildProgram(workDir, 'deployment-6', devnet);
+    await deployProgram(workDir, 'deployment-6', devnet, 'escrow');
+
+    for (const args of commandArgs()) {
+      expect(optionValue(args, '--provider.cluster')).toBe(DEVNET_RPC_URL);
+      expect(optionValue(args, '--provider.wallet')).toBe('/keys/deployer-6.json');
+    }
+  });
+});
+
+describe('cleanup', () => {
+  test('removes the deployment\'s config and no other', async () => {
+    const first = await configureCluster('devnet', 'deployment-8');
+    const second = await configureCluster('devnet', 'deployment-9');
+
+    cleanupClusterConfig(first, 'deployment-8');
+
+    expect(fs.existsSync(path.dirname(first.configPath))).toBe(false);
+    expect(fs.existsSync(path.dirname(second.configPath))).toBe(true);
+  });
+
+  test('leaves the operator\'s keypair and config alone', async () => {
+    const wallet = await setupWallet('deployment-10', 'devnet');
+    const cluster = await configureCluster('devnet', 'deployment-10');
+
+    expect(wallet.keypairPath).not.toBe(OPERATOR_KEYPAIR);
+
+    cleanupWallet(wallet.keypairPath);
+    cleanupClusterConfig(cluster, 'deployment-10');
+
+    expect(fs.existsSync(wallet.keypairPath)).toBe(false);
+    expect(fs.readFileSync(OPERATOR_KEYPAIR, 'utf8')).toBe('[1,2,3]');
+    expect(fs.readFileSync(OPERATOR_CONFIG, 'utf8')).toBe('json_rpc_url: "https://operator.example.com"\n');
+  });
+});
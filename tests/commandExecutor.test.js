@@ -0,0 +1,104 @@
+/**
+ * Command executor tests
+ * Timed out and cancelled commands are killed together with their process
+ * group, and the SIGKILL follow-up is dropped once the command has closed
+ */
+
+const fs = require('fs');
+
+const workDir = process.env.TEST_WORK_DIR;
+
+const { executeCommand } = require('../src/utils/commandExecutor');
+const { TimeoutError, CancelledError } = require('../src/utils/errorHandler');
+
+const KILL_GRACE_MS = 5000;
+
+const realSetTimeout = global.setTimeout;
+const realClearTimeout = global.clearTimeout;
+
+/**
+ * Track the SIGKILL escalation timers started while a command runs
+ * @returns {Object} { killTimers, cleared, restore }
+ */
+function watchKillTimers() {
+  const killTimers = [];
+  const cleared = new Set();
+  const setTimeoutSpy = jest.spyOn(global, 'setTimeout').mockImplementation((callback, delay, ...args) => {
+    const timer = realSetTimeout(callback, delay, ...args);
+    if (delay === KILL_GRACE_MS) {
+      killTimers.push(timer);
+    }
+    return timer;
+  });
+  const clearTimeoutSpy = jest.spyOn(global, 'clearTimeout').mockImplementation((timer) => {
+    cleared.add(timer);
+    realClearTimeout(timer);
+  });
+
+  return {
+    killTimers,
+    cleared,
+    restore: () => {
+      setTimeoutSpy.mockRestore();
+      clearTimeoutSpy.mockRestore();
+    }
+  };
+}
+
+/**
+ * Wait a little without going through the watched timers
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => realSetTimeout(resolve, ms));
+}
+
+afterAll(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+const onPosix = process.platform === 'win32' ? describe.skip : describe;
+
+onPosix('executeCommand', () => {
+  test('returns the output of a command', async () => {
+    const result = await executeCommand('echo', ['hello'], { signal: null });
+
+    expect(result.code).toBe(0);
+    expect(result.stdout).toBe('hello\n');
+  });
+
+  test('rejects with the time limit when a command times out', async () => {
+    const error = await executeCommand('sleep', ['30'], { timeout: 200, signal: null }).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(TimeoutError);
+    expect(error.details).toEqual({ command: 'sleep 30', timeout_ms: 200 });
+  });
+
+  test('rejects with a CancelledError when its signal aborts', async () => {
+    const controller = new AbortController();
+    const running = executeCommand('sleep', ['30'], { signal: controller.signal });
+
+    controller.abort();
+
+    await expect(running).rejects.toThrow(CancelledError);
+  });
+
+  test('clears the SIGKILL follow-up once a killed command has closed', async () => {
+    const timers = watchKillTimers();
+
+    try {
+      await executeCommand('sleep', ['30'], { timeout: 200, signal: null }).catch(() => {});
+
+      // The rejection comes before close; wait for the group to go away
+      for (let i = 0; i < 100 && !timers.cleared.has(timers.killTimers[0]); i++) {
+        await sleep(20);
+      }
+
+      expect(timers.killTimers).toHaveLength(1);
+      expect(timers.cleared.has(timers.killTimers[0])).toBe(true);
+    } finally {
+      timers.restore();
+    }
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * Command injection tests
+ * Hostile request values must reach CLI binaries as single, literal
+ * arguments and never be interpreted by a shell or parsed as options
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const workDir = process.env.TEST_WORK_DIR;
+
+jest.mock('child_process', () => {
+  const actual = jest.requireActual('child_process');
+  return {
+    ...actual,
+    spawn: jest.fn((...args) => actual.spawn(...args))
+  };
+});
+
+// Keep log sinks off Redis; only the arguments matter here
+jest.mock('../src/services/deploymentEvents', () => ({
+  createLogSink: () => () => {}
+}));
+
+const childProcess = require('child_process');
+const { executeCommand } = require('../src/utils/commandExecutor');
+const { cloneRepository } = require('../src/services/projectManager');
+const { getBalance, confirmTransaction, findProgramBuffers } = require('../src/services/solanaCliWrapper');
+const { deployProgram, verifyDeployment } = require('../src/services/anchorDeployer');
+const { commandExists } = require('../src/services/setupEnvironment');
+
+const marker = path.join(workDir, 'pwned');
+
+const HOSTILE_INPUTS = [
+  `"; touch ${marker}; echo "`,
+  `'; touch ${marker}; echo '`,
+  `$(touch ${marker})`,
+  `\`touch ${marker}\``,
+  `foo\ntouch ${marker}`,
+  `foo && touch ${marker}`,
+  `foo || touch ${marker}`,
+  `foo | touch ${marker}`,
+  `foo > ${marker}`,
+  `\${IFS}touch\${IFS}${marker}`,
+  `--upload-pack=touch ${marker}`,
+  `-c core.sshCommand=touch ${marker}`
+];
+
+const PROGRAM_ID = 'Fg6PaFpoGXkYsidMpWTK6W2BeZ7FEfcYkg476zPFsLnS';
+
+/**
+ * Make spawn return a fake process that prints the given output and exits 0
+ * @param {string} stdout - Output to print
+ */
+function fakeSpawn(stdout = '') {
+  childProcess.spawn.mockImplementation(() => {
+    const child = new EventEmitter();
+    child.pid = 999999;
+    child.stdout = new EventEmitter();
+    child.stderr = new EventEmitter();
+    child.stdout.setEncoding = () => {};
+    child.stderr.setEncoding = () => {};
+
+    setImmediate(() => {
+      child.stdout.emit('data', stdout);
+      child.emit('close', 0);
+    });
+
+    return child;
+  });
+}
+
+/**
+ * Get every recorded spawn call
+ * @returns {Array<Object>} Calls ({ file, args, options })
+ */
+function spawnCalls() {
+  return childProcess.spawn.mock.calls.map(([file, args, options]) => ({ file, args, options }));
+}
+
+/**
+ * Assert that no recorded call used a shell and that the input was passed
+ * as one whole argument after the `--` end-of-options marker
+ * @param {string} input - Hostile input
+ */
+function expectPassedLiterally(input) {
+  const calls = spawnCalls();
+  const carrying = calls.filter(call => call.args.includes(input));
+
+  expect(calls.length).toBeGreaterThan(0);
+  calls.forEach(call => expect(call.options.shell).toBe(false));
+  expect(carrying.length).toBeGreaterThan(0);
+
+  for (const call of carrying) {
+    expect(call.file).not.toMatch(/\s/);
+    expect(call.args.indexOf('--')).toBeGreaterThan(-1);
+    expect(call.args.indexOf(input)).toBeGreaterThan(call.args.indexOf('--'));
+  }
+}
+
+const cluster = {
+  network: 'devnet',
+  rpcUrl: 'https://api.devnet.solana.com',
+  wsUrl: null,
+  configPath: path.join(workDir, 'config.yml'),
+  keypairPath: path.join(workDir, 'id.json')
+};
+
+afterEach(() => {
+  childProcess.spawn.mockClear();
+  childProcess.spawn.mockImplementation((...args) => jest.requireActual('child_process').spawn(...args));
+});
+
+afterAll(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('executeCommand', () => {
+  test.each(HOSTILE_INPUTS)('passes %j to the binary unchanged', async (input) => {
+    const result = await executeCommand('printf', ['%s', input]);
+
+    expect(result.stdout).toBe(input);
+    expect(fs.existsSync(marker)).toBe(false);
+    expect(spawnCalls()[0].options.shell).toBe(false);
+  });
+
+  test('does not run a command line given as the binary', async () => {
+    await expect(executeCommand(`true; touch ${marker}`)).rejects.toThrow(/ENOENT/);
+    expect(fs.existsSync(marker)).toBe(false);
+  });
+});
+
+describe('service invocations', () => {
+  test.each(HOSTILE_INPUTS)('git clone keeps ref %j out of the shell and option parser', async (ref) => {
+    fakeSpawn();
+
+    await cloneRepository('https://github.com/example/program', 'injection-test', { ref });
+
+    expectPassedLiterally(ref);
+    spawnCalls().forEach(call => expect(call.file).toBe('git'));
+  });
+
+  test.each(HOSTILE_INPUTS)('git clone keeps repository URL %j literal', async (repoUrl) => {
+    fakeSpawn();
+
+    await cloneRepository(repoUrl, 'injection-test');
+
+    expectPassedLiterally(repoUrl);
+  });
+
+  test.each(HOSTILE_INPUTS)('solana balance keeps address %j literal', async (address) => {
+    fakeSpawn('1.5 SOL');
+
+    await getBalance(address, 'injection-test', { ...cluster });
+
+    expectPassedLiterally(address);
+  });
+
+  test.each(HOSTILE_INPUTS)('solana confirm keeps signature %j literal', async (signature) => {
+    fakeSpawn();
+
+    await confirmTransaction(signature, 'injection-test', { ...cluster });
+
+    expectPassedLiterally(signature);
+  });
+
+  test.each(HOSTILE_INPUTS)('solana program show keeps program ID %j literal', async (programId) => {
+    fakeSpawn();
+
+    await verifyDeployment(programId, 'injection-test', { ...cluster });
+
+    expectPassedLiterally(programId);
+  });
+
+  test.each(HOSTILE_INPUTS)('buffer lookup keeps authority %j as an option value', async (authority) => {
+    fakeSpawn('{"buffers":[]}');
+
+    await findProgramBuffers(authority, 'injection-test', { ...cluster });
+
+    const [call] = spawnCalls();
+    expect(call.options.shell).toBe(false);
+    expect(call.args[call.args.indexOf('--buffer-authority') + 1]).toBe(authority);
+  });
+
+  test.each(HOSTILE_INPUTS)('anchor deploy keeps program name %j as an option value', async (programName) => {
+    fakeSpawn(`Program Id: ${PROGRAM_ID}`);
+
+    await deployProgram(workDir, 'injection-test', { ...cluster }, programName);
+
+    const [call] = spawnCalls();
+    expect(call.options.shell).toBe(false);
+    expect(call.args[call.args.indexOf('--program-name') + 1]).toBe(programName);
+  });
+
+  test.each(HOSTILE_INPUTS)('commandExists looks up %j without a shell', async (command) => {
+    fakeSpawn();
+
+    await commandExists(command);
+
+    const [call] = spawnCalls();
+    expect(call.file).toBe('which');
+    expect(call.args).toEqual([command]);
+    expect(call.options.shell).toBe(false);
+  });
+});
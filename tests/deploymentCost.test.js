@@ -0,0 +1,104 @@
+/**
+ * Deployment cost tests
+ * The estimate a wallet is funded with pays for the program data size the
+ * deploy actually asks the CLI for
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const workDir = process.env.TEST_WORK_DIR;
+
+jest.mock('ioredis', () => require('ioredis-mock'));
+
+jest.mock('../src/utils/commandExecutor', () => ({
+  executeCommand: jest.fn(async () => ({ stdout: 'Program Id: Fg6PaFpoGXkYsidMpWTK6W2BeZ7FEfcYkg476zPFsLnS\n', logs: [] }))
+}));
+
+jest.mock('../src/services/solanaCliWrapper', () => ({
+  getClusterArgs: () => [],
+  withRpcFailover: (cluster, deploymentId, operation) => operation(cluster)
+}));
+
+jest.mock('../src/services/deploymentEvents', () => ({
+  createLogSink: () => () => {}
+}));
+
+const { executeCommand } = require('../src/utils/commandExecutor');
+const { deployProgram, estimateDeploymentCost } = require('../src/services/anchorDeployer');
+const { DeploymentError } = require('../src/utils/errorHandler');
+
+const projectPath = path.join(workDir, 'project');
+const cluster = { network: 'devnet', rpcUrl: 'https://api.devnet.solana.com', keypairPath: path.join(workDir, 'id.json') };
+
+/**
+ * Rent-exempt minimum for an account, as the runtime charges it
+ * @param {number} dataLength - Account data length in bytes
+ * @returns {number} Lamports
+ */
+function rent(dataLength) {
+  return (128 + dataLength) * 6960;
+}
+
+/**
+ * Deploy a program and read the --max-len passed to the CLI
+ * @param {string|null} programName - Program, or null for a bare deploy
+ * @returns {Promise<number|null>} Program data size, or null if none was passed
+ */
+async function deployedMaxLen(programName) {
+  executeCommand.mockClear();
+  await deployProgram(projectPath, 'deployment-1', cluster, programName);
+
+  const args = executeCommand.mock.calls[0][1];
+  const index = args.indexOf('--max-len');
+
+  return index === -1 ? null : Number(args[index + 1]);
+}
+
+beforeAll(() => {
+  fs.mkdirSync(path.join(projectPath, 'target', 'deploy'), { recursive: true });
+  fs.writeFileSync(path.join(projectPath, 'target', 'deploy', 'escrow.so'), Buffer.alloc(9000));
+  fs.writeFileSync(path.join(projectPath, 'target', 'deploy', 'token_vault.so'), Buffer.alloc(18000));
+});
+
+afterAll(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('estimateDeploymentCost', () => {
+  test('pays for the program data size the deploy passes', async () => {
+    const maxLen = await deployedMaxLen('escrow');
+    const transactions = Math.ceil(9000 / 900) + 10;
+
+    expect(maxLen).toBe(18000);
+    expect(estimateDeploymentCost(projectPath, ['escrow']))
+      .toBe(rent(36) + rent(45 + maxLen) + transactions * 5000);
+  });
+
+  test('sizes every program of a bare deploy for the largest binary', async () => {
+    const maxLen = await deployedMaxLen(null);
+    const transactions = Math.ceil(9000 / 900) + Math.ceil(18000 / 900) + 20;
+
+    expect(maxLen).toBe(36000);
+    expect(estimateDeploymentCost(projectPath, []))
+      .toBe(2 * rent(36) + 2 * rent(45 + maxLen) + transactions * 5000);
+  });
+
+  test('fails for a program that was not built', () => {
+    expect(() => estimateDeploymentCost(projectPath, ['staking'])).toThrow(DeploymentError);
+  });
+});
+
+describe('deployProgram', () => {
+  test('passes the size to the Solana CLI after the Anchor arguments', async () => {
+    await deployedMaxLen('escrow');
+
+    const args = executeCommand.mock.calls[0][1];
+
+    expect(args.slice(args.indexOf('--'))).toEqual(['--', '--max-len', 18000]);
+  });
+
+  test('leaves the size to the CLI when the binary is missing', async () => {
+    expect(await deployedMaxLen('staking')).toBeNull();
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Deployment history tests
+ * Every state change is kept as the deployment's record, and records can be
+ * filtered and paged newest first
+ */
+
+const fs = require('fs');
+
+const workDir = process.env.TEST_WORK_DIR;
+
+const {
+  recordDeployment,
+  getDeploymentRecord,
+  listDeployments,
+  getApiKeyUsage
+} = require('../src/services/deploymentHistory');
+const { prepare, closeDatabase } = require('../src/services/database');
+const { ValidationError } = require('../src/utils/errorHandler');
+
+const REPO_URL = 'https://github.com/example/escrow';
+const PROGRAM_ID = 'Fg6PaFpoGXkYsidMpWTK6W2BeZ7FEfcYkg476zPFsLnS';
+
+/**
+ * Record a deployment state
+ * @param {Object} options - State fields
+ * @returns {Object} Recorded state
+ */
+function record({
+  id,
+  createdAt,
+  status = 'completed',
+  repoUrl = REPO_URL,
+  network = 'devnet',
+  apiKeyId = null,
+  programs = [],
+  solSpent
+}) {
+  const state = {
+    deployment_id: id,
+    status,
+    request: { repo_url: repoUrl, network, api_key_id: apiKeyId },
+    result: { programs },
+    created_at: createdAt,
+    updated_at: createdAt
+  };
+
+  if (solSpent !== undefined) {
+    state.sol_spent = solSpent;
+  }
+
+  recordDeployment(state);
+  return state;
+}
+
+/**
+ * List deployment IDs matching filters
+ * @param {Object} filters - listDeployments filters
+ * @returns {Array<string>} IDs, in list order
+ */
+function listIds(filters = {}) {
+  return listDeployments({ limit: 50, ...filters }).deployments.map(deployment => deployment.deployment_id);
+}
+
+beforeEach(() => {
+  prepare('DELETE FROM deployment_programs').run();
+  prepare('DELETE FROM deployments').run();
+});
+
+afterAll(() => {
+  closeDatabase();
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('recordDeployment', () => {
+  test('keeps the latest state as the record', () => {
+    record({ id: 'd1', createdAt: '2024-01-01T10:00:00.000Z', status: 'queued' });
+    const latest = record({ id: 'd1', createdAt: '2024-01-01T10:00:00.000Z', status: 'completed' });
+
+    expect(getDeploymentRecord('d1')).toEqual(latest);
+    expect(listIds()).toEqual(['d1']);
+  });
+
+  test('replaces the deployed programs on each update', () => {
+    record({ id: 'd1', createdAt: '2024-01-01T10:00:00.000Z', programs: [{ name: 'escrow', program_id: PROGRAM_ID }] });
+    record({ id: 'd1', createdAt: '2024-01-01T10:00:00.000Z', programs: [] });
+
+    expect(listIds({ program_id: PROGRAM_ID })).toEqual([]);
+  });
+
+  test('returns null for an unknown deployment', () => {
+    expect(getDeploymentRecord('missing')).toBeNull();
+  });
+});
+
+describe('listDeployments', () => {
+  beforeEach(() => {
+    record({ id: 'd1', createdAt: '2024-01-01T10:00:00.000Z', status: 'failed', apiKeyId: 'key-1' });
+    record({
+      id: 'd2',
+      createdAt: '2024-01-02T10:00:00.000Z',
+      network: 'mainnet-beta',
+      programs: [{ name: 'escrow', program_id: PROGRAM_ID }],
+      apiKeyId: 'key-2'
+    });
+    record({ id: 'd3', createdAt: '2024-01-03T10:00:00.000Z', repoUrl: 'https://github.com/example/vault' });
+  });
+
+  test('lists newest first with a summary of each deployment', () => {
+    const { deployments, next_cursor: nextCursor } = listDeployments({ limit: 50 });
+
+    expect(deployments.map(deployment => deployment.deployment_id)).toEqual(['d3', 'd2', 'd1']);
+    expect(deployments[1]).toMatchObject({
+      status: 'completed',
+      repo_url: REPO_URL,
+      network: 'mainnet-beta',
+      mode: 'deploy',
+      programs: [{ name: 'escrow', program_id: PROGRAM_ID }],
+      api_key_id: 'key-2'
+    });
+    expect(nextCursor).toBeNull();
+  });
+
+  test('matches the repository URL regardless of case', () => {
+    expect(listIds({ repo_url: 'https://GitHub.com/Example/Escrow' })).toEqual(['d2', 'd1']);
+  });
+
+  test('filters by network, status, program and API key', () => {
+    expect(listIds({ network: 'mainnet-beta' })).toEqual(['d2']);
+    expect(listIds({ status: 'failed' })).toEqual(['d1']);
+    expect(listIds({ program_id: PROGRAM_ID })).toEqual(['d2']);
+    expect(listIds({ api_key_id: 'key-1' })).toEqual(['d1']);
+  });
+
+  test('filters by an inclusive creation time range', () => {
+    expect(listIds({ from: '2024-01-02T10:00:00.000Z', to: '2024-01-03T10:00:00.000Z' })).toEqual(['d3', 'd2']);
+  });
+
+  test('pages with a cursor', () => {
+    const first = listDeployments({ limit: 2 });
+    const second = listDeployments({ limit: 2, cursor: first.next_cursor });
+
+    expect(first.deployments.map(deployment => deployment.deployment_id)).toEqual(['d3', 'd2']);
+    expect(second.deployments.map(deployment => deployment.deployment_id)).toEqual(['d1']);
+    expect(second.next_cursor).toBeNull();
+  });
+
+  test('pages through deployments created at the same time', () => {
+    record({ id: 'd4', createdAt: '2024-01-03T10:00:00.000Z' });
+
+    const first = listDeployments({ limit: 1 });
+    const second = listDeployments({ limit: 1, cursor: first.next_cursor });
+
+    expect(first.deployments[0].deployment_id).toBe('d4');
+    expect(second.deployments[0].deployment_id).toBe('d3');
+  });
+
+  test('rejects a malformed cursor', () => {
+    expect(() => listDeployments({ limit: 2, cursor: 'not-a-cursor' })).toThrow(ValidationError);
+  });
+});
+
+describe('getApiKeyUsage', () => {
+  test('counts deployments since a time and SOL spent on the given networks', () => {
+    record({ id: 'd1', createdAt: '2024-01-01T10:00:00.000Z', apiKeyId: 'key-1', network: 'mainnet-beta', solSpent: 5 });
+    record({ id: 'd2', createdAt: '2024-01-02T10:00:00.000Z', apiKeyId: 'key-1', network: 'mainnet-beta', solSpent: 1.5 });
+    record({ id: 'd3', createdAt: '2024-01-02T11:00:00.000Z', apiKeyId: 'key-1', network: 'devnet', solSpent: 2 });
+    record({ id: 'd4', createdAt: '2024-01-02T12:00:00.000Z', apiKeyId: 'key-2', network: 'mainnet-beta', solSpent: 3 });
+
+    expect(getApiKeyUsage('key-1', '2024-01-02T00:00:00.000Z', ['mainnet-beta'])).toEqual({
+      deployments: 2,
+      sol_spent: 1.5
+    });
+  });
+
+  test('counts no SOL when no network is counted', () => {
+    record({ id: 'd1', createdAt: '2024-01-02T10:00:00.000Z', apiKeyId: 'key-1', network: 'mainnet-beta', solSpent: 1 });
+
+    expect(getApiKeyUsage('key-1', '2024-01-01T00:00:00.000Z', [])).toEqual({ deployments: 1, sol_spent: 0 });
+  });
+});
@@ -0,0 +1,246 @@
+/**
+ * Deployment log archive tests
+ * Each deployment's service messages and command output are archived to its
+ * own file, tagged with the step they belong to, pruned by age and total
+ * size, and downloadable as text or NDJSON from GET /deployments/:id/logs
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const workDir = process.env.TEST_WORK_DIR;
+
+process.env.DEPLOYMENT_LOG_RETENTION_DAYS = '7';
+process.env.DEPLOYMENT_LOG_MAX_TOTAL_MB = '1';
+
+jest.mock('ioredis', () => require('ioredis-mock'));
+
+const express = require('express');
+const request = require('supertest');
+const deploymentsRouter = require('../src/routes/deployments');
+const logger = require('../src/utils/logger');
+const {
+  setDeploymentStep,
+  appendOutput,
+  hasDeploymentLog,
+  pruneDeploymentLogs
+} = require('../src/utils/deploymentLogArchive');
+const { recordDeployment } = require('../src/services/deploymentHistory');
+const { createApiKey } = require('../src/services/apiKeys');
+const { closeDatabase } = require('../src/services/database');
+const { errorMiddleware } = require('../src/utils/errorHandler');
+const { DEPLOYMENT_LOG_DIR } = require('../src/config/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const app = express();
+app.use('/deployments', deploymentsRouter);
+app.use(errorMiddleware);
+
+let apiKey;
+let deploymentCount = 0;
+
+/**
+ * Record a deployment started by the test key
+ * @returns {string} Deployment identifier
+ */
+function createDeployment() {
+  deploymentCount++;
+  const deploymentId = `deployment-${deploymentCount}`;
+  const now = new Date().toISOString();
+
+  recordDeployment({
+    deployment_id: deploymentId,
+    status: 'failed',
+    request: { repo_url: 'https://github.com/example/escrow', network: 'devnet', api_key_id: apiKey.id },
+    created_at: now,
+    updated_at: now
+  });
+
+  return deploymentId;
+}
+
+/**
+ * Log a deployment that fails to build
+ * @param {string} deploymentId - Deployment identifier
+ * @returns {Promise<void>} Resolves once the archive holds every entry
+ */
+async function logFailedBuild(deploymentId) {
+  setDeploymentStep(deploymentId, 'cloning');
+  logger.deployment(deploymentId, 'info', 'Cloning repository', { revision: 'HEAD' });
+  setDeploymentStep(deploymentId, 'building');
+  appendOutput(deploymentId, 'building', 'stdout', '   Compiling escrow v0.1.0\r\n');
+  appendOutput(deploymentId, 'building', 'stderr', 'error[E0425]: cannot find value `vault`\n  --> src/lib.rs:12:5\n');
+  logger.deployment(deploymentId, 'error', 'Build failed');
+  setDeploymentStep(deploymentId, 'failed');
+
+  await waitForEntries(deploymentId, 5);
+}
+
+/**
+ * Wait for buffered archive writes to reach the file
+ * @param {string} deploymentId - Deployment identifier
+ * @param {number} count - Entries expected
+ * @returns {Promise<void>}
+ */
+async function waitForEntries(deploymentId, count) {
+  const filePath = path.join(DEPLOYMENT_LOG_DIR, `${deploymentId}.ndjson`);
+
+  for (let i = 0; i < 100; i++) {
+    if (fs.existsSync(filePath) && fs.readFileSync(filePath, 'utf8').split('\n').length > count) {
+      return;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+
+  throw new Error(`Archive of ${deploymentId} did not get ${count} entries`);
+}
+
+/**
+ * Download a deployment's log
+ * @param {string} deploymentId - Deployment identifier
+ * @param {Object} query - Query string parameters
+ * @param {string} key - API key (defaults to the test key)
+ * @returns {Promise<Response>} Response
+ */
+function downloadLog(deploymentId, query = {}, key = apiKey.key) {
+  return request(app)
+    .get(`/deployments/${deploymentId}/logs`)
+    .query(query)
+    .set('Authorization', `Bearer ${key}`);
+}
+
+/**
+ * Write an archive file of a given size and age
+ * @param {string} deploymentId - Deployment identifier
+ * @param {number} sizeBytes - File size
+ * @param {number} ageMs - How long ago it was last written
+ */
+function writeArchive(deploymentId, sizeBytes, ageMs) {
+  const filePath = path.join(DEPLOYMENT_LOG_DIR, `${deploymentId}.ndjson`);
+  const mtime = new Date(Date.now() - ageMs);
+
+  fs.writeFileSync(filePath, 'x'.repeat(sizeBytes));
+  fs.utimesSync(filePath, mtime, mtime);
+}
+
+beforeAll(() => {
+  apiKey = createApiKey({ name: 'deployer', scopes: ['deploy:devnet'] });
+});
+
+afterAll(() => {
+  closeDatabase();
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('GET /deployments/:deploymentId/logs', () => {
+  test('downloads the full log as text', async () => {
+    const deploymentId = createDeployment();
+    await logFailedBuild(deploymentId);
+
+    const response = await downloadLog(deploymentId);
+    const lines = response.text.trim().split('\n');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('text/plain; charset=utf-8');
+    expect(response.headers['content-disposition']).toBe(`attachment; filename="${deploymentId}.log"`);
+    expect(lines.map(line => line.replace(/^\S+ /, ''))).toEqual([
+      '[cloning] info: Cloning repository {"revision":"HEAD"}',
+      '[building] stdout:    Compiling escrow v0.1.0',
+      '[building] stderr: error[E0425]: cannot find value `vault`',
+      '[building] stderr:   --> src/lib.rs:12:5',
+      '[building] error: Build failed'
+    ]);
+    lines.forEach(line => expect(line).toMatch(/^\d{4}-\d{2}-\d{2}T\S+Z /));
+  });
+
+  test('downloads NDJSON limited to one step', async () => {
+    const deploymentId = createDeployment();
+    await logFailedBuild(deploymentId);
+
+    const response = await downloadLog(deploymentId, { format: 'ndjson', step: 'building' });
+    const entries = response.text.trim().split('\n').map(line => JSON.parse(line));
+
+    expect(response.headers['content-type']).toMatch(/^application\/x-ndjson/);
+    expect(entries.map(({ timestamp, ...entry }) => entry)).toEqual([
+      { step: 'building', source: 'stdout', message: '   Compiling escrow v0.1.0' },
+      { step: 'building', source: 'stderr', message: 'error[E0425]: cannot find value `vault`' },
+      { step: 'building', source: 'stderr', message: '  --> src/lib.rs:12:5' },
+      { step: 'building', source: 'service', level: 'error', message: 'Build failed' }
+    ]);
+  });
+
+  test('skips a partly written last line', async () => {
+    const deploymentId = createDeployment();
+    await logFailedBuild(deploymentId);
+    fs.appendFileSync(path.join(DEPLOYMENT_LOG_DIR, `${deploymentId}.ndjson`), '{"timestamp":"2026-');
+
+    const response = await downloadLog(deploymentId);
+
+    expect(response.status).toBe(200);
+    expect(response.text.trim().split('\n')).toHaveLength(5);
+  });
+
+  test('rejects an unknown format or step', async () => {
+    const deploymentId = createDeployment();
+
+    expect((await downloadLog(deploymentId, { format: 'html' })).status).toBe(400);
+    expect((await downloadLog(deploymentId, { step: 'compiling' })).status).toBe(400);
+  });
+
+  test('reports a deployment whose log has been pruned', async () => {
+    const deploymentId = createDeployment();
+
+    const response = await downloadLog(deploymentId);
+
+    expect(response.status).toBe(404);
+    expect(response.body.error.message).toBe('Deployment log not found or expired');
+  });
+
+  test('is refused to other keys without read:deployments', async () => {
+    const deploymentId = createDeployment();
+    await logFailedBuild(deploymentId);
+    const other = createApiKey({ name: 'other', scopes: ['deploy:devnet'] });
+
+    expect((await downloadLog(deploymentId, {}, other.key)).status).toBe(403);
+  });
+});
+
+describe('pruneDeploymentLogs', () => {
+  beforeEach(() => {
+    fs.rmSync(DEPLOYMENT_LOG_DIR, { recursive: true, force: true });
+    fs.mkdirSync(DEPLOYMENT_LOG_DIR, { recursive: true });
+  });
+
+  test('deletes logs older than the retention period', () => {
+    writeArchive('expired', 100, 8 * DAY_MS);
+    writeArchive('recent', 100, 6 * DAY_MS);
+
+    expect(pruneDeploymentLogs()).toBe(1);
+    expect(hasDeploymentLog('expired')).toBe(false);
+    expect(hasDeploymentLog('recent')).toBe(true);
+  });
+
+  test('deletes the oldest logs until the archive fits its size limit', () => {
+    writeArchive('oldest', 400 * 1024, 3 * DAY_MS);
+    writeArchive('older', 400 * 1024, 2 * DAY_MS);
+    writeArchive('newest', 400 * 1024, DAY_MS);
+
+    expect(pruneDeploymentLogs()).toBe(1);
+    expect(hasDeploymentLog('oldest')).toBe(false);
+    expect(hasDeploymentLog('older')).toBe(true);
+    expect(hasDeploymentLog('newest')).toBe(true);
+  });
+
+  test('keeps the log of a deployment that is still writing', async () => {
+    const deploymentId = createDeployment();
+    await logFailedBuild(deploymentId);
+    const filePath = path.join(DEPLOYMENT_LOG_DIR, `${deploymentId}.ndjson`);
+    const mtime = new Date(Date.now() - 8 * DAY_MS);
+    fs.utimesSync(filePath, mtime, mtime);
+
+    expect(pruneDeploymentLogs()).toBe(0);
+    expect(hasDeploymentLog(deploymentId)).toBe(true);
+  });
+});
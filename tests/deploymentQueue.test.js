@@ -0,0 +1,230 @@
+/**
+ * Deployment queue tests
+ * POST /deploy queues a job and answers at once; the worker runs it and the
+ * status route follows it through its steps to success or failure
+ */
+
+const fs = require('fs');
+
+const workDir = process.env.TEST_WORK_DIR;
+
+jest.mock('ioredis', () => require('ioredis-mock'));
+
+// Jobs are kept in memory and run by calling the worker's processor directly
+jest.mock('bullmq', () => {
+  const jobs = new Map();
+  const workers = [];
+
+  class Queue {
+    async add(name, data, options) {
+      const job = { id: options.jobId, name, data, options };
+      jobs.set(options.jobId, job);
+      return job;
+    }
+
+    async getJob(jobId) {
+      return jobs.get(jobId) || null;
+    }
+
+    async close() {}
+  }
+
+  class Worker {
+    constructor(name, processor) {
+      this.processor = processor;
+      workers.push(this);
+    }
+
+    on() {}
+
+    async close() {}
+  }
+
+  return { Queue, Worker, DelayedError: class extends Error {}, jobs, workers };
+});
+
+jest.mock('../src/services/deploymentOrchestrator', () => ({
+  orchestrateDeployment: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { jobs, workers } = require('bullmq');
+const deployRouter = require('../src/routes/deploy');
+const { orchestrateDeployment } = require('../src/services/deploymentOrchestrator');
+const { startDeploymentWorker, closeDeploymentQueue } = require('../src/services/deploymentQueue');
+const { transitionStep } = require('../src/services/deploymentState');
+const { createApiKey } = require('../src/services/apiKeys');
+const { getRedisConnection } = require('../src/services/redisClient');
+const { closeDatabase } = require('../src/services/database');
+const { errorMiddleware, BuildError } = require('../src/utils/errorHandler');
+
+const PROGRAM_ID = 'Fg6PaFpoGXkYsidMpWTK6W2BeZ7FEfcYkg476zPFsLnS';
+
+const app = express();
+app.use(express.json());
+app.use('/deploy', deployRouter);
+app.use(errorMiddleware);
+
+let apiKey;
+
+/**
+ * Queue a deployment through the API
+ * @param {Object} body - Request body
+ * @returns {Promise<Response>} Response
+ */
+function deploy(body = {}) {
+  return request(app)
+    .post('/deploy')
+    .set('Authorization', `Bearer ${apiKey.key}`)
+    .send({ repo_url: 'https://github.com/example/escrow', network: 'devnet', ...body });
+}
+
+/**
+ * Get a deployment's status through the API
+ * @param {string} deploymentId - Deployment identifier
+ * @returns {Promise<Object>} Response body
+ */
+async function getStatus(deploymentId) {
+  const response = await request(app)
+    .get(`/deploy/status/${deploymentId}`)
+    .set('Authorization', `Bearer ${apiKey.key}`);
+
+  return response.body;
+}
+
+/**
+ * Run a queued job on the worker
+ * @param {string} deploymentId - Deployment identifier
+ * @returns {Promise<Object>} Job return value
+ */
+function runJob(deploymentId) {
+  const job = jobs.get(deploymentId);
+  job.moveToDelayed = jest.fn();
+
+  return workers[0].processor(job, 'token');
+}
+
+beforeAll(() => {
+  apiKey = createApiKey({ name: 'deployer', scopes: ['deploy:devnet'] });
+  startDeploymentWorker();
+});
+
+beforeEach(async () => {
+  jobs.clear();
+  orchestrateDeployment.mockReset();
+  await getRedisConnection().flushall();
+});
+
+afterAll(async () => {
+  await closeDeploymentQueue();
+  closeDatabase();
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('POST /deploy', () => {
+  test('queues the deployment and answers without running it', async () => {
+    const response = await deploy({ ref: 'v1.2.0' });
+
+    expect(response.status).toBe(202);
+    expect(response.body).toMatchObject({
+      success: true,
+      status: 'queued',
+      status_url: `/deploy/status/${response.body.deployment_id}`
+    });
+    expect(orchestrateDeployment).not.toHaveBeenCalled();
+
+    const job = jobs.get(response.body.deployment_id);
+    expect(job.data).toMatchObject({
+      deploymentId: response.body.deployment_id,
+      clientId: apiKey.id,
+      options: { repoUrl: 'https://github.com/example/escrow', network: 'devnet', ref: 'v1.2.0' }
+    });
+    expect(job.options).toMatchObject({ removeOnComplete: true, removeOnFail: true });
+  });
+
+  test('keeps supplied secret keys out of the stored request', async () => {
+    const response = await deploy({ program_keypairs: { escrow: Array(64).fill(7) } });
+
+    const status = await getStatus(response.body.deployment_id);
+
+    expect(status.request.program_keypairs).toEqual(['escrow']);
+    expect(jobs.get(response.body.deployment_id).data.options.programKeypairs.escrow).toHaveLength(64);
+  });
+});
+
+describe('GET /deploy/status/:deploymentId', () => {
+  test('reports a queued deployment with its place in the queue', async () => {
+    const { body } = await deploy();
+
+    const status = await getStatus(body.deployment_id);
+
+    expect(status).toMatchObject({ deployment_id: body.deployment_id, status: 'queued', steps: [] });
+    expect(status.queue).toMatchObject({ position: 1 });
+  });
+
+  test('reports an unknown deployment', async () => {
+    const response = await request(app)
+      .get('/deploy/status/deployment-missing')
+      .set('Authorization', `Bearer ${apiKey.key}`);
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('deployment worker', () => {
+  test('records each step and the result of a successful deployment', async () => {
+    const { body } = await deploy();
+    orchestrateDeployment.mockImplementation(async (deploymentId) => {
+      await transitionStep(deploymentId, 'cloning');
+      await transitionStep(deploymentId, 'building');
+      return { data: { program_id: PROGRAM_ID } };
+    });
+
+    const result = await runJob(body.deployment_id);
+    const status = await getStatus(body.deployment_id);
+
+    expect(result).toEqual({ deployment_id: body.deployment_id, program_id: PROGRAM_ID });
+    expect(status.status).toBe('succeeded');
+    expect(status.result).toEqual({ program_id: PROGRAM_ID });
+    expect(status.steps.map(step => [step.name, step.status])).toEqual([
+      ['cloning', 'completed'],
+      ['building', 'completed']
+    ]);
+    expect(status.started_at).not.toBeNull();
+    expect(status.finished_at).not.toBeNull();
+    expect(status.queue).toBeNull();
+  });
+
+  test('records the failed step and the error', async () => {
+    const { body } = await deploy();
+    orchestrateDeployment.mockImplementation(async (deploymentId) => {
+      await transitionStep(deploymentId, 'cloning');
+      await transitionStep(deploymentId, 'building');
+      throw new BuildError('anchor build failed', 'error[E0425]: cannot find value');
+    });
+
+    await expect(runJob(body.deployment_id)).rejects.toThrow('anchor build failed');
+    const status = await getStatus(body.deployment_id);
+
+    expect(status.status).toBe('failed');
+    expect(status.error).toMatchObject({ code: 'BUILD_FAILED', message: 'anchor build failed' });
+    expect(status.steps.map(step => [step.name, step.status])).toEqual([
+      ['cloning', 'completed'],
+      ['building', 'failed']
+    ]);
+  });
+
+  test('passes the request options to the orchestrator', async () => {
+    const { body } = await deploy({ commit: 'a'.repeat(40), programs: ['escrow'] });
+    orchestrateDeployment.mockResolvedValue({ data: { program_id: PROGRAM_ID } });
+
+    await runJob(body.deployment_id);
+
+    expect(orchestrateDeployment).toHaveBeenCalledWith(body.deployment_id, expect.objectContaining({
+      commit: 'a'.repeat(40),
+      programs: ['escrow'],
+      apiKeyId: apiKey.id
+    }));
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Fake chain for tests that look programs up over RPC
+ * Answers getAccountInfo for upgradeable programs put on it; use as the
+ * implementation of a mocked rpcHealth.rpcCall
+ */
+
+const { Keypair, PublicKey } = require('@solana/web3.js');
+
+const UPGRADEABLE_LOADER_ID = 'BPFLoaderUpgradeab1e11111111111111111111111';
+
+/**
+ * Create an empty fake chain
+ * @returns {Object} { putProgram, rpcCall }
+ */
+function createFakeChain() {
+  const accounts = new Map();
+
+  /**
+   * Put an upgradeable program on the chain
+   * @param {string} programId - Program ID
+   * @param {string|null} authority - Upgrade authority (null for immutable)
+   */
+  function putProgram(programId, authority) {
+    const programDataAddress = Keypair.generate().publicKey;
+    const program = Buffer.alloc(36);
+    const programData = Buffer.alloc(45);
+
+    program.writeUInt32LE(2, 0);
+    programDataAddress.toBuffer().copy(program, 4);
+    programData.writeUInt32LE(3, 0);
+
+    if (authority) {
+      programData[12] = 1;
+      new PublicKey(authority).toBuffer().copy(programData, 13);
+    }
+
+    accounts.set(programId, { owner: UPGRADEABLE_LOADER_ID, data: program });
+    accounts.set(programDataAddress.toBase58(), { owner: UPGRADEABLE_LOADER_ID, data: programData });
+  }
+
+  /**
+   * Answer a getAccountInfo request the way an RPC node does
+   * @param {string} network - Network name
+   * @param {string} method - RPC method
+   * @param {Array} params - [address, { dataSlice }]
+   * @returns {Promise<Object>} { value }
+   */
+  async function rpcCall(network, method, [address, { dataSlice } = {}]) {
+    const account = accounts.get(address);
+
+    if (!account) {
+      return { value: null };
+    }
+
+    const data = dataSlice
+      ? account.data.subarray(dataSlice.offset, dataSlice.offset + dataSlice.length)
+      : account.data;
+
+    return { value: { owner: account.owner, data: [data.toString('base64'), 'base64'] } };
+  }
+
+  return { putProgram, rpcCall };
+}
+
+module.exports = {
+  createFakeChain
+};
@@ -0,0 +1,19 @@
+/**
+ * Jest setup file
+ * Runs before every test file and points the service at a scratch directory,
+ * deployment database and keystore master key of that file's own. Test files
+ * set any other environment they need before requiring the service modules.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'deployer-test-'));
+process.env.TEST_WORK_DIR = workDir;
+process.env.TEMP_DIR_PATH = path.join(workDir, 'temp');
+process.env.LOG_DIR_PATH = path.join(workDir, 'logs');
+process.env.DEPLOYMENT_DB_PATH = path.join(workDir, 'deployments.db');
+process.env.WALLET_MASTER_KEY = crypto.randomBytes(32).toString('hex');
+process.env.NODE_ENV = 'test';
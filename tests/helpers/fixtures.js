@@ -0,0 +1,14 @@
+/**
+ * Shared test fixtures
+ */
+
+// A valid base58 address used as the treasury wherever one is needed
+const TREASURY_ADDRESS = '4uLFQVh7cdWaBDchrx5bzMMcXCxJ5eJYm7Wg7GfgVfxC';
+
+// A transaction signature shaped like the ones the Solana CLI prints
+const SIGNATURE = '5'.repeat(88);
+
+module.exports = {
+  TREASURY_ADDRESS,
+  SIGNATURE
+};
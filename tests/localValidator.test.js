@@ -0,0 +1,131 @@
+/**
+ * Local validator tests
+ * Only the process recorded in the PID file, with the start time recorded
+ * there, is ever treated as the validator and signalled
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const workDir = process.env.TEST_WORK_DIR;
+
+process.env.SOLANA_CLI_PATH = path.join(workDir, 'missing-solana');
+
+const {
+  LOCALNET_DIR,
+  teardownLocalValidator,
+  getLocalValidatorStatus
+} = require('../src/services/localValidator');
+
+const PID_PATH = path.join(LOCALNET_DIR, 'validator.pid');
+const started = [];
+
+/**
+ * Start a stand-in validator in its own process group
+ * @returns {Promise<ChildProcess>} Running process
+ */
+async function startProcess() {
+  const child = spawn('sleep', ['30'], { detached: true, stdio: 'ignore' });
+
+  await new Promise(resolve => child.once('spawn', resolve));
+  started.push(child);
+
+  return child;
+}
+
+/**
+ * Read a process start time the way the module does on Linux
+ * @param {number} pid - Process ID
+ * @returns {string} Start time in clock ticks since boot
+ */
+function readStartTime(pid) {
+  const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+  return stat.slice(stat.lastIndexOf(')') + 2).split(' ')[19];
+}
+
+/**
+ * Write the validator PID file
+ * @param {Object} record - PID file content
+ */
+function writePidFile(record) {
+  fs.mkdirSync(LOCALNET_DIR, { recursive: true });
+  fs.writeFileSync(PID_PATH, typeof record === 'string' ? record : JSON.stringify(record));
+}
+
+/**
+ * Wait until a child process has exited
+ * @param {ChildProcess} child - Process
+ * @returns {Promise<boolean>} True if it exited within two seconds
+ */
+function waitForExit(child) {
+  if (child.exitCode !== null || child.signalCode !== null) {
+    return Promise.resolve(true);
+  }
+
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => resolve(false), 2000);
+    child.once('exit', () => {
+      clearTimeout(timer);
+      resolve(true);
+    });
+  });
+}
+
+afterAll(() => {
+  for (const child of started) {
+    if (child.exitCode === null && child.signalCode === null) {
+      child.kill('SIGKILL');
+    }
+  }
+
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+const onLinux = fs.existsSync('/proc/self/stat') ? describe : describe.skip;
+
+onLinux('local validator process identity', () => {
+  test('reports the recorded process as running', async () => {
+    const child = await startProcess();
+    writePidFile({ pid: child.pid, start_time: readStartTime(child.pid) });
+
+    const status = await getLocalValidatorStatus();
+
+    expect(status.running).toBe(true);
+    expect(status.pid).toBe(child.pid);
+  });
+
+  test('does not trust a PID now held by a different process', async () => {
+    const child = await startProcess();
+    writePidFile({ pid: child.pid, start_time: '1' });
+
+    expect((await getLocalValidatorStatus()).running).toBe(false);
+  });
+
+  test('does not trust a PID file without a start time', async () => {
+    const child = await startProcess();
+    writePidFile(String(child.pid));
+
+    expect((await getLocalValidatorStatus()).running).toBe(false);
+  });
+
+  test('stops the recorded validator on teardown', async () => {
+    const child = await startProcess();
+    writePidFile({ pid: child.pid, start_time: readStartTime(child.pid) });
+
+    await teardownLocalValidator();
+
+    expect(await waitForExit(child)).toBe(true);
+    expect(fs.existsSync(PID_PATH)).toBe(false);
+  });
+
+  test('leaves an unrelated process with a recycled PID alone on teardown', async () => {
+    const child = await startProcess();
+    writePidFile({ pid: child.pid, start_time: '1' });
+
+    const status = await teardownLocalValidator();
+
+    expect(status.running).toBe(false);
+    expect(await waitForExit(child)).toBe(false);
+  });
+});
@@ -0,0 +1,240 @@
+/**
+ * Log stream tests
+ * GET /deploy/:deploymentId/logs/stream replays a deployment's events from
+ * the beginning, resumes after Last-Event-ID, follows live output and ends
+ * with the deployment
+ */
+
+const fs = require('fs');
+
+const workDir = process.env.TEST_WORK_DIR;
+
+process.env.LOG_STREAM_HEARTBEAT_MS = '50';
+
+jest.mock('ioredis', () => require('ioredis-mock'));
+
+// ioredis-mock's XREAD ignores BLOCK and the ID to read after, and returns
+// each entry only once, so reads here wait out their block and then take
+// what comes after the ID from XRANGE
+jest.mock('../src/services/deploymentEvents', () => {
+  const actual = jest.requireActual('../src/services/deploymentEvents');
+  const isAfter = (id, afterId) => {
+    const [ms, seq = 0] = id.split('-').map(Number);
+    const [afterMs, afterSeq = 0] = afterId.split('-').map(Number);
+    return ms > afterMs || (ms === afterMs && seq > afterSeq);
+  };
+
+  return {
+    ...actual,
+    readEvents: async (deploymentId, afterId, { connection, blockMs = 0 }) => {
+      if (blockMs) {
+        await new Promise(resolve => setTimeout(resolve, blockMs));
+      }
+
+      const entries = await connection.xrange(`deployment:events:${deploymentId}`, '-', '+');
+
+      return entries
+        .filter(([id]) => isAfter(id, afterId))
+        .map(([id, [, type, , data]]) => ({ id, type, data: JSON.parse(data) }));
+    }
+  };
+});
+
+jest.mock('../src/services/deploymentQueue', () => ({
+  enqueueDeployment: jest.fn(),
+  cancelDeployment: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const deployRouter = require('../src/routes/deploy');
+const {
+  createDeploymentState,
+  transitionStep,
+  markSucceeded,
+  markFailed
+} = require('../src/services/deploymentState');
+const { createLogSink } = require('../src/services/deploymentEvents');
+const { createApiKey } = require('../src/services/apiKeys');
+const { getRedisConnection } = require('../src/services/redisClient');
+const { closeDatabase } = require('../src/services/database');
+const { errorMiddleware, BuildError } = require('../src/utils/errorHandler');
+
+const PROGRAM_ID = 'Fg6PaFpoGXkYsidMpWTK6W2BeZ7FEfcYkg476zPFsLnS';
+
+const app = express();
+app.use('/deploy', deployRouter);
+app.use(errorMiddleware);
+
+let apiKey;
+let deploymentCount = 0;
+
+/**
+ * Create a queued deployment started by the test key
+ * @returns {Promise<string>} Deployment identifier
+ */
+async function createDeployment() {
+  deploymentCount++;
+  const deploymentId = `deployment-${deploymentCount}`;
+
+  await createDeploymentState(deploymentId, {
+    repo_url: 'https://github.com/example/escrow',
+    network: 'devnet',
+    api_key_id: apiKey.id
+  });
+
+  return deploymentId;
+}
+
+/**
+ * Run a deployment through a build that prints output, then succeed
+ * @param {string} deploymentId - Deployment identifier
+ */
+async function runDeployment(deploymentId) {
+  await transitionStep(deploymentId, 'cloning');
+  await transitionStep(deploymentId, 'building');
+  createLogSink(deploymentId, 'building')('Compiling escrow v0.1.0\n', 'stdout');
+  createLogSink(deploymentId, 'building')('warning: unused variable\n', 'stderr');
+  await markSucceeded(deploymentId, { program_id: PROGRAM_ID });
+}
+
+/**
+ * Open a deployment's log stream
+ * @param {string} deploymentId - Deployment identifier
+ * @param {Object} headers - Extra request headers
+ * @returns {Promise<Response>} Response, once the stream has ended
+ */
+function openStream(deploymentId, headers = {}) {
+  return request(app)
+    .get(`/deploy/${deploymentId}/logs/stream`)
+    .set({ Authorization: `Bearer ${apiKey.key}`, ...headers });
+}
+
+/**
+ * Parse a Server-Sent Events body
+ * @param {string} text - Response body
+ * @returns {Array<Object>} Events ({ id, type, data }); comments are skipped
+ */
+function parseEvents(text) {
+  return text.split('\n\n').filter(block => /^(id|event):/m.test(block)).map((block) => {
+    const fields = {};
+
+    for (const line of block.split('\n')) {
+      const separator = line.indexOf(': ');
+      fields[line.slice(0, separator)] = line.slice(separator + 2);
+    }
+
+    return { id: fields.id || null, type: fields.event, data: JSON.parse(fields.data) };
+  });
+}
+
+/**
+ * Summarise events for comparison
+ * @param {Array<Object>} events - Parsed events
+ * @returns {Array<string>} One "type:detail" entry per event
+ */
+function summarise(events) {
+  return events.map(({ type, data }) => `${type}:${data.status || data.text.trim()}`);
+}
+
+beforeAll(() => {
+  apiKey = createApiKey({ name: 'deployer', scopes: ['deploy:devnet'] });
+});
+
+beforeEach(async () => {
+  await getRedisConnection().flushall();
+});
+
+afterAll(() => {
+  closeDatabase();
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('GET /deploy/:deploymentId/logs/stream', () => {
+  test('replays a finished deployment from the beginning', async () => {
+    const deploymentId = await createDeployment();
+    await runDeployment(deploymentId);
+
+    const response = await openStream(deploymentId);
+    const events = parseEvents(response.text);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^text\/event-stream/);
+    expect(summarise(events)).toEqual([
+      'status:queued',
+      'status:cloning',
+      'status:building',
+      'log:Compiling escrow v0.1.0',
+      'log:warning: unused variable',
+      'end:succeeded'
+    ]);
+    expect(events[3].data).toMatchObject({ step: 'building', stream: 'stdout' });
+    expect(events[5].data.program_id).toBe(PROGRAM_ID);
+    events.forEach(event => expect(event.id).toMatch(/^\d+-\d+$/));
+  });
+
+  test('resumes after Last-Event-ID', async () => {
+    const deploymentId = await createDeployment();
+    await runDeployment(deploymentId);
+    const replay = parseEvents((await openStream(deploymentId)).text);
+
+    const response = await openStream(deploymentId, { 'Last-Event-ID': replay[2].id });
+
+    expect(parseEvents(response.text)).toEqual(replay.slice(3));
+  });
+
+  test('replays from the beginning when Last-Event-ID is not an event ID', async () => {
+    const deploymentId = await createDeployment();
+    await runDeployment(deploymentId);
+
+    const response = await openStream(deploymentId, { 'Last-Event-ID': '$' });
+
+    expect(summarise(parseEvents(response.text))).toHaveLength(6);
+  });
+
+  test('ends with the stored outcome once the events have expired', async () => {
+    const deploymentId = await createDeployment();
+    await transitionStep(deploymentId, 'building');
+    await markFailed(deploymentId, new BuildError('anchor build failed'));
+    await getRedisConnection().del(`deployment:events:${deploymentId}`);
+
+    const response = await openStream(deploymentId);
+
+    expect(parseEvents(response.text)).toEqual([{ id: null, type: 'end', data: { status: 'failed' } }]);
+  });
+
+  test('follows a running deployment until it ends', async () => {
+    const deploymentId = await createDeployment();
+    await transitionStep(deploymentId, 'cloning');
+
+    const pending = openStream(deploymentId).then(response => response);
+    await new Promise(resolve => setTimeout(resolve, 200));
+    await runDeployment(deploymentId);
+    const response = await pending;
+
+    expect(summarise(parseEvents(response.text))).toEqual([
+      'status:queued',
+      'status:cloning',
+      'status:building',
+      'log:Compiling escrow v0.1.0',
+      'log:warning: unused variable',
+      'end:succeeded'
+    ]);
+    expect(response.text).toContain(': keep-alive\n\n');
+  });
+
+  test('reports an unknown deployment', async () => {
+    expect((await openStream('deployment-missing')).status).toBe(404);
+  });
+
+  test('is refused to other keys without read:deployments', async () => {
+    const deploymentId = await createDeployment();
+    const other = createApiKey({ name: 'other', scopes: ['deploy:devnet'] });
+
+    const response = await request(app)
+      .get(`/deploy/${deploymentId}/logs/stream`)
+      .set('Authorization', `Bearer ${other.key}`);
+
+    expect(response.status).toBe(403);
+  });
+});
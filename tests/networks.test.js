@@ -0,0 +1,163 @@
+/**
+ * Network registry tests
+ * Built-in clusters can be overridden and custom ones added from config;
+ * requests and API key scopes follow the registry, and GET /networks lists
+ * it without the credentials endpoint URLs may carry
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const workDir = process.env.TEST_WORK_DIR;
+
+const NETWORKS_FILE = path.join(workDir, 'networks.json');
+
+fs.writeFileSync(NETWORKS_FILE, JSON.stringify({
+  'private-devnet': { rpc_url: 'https://file.example.com', airdrop: true, anchor_cluster: 'devnet' }
+}));
+
+process.env.NETWORKS_CONFIG_PATH = NETWORKS_FILE;
+process.env.NETWORKS_CONFIG = JSON.stringify({
+  testnet: { min_balance: 5 },
+  'private-devnet': {
+    rpc_urls: ['https://devnet.example.com/v2/secret-key?tier=pro', 'https://fallback.example.com'],
+    ws_url: 'wss://devnet.example.com/v2/secret-key',
+    airdrop: true,
+    anchor_cluster: 'devnet',
+    description: 'Dedicated devnet node'
+  },
+  'private-mainnet': { rpc_url: 'https://mainnet.example.com', airdrop: true, mainnet: true, anchor_cluster: 'mainnet' }
+});
+
+const express = require('express');
+const request = require('supertest');
+const networksRouter = require('../src/routes/networks');
+const { getNetwork, getNetworkNames } = require('../src/config/networks');
+const { getDeployScope, getAvailableScopes } = require('../src/config/scopes');
+const { getRpcUrl } = require('../src/services/solanaCliWrapper');
+const { validateDeploymentRequest } = require('../src/utils/validators');
+const { ValidationError } = require('../src/utils/errorHandler');
+const { TESTNET_RPC_URL, MIN_SOL_BALANCE } = require('../src/config/constants');
+
+const app = express();
+app.use('/networks', networksRouter);
+
+/**
+ * Load the registry afresh with other custom networks
+ * @param {Object} networks - NETWORKS_CONFIG contents
+ * @returns {Object} Networks module
+ */
+function loadRegistry(networks) {
+  const saved = { path: process.env.NETWORKS_CONFIG_PATH, inline: process.env.NETWORKS_CONFIG };
+  let registry;
+
+  delete process.env.NETWORKS_CONFIG_PATH;
+  process.env.NETWORKS_CONFIG = JSON.stringify(networks);
+
+  try {
+    jest.isolateModules(() => {
+      registry = require('../src/config/networks');
+    });
+  } finally {
+    process.env.NETWORKS_CONFIG_PATH = saved.path;
+    process.env.NETWORKS_CONFIG = saved.inline;
+  }
+
+  return registry;
+}
+
+afterAll(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('registry', () => {
+  test('keeps the built-in clusters', () => {
+    expect(getNetworkNames()).toEqual(expect.arrayContaining(['devnet', 'testnet', 'mainnet-beta', 'localnet']));
+    expect(getNetwork('localnet')).toMatchObject({ airdrop: true, managedValidator: true, anchorCluster: 'localnet' });
+  });
+
+  test('merges overrides over a built-in cluster', () => {
+    expect(getNetwork('testnet')).toMatchObject({ rpcUrl: TESTNET_RPC_URL, minBalance: 5, airdrop: true });
+  });
+
+  test('adds custom clusters, inline config winning over the file', () => {
+    expect(getNetwork('private-devnet')).toEqual({
+      name: 'private-devnet',
+      rpcUrl: 'https://devnet.example.com/v2/secret-key?tier=pro',
+      rpcUrls: ['https://devnet.example.com/v2/secret-key?tier=pro', 'https://fallback.example.com'],
+      wsUrl: 'wss://devnet.example.com/v2/secret-key',
+      airdrop: true,
+      minBalance: MIN_SOL_BALANCE,
+      mainnet: false,
+      managedValidator: false,
+      anchorCluster: 'devnet',
+      description: 'Dedicated devnet node'
+    });
+  });
+
+  test('never airdrops on a mainnet-style cluster', () => {
+    expect(getNetwork('private-mainnet')).toMatchObject({ mainnet: true, airdrop: false });
+  });
+
+  test('does not fall back to devnet for an unknown network', () => {
+    expect(getNetwork('mainnet')).toBeNull();
+    expect(() => getRpcUrl('mainnet')).toThrow(ValidationError);
+  });
+
+  test.each([
+    ['a name with capitals', { Private: { rpc_url: 'https://rpc.example.com' } }, /Invalid network name "Private"/],
+    ['a cluster without an RPC URL', { staging: { airdrop: true } }, /Invalid configuration for network "staging"/],
+    ['an RPC URL that is not http', { staging: { rpc_url: 'ftp://rpc.example.com' } }, /Invalid configuration for network "staging"/],
+    ['an unknown Anchor cluster', { staging: { rpc_url: 'https://rpc.example.com', anchor_cluster: 'staging' } }, /anchor_cluster/]
+  ])('refuses %s', (label, networks, message) => {
+    expect(() => loadRegistry(networks)).toThrow(message);
+  });
+});
+
+describe('deployment requests', () => {
+  test('accept a custom network', () => {
+    const value = validateDeploymentRequest({ repo_url: 'https://github.com/example/escrow', network: 'private-devnet' });
+
+    expect(value.network).toBe('private-devnet');
+  });
+
+  test('reject a network outside the registry', () => {
+    const validate = () => validateDeploymentRequest({ repo_url: 'https://github.com/example/escrow', network: 'staging' });
+
+    expect(validate).toThrow(ValidationError);
+    expect(validate).toThrow(expect.objectContaining({
+      details: [{ field: 'network', message: expect.stringContaining('private-devnet') }]
+    }));
+  });
+});
+
+describe('deploy scopes', () => {
+  test('follow the registry, with every mainnet cluster under deploy:mainnet', () => {
+    expect(getDeployScope('private-devnet')).toBe('deploy:private-devnet');
+    expect(getDeployScope('private-mainnet')).toBe('deploy:mainnet');
+    expect(getAvailableScopes()).toEqual(expect.arrayContaining(['deploy:private-devnet', 'deploy:mainnet']));
+    expect(getAvailableScopes()).not.toContain('deploy:private-mainnet');
+  });
+});
+
+describe('GET /networks', () => {
+  test('lists every network with endpoints reduced to their origin', async () => {
+    const response = await request(app).get('/networks');
+
+    expect(response.status).toBe(200);
+    expect(response.body.networks.map(network => network.name)).toEqual(getNetworkNames());
+    expect(response.body.networks.find(network => network.name === 'private-devnet')).toEqual({
+      name: 'private-devnet',
+      rpc_url: 'https://devnet.example.com',
+      rpc_urls: ['https://devnet.example.com', 'https://fallback.example.com'],
+      ws_url: 'wss://devnet.example.com',
+      airdrop: true,
+      min_balance: MIN_SOL_BALANCE,
+      mainnet: false,
+      managed_validator: false,
+      anchor_cluster: 'devnet',
+      description: 'Dedicated devnet node'
+    });
+    expect(JSON.stringify(response.body)).not.toContain('secret-key');
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * Program ID sync tests
+ * declare_id! and Anchor.toml follow the program keypairs before a build;
+ * upgrades only touch the upgraded program
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const workDir = process.env.TEST_WORK_DIR;
+
+process.env.NETWORKS_CONFIG = JSON.stringify({
+  'private-devnet': { rpc_url: 'https://rpc.example.com' },
+  'private-mainnet': { rpc_url: 'https://rpc.example.com', mainnet: true, anchor_cluster: 'mainnet' }
+});
+
+const { Keypair } = require('@solana/web3.js');
+const { setAnchorTomlProgramId, syncProgramIds } = require('../src/services/projectManager');
+const { getProgramKeypairPath } = require('../src/services/anchorDeployer');
+const { InvalidProjectError } = require('../src/utils/errorHandler');
+
+const PLACEHOLDER_ID = 'Fg6PaFpoGXkYsidMpWTK6W2BeZ7FEfcYkg476zPFsLnS';
+
+const ANCHOR_TOML = `[features]
+seeds = false
+
+[programs.localnet]
+token_vault = "${PLACEHOLDER_ID}"
+escrow = "${PLACEHOLDER_ID}"
+
+[provider]
+cluster = "Localnet"
+wallet = "~/.config/solana/id.json"
+`;
+
+let projectCount = 0;
+let projectPath;
+
+/**
+ * Write a program crate
+ * @param {string} crateName - Directory and package name
+ * @param {string} source - src/lib.rs content
+ */
+function writeCrate(crateName, source) {
+  const cratePath = path.join(projectPath, 'programs', crateName);
+
+  fs.mkdirSync(path.join(cratePath, 'src'), { recursive: true });
+  fs.writeFileSync(path.join(cratePath, 'Cargo.toml'), `[package]\nname = "${crateName}"\nversion = "0.1.0"\n`);
+  fs.writeFileSync(path.join(cratePath, 'src', 'lib.rs'), source);
+}
+
+/**
+ * Write a program keypair into target/deploy
+ * @param {string} programName - Program name
+ * @returns {string} Its program ID
+ */
+function writeKeypair(programName) {
+  const keypair = Keypair.generate();
+  const keypairPath = getProgramKeypairPath(projectPath, programName);
+
+  fs.mkdirSync(path.dirname(keypairPath), { recursive: true });
+  fs.writeFileSync(keypairPath, JSON.stringify(Array.from(keypair.secretKey)));
+
+  return keypair.publicKey.toBase58();
+}
+
+/**
+ * Read a program's declared ID
+ * @param {string} crateName - Crate directory
+ * @returns {string} ID in declare_id!
+ */
+function readDeclareId(crateName) {
+  const source = fs.readFileSync(path.join(projectPath, 'programs', crateName, 'src', 'lib.rs'), 'utf8');
+  return source.match(/declare_id!\("([^"]*)"\)/)[1];
+}
+
+/**
+ * Read Anchor.toml
+ * @returns {string} Its content
+ */
+function readAnchorToml() {
+  return fs.readFileSync(path.join(projectPath, 'Anchor.toml'), 'utf8');
+}
+
+beforeEach(() => {
+  projectCount++;
+  projectPath = path.join(workDir, `project-${projectCount}`);
+
+  fs.mkdirSync(projectPath, { recursive: true });
+  fs.writeFileSync(path.join(projectPath, 'Anchor.toml'), ANCHOR_TOML);
+  writeCrate('token-vault', `use anchor_lang::prelude::*;\n\ndeclare_id!("${PLACEHOLDER_ID}");\n`);
+  writeCrate('escrow', `use anchor_lang::prelude::*;\n\ndeclare_id!("${PLACEHOLDER_ID}");\n`);
+});
+
+afterAll(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('setAnchorTomlProgramId', () => {
+  test('replaces an existing entry', () => {
+    const result = setAnchorTomlProgramId(ANCHOR_TOML, 'localnet', 'escrow', 'NewId');
+
+    expect(result.previous).toBe(PLACEHOLDER_ID);
+    expect(result.content).toContain('escrow = "NewId"');
+    expect(result.content).toContain(`token_vault = "${PLACEHOLDER_ID}"`);
+  });
+
+  test('adds an entry to an existing section', () => {
+    const result = setAnchorTomlProgramId(ANCHOR_TOML, 'localnet', 'staking', 'NewId');
+
+    expect(result.previous).toBeNull();
+    expect(result.content).toMatch(/\[programs\.localnet\]\nstaking = "NewId"\n/);
+  });
+
+  test('adds a missing section', () => {
+    const result = setAnchorTomlProgramId(ANCHOR_TOML, 'devnet', 'escrow', 'NewId');
+
+    expect(result.previous).toBeNull();
+    expect(result.content.endsWith('[programs.devnet]\nescrow = "NewId"\n')).toBe(true);
+  });
+});
+
+describe('syncProgramIds', () => {
+  test('points declare_id! and Anchor.toml at each program keypair', () => {
+    const vaultId = writeKeypair('token_vault');
+    const escrowId = writeKeypair('escrow');
+
+    const report = syncProgramIds(projectPath, 'localnet', 'deployment-1');
+
+    expect(readDeclareId('token-vault')).toBe(vaultId);
+    expect(readDeclareId('escrow')).toBe(escrowId);
+    expect(readAnchorToml()).toContain(`token_vault = "${vaultId}"`);
+    expect(readAnchorToml()).toContain(`escrow = "${escrowId}"`);
+    expect(report.find(program => program.name === 'escrow')).toEqual({
+      name: 'escrow',
+      program_id: escrowId,
+      changed: ['declare_id', 'anchor_toml'],
+      previous: { declare_id: PLACEHOLDER_ID, anchor_toml: PLACEHOLDER_ID }
+    });
+  });
+
+  test('generates a keypair for a program without one', () => {
+    const report = syncProgramIds(projectPath, 'localnet', 'deployment-1');
+
+    expect(fs.existsSync(getProgramKeypairPath(projectPath, 'escrow'))).toBe(true);
+    expect(report.find(program => program.name === 'escrow').changed).toContain('keypair');
+  });
+
+  test('uses the Anchor cluster of the network', () => {
+    const escrowId = writeKeypair('escrow');
+
+    syncProgramIds(projectPath, 'mainnet-beta', 'deployment-1');
+
+    expect(readAnchorToml()).toContain(`[programs.mainnet]\ntoken_vault = "`);
+    expect(readAnchorToml()).toContain(`escrow = "${escrowId}"`);
+  });
+
+  test('uses localnet for custom networks unless they name a cluster', () => {
+    const escrowId = writeKeypair('escrow');
+
+    syncProgramIds(projectPath, 'private-devnet', 'deployment-1');
+
+    expect(readAnchorToml()).toContain(`escrow = "${escrowId}"`);
+    expect(readAnchorToml()).not.toContain(`escrow = "${PLACEHOLDER_ID}"`);
+
+    syncProgramIds(projectPath, 'private-mainnet', 'deployment-2');
+
+    expect(readAnchorToml()).toContain('[programs.mainnet]');
+  });
+
+  test('leaves Anchor.toml untouched when nothing changed', () => {
+    writeKeypair('token_vault');
+    writeKeypair('escrow');
+    syncProgramIds(projectPath, 'localnet', 'deployment-1');
+
+    const anchorTomlPath = path.join(projectPath, 'Anchor.toml');
+    const past = new Date(Math.floor(Date.now() / 1000) * 1000 - 60000);
+    fs.utimesSync(anchorTomlPath, past, past);
+
+    const report = syncProgramIds(projectPath, 'localnet', 'deployment-2');
+
+    expect(report.every(program => program.changed.length === 0)).toBe(true);
+    expect(fs.statSync(anchorTomlPath).mtimeMs).toBe(past.getTime());
+  });
+
+  test('only syncs the upgraded program in upgrade mode', () => {
+    const programId = Keypair.generate().publicKey.toBase58();
+
+    const report = syncProgramIds(projectPath, 'localnet', 'deployment-1', {
+      programNames: ['escrow'],
+      overrides: { escrow: programId }
+    });
+
+    expect(report.map(program => program.name)).toEqual(['escrow']);
+    expect(readDeclareId('escrow')).toBe(programId);
+    expect(readDeclareId('token-vault')).toBe(PLACEHOLDER_ID);
+    expect(readAnchorToml()).toContain(`token_vault = "${PLACEHOLDER_ID}"`);
+    expect(fs.existsSync(getProgramKeypairPath(projectPath, 'escrow'))).toBe(false);
+    expect(fs.existsSync(getProgramKeypairPath(projectPath, 'token_vault'))).toBe(false);
+  });
+
+  test('rejects a program with no crate', () => {
+    expect(() => syncProgramIds(projectPath, 'localnet', 'deployment-1', { programNames: ['staking'] }))
+      .toThrow(InvalidProjectError);
+  });
+
+  test('rejects a crate without exactly one declare_id!', () => {
+    writeCrate('escrow', 'use anchor_lang::prelude::*;\n');
+
+    expect(() => syncProgramIds(projectPath, 'localnet', 'deployment-1')).toThrow(/declare_id! not found/);
+  });
+});
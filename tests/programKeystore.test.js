@@ -0,0 +1,281 @@
+/**
+ * Program keystore tests
+ * Program keypairs are stored per API key, network, repository and program,
+ * written back before each build, never replaced by a different key, and
+ * retired once their program is live under another upgrade authority
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const workDir = process.env.TEST_WORK_DIR;
+
+// The chain is faked at the RPC layer
+jest.mock('../src/services/rpcHealth', () => ({
+  ...jest.requireActual('../src/services/rpcHealth'),
+  rpcCall: jest.fn()
+}));
+
+const { Keypair } = require('@solana/web3.js');
+const { createFakeChain } = require('./helpers/chain');
+const { rpcCall } = require('../src/services/rpcHealth');
+const {
+  STORED_KEYPAIR_STATUS,
+  normalizeRepoUrl,
+  getProgramKeypairs,
+  getStoredProgramIds,
+  saveProgramKeypair,
+  getStoredKeypairStatus,
+  injectProgramKeypairs,
+  persistProgramKeypairs
+} = require('../src/services/programKeystore');
+const { getProgramKeypairPath } = require('../src/services/anchorDeployer');
+const { prepare, closeDatabase } = require('../src/services/database');
+const { ConflictError, ValidationError, NetworkError } = require('../src/utils/errorHandler');
+
+const SIGNER = Keypair.generate().publicKey.toBase58();
+
+let repoCount = 0;
+let owner;
+let projectPath;
+let chain;
+
+/**
+ * Write a keypair where anchor build leaves it
+ * @param {string} programName - Program name
+ * @param {Keypair} keypair - Keypair to write
+ */
+function writeBuildKeypair(programName, keypair) {
+  const keypairPath = getProgramKeypairPath(projectPath, programName);
+
+  fs.mkdirSync(path.dirname(keypairPath), { recursive: true });
+  fs.writeFileSync(keypairPath, JSON.stringify(Array.from(keypair.secretKey)));
+}
+
+/**
+ * Read the keypair written into target/deploy
+ * @param {string} programName - Program name
+ * @returns {string} Its program ID
+ */
+function readBuildProgramId(programName) {
+  const secretKey = JSON.parse(fs.readFileSync(getProgramKeypairPath(projectPath, programName), 'utf8'));
+  return Keypair.fromSecretKey(Uint8Array.from(secretKey)).publicKey.toBase58();
+}
+
+beforeEach(() => {
+  repoCount++;
+  owner = { apiKeyId: 'key-1', network: 'devnet', repoUrl: `https://github.com/example/program-${repoCount}` };
+  projectPath = path.join(workDir, `project-${repoCount}`);
+  chain = createFakeChain();
+  rpcCall.mockReset().mockImplementation(chain.rpcCall);
+});
+
+afterAll(() => {
+  closeDatabase();
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('normalizeRepoUrl', () => {
+  test.each([
+    'https://github.com/Example/Program',
+    'https://github.com/example/program/',
+    'https://github.com/example/program.git',
+    'http://github.com/example/program'
+  ])('maps %s to the canonical URL', (url) => {
+    expect(normalizeRepoUrl(url)).toBe('https://github.com/example/program');
+  });
+});
+
+describe('saveProgramKeypair', () => {
+  test('stores a keypair that decrypts to the same key', () => {
+    const keypair = Keypair.generate();
+
+    expect(saveProgramKeypair(owner, 'token_vault', keypair, 'deployment-1')).toBe(true);
+
+    const stored = getProgramKeypairs({ ...owner, repoUrl: `${owner.repoUrl}.git` }).get('token_vault');
+    expect(Buffer.from(stored.secretKey).equals(Buffer.from(keypair.secretKey))).toBe(true);
+  });
+
+  test('accepts the stored keypair again without storing a new one', () => {
+    const keypair = Keypair.generate();
+
+    saveProgramKeypair(owner, 'token_vault', keypair, 'deployment-1');
+
+    expect(saveProgramKeypair(owner, 'token_vault', keypair, 'deployment-2')).toBe(false);
+  });
+
+  test('never replaces a stored keypair with a different one', () => {
+    const original = Keypair.generate();
+
+    saveProgramKeypair(owner, 'token_vault', original, 'deployment-1');
+
+    expect(() => saveProgramKeypair(owner, 'token_vault', Keypair.generate(), 'deployment-2'))
+      .toThrow(ConflictError);
+    expect(getStoredProgramIds(owner).get('token_vault')).toBe(original.publicKey.toBase58());
+  });
+
+  test('keeps each API key and network apart', () => {
+    const first = Keypair.generate();
+    const otherKey = { ...owner, apiKeyId: 'key-2' };
+    const otherNetwork = { ...owner, network: 'testnet' };
+
+    saveProgramKeypair(owner, 'token_vault', first, 'deployment-1');
+
+    expect(saveProgramKeypair(otherKey, 'token_vault', Keypair.generate(), 'deployment-2')).toBe(true);
+    expect(saveProgramKeypair(otherNetwork, 'token_vault', Keypair.generate(), 'deployment-3')).toBe(true);
+    expect(getStoredProgramIds(owner).get('token_vault')).toBe(first.publicKey.toBase58());
+    expect(getStoredProgramIds(otherKey).get('token_vault')).not.toBe(first.publicKey.toBase58());
+  });
+});
+
+describe('getStoredKeypairStatus', () => {
+  test('is undeployed when nothing lives at the address', async () => {
+    expect(await getStoredKeypairStatus('devnet', Keypair.generate().publicKey.toBase58(), SIGNER))
+      .toBe(STORED_KEYPAIR_STATUS.UNDEPLOYED);
+  });
+
+  test('is controlled when the signer is the upgrade authority', async () => {
+    const programId = Keypair.generate().publicKey.toBase58();
+
+    chain.putProgram(programId, SIGNER);
+
+    expect(await getStoredKeypairStatus('devnet', programId, SIGNER)).toBe(STORED_KEYPAIR_STATUS.CONTROLLED);
+  });
+
+  test.each([
+    ['another authority', Keypair.generate().publicKey.toBase58()],
+    ['no authority', null]
+  ])('is foreign for a program with %s', async (label, authority) => {
+    const programId = Keypair.generate().publicKey.toBase58();
+
+    chain.putProgram(programId, authority);
+
+    expect(await getStoredKeypairStatus('devnet', programId, SIGNER)).toBe(STORED_KEYPAIR_STATUS.FOREIGN);
+  });
+
+  test('fails when the network cannot be reached', async () => {
+    rpcCall.mockRejectedValue(new Error('fetch failed'));
+
+    await expect(getStoredKeypairStatus('devnet', SIGNER, SIGNER)).rejects.toThrow(NetworkError);
+  });
+});
+
+describe('injectProgramKeypairs', () => {
+  test('writes stored keypairs into target/deploy', async () => {
+    const keypair = Keypair.generate();
+
+    saveProgramKeypair(owner, 'token_vault', keypair, 'deployment-1');
+
+    const sources = await injectProgramKeypairs('deployment-2', projectPath, owner, ['token_vault'], null, SIGNER);
+
+    expect(sources).toEqual({ token_vault: 'stored' });
+    expect(readBuildProgramId('token_vault')).toBe(keypair.publicKey.toBase58());
+  });
+
+  test('reuses a stored keypair whose program the signer controls', async () => {
+    const keypair = Keypair.generate();
+
+    saveProgramKeypair(owner, 'token_vault', keypair, 'deployment-1');
+    chain.putProgram(keypair.publicKey.toBase58(), SIGNER);
+
+    const sources = await injectProgramKeypairs('deployment-2', projectPath, owner, ['token_vault'], null, SIGNER);
+
+    expect(sources).toEqual({ token_vault: 'stored' });
+  });
+
+  test('retires a stored keypair whose program is live under another authority', async () => {
+    const keypair = Keypair.generate();
+
+    saveProgramKeypair(owner, 'token_vault', keypair, 'deployment-1');
+    chain.putProgram(keypair.publicKey.toBase58(), Keypair.generate().publicKey.toBase58());
+
+    const sources = await injectProgramKeypairs('deployment-2', projectPath, owner, ['token_vault'], null, SIGNER);
+
+    expect(sources).toEqual({});
+    expect(fs.existsSync(getProgramKeypairPath(projectPath, 'token_vault'))).toBe(false);
+    expect(getStoredProgramIds(owner).has('token_vault')).toBe(false);
+  });
+
+  test('ignores keypairs stored by other API keys', async () => {
+    saveProgramKeypair({ ...owner, apiKeyId: 'key-2' }, 'token_vault', Keypair.generate(), 'deployment-1');
+
+    const sources = await injectProgramKeypairs('deployment-2', projectPath, owner, ['token_vault'], null, SIGNER);
+
+    expect(sources).toEqual({});
+  });
+
+  test('writes a supplied keypair for a program with no stored keypair', async () => {
+    const keypair = Keypair.generate();
+
+    const sources = await injectProgramKeypairs('deployment-1', projectPath, owner, ['token_vault'], {
+      token_vault: Array.from(keypair.secretKey)
+    }, SIGNER);
+
+    expect(sources).toEqual({ token_vault: 'supplied' });
+    expect(readBuildProgramId('token_vault')).toBe(keypair.publicKey.toBase58());
+  });
+
+  test('rejects a supplied keypair that differs from the stored one', async () => {
+    const stored = Keypair.generate();
+
+    saveProgramKeypair(owner, 'token_vault', stored, 'deployment-1');
+
+    await expect(injectProgramKeypairs('deployment-2', projectPath, owner, ['token_vault'], {
+      token_vault: Array.from(Keypair.generate().secretKey)
+    }, SIGNER)).rejects.toThrow(ConflictError);
+  });
+
+  test('takes a supplied keypair over a retired stored one', async () => {
+    const stored = Keypair.generate();
+    const supplied = Keypair.generate();
+
+    saveProgramKeypair(owner, 'token_vault', stored, 'deployment-1');
+    chain.putProgram(stored.publicKey.toBase58(), null);
+
+    const sources = await injectProgramKeypairs('deployment-2', projectPath, owner, ['token_vault'], {
+      token_vault: Array.from(supplied.secretKey)
+    }, SIGNER);
+
+    expect(sources).toEqual({ token_vault: 'supplied' });
+    expect(readBuildProgramId('token_vault')).toBe(supplied.publicKey.toBase58());
+  });
+
+  test('rejects a supplied keypair for a program live under another authority before building', async () => {
+    const keypair = Keypair.generate();
+
+    saveProgramKeypair(owner, 'token_vault', keypair, 'deployment-1');
+    chain.putProgram(keypair.publicKey.toBase58(), Keypair.generate().publicKey.toBase58());
+
+    await expect(injectProgramKeypairs('deployment-2', projectPath, owner, ['token_vault'], {
+      token_vault: Array.from(keypair.secretKey)
+    }, SIGNER)).rejects.toThrow('Program token_vault is already deployed under another upgrade authority');
+    expect(getStoredProgramIds(owner).get('token_vault')).toBe(keypair.publicKey.toBase58());
+  });
+
+  test('rejects a supplied keypair for a program the workspace does not list', async () => {
+    await expect(injectProgramKeypairs('deployment-1', projectPath, owner, ['token_vault'], {
+      other: Array.from(Keypair.generate().secretKey)
+    }, SIGNER)).rejects.toThrow(ValidationError);
+  });
+});
+
+describe('persistProgramKeypairs', () => {
+  test('stores the keypair a deployed program was built with', () => {
+    const keypair = Keypair.generate();
+
+    writeBuildKeypair('token_vault', keypair);
+
+    expect(persistProgramKeypairs('deployment-1', projectPath, owner, ['token_vault'])).toBe(1);
+    expect(getStoredProgramIds(owner).get('token_vault')).toBe(keypair.publicKey.toBase58());
+  });
+
+  test('keeps the stored keypair when another deployment stored one first', () => {
+    const first = Keypair.generate();
+
+    saveProgramKeypair(owner, 'token_vault', first, 'deployment-1');
+    writeBuildKeypair('token_vault', Keypair.generate());
+
+    expect(persistProgramKeypairs('deployment-2', projectPath, owner, ['token_vault'])).toBe(0);
+    expect(getStoredProgramIds(owner).get('token_vault')).toBe(first.publicKey.toBase58());
+  });
+});
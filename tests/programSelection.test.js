@@ -0,0 +1,117 @@
+/**
+ * Program selection tests
+ * Program names are checked for format with the request and against the
+ * workspace's Anchor.toml as soon as the workspace is known
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const workDir = process.env.TEST_WORK_DIR;
+
+const { validateAnchorProject, selectPrograms } = require('../src/services/projectManager');
+const { validateDeploymentRequest } = require('../src/utils/validators');
+const { ValidationError } = require('../src/utils/errorHandler');
+
+const REPO_URL = 'https://github.com/example/escrow';
+const PROGRAM_ID = 'Fg6PaFpoGXkYsidMpWTK6W2BeZ7FEfcYkg476zPFsLnS';
+const SECRET_KEY = Array(64).fill(1);
+
+const ANCHOR_TOML = `[programs.localnet]
+token_vault = "${PROGRAM_ID}"
+escrow = "${PROGRAM_ID}"
+
+[provider]
+cluster = "Localnet"
+`;
+
+/**
+ * Get the error a call throws
+ * @param {Function} fn - Call to make
+ * @returns {Error|null} Thrown error, or null if it returned
+ */
+function thrown(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+let config;
+
+beforeAll(async () => {
+  const projectPath = path.join(workDir, 'workspace');
+  fs.mkdirSync(path.join(projectPath, 'programs'), { recursive: true });
+  fs.writeFileSync(path.join(projectPath, 'Anchor.toml'), ANCHOR_TOML);
+
+  config = await validateAnchorProject(projectPath, 'deployment-1');
+});
+
+afterAll(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('program name validation', () => {
+  test('accepts Anchor.toml program keys', () => {
+    const value = validateDeploymentRequest({
+      repo_url: REPO_URL,
+      programs: ['token_vault', '_escrow2'],
+      program_keypairs: { token_vault: SECRET_KEY }
+    });
+
+    expect(value.programs).toEqual(['token_vault', '_escrow2']);
+    expect(Object.keys(value.program_keypairs)).toEqual(['token_vault']);
+  });
+
+  test.each(['token-vault', '2vault', 'token vault', '../escrow'])('rejects %s in programs', (name) => {
+    const error = thrown(() => validateDeploymentRequest({ repo_url: REPO_URL, programs: [name] }));
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.details).toEqual([{ field: 'programs.0', message: expect.stringContaining('letters, digits and underscores') }]);
+  });
+
+  test('rejects a malformed program_keypairs name instead of dropping it', () => {
+    const error = thrown(() => validateDeploymentRequest({
+      repo_url: REPO_URL,
+      program_keypairs: { token_vault: SECRET_KEY, 'token-vault': SECRET_KEY }
+    }));
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.details).toEqual([{
+      field: 'program_keypairs.token-vault',
+      message: expect.stringContaining('letters, digits and underscores')
+    }]);
+  });
+});
+
+describe('selectPrograms', () => {
+  test('deploys every program by default', () => {
+    expect(selectPrograms(config)).toEqual(['token_vault', 'escrow']);
+  });
+
+  test('deploys the requested programs', () => {
+    expect(selectPrograms(config, ['escrow'])).toEqual(['escrow']);
+  });
+
+  test('rejects unknown programs with the ones available', () => {
+    const error = thrown(() => selectPrograms(config, ['escrow', 'vault', 'swap']));
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.message).toBe('Unknown programs: vault, swap');
+    expect(error.details).toEqual({ unknown: ['vault', 'swap'], available: ['token_vault', 'escrow'] });
+  });
+
+  test('rejects keypairs for unknown programs with the ones available', () => {
+    const error = thrown(() => selectPrograms(config, null, ['token_vault', 'vault']));
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.message).toBe('Program keypair given for unknown program: vault');
+    expect(error.details).toEqual({ unknown: ['vault'], available: ['token_vault', 'escrow'] });
+  });
+
+  test('accepts keypairs for programs that are not being deployed', () => {
+    expect(selectPrograms(config, ['escrow'], ['token_vault'])).toEqual(['escrow']);
+  });
+});
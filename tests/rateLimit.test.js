@@ -0,0 +1,134 @@
+/**
+ * Rate limit tests
+ * Budgets are counted per API key, cancellations apart from polling, and
+ * failed authentications per IP before any key is checked, so keys cannot be
+ * guessed without limit
+ */
+
+const fs = require('fs');
+
+const workDir = process.env.TEST_WORK_DIR;
+
+process.env.RATE_LIMIT_POLL_MAX = '4';
+process.env.RATE_LIMIT_AUTH_FAILURES_MAX = '3';
+
+jest.mock('ioredis', () => require('ioredis-mock'));
+
+jest.mock('../src/services/deploymentQueue', () => ({
+  enqueueDeployment: jest.fn(),
+  cancelDeployment: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const deployRouter = require('../src/routes/deploy');
+const { authenticate } = require('../src/utils/auth');
+const { authFailureLimiter, pollingLimiter } = require('../src/utils/rateLimit');
+const { errorMiddleware } = require('../src/utils/errorHandler');
+const { createApiKey } = require('../src/services/apiKeys');
+const { getRedisConnection } = require('../src/services/redisClient');
+const { closeDatabase } = require('../src/services/database');
+const { SCOPES } = require('../src/config/scopes');
+
+const app = express();
+app.get('/ping', authFailureLimiter, authenticate, pollingLimiter, (req, res) => res.json({ success: true }));
+app.use('/deploy', deployRouter);
+app.use(errorMiddleware);
+
+/**
+ * Create an API key that can poll
+ * @returns {string} The key
+ */
+function newKey() {
+  return createApiKey({ name: 'test', scopes: [SCOPES.READ_DEPLOYMENTS] }).key;
+}
+
+/**
+ * Call the test endpoint
+ * @param {string|null} key - API key to send
+ * @returns {Promise<Response>} Response
+ */
+function ping(key) {
+  const call = request(app).get('/ping');
+  return key ? call.set('Authorization', `Bearer ${key}`) : call;
+}
+
+beforeEach(async () => {
+  await getRedisConnection().flushall();
+});
+
+afterAll(() => {
+  closeDatabase();
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('per-key budget', () => {
+  test('limits each key separately', async () => {
+    const first = newKey();
+    const second = newKey();
+
+    for (let i = 0; i < 4; i++) {
+      expect((await ping(first)).status).toBe(200);
+    }
+
+    const limited = await ping(first);
+
+    expect(limited.status).toBe(429);
+    expect(limited.body.error.code).toBe('RATE_LIMIT_EXCEEDED');
+    expect((await ping(second)).status).toBe(200);
+  });
+
+  test('reports the remaining budget of the key', async () => {
+    const response = await ping(newKey());
+
+    expect(response.headers['ratelimit-limit']).toBe('4');
+    expect(response.headers['ratelimit-remaining']).toBe('3');
+  });
+});
+
+describe('cancellation budget', () => {
+  test('is not used up by polling', async () => {
+    const key = newKey();
+    const poll = () => request(app).get('/deploy/status/deployment-1').set('Authorization', `Bearer ${key}`);
+    const cancel = () => request(app).delete('/deploy/deployment-1').set('Authorization', `Bearer ${key}`);
+
+    for (let i = 0; i < 4; i++) {
+      expect((await poll()).status).toBe(404);
+    }
+
+    expect((await poll()).status).toBe(429);
+    expect((await cancel()).status).toBe(404);
+  });
+});
+
+describe('failed authentications', () => {
+  test('block the IP once they reach the limit', async () => {
+    for (let i = 0; i < 3; i++) {
+      expect((await ping(`sk_guess_${i}`)).status).toBe(401);
+    }
+
+    const limited = await ping('sk_guess_3');
+
+    expect(limited.status).toBe(429);
+    expect(limited.body.error.code).toBe('RATE_LIMIT_EXCEEDED');
+    expect((await ping(newKey())).status).toBe(429);
+  });
+
+  test('count requests without a key', async () => {
+    for (let i = 0; i < 3; i++) {
+      expect((await ping(null)).status).toBe(401);
+    }
+
+    expect((await ping(null)).status).toBe(429);
+  });
+
+  test('are the only requests counted against the IP', async () => {
+    const key = newKey();
+
+    for (let i = 0; i < 4; i++) {
+      expect((await ping(key)).status).toBe(200);
+    }
+
+    expect((await ping('sk_guess')).status).toBe(401);
+  });
+});
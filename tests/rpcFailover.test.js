@@ -0,0 +1,123 @@
+/**
+ * RPC failover tests
+ * Calls move to the next endpoint when one fails, but not when the
+ * deployment they run in was cancelled or ran out of time
+ */
+
+const fs = require('fs');
+
+const workDir = process.env.TEST_WORK_DIR;
+
+process.env.NETWORKS_CONFIG = JSON.stringify({
+  devnet: { rpc_urls: ['https://primary.example.com', 'https://fallback.example.com'] }
+});
+
+jest.mock('../src/services/rpcHealth', () => ({
+  ...jest.requireActual('../src/services/rpcHealth'),
+  getOrderedEndpoints: jest.fn(async () => ['https://primary.example.com', 'https://fallback.example.com']),
+  reportEndpointFailure: jest.fn(async () => {})
+}));
+
+const { withRpcFailover } = require('../src/services/solanaCliWrapper');
+const { isRpcTransportError, reportEndpointFailure } = require('../src/services/rpcHealth');
+const { runWithDeploymentContext } = require('../src/utils/deploymentContext');
+const { TimeoutError, CancelledError } = require('../src/utils/errorHandler');
+
+/**
+ * Create a cluster context on the primary endpoint
+ * @returns {Object} Cluster context
+ */
+function createCluster() {
+  return { network: 'devnet', rpcUrl: 'https://primary.example.com' };
+}
+
+/**
+ * Run an operation in a deployment context that aborts when the operation starts
+ * @param {Error} reason - Abort reason
+ * @param {Error} rejection - What the aborted command rejects with
+ * @returns {Promise<Object>} { error, calls }
+ */
+async function runAborted(reason, rejection) {
+  const controller = new AbortController();
+  const operation = jest.fn(async () => {
+    controller.abort(reason);
+    throw rejection;
+  });
+
+  const error = await runWithDeploymentContext(
+    { deploymentId: 'deployment-1', signal: controller.signal, deadline: Date.now() + 60000 },
+    () => withRpcFailover(createCluster(), 'deployment-1', operation)
+  ).catch(caught => caught);
+
+  return { error, calls: operation.mock.calls.length };
+}
+
+beforeEach(() => {
+  reportEndpointFailure.mockClear();
+});
+
+afterAll(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('isRpcTransportError', () => {
+  test('treats unreachable endpoints and command timeouts as endpoint failures', () => {
+    expect(isRpcTransportError(new Error('error sending request for url'))).toBe(true);
+    expect(isRpcTransportError(new TimeoutError('Command timeout: solana balance'))).toBe(true);
+  });
+
+  test('ignores errors about the request itself', () => {
+    expect(isRpcTransportError(new Error('Transaction simulation failed'))).toBe(false);
+  });
+
+  test('ignores any error once the deployment was aborted', () => {
+    const controller = new AbortController();
+    controller.abort(new TimeoutError('Deployment timed out'));
+
+    expect(isRpcTransportError(new TimeoutError('Deployment timed out: solana balance'), controller.signal)).toBe(false);
+  });
+});
+
+describe('withRpcFailover', () => {
+  test('moves to the next endpoint when a command times out', async () => {
+    const cluster = createCluster();
+    const operation = jest.fn(async ({ rpcUrl }) => {
+      if (rpcUrl === 'https://primary.example.com') {
+        throw new TimeoutError('Command timeout: solana balance');
+      }
+      return rpcUrl;
+    });
+
+    expect(await withRpcFailover(cluster, 'deployment-1', operation)).toBe('https://fallback.example.com');
+    expect(cluster.rpcUrl).toBe('https://fallback.example.com');
+    expect(reportEndpointFailure).toHaveBeenCalledWith('devnet', 'https://primary.example.com', expect.any(TimeoutError));
+  });
+
+  test('keeps a timed out command on its endpoint when asked to', async () => {
+    const operation = jest.fn(async () => {
+      throw new TimeoutError('Command timeout: solana program deploy');
+    });
+
+    await expect(withRpcFailover(createCluster(), 'deployment-1', operation, { failoverOnTimeout: false }))
+      .rejects.toThrow(TimeoutError);
+    expect(operation).toHaveBeenCalledTimes(1);
+    expect(reportEndpointFailure).not.toHaveBeenCalled();
+  });
+
+  test('neither fails over nor marks the endpoint when the deployment runs out of time', async () => {
+    const reason = new TimeoutError('Deployment timed out');
+    const { error, calls } = await runAborted(reason, new TimeoutError('Deployment timed out: solana balance'));
+
+    expect(error).toBeInstanceOf(TimeoutError);
+    expect(calls).toBe(1);
+    expect(reportEndpointFailure).not.toHaveBeenCalled();
+  });
+
+  test('neither fails over nor marks the endpoint when the deployment is cancelled', async () => {
+    const { error, calls } = await runAborted(undefined, new CancelledError('Command cancelled'));
+
+    expect(error).toBeInstanceOf(CancelledError);
+    expect(calls).toBe(1);
+    expect(reportEndpointFailure).not.toHaveBeenCalled();
+  });
+});
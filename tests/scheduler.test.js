@@ -0,0 +1,135 @@
+/**
+ * Scheduler tests
+ * Slots are capped globally and per client, waiting deployments start in
+ * priority and enqueue order, and a capped client does not hold others back
+ */
+
+const fs = require('fs');
+
+const workDir = process.env.TEST_WORK_DIR;
+
+process.env.MAX_CONCURRENT_DEPLOYMENTS = '3';
+process.env.MAX_DEPLOYMENTS_PER_CLIENT = '1';
+
+jest.mock('ioredis', () => require('ioredis-mock'));
+
+const { getRedisConnection } = require('../src/services/redisClient');
+const {
+  addWaiting,
+  removeWaiting,
+  pruneWaiting,
+  acquireSlot,
+  releaseSlot,
+  getQueueInfo
+} = require('../src/services/scheduler');
+
+/**
+ * Queue deployments in order, one millisecond apart so their order is fixed
+ * @param {Array<Array<string>>} deployments - [deploymentId, clientId, priority]
+ */
+async function queue(...deployments) {
+  for (const [deploymentId, clientId, priority = 'normal'] of deployments) {
+    await addWaiting(deploymentId, clientId, priority);
+    await new Promise(resolve => setTimeout(resolve, 2));
+  }
+}
+
+beforeEach(async () => {
+  await getRedisConnection().flushall();
+});
+
+afterAll(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('acquireSlot', () => {
+  test('lets the first waiting deployment start', async () => {
+    await queue(['d1', 'alice']);
+
+    expect(await acquireSlot('d1', 'alice')).toEqual({ acquired: true, reason: null });
+    expect(await getQueueInfo('d1')).toBeNull();
+  });
+
+  test('holds a deployment back until earlier ones have started', async () => {
+    await queue(['d1', 'alice'], ['d2', 'bob']);
+
+    expect(await acquireSlot('d2', 'bob')).toEqual({ acquired: false, reason: 'queue_order' });
+    expect((await acquireSlot('d1', 'alice')).acquired).toBe(true);
+    expect((await acquireSlot('d2', 'bob')).acquired).toBe(true);
+  });
+
+  test('lets other clients pass a deployment held back by its client limit', async () => {
+    await queue(['d1', 'alice'], ['d2', 'alice'], ['d3', 'bob']);
+    await acquireSlot('d1', 'alice');
+
+    expect(await acquireSlot('d2', 'alice')).toEqual({ acquired: false, reason: 'client_limit' });
+    expect((await acquireSlot('d3', 'bob')).acquired).toBe(true);
+  });
+
+  test('keeps the place of a deferred deployment once its client has a free slot', async () => {
+    await queue(['d1', 'alice'], ['d2', 'alice'], ['d3', 'bob']);
+    await acquireSlot('d1', 'alice');
+    await releaseSlot('d1', 'alice');
+
+    expect(await acquireSlot('d3', 'bob')).toEqual({ acquired: false, reason: 'queue_order' });
+    expect((await acquireSlot('d2', 'alice')).acquired).toBe(true);
+  });
+
+  test('starts higher priority deployments first', async () => {
+    await queue(['d1', 'alice', 'low'], ['d2', 'bob', 'high']);
+
+    expect((await acquireSlot('d1', 'alice')).reason).toBe('queue_order');
+    expect((await acquireSlot('d2', 'bob')).acquired).toBe(true);
+    expect((await acquireSlot('d1', 'alice')).acquired).toBe(true);
+  });
+
+  test('stops at the global limit', async () => {
+    await queue(['d1', 'a'], ['d2', 'b'], ['d3', 'c'], ['d4', 'd']);
+
+    for (const [deploymentId, clientId] of [['d1', 'a'], ['d2', 'b'], ['d3', 'c']]) {
+      expect((await acquireSlot(deploymentId, clientId)).acquired).toBe(true);
+    }
+
+    expect(await acquireSlot('d4', 'd')).toEqual({ acquired: false, reason: 'global_limit' });
+
+    await releaseSlot('d2', 'b');
+
+    expect((await acquireSlot('d4', 'd')).acquired).toBe(true);
+  });
+
+  test('no longer waits for a removed deployment', async () => {
+    await queue(['d1', 'alice'], ['d2', 'bob']);
+    await removeWaiting('d1');
+
+    expect((await acquireSlot('d2', 'bob')).acquired).toBe(true);
+  });
+});
+
+describe('pruneWaiting', () => {
+  test('drops deployments whose job is gone', async () => {
+    await queue(['d1', 'alice'], ['d2', 'bob']);
+
+    expect(await pruneWaiting(async deploymentId => deploymentId === 'd2')).toBe(1);
+    expect((await getQueueInfo('d2')).position).toBe(1);
+  });
+});
+
+describe('getQueueInfo', () => {
+  test('reports the position in start order', async () => {
+    await queue(['d1', 'alice'], ['d2', 'bob'], ['d3', 'carol', 'high']);
+
+    expect(await getQueueInfo('d3')).toMatchObject({ position: 1, queue_length: 3, running: 0, deferred: false });
+    expect((await getQueueInfo('d2')).position).toBe(3);
+  });
+
+  test('marks a deployment whose client is at its limit as deferred', async () => {
+    await queue(['d1', 'alice'], ['d2', 'alice']);
+    await acquireSlot('d1', 'alice');
+
+    expect(await getQueueInfo('d2')).toMatchObject({ position: 1, queue_length: 1, running: 1, deferred: true });
+  });
+
+  test('returns null for a deployment that is not waiting', async () => {
+    expect(await getQueueInfo('unknown')).toBeNull();
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Treasury tests
+ * Top-ups stay under the per-deployment and daily ceilings, and transfers
+ * that are never sent neither count against them nor overdraw the treasury
+ */
+
+const fs = require('fs');
+
+const workDir = process.env.TEST_WORK_DIR;
+const { TREASURY_ADDRESS: TREASURY, SIGNATURE } = require('./helpers/fixtures');
+
+process.env.TREASURY_WALLET_ID = 'treasury-wallet';
+process.env.TREASURY_MAX_SOL_PER_DEPLOYMENT = '1';
+process.env.TREASURY_MAX_SOL_PER_DAY = '2';
+
+jest.mock('../src/services/walletKeystore', () => ({
+  ...jest.requireActual('../src/services/walletKeystore'),
+  getWallet: jest.fn(() => ({ id: 'treasury-wallet', address: require('./helpers/fixtures').TREASURY_ADDRESS }))
+}));
+
+jest.mock('../src/services/walletManager', () => ({
+  saveStoredWalletKeypair: jest.fn(() => ({ keypairPath: '/tmp/treasury-keypair.json' })),
+  deleteKeypair: jest.fn()
+}));
+
+jest.mock('../src/services/solanaCliWrapper', () => ({
+  getBalance: jest.fn(),
+  transfer: jest.fn()
+}));
+
+const { fundFromTreasury } = require('../src/services/treasury');
+const { getBalance, transfer } = require('../src/services/solanaCliWrapper');
+const { saveStoredWalletKeypair } = require('../src/services/walletManager');
+const { prepare, closeDatabase } = require('../src/services/database');
+const { QuotaExceededError, InsufficientBalanceError, NetworkError } = require('../src/utils/errorHandler');
+
+const cluster = { network: 'mainnet-beta', rpcUrl: 'https://api.mainnet-beta.solana.com' };
+let balances;
+let deploymentCount = 0;
+
+/**
+ * Start a test deployment with an empty wallet
+ * @returns {Object} { deploymentId, address }
+ */
+function newDeployment() {
+  deploymentCount++;
+  const deployment = { deploymentId: `deployment-${deploymentCount}`, address: `wallet-${deploymentCount}` };
+  balances[deployment.address] = 0;
+  return deployment;
+}
+
+/**
+ * Fund a test deployment
+ * @param {Object} deployment - From newDeployment
+ * @param {number} sol - Balance the deploy needs
+ * @returns {Promise<number>} Wallet balance afterwards
+ */
+function fund({ deploymentId, address }, sol) {
+  return fundFromTreasury(deploymentId, address, sol * 1e9, cluster);
+}
+
+/**
+ * Get a deployment's recorded transfers
+ * @param {string} deploymentId - Deployment identifier
+ * @returns {Array<Object>} Rows
+ */
+function transfersOf(deploymentId) {
+  return prepare('SELECT lamports, status FROM treasury_transfers WHERE deployment_id = ?').all(deploymentId);
+}
+
+beforeEach(() => {
+  prepare('DELETE FROM treasury_transfers').run();
+  balances = { [TREASURY]: 100 };
+
+  getBalance.mockReset().mockImplementation(async address => balances[address]);
+  transfer.mockReset().mockImplementation(async (recipient, amount) => {
+    balances[TREASURY] -= amount;
+    balances[recipient] += amount;
+    return SIGNATURE;
+  });
+  saveStoredWalletKeypair.mockClear();
+});
+
+afterAll(() => {
+  closeDatabase();
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('fundFromTreasury', () => {
+  test('sends what the wallet is missing and records it', async () => {
+    const deployment = newDeployment();
+    balances[deployment.address] = 0.25;
+
+    expect(await fund(deployment, 0.75)).toBe(0.75);
+    expect(transfer).toHaveBeenCalledWith(deployment.address, 0.5, deployment.deploymentId, expect.objectContaining({
+      keypairPath: '/tmp/treasury-keypair.json'
+    }));
+    expect(transfersOf(deployment.deploymentId)).toEqual([{ lamports: 0.5e9, status: 'sent' }]);
+  });
+
+  test('sends nothing to a wallet that already holds enough', async () => {
+    const deployment = newDeployment();
+    balances[deployment.address] = 1;
+
+    expect(await fund(deployment, 0.5)).toBe(1);
+    expect(transfer).not.toHaveBeenCalled();
+  });
+});
+
+describe('spend ceilings', () => {
+  test('stop a deployment from taking more than its share', async () => {
+    const deployment = newDeployment();
+
+    const error = await fund(deployment, 1.5).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(QuotaExceededError);
+    expect(error.details.max_sol_per_deployment).toBe(1);
+    expect(transfer).not.toHaveBeenCalled();
+    expect(transfersOf(deployment.deploymentId)).toEqual([]);
+  });
+
+  test('stop the treasury from sending more than the daily budget', async () => {
+    await fund(newDeployment(), 1);
+    await fund(newDeployment(), 0.75);
+
+    const error = await fund(newDeployment(), 0.5).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(QuotaExceededError);
+    expect(error.details.spent_today_sol).toBe(1.75);
+  });
+
+  test('count failed transfers, which may still have landed', async () => {
+    const deployment = newDeployment();
+    transfer.mockRejectedValueOnce(new NetworkError('Failed to transfer SOL'));
+
+    await expect(fund(deployment, 0.75)).rejects.toThrow(NetworkError);
+    expect(transfersOf(deployment.deploymentId)).toEqual([{ lamports: 0.75e9, status: 'failed' }]);
+
+    await expect(fund(deployment, 0.75)).rejects.toThrow(QuotaExceededError);
+  });
+});
+
+describe('treasury balance', () => {
+  test('releases the reservation when the treasury cannot cover the top-up', async () => {
+    const deployment = newDeployment();
+    balances[TREASURY] = 0.5;
+
+    await expect(fund(deployment, 0.75)).rejects.toThrow(InsufficientBalanceError);
+    expect(transfersOf(deployment.deploymentId)).toEqual([]);
+
+    balances[TREASURY] = 100;
+
+    expect(await fund(deployment, 1)).toBe(1);
+  });
+
+  test('counts top-ups that are reserved but not yet sent', async () => {
+    balances[TREASURY] = 1;
+
+    let release;
+    transfer.mockImplementationOnce(() => new Promise((resolve) => {
+      release = () => resolve(SIGNATURE);
+    }));
+
+    const first = newDeployment();
+    const second = newDeployment();
+    const sending = fund(first, 0.75);
+
+    await new Promise(resolve => setImmediate(resolve));
+
+    const error = await fund(second, 0.5).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(InsufficientBalanceError);
+    expect(error.details.reserved).toBe(0.750005);
+    expect(transfersOf(second.deploymentId)).toEqual([]);
+
+    release();
+    await sending;
+  });
+
+  test('releases the reservation when the treasury key cannot be written', async () => {
+    const deployment = newDeployment();
+    saveStoredWalletKeypair.mockImplementationOnce(() => {
+      throw new Error('ENOSPC');
+    });
+
+    await expect(fund(deployment, 0.75)).rejects.toThrow('ENOSPC');
+    expect(transfer).not.toHaveBeenCalled();
+    expect(transfersOf(deployment.deploymentId)).toEqual([]);
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Upgrade authority tests
+ * The authority change is sent as the upgradeable loader's SetAuthority
+ * instruction, signed by the deployment wallet, and its confirmed signature
+ * is the one reported
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const workDir = process.env.TEST_WORK_DIR;
+const { SIGNATURE } = require('./helpers/fixtures');
+
+jest.mock('ioredis', () => require('ioredis-mock'));
+
+jest.mock('@solana/web3.js', () => ({
+  ...jest.requireActual('@solana/web3.js'),
+  sendAndConfirmTransaction: jest.fn()
+}));
+
+jest.mock('../src/utils/commandExecutor', () => ({
+  executeCommand: jest.fn()
+}));
+
+jest.mock('../src/services/solanaCliWrapper', () => ({
+  getClusterArgs: () => [],
+  withRpcFailover: (cluster, deploymentId, operation) => operation(cluster)
+}));
+
+jest.mock('../src/services/deploymentEvents', () => ({
+  createLogSink: () => () => {}
+}));
+
+const { Keypair, PublicKey, sendAndConfirmTransaction } = require('@solana/web3.js');
+const { executeCommand } = require('../src/utils/commandExecutor');
+const { setUpgradeAuthority } = require('../src/services/anchorDeployer');
+const { DeploymentError } = require('../src/utils/errorHandler');
+
+const PROGRAM_ID = 'Fg6PaFpoGXkYsidMpWTK6W2BeZ7FEfcYkg476zPFsLnS';
+const NEW_AUTHORITY = '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM';
+const LOADER_ID = 'BPFLoaderUpgradeab1e11111111111111111111111';
+
+const deployer = Keypair.generate();
+const keypairPath = path.join(workDir, 'deployer.json');
+const cluster = { network: 'devnet', rpcUrl: 'https://api.devnet.solana.com', wsUrl: null, keypairPath };
+const [programData] = PublicKey.findProgramAddressSync(
+  [new PublicKey(PROGRAM_ID).toBuffer()],
+  new PublicKey(LOADER_ID)
+);
+
+/**
+ * Answer `solana program show --output json` like the CLI does after the change
+ * @param {string} authority - Upgrade authority the program reports
+ */
+function fakeProgramShow(authority) {
+  executeCommand.mockImplementation(async (command, args) => {
+    if (args[1] === 'show') {
+      return {
+        stdout: JSON.stringify({
+          programId: PROGRAM_ID,
+          owner: LOADER_ID,
+          programdataAddress: programData.toBase58(),
+          authority,
+          lastDeploySlot: 312845127,
+          dataLen: 204336,
+          lamports: 1423099920
+        }),
+        logs: []
+      };
+    }
+    throw new Error(`Unexpected command: ${args.join(' ')}`);
+  });
+}
+
+/**
+ * Get the instruction the last authority change sent
+ * @returns {Object} { instruction, signers }
+ */
+function sentInstruction() {
+  const [[, transaction, signers]] = sendAndConfirmTransaction.mock.calls;
+  const [instruction] = transaction.instructions;
+
+  return {
+    instruction: {
+      programId: instruction.programId.toBase58(),
+      data: [...instruction.data],
+      keys: instruction.keys.map(({ pubkey, isSigner, isWritable }) => ({
+        pubkey: pubkey.toBase58(),
+        isSigner,
+        isWritable
+      }))
+    },
+    signers: signers.map(signer => signer.publicKey.toBase58())
+  };
+}
+
+beforeAll(() => {
+  fs.writeFileSync(keypairPath, JSON.stringify(Array.from(deployer.secretKey)));
+});
+
+beforeEach(() => {
+  executeCommand.mockReset();
+  sendAndConfirmTransaction.mockReset();
+  sendAndConfirmTransaction.mockResolvedValue(SIGNATURE);
+});
+
+afterAll(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('setUpgradeAuthority', () => {
+  test('sends SetAuthority signed by the deployment wallet and returns its signature', async () => {
+    fakeProgramShow(NEW_AUTHORITY);
+
+    const change = await setUpgradeAuthority(PROGRAM_ID, NEW_AUTHORITY, 'deployment-1', cluster);
+
+    expect(change).toEqual({ authority: NEW_AUTHORITY, signature: SIGNATURE });
+    expect(sentInstruction()).toEqual({
+      instruction: {
+        programId: LOADER_ID,
+        data: [4, 0, 0, 0],
+        keys: [
+          { pubkey: programData.toBase58(), isSigner: false, isWritable: true },
+          { pubkey: deployer.publicKey.toBase58(), isSigner: true, isWritable: false },
+          { pubkey: NEW_AUTHORITY, isSigner: false, isWritable: false }
+        ]
+      },
+      signers: [deployer.publicKey.toBase58()]
+    });
+  });
+
+  test('makes the program immutable by naming no new authority', async () => {
+    fakeProgramShow('none');
+
+    const change = await setUpgradeAuthority(PROGRAM_ID, null, 'deployment-1', cluster);
+
+    expect(change).toEqual({ authority: null, signature: SIGNATURE });
+    expect(sentInstruction().instruction.keys.map(key => key.pubkey)).toEqual([
+      programData.toBase58(),
+      deployer.publicKey.toBase58()
+    ]);
+  });
+
+  test('checks the change on-chain rather than trusting the transaction', async () => {
+    fakeProgramShow(deployer.publicKey.toBase58());
+
+    const error = await setUpgradeAuthority(PROGRAM_ID, NEW_AUTHORITY, 'deployment-1', cluster).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(DeploymentError);
+    expect(error.details).toEqual({ program_id: PROGRAM_ID, upgrade_authority: NEW_AUTHORITY });
+    expect(error.logs).toEqual([`Upgrade authority is ${deployer.publicKey.toBase58()}, expected ${NEW_AUTHORITY}`]);
+  });
+
+  test('fails when the transaction is rejected', async () => {
+    sendAndConfirmTransaction.mockRejectedValue(new Error('Transaction simulation failed: Error processing Instruction 0: incorrect authority provided'));
+
+    const error = await setUpgradeAuthority(PROGRAM_ID, NEW_AUTHORITY, 'deployment-1', cluster).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(DeploymentError);
+    expect(error.message).toBe('Failed to transfer upgrade authority');
+    expect(executeCommand).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Program upgrade tests
+ * A failed upgrade names the buffer it left behind; an upgrade that landed
+ * but does not match the build fails verification with its signature
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const workDir = process.env.TEST_WORK_DIR;
+const { SIGNATURE } = require('./helpers/fixtures');
+
+jest.mock('ioredis', () => require('ioredis-mock'));
+
+jest.mock('../src/utils/commandExecutor', () => ({
+  executeCommand: jest.fn()
+}));
+
+jest.mock('../src/services/solanaCliWrapper', () => ({
+  getClusterArgs: () => [],
+  withRpcFailover: (cluster, deploymentId, operation) => operation(cluster)
+}));
+
+jest.mock('../src/services/deploymentEvents', () => ({
+  createLogSink: () => () => {}
+}));
+
+const { executeCommand } = require('../src/utils/commandExecutor');
+const { upgradeProgram } = require('../src/services/anchorDeployer');
+const { DeploymentError, VerificationError } = require('../src/utils/errorHandler');
+
+const PROGRAM_ID = 'Fg6PaFpoGXkYsidMpWTK6W2BeZ7FEfcYkg476zPFsLnS';
+const BUFFER = '4uLFQVh7cdWaBDchrx5bzMMcXCxJ5eJYm7Wg7GfgVfxC';
+
+const binary = Buffer.from('new program build');
+const projectPath = path.join(workDir, 'project');
+const cluster = {
+  network: 'devnet',
+  rpcUrl: 'https://api.devnet.solana.com',
+  configPath: path.join(workDir, 'cli', 'config.yml')
+};
+
+/**
+ * SHA-256 of program bytes (the test binaries have no zero padding to strip)
+ * @param {Buffer} data - Program bytes
+ * @returns {string} Hex digest
+ */
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+const previous = { authority: 'wallet', data_len: 1024, programdata_hash: 'old', slot: 10 };
+
+/**
+ * Answer Solana CLI calls like a cluster would
+ * @param {Object} overrides - Replacement handlers by `program` subcommand
+ */
+function fakeCli(overrides = {}) {
+  const handlers = {
+    'write-buffer': () => ({ stdout: `Buffer: ${BUFFER}\n` }),
+    upgrade: () => ({ stdout: `Signature: ${SIGNATURE}\n` }),
+    show: () => ({ stdout: JSON.stringify({ authority: 'wallet', dataLen: 1024, lastDeploySlot: 20 }) }),
+    dump: args => {
+      fs.writeFileSync(args[args.length - 1], Buffer.concat([binary, Buffer.alloc(64)]));
+      return { stdout: '' };
+    },
+    ...overrides
+  };
+
+  executeCommand.mockImplementation(async (command, args) => ({ logs: [], ...handlers[args[1]](args) }));
+}
+
+beforeAll(() => {
+  fs.mkdirSync(path.join(projectPath, 'target', 'deploy'), { recursive: true });
+  fs.mkdirSync(path.dirname(cluster.configPath), { recursive: true });
+  fs.writeFileSync(path.join(projectPath, 'target', 'deploy', 'escrow.so'), binary);
+});
+
+afterAll(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+/**
+ * Upgrade the test program
+ * @returns {Promise<Object>} Upgrade result
+ */
+function upgrade() {
+  return upgradeProgram(projectPath, 'deployment-1', cluster, 'escrow', PROGRAM_ID, previous);
+}
+
+describe('upgradeProgram', () => {
+  test('returns the upgrade signature and the program data before and after', async () => {
+    fakeCli();
+
+    const result = await upgrade();
+
+    expect(result.signature).toBe(SIGNATURE);
+    expect(result.upgrade).toEqual({
+      previous: { programdata_hash: 'old', slot: 10 },
+      current: { programdata_hash: sha256(binary), slot: 20 }
+    });
+  });
+
+  test('names the buffer left behind when the upgrade fails', async () => {
+    fakeCli({ upgrade: () => { throw new Error('Transaction simulation failed'); } });
+
+    const error = await upgrade().catch(caught => caught);
+
+    expect(error).toBeInstanceOf(DeploymentError);
+    expect(error.message).toBe('Failed to upgrade program escrow');
+    expect(error.details).toEqual({ program_id: PROGRAM_ID, buffer: BUFFER });
+  });
+
+  test('fails verification with the signature when the program data does not match', async () => {
+    fakeCli({
+      dump: args => {
+        fs.writeFileSync(args[args.length - 1], Buffer.from('another build'));
+        return { stdout: '' };
+      }
+    });
+
+    const error = await upgrade().catch(caught => caught);
+
+    expect(error).toBeInstanceOf(VerificationError);
+    expect(error.code).toBe('VERIFICATION_FAILED');
+    expect(error.details).toEqual({
+      program_id: PROGRAM_ID,
+      signature: SIGNATURE,
+      expected_hash: sha256(binary),
+      programdata_hash: sha256(Buffer.from('another build'))
+    });
+  });
+
+  test('fails verification with the signature when the program cannot be read back', async () => {
+    fakeCli({ show: () => { throw new Error('RPC request failed'); } });
+
+    const error = await upgrade().catch(caught => caught);
+
+    expect(error).toBeInstanceOf(VerificationError);
+    expect(error.details.signature).toBe(SIGNATURE);
+  });
+});
@@ -0,0 +1,259 @@
+/**
+ * Vanity grinder tests
+ * Addresses are encoded like Solana's, ground keypairs match their pattern,
+ * and grinding stops on a match, an exhausted budget or a dead thread
+ */
+
+const fs = require('fs');
+const { EventEmitter } = require('events');
+
+const workDir = process.env.TEST_WORK_DIR;
+
+// Progress goes to Redis in a real deployment
+jest.mock('../src/services/deploymentState', () => ({
+  recordStepProgress: jest.fn(() => Promise.resolve())
+}));
+
+// Stored programs are looked up on a fake chain
+jest.mock('../src/services/rpcHealth', () => ({
+  ...jest.requireActual('../src/services/rpcHealth'),
+  rpcCall: jest.fn()
+}));
+
+const { Keypair } = require('@solana/web3.js');
+const { encodeBase58 } = require('../src/utils/base58');
+const { estimateVanityAttempts, validateDeploymentRequest } = require('../src/utils/validators');
+const { matchesPattern, grindVanityKeypair, grindProgramKeypair } = require('../src/services/vanityGrinder');
+const { saveProgramKeypair } = require('../src/services/programKeystore');
+const { rpcCall } = require('../src/services/rpcHealth');
+const { createFakeChain } = require('./helpers/chain');
+const { closeDatabase } = require('../src/services/database');
+const { ConflictError, TimeoutError, ValidationError } = require('../src/utils/errorHandler');
+
+const OWNER = { apiKeyId: 'key-1', network: 'devnet', repoUrl: 'https://github.com/example/vanity-program' };
+
+// Each grinder thread loads @solana/web3.js, which takes seconds on a busy CI core
+jest.setTimeout(30000);
+
+afterAll(() => {
+  closeDatabase();
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('encodeBase58', () => {
+  test.each([
+    ['', ''],
+    ['61', '2g'],
+    ['626262', 'a3gV'],
+    ['636363', 'aPEr'],
+    ['516b6fcd0f', 'ABnLTmg'],
+    ['00000000000000000000', '1111111111'],
+    ['00eb15231dfceb60925886b67d065299925915aeb172c06647', '1NS17iag9jJgTHD1VXjvLCEnZuQ3rJDE9L'],
+    [Buffer.from('Hello World!').toString('hex'), '2NEpo7TZRRrLZSi2U']
+  ])('encodes %s as %j', (hex, expected) => {
+    expect(encodeBase58(Buffer.from(hex, 'hex'))).toBe(expected);
+  });
+
+  test('matches the addresses of Solana keypairs', () => {
+    for (let i = 0; i < 200; i++) {
+      const { publicKey } = Keypair.generate();
+      expect(encodeBase58(publicKey.toBytes())).toBe(publicKey.toBase58());
+    }
+  });
+
+  test('encodes the all-zero key as the system program address', () => {
+    expect(encodeBase58(Buffer.alloc(32))).toBe('11111111111111111111111111111111');
+  });
+});
+
+describe('vanity validation', () => {
+  const base = { repo_url: 'https://github.com/example/program', network: 'devnet' };
+
+  test('expects 58 attempts per character, fewer for letters matched in either case', () => {
+    expect(estimateVanityAttempts('ab')).toBe(58 * 58);
+    expect(estimateVanityAttempts('', 'x', true)).toBe(29);
+    expect(estimateVanityAttempts('1', '', true)).toBe(58);
+  });
+
+  test('rejects patterns expected to need too many attempts', () => {
+    let error;
+
+    try {
+      validateDeploymentRequest({ ...base, vanity_prefix: 'abcdefg' });
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.details[0].message).toMatch(/about [\d,]+ attempts expected/);
+  });
+
+  test.each(['0', 'O', 'I', 'l'])('rejects the non-base58 character %s', (char) => {
+    expect(() => validateDeploymentRequest({ ...base, vanity_suffix: `a${char}` })).toThrow(ValidationError);
+  });
+});
+
+describe('grindVanityKeypair', () => {
+  test('finds a keypair with a one-character prefix', async () => {
+    const pattern = { prefix: '2' };
+
+    const result = await grindVanityKeypair(pattern, { threads: 2 });
+
+    expect(result.keypair.publicKey.toBase58().startsWith('2')).toBe(true);
+    expect(result.attempts).toBeGreaterThan(0);
+  });
+
+  test('finds a case-insensitive suffix', async () => {
+    const result = await grindVanityKeypair({ suffix: 'z', caseInsensitive: true }, { threads: 1 });
+
+    expect(matchesPattern(result.keypair.publicKey.toBase58(), { suffix: 'Z', caseInsensitive: true })).toBe(true);
+  });
+
+  test('stops once the attempt budget is used', async () => {
+    const error = await grindVanityKeypair({ prefix: 'zzzzzzzz' }, { threads: 1, maxAttempts: 2000 })
+      .catch(caught => caught);
+
+    expect(error).toBeInstanceOf(TimeoutError);
+    expect(error.details.attempts).toBeGreaterThanOrEqual(2000);
+  });
+
+  test('reports progress before settling', async () => {
+    const onProgress = jest.fn();
+
+    await grindVanityKeypair({ prefix: 'zzzzzzzz' }, { threads: 1, maxAttempts: 1000, onProgress })
+      .catch(() => {});
+
+    expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({ attempts: 1000 }));
+  });
+
+  test('fails at once when a thread dies', async () => {
+    jest.resetModules();
+    jest.doMock('worker_threads', () => ({
+      Worker: class extends EventEmitter {
+        constructor() {
+          super();
+          setImmediate(() => this.emit('exit', 1));
+        }
+
+        terminate() {}
+      }
+    }));
+
+    const { grindVanityKeypair: grindWithDyingThread } = require('../src/services/vanityGrinder');
+    const startTime = Date.now();
+
+    await expect(grindWithDyingThread({ prefix: 'a' }, { threads: 1, timeoutMs: 60000 }))
+      .rejects.toThrow(/exited with code 1/);
+    expect(Date.now() - startTime).toBeLessThan(5000);
+
+    jest.dontMock('worker_threads');
+  });
+});
+
+describe('grindProgramKeypair', () => {
+  let chain;
+
+  /**
+   * Get a vanity suffix an address does not end with
+   * @param {string} address - base58 address
+   * @returns {string} Suffix
+   */
+  const otherSuffix = address => (address.endsWith('2') ? '3' : '2');
+
+  beforeEach(() => {
+    chain = createFakeChain();
+    rpcCall.mockReset().mockImplementation(chain.rpcCall);
+  });
+
+  test('reuses a stored keypair that matches', async () => {
+    const stored = Keypair.generate();
+    const prefix = stored.publicKey.toBase58().slice(0, 3);
+
+    saveProgramKeypair(OWNER, 'matching', stored, 'deployment-1');
+
+    const result = await grindProgramKeypair('deployment-2', OWNER, 'matching', { prefix });
+
+    expect(result.reused).toBe(true);
+    expect(result.address).toBe(stored.publicKey.toBase58());
+  });
+
+  test('refuses to replace a stored keypair that does not match', async () => {
+    const stored = Keypair.generate();
+    const address = stored.publicKey.toBase58();
+
+    saveProgramKeypair(OWNER, 'other', stored, 'deployment-1');
+
+    await expect(grindProgramKeypair('deployment-2', OWNER, 'other', { suffix: otherSuffix(address) }))
+      .rejects.toThrow(ConflictError);
+  });
+
+  test('refuses to replace a stored keypair whose program the wallet controls', async () => {
+    const stored = Keypair.generate();
+    const address = stored.publicKey.toBase58();
+    const wallet = Keypair.generate().publicKey.toBase58();
+
+    saveProgramKeypair(OWNER, 'controlled', stored, 'deployment-1');
+    chain.putProgram(address, wallet);
+
+    await expect(grindProgramKeypair('deployment-2', OWNER, 'controlled', { suffix: otherSuffix(address) }, wallet))
+      .rejects.toThrow(ConflictError);
+  });
+
+  test('grinds over a stored keypair whose program is live under another authority', async () => {
+    const stored = Keypair.generate();
+    const address = stored.publicKey.toBase58();
+    const suffix = otherSuffix(address);
+
+    saveProgramKeypair(OWNER, 'retired', stored, 'deployment-1');
+    chain.putProgram(address, Keypair.generate().publicKey.toBase58());
+
+    const result = await grindProgramKeypair('deployment-2', OWNER, 'retired', { suffix });
+
+    expect(result.reused).toBe(false);
+    expect(result.address.endsWith(suffix)).toBe(true);
+  });
+
+  test('does not reuse a matching stored keypair a generated wallet cannot deploy with', async () => {
+    const stored = Keypair.generate();
+    const address = stored.publicKey.toBase58();
+
+    saveProgramKeypair(OWNER, 'ephemeral', stored, 'deployment-1');
+    chain.putProgram(address, Keypair.generate().publicKey.toBase58());
+
+    const result = await grindProgramKeypair('deployment-2', OWNER, 'ephemeral', { prefix: address.slice(0, 1) });
+
+    expect(result.reused).toBe(false);
+    expect(result.address).not.toBe(address);
+  });
+
+  test('keeps the stored keypair when its program cannot be looked up', async () => {
+    const stored = Keypair.generate();
+    const address = stored.publicKey.toBase58();
+
+    saveProgramKeypair(OWNER, 'unreachable', stored, 'deployment-1');
+    rpcCall.mockRejectedValue(new Error('fetch failed'));
+
+    await expect(grindProgramKeypair('deployment-2', OWNER, 'unreachable', { suffix: otherSuffix(address) }))
+      .rejects.toThrow(ConflictError);
+  });
+
+  test('ignores keypairs other API keys stored for the repository', async () => {
+    const stored = Keypair.generate();
+    const address = stored.publicKey.toBase58();
+    const suffix = otherSuffix(address);
+
+    saveProgramKeypair({ ...OWNER, apiKeyId: 'key-2' }, 'shared', stored, 'deployment-1');
+
+    const result = await grindProgramKeypair('deployment-2', OWNER, 'shared', { suffix });
+
+    expect(result.reused).toBe(false);
+    expect(result.address.endsWith(suffix)).toBe(true);
+  });
+
+  test('grinds a new keypair for a program with none stored', async () => {
+    const result = await grindProgramKeypair('deployment-1', OWNER, 'fresh', { suffix: 'a' });
+
+    expect(result.reused).toBe(false);
+    expect(result.address.endsWith('a')).toBe(true);
+  });
+});
@@ -0,0 +1,403 @@
+/**
+ * Wallet keystore tests
+ * Secret keys round-trip through AES-256-GCM, and altered data, a wrong
+ * master key or a ciphertext moved to another wallet never decrypt.
+ * Deployments can only use wallets their API key may spend.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const workDir = process.env.TEST_WORK_DIR;
+
+const TREASURY_WALLET_ID = '6f1c2b9e-3a47-4d8a-9b5e-0c2d4e6f8a10';
+process.env.TREASURY_WALLET_ID = TREASURY_WALLET_ID;
+
+jest.mock('ioredis', () => require('ioredis-mock'));
+
+jest.mock('../src/services/deploymentQueue', () => ({
+  enqueueDeployment: jest.fn(async () => ({ status: 'queued' })),
+  cancelDeployment: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { Keypair } = require('@solana/web3.js');
+const {
+  encryptSecret,
+  decryptSecret,
+  createWallet,
+  importWallet,
+  listWallets,
+  getWallet,
+  deleteWallet,
+  loadWalletKeypair
+} = require('../src/services/walletKeystore');
+const deployRouter = require('../src/routes/deploy');
+const walletsRouter = require('../src/routes/wallets');
+const { setupWallet } = require('../src/services/walletManager');
+const { enqueueDeployment } = require('../src/services/deploymentQueue');
+const { createApiKey } = require('../src/services/apiKeys');
+const { prepare, closeDatabase } = require('../src/services/database');
+const {
+  errorMiddleware,
+  WalletError,
+  ValidationError,
+  NotFoundError,
+  ConflictError
+} = require('../src/utils/errorHandler');
+const { SCOPES } = require('../src/config/scopes');
+
+const app = express();
+app.use(express.json());
+app.use('/deploy', deployRouter);
+app.use('/wallets', walletsRouter);
+app.use(errorMiddleware);
+
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+let walletCount = 0;
+
+/**
+ * Get a wallet name not used by another test
+ * @returns {string} Name
+ */
+function newName() {
+  walletCount++;
+  return `wallet-${walletCount}`;
+}
+
+/**
+ * Flip one bit of an encrypted secret
+ * @param {string} encrypted - Output of encryptSecret
+ * @param {number} offset - Byte to alter
+ * @returns {string} Altered data, base64
+ */
+function flipByte(encrypted, offset) {
+  const data = Buffer.from(encrypted, 'base64');
+  data[offset] ^= 0x01;
+  return data.toString('base64');
+}
+
+/**
+ * Load the keystore with another master key
+ * @param {string} masterKey - WALLET_MASTER_KEY to use
+ * @returns {Object} Keystore module
+ */
+function loadKeystoreWithKey(masterKey) {
+  const original = process.env.WALLET_MASTER_KEY;
+  let keystore;
+
+  process.env.WALLET_MASTER_KEY = masterKey;
+  try {
+    jest.isolateModules(() => {
+      keystore = require('../src/services/walletKeystore');
+    });
+  } finally {
+    process.env.WALLET_MASTER_KEY = original;
+  }
+
+  return keystore;
+}
+
+/**
+ * Request a devnet deployment with a stored wallet
+ * @param {Object} apiKey - API key to call with (from createApiKey)
+ * @param {string} walletId - Stored wallet
+ * @returns {Promise<Response>} Response
+ */
+function deployWithWallet(apiKey, walletId) {
+  return deploy(apiKey, { wallet_id: walletId });
+}
+
+/**
+ * Request a devnet deployment
+ * @param {Object} apiKey - API key to call with (from createApiKey)
+ * @param {Object} options - Wallet options
+ * @returns {Promise<Response>} Response
+ */
+function deploy(apiKey, options) {
+  return request(app)
+    .post('/deploy')
+    .set('Authorization', `Bearer ${apiKey.key}`)
+    .send({ repo_url: 'https://github.com/example/escrow', network: 'devnet', ...options });
+}
+
+/**
+ * Store the wallet TREASURY_WALLET_ID names, as an operator would before
+ * setting it, unless it is already stored
+ * @param {string} createdBy - API key that added it
+ */
+function storeTreasuryWallet(createdBy) {
+  const keypair = Keypair.generate();
+
+  prepare(`
+    INSERT OR IGNORE INTO wallets (id, name, address, encrypted_secret, created_at, created_by)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(
+    TREASURY_WALLET_ID,
+    'treasury',
+    keypair.publicKey.toBase58(),
+    encryptSecret(keypair.secretKey, TREASURY_WALLET_ID),
+    new Date().toISOString(),
+    createdBy
+  );
+}
+
+afterAll(() => {
+  closeDatabase();
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('secret encryption', () => {
+  const secretKey = Keypair.generate().secretKey;
+
+  test('round-trips a secret key', () => {
+    expect(decryptSecret(encryptSecret(secretKey, 'wallet-a'), 'wallet-a')).toEqual(secretKey);
+  });
+
+  test('uses a fresh IV for every encryption', () => {
+    const first = Buffer.from(encryptSecret(secretKey, 'wallet-a'), 'base64');
+    const second = Buffer.from(encryptSecret(secretKey, 'wallet-a'), 'base64');
+
+    expect(first.subarray(0, IV_BYTES).equals(second.subarray(0, IV_BYTES))).toBe(false);
+    expect(first.equals(second)).toBe(false);
+  });
+
+  test('does not store the secret in the clear', () => {
+    const data = Buffer.from(encryptSecret(secretKey, 'wallet-a'), 'base64');
+
+    expect(data.includes(Buffer.from(secretKey))).toBe(false);
+  });
+
+  test.each([
+    ['IV', 0],
+    ['auth tag', IV_BYTES],
+    ['ciphertext', IV_BYTES + TAG_BYTES + 10]
+  ])('rejects an altered %s', (part, offset) => {
+    const encrypted = encryptSecret(secretKey, 'wallet-a');
+
+    expect(() => decryptSecret(flipByte(encrypted, offset), 'wallet-a')).toThrow(WalletError);
+  });
+
+  test('rejects a truncated secret', () => {
+    const data = Buffer.from(encryptSecret(secretKey, 'wallet-a'), 'base64');
+
+    expect(() => decryptSecret(data.subarray(0, data.length - 1).toString('base64'), 'wallet-a')).toThrow(WalletError);
+  });
+
+  test('rejects a secret moved to another wallet', () => {
+    expect(() => decryptSecret(encryptSecret(secretKey, 'wallet-a'), 'wallet-b')).toThrow(WalletError);
+  });
+
+  test('rejects a different master key', () => {
+    const other = loadKeystoreWithKey(crypto.randomBytes(32).toString('base64'));
+
+    // The isolated module has its own error classes, so match on the message
+    expect(() => other.decryptSecret(encryptSecret(secretKey, 'wallet-a'), 'wallet-a'))
+      .toThrow('Failed to decrypt stored wallet');
+  });
+
+  test('rejects a master key that is not 32 bytes', () => {
+    const other = loadKeystoreWithKey(crypto.randomBytes(16).toString('hex'));
+
+    expect(() => other.encryptSecret(secretKey, 'wallet-a')).toThrow('WALLET_MASTER_KEY must be 32 bytes');
+  });
+});
+
+describe('stored wallets', () => {
+  test('load back the imported keypair', () => {
+    const keypair = Keypair.generate();
+    const wallet = importWallet(newName(), Array.from(keypair.secretKey), 'key-1');
+
+    expect(wallet.address).toBe(keypair.publicKey.toBase58());
+    expect(loadWalletKeypair(wallet.id).secretKey).toEqual(keypair.secretKey);
+    expect(getWallet(wallet.id).last_used_at).not.toBeNull();
+  });
+
+  test('keep only ciphertext in the database', () => {
+    const wallet = createWallet(newName(), 'key-1');
+    const row = prepare('SELECT * FROM wallets WHERE id = ?').get(wallet.id);
+    const secretKey = loadWalletKeypair(wallet.id).secretKey;
+
+    expect(Buffer.from(row.encrypted_secret, 'base64').includes(Buffer.from(secretKey))).toBe(false);
+    expect(listWallets().find(listed => listed.id === wallet.id)).not.toHaveProperty('encrypted_secret');
+  });
+
+  test('fail to load when the stored secret was altered', () => {
+    const wallet = createWallet(newName(), 'key-1');
+    const { encrypted_secret: encrypted } = prepare('SELECT encrypted_secret FROM wallets WHERE id = ?').get(wallet.id);
+
+    prepare('UPDATE wallets SET encrypted_secret = ? WHERE id = ?').run(flipByte(encrypted, IV_BYTES + TAG_BYTES), wallet.id);
+
+    expect(() => loadWalletKeypair(wallet.id)).toThrow(WalletError);
+  });
+
+  test('fail to load a secret copied from another wallet', () => {
+    const source = createWallet(newName(), 'key-1');
+    const target = createWallet(newName(), 'key-1');
+
+    prepare(`
+      UPDATE wallets SET encrypted_secret = (SELECT encrypted_secret FROM wallets WHERE id = ?) WHERE id = ?
+    `).run(source.id, target.id);
+
+    expect(() => loadWalletKeypair(target.id)).toThrow(WalletError);
+  });
+
+  test('reject a name or keypair that is already stored', () => {
+    const keypair = Keypair.generate();
+    const name = newName();
+
+    importWallet(name, Array.from(keypair.secretKey), 'key-1');
+
+    expect(() => createWallet(name, 'key-1')).toThrow(ConflictError);
+    expect(() => importWallet(newName(), Array.from(keypair.secretKey), 'key-1')).toThrow(ConflictError);
+  });
+
+  test('reject bytes that are not a keypair', () => {
+    expect(() => importWallet(newName(), [1, 2, 3], 'key-1')).toThrow(ValidationError);
+  });
+
+  test('are gone once deleted', () => {
+    const wallet = createWallet(newName(), 'key-1');
+
+    deleteWallet(wallet.id);
+
+    expect(() => loadWalletKeypair(wallet.id)).toThrow(NotFoundError);
+  });
+});
+
+describe('deploying with a stored wallet', () => {
+  const owner = createApiKey({ name: 'owner', scopes: ['deploy:devnet'] });
+  const other = createApiKey({ name: 'other', scopes: ['deploy:devnet'] });
+  const admin = createApiKey({ name: 'admin', scopes: ['deploy:devnet', SCOPES.ADMIN] });
+
+  beforeEach(() => {
+    enqueueDeployment.mockClear();
+  });
+
+  test('is allowed for the key that added the wallet', async () => {
+    const wallet = createWallet(newName(), owner.id);
+
+    const response = await deployWithWallet(owner, wallet.id);
+
+    expect(response.status).toBe(202);
+    expect(enqueueDeployment).toHaveBeenCalledTimes(1);
+  });
+
+  test('is allowed for admin keys', async () => {
+    const wallet = createWallet(newName(), owner.id);
+
+    expect((await deployWithWallet(admin, wallet.id)).status).toBe(202);
+  });
+
+  test('is refused for a wallet another key added', async () => {
+    const wallet = createWallet(newName(), owner.id);
+
+    const response = await deployWithWallet(other, wallet.id);
+
+    expect(response.status).toBe(403);
+    expect(response.body.error.details).toEqual({ wallet_id: wallet.id });
+    expect(enqueueDeployment).not.toHaveBeenCalled();
+  });
+
+  test('is allowed for a key the wallet was granted to, until the grant is revoked', async () => {
+    const ci = createApiKey({ name: 'ci', scopes: ['deploy:devnet'] });
+    const created = await request(app)
+      .post('/wallets')
+      .set('Authorization', `Bearer ${admin.key}`)
+      .send({ name: newName() });
+    const walletId = created.body.wallet.id;
+
+    const granted = await request(app)
+      .put(`/wallets/${walletId}/api-keys/${ci.id}`)
+      .set('Authorization', `Bearer ${admin.key}`);
+
+    expect(granted.status).toBe(200);
+    expect(granted.body.wallet.allowed_api_keys).toEqual([ci.id]);
+    expect((await deployWithWallet(ci, walletId)).status).toBe(202);
+    expect(enqueueDeployment.mock.calls[0][1].customWallet).toEqual(expect.objectContaining({ wallet_id: walletId }));
+
+    await request(app)
+      .delete(`/wallets/${walletId}/api-keys/${ci.id}`)
+      .set('Authorization', `Bearer ${admin.key}`);
+
+    expect((await deployWithWallet(ci, walletId)).status).toBe(403);
+  });
+
+  test('cannot be granted by keys without the admin scope', async () => {
+    const wallet = createWallet(newName(), admin.id);
+
+    const response = await request(app)
+      .put(`/wallets/${wallet.id}/api-keys/${other.id}`)
+      .set('Authorization', `Bearer ${other.key}`);
+
+    expect(response.status).toBe(403);
+    expect(getWallet(wallet.id).allowed_api_keys).toEqual([]);
+  });
+
+  test('cannot be granted to a key that does not exist', async () => {
+    const wallet = createWallet(newName(), admin.id);
+
+    const response = await request(app)
+      .put(`/wallets/${wallet.id}/api-keys/${crypto.randomUUID()}`)
+      .set('Authorization', `Bearer ${admin.key}`);
+
+    expect(response.status).toBe(404);
+  });
+
+  test('is refused for the treasury wallet, even to admin keys', async () => {
+    storeTreasuryWallet(admin.id);
+
+    const response = await deployWithWallet(admin, TREASURY_WALLET_ID);
+
+    expect(response.status).toBe(403);
+    expect(response.body.error.message).toBe('The treasury wallet cannot be used for deployments');
+    expect(enqueueDeployment).not.toHaveBeenCalled();
+  });
+});
+
+describe('deploying with a keypair file on the server', () => {
+  const deployer = createApiKey({ name: 'path-deployer', scopes: ['deploy:devnet'] });
+  const operator = createApiKey({ name: 'operator', scopes: ['deploy:devnet', SCOPES.ADMIN] });
+
+  beforeEach(() => {
+    enqueueDeployment.mockClear();
+  });
+
+  test('is refused for keys without the admin scope', async () => {
+    const response = await deploy(deployer, { wallet_path: 'keys/deployer.json' });
+
+    expect(response.status).toBe(403);
+    expect(response.body.error.details).toEqual({ required_scope: SCOPES.ADMIN });
+    expect(enqueueDeployment).not.toHaveBeenCalled();
+  });
+
+  test('is allowed for admin keys', async () => {
+    expect((await deploy(operator, { wallet_path: 'keys/deployer.json' })).status).toBe(202);
+  });
+});
+
+describe('the treasury wallet', () => {
+  test('is marked non-deployable when the database is opened', () => {
+    storeTreasuryWallet('key-1');
+    closeDatabase();
+
+    expect(getWallet(TREASURY_WALLET_ID).deployable).toBe(false);
+    expect(createWallet(newName(), 'key-1').deployable).toBe(true);
+  });
+
+  test('cannot set up a deployment wallet', async () => {
+    storeTreasuryWallet('key-1');
+
+    await expect(setupWallet('deployment-treasury', 'devnet', { wallet_id: TREASURY_WALLET_ID }))
+      .rejects.toThrow('The treasury wallet cannot be used for deployments');
+  });
+
+  test('still decrypts for the treasury itself', () => {
+    storeTreasuryWallet('key-1');
+
+    expect(loadWalletKeypair(TREASURY_WALLET_ID).publicKey.toBase58()).toBe(getWallet(TREASURY_WALLET_ID).address);
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * Wallet sweeper tests
+ * Leftover SOL goes back to the treasury exactly once, even when the API
+ * and a worker retry the same sweeps at the same time
+ */
+
+const fs = require('fs');
+
+const workDir = process.env.TEST_WORK_DIR;
+const { TREASURY_ADDRESS: TREASURY, SIGNATURE } = require('./helpers/fixtures');
+
+jest.mock('../src/services/treasury', () => ({
+  getTreasuryAddress: () => require('./helpers/fixtures').TREASURY_ADDRESS
+}));
+
+jest.mock('../src/services/walletManager', () => ({
+  deleteKeypair: jest.fn()
+}));
+
+jest.mock('../src/services/deploymentState', () => ({
+  ...jest.requireActual('../src/services/deploymentState'),
+  recordSweep: jest.fn(async () => {})
+}));
+
+jest.mock('../src/services/solanaCliWrapper', () => ({
+  configureCluster: jest.fn(async network => ({ network, keypairPath: null })),
+  setClusterKeypair: jest.fn(async (cluster, keypairPath) => {
+    cluster.keypairPath = keypairPath;
+  }),
+  cleanupClusterConfig: jest.fn(),
+  getBalance: jest.fn(),
+  transfer: jest.fn()
+}));
+
+const { registerSweep, sweepWallet, retryPendingSweeps } = require('../src/services/walletSweeper');
+const { getBalance, transfer } = require('../src/services/solanaCliWrapper');
+const { deleteKeypair } = require('../src/services/walletManager');
+const { recordSweep } = require('../src/services/deploymentState');
+const { prepare, closeDatabase } = require('../src/services/database');
+
+let deploymentCount = 0;
+
+/**
+ * Register a wallet to sweep
+ * @param {Object} options - Row overrides
+ * @param {number} options.ageMs - How long ago it was registered
+ * @returns {string} Deployment identifier
+ */
+function newSweep({ ageMs = 0 } = {}) {
+  deploymentCount++;
+  const deploymentId = `deployment-${deploymentCount}`;
+
+  registerSweep(deploymentId, 'devnet', `wallet-${deploymentCount}`, `/tmp/${deploymentId}.json`);
+
+  if (ageMs > 0) {
+    const past = new Date(Date.now() - ageMs).toISOString();
+    prepare('UPDATE wallet_sweeps SET created_at = ?, updated_at = ? WHERE deployment_id = ?').run(past, past, deploymentId);
+  }
+
+  return deploymentId;
+}
+
+/**
+ * Read a sweep row
+ * @param {string} deploymentId - Deployment identifier
+ * @returns {Object} Row
+ */
+function getSweep(deploymentId) {
+  return prepare('SELECT * FROM wallet_sweeps WHERE deployment_id = ?').get(deploymentId);
+}
+
+/**
+ * Hold every balance lookup until released
+ * @returns {Function} Releases the lookups
+ */
+function holdBalances() {
+  const waiting = [];
+  getBalance.mockImplementation(() => new Promise(resolve => waiting.push(resolve)));
+  return () => waiting.forEach(resolve => resolve(0.5));
+}
+
+beforeEach(() => {
+  prepare('DELETE FROM wallet_sweeps').run();
+  getBalance.mockReset().mockResolvedValue(0.5);
+  transfer.mockReset().mockResolvedValue(SIGNATURE);
+  deleteKeypair.mockClear();
+  recordSweep.mockClear();
+});
+
+afterAll(() => {
+  closeDatabase();
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('sweepWallet', () => {
+  test('sends the balance to the treasury and deletes the keypair', async () => {
+    const deploymentId = newSweep();
+
+    expect(await sweepWallet(deploymentId, { network: 'devnet' })).toBe(true);
+    expect(transfer).toHaveBeenCalledWith(TREASURY, 'ALL', deploymentId, expect.objectContaining({
+      keypairPath: `/tmp/${deploymentId}.json`
+    }));
+    expect(getSweep(deploymentId)).toMatchObject({ status: 'swept', sol_swept: 0.499995, signature: SIGNATURE });
+    expect(deleteKeypair).toHaveBeenCalledWith(`/tmp/${deploymentId}.json`);
+    expect(recordSweep).toHaveBeenCalledWith(deploymentId, expect.objectContaining({ status: 'swept', treasury: TREASURY }));
+  });
+
+  test('records an empty wallet without a transfer', async () => {
+    const deploymentId = newSweep();
+    getBalance.mockResolvedValue(0.000005);
+
+    expect(await sweepWallet(deploymentId, { network: 'devnet' })).toBe(true);
+    expect(transfer).not.toHaveBeenCalled();
+    expect(getSweep(deploymentId).status).toBe('empty');
+  });
+
+  test('keeps the keypair and the pending row when the transfer fails', async () => {
+    const deploymentId = newSweep();
+    transfer.mockRejectedValue(new Error('Failed to transfer SOL'));
+
+    expect(await sweepWallet(deploymentId, { network: 'devnet' })).toBe(false);
+    expect(getSweep(deploymentId)).toMatchObject({ status: 'pending', attempts: 1, last_error: 'Failed to transfer SOL' });
+    expect(deleteKeypair).not.toHaveBeenCalled();
+  });
+
+  test('does not sweep a wallet twice at the same time', async () => {
+    const deploymentId = newSweep();
+    const release = holdBalances();
+
+    const first = sweepWallet(deploymentId, { network: 'devnet' });
+    const second = await sweepWallet(deploymentId, { network: 'devnet' });
+
+    release();
+
+    expect(await first).toBe(true);
+    expect(second).toBe(false);
+    expect(transfer).toHaveBeenCalledTimes(1);
+  });
+
+  test('does nothing once the wallet was swept', async () => {
+    const deploymentId = newSweep();
+    await sweepWallet(deploymentId, { network: 'devnet' });
+
+    expect(await sweepWallet(deploymentId, { network: 'devnet' })).toBe(true);
+    expect(transfer).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('retryPendingSweeps', () => {
+  const ABANDONED_MS = 60 * 60 * 1000;
+
+  test('sweeps wallets whose deployment can no longer be running', async () => {
+    const abandoned = newSweep({ ageMs: ABANDONED_MS });
+    const running = newSweep();
+
+    expect(await retryPendingSweeps()).toBe(1);
+    expect(getSweep(abandoned).status).toBe('swept');
+    expect(getSweep(running).status).toBe('pending');
+  });
+
+  test('sweeps each wallet once when two processes retry together', async () => {
+    const first = newSweep({ ageMs: ABANDONED_MS });
+    const second = newSweep({ ageMs: ABANDONED_MS });
+
+    await Promise.all([retryPendingSweeps(), retryPendingSweeps()]);
+
+    expect(transfer).toHaveBeenCalledTimes(2);
+    expect(transfer.mock.calls.map(([, , deploymentId]) => deploymentId).sort()).toEqual([first, second]);
+    expect(getSweep(first).status).toBe('swept');
+    expect(getSweep(second).status).toBe('swept');
+  });
+
+  test('leaves a sweep in progress elsewhere alone', async () => {
+    const deploymentId = newSweep({ ageMs: ABANDONED_MS });
+    prepare('UPDATE wallet_sweeps SET status = ?, updated_at = ? WHERE deployment_id = ?')
+      .run('sweeping', new Date().toISOString(), deploymentId);
+
+    expect(await retryPendingSweeps()).toBe(0);
+    expect(transfer).not.toHaveBeenCalled();
+  });
+
+  test('takes over a sweep whose process died', async () => {
+    const deploymentId = newSweep({ ageMs: ABANDONED_MS });
+    prepare('UPDATE wallet_sweeps SET status = ? WHERE deployment_id = ?').run('sweeping', deploymentId);
+
+    expect(await retryPendingSweeps()).toBe(1);
+    expect(getSweep(deploymentId).status).toBe('swept');
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Workspace tests
+ * project_path is a relative path inside the clone; without it the single
+ * Anchor workspace in the tree is used, and several are reported by path
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const workDir = process.env.TEST_WORK_DIR;
+
+const { resolveWorkspace } = require('../src/services/projectManager');
+const { validateDeploymentRequest, isSafePath } = require('../src/utils/validators');
+const { InvalidProjectError, ValidationError } = require('../src/utils/errorHandler');
+
+const REPO_URL = 'https://github.com/example/escrow';
+
+let repoCount = 0;
+
+/**
+ * Create a repository with Anchor workspaces at the given paths
+ * @param {Array<string>} workspaces - Workspace paths relative to the root ('.' for the root)
+ * @returns {string} Repository path
+ */
+function createRepo(workspaces) {
+  repoCount++;
+  const repoPath = path.join(workDir, `repo-${repoCount}`);
+  fs.mkdirSync(repoPath, { recursive: true });
+
+  for (const workspace of workspaces) {
+    fs.mkdirSync(path.join(repoPath, workspace, 'programs'), { recursive: true });
+    fs.writeFileSync(path.join(repoPath, workspace, 'Anchor.toml'), '[programs.localnet]\n');
+  }
+
+  return repoPath;
+}
+
+/**
+ * Get the error a deployment request fails validation with
+ * @param {Object} body - Request body
+ * @returns {Error|null} Thrown error, or null if the request is valid
+ */
+function validationError(body) {
+  try {
+    validateDeploymentRequest(body);
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+/**
+ * Get the error a call rejects with
+ * @param {Promise} promise - Pending call
+ * @returns {Promise<Error|null>} Rejection, or null if it resolved
+ */
+async function rejection(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+afterAll(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('isSafePath', () => {
+  test.each([
+    'contracts',
+    'onchain/solana',
+    './contracts',
+    'contracts/..anchor'
+  ])('accepts %s', (value) => {
+    expect(isSafePath(value)).toBe(true);
+  });
+
+  test.each([
+    '..',
+    '../other',
+    'contracts/..',
+    'contracts/../../other',
+    '/etc',
+    'C:/Users',
+    'contracts\\solana',
+    '..\\other'
+  ])('rejects %s', (value) => {
+    expect(isSafePath(value)).toBe(false);
+  });
+});
+
+describe('project_path validation', () => {
+  test('accepts a subdirectory', () => {
+    const value = validateDeploymentRequest({ repo_url: REPO_URL, project_path: 'onchain/solana' });
+
+    expect(value.project_path).toBe('onchain/solana');
+  });
+
+  test.each(['contracts/..', '/srv/repo', 'contracts\\solana'])('rejects %s', (projectPath) => {
+    const error = validationError({ repo_url: REPO_URL, project_path: projectPath });
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.details).toEqual([{
+      field: 'project_path',
+      message: 'project_path must be a relative path inside the repository'
+    }]);
+  });
+});
+
+describe('resolveWorkspace', () => {
+  test('uses the requested subdirectory', async () => {
+    const repoPath = createRepo(['contracts', 'onchain/solana']);
+
+    expect(await resolveWorkspace(repoPath, 'deployment-1', 'onchain/solana')).toBe(path.join(repoPath, 'onchain/solana'));
+  });
+
+  test('reports a missing subdirectory', async () => {
+    const repoPath = createRepo(['.']);
+
+    const error = await rejection(resolveWorkspace(repoPath, 'deployment-1', 'contracts'));
+
+    expect(error).toBeInstanceOf(InvalidProjectError);
+    expect(error.message).toBe('project_path not found in repository: contracts');
+  });
+
+  test('refuses a symlink that leaves the clone', async () => {
+    const repoPath = createRepo(['.']);
+    const outside = createRepo(['.']);
+    fs.symlinkSync(outside, path.join(repoPath, 'contracts'));
+
+    const error = await rejection(resolveWorkspace(repoPath, 'deployment-1', 'contracts'));
+
+    expect(error).toBeInstanceOf(InvalidProjectError);
+    expect(error.message).toBe('project_path must stay inside the repository');
+  });
+
+  test('uses the root when it is the only workspace', async () => {
+    const repoPath = createRepo(['.']);
+
+    expect(await resolveWorkspace(repoPath, 'deployment-1')).toBe(repoPath);
+  });
+
+  test('discovers a single nested workspace', async () => {
+    const repoPath = createRepo(['onchain/solana']);
+
+    expect(await resolveWorkspace(repoPath, 'deployment-1')).toBe(path.join(repoPath, 'onchain/solana'));
+  });
+
+  test('does not search build and dependency directories', async () => {
+    const repoPath = createRepo(['contracts', 'node_modules/some-sdk', 'contracts/target/idl']);
+
+    expect(await resolveWorkspace(repoPath, 'deployment-1')).toBe(path.join(repoPath, 'contracts'));
+  });
+
+  test('lists the candidates when there are several', async () => {
+    const repoPath = createRepo(['contracts', 'onchain/solana']);
+
+    const error = await rejection(resolveWorkspace(repoPath, 'deployment-1'));
+
+    expect(error).toBeInstanceOf(InvalidProjectError);
+    expect(error.details.candidates.sort()).toEqual(['contracts', 'onchain/solana']);
+  });
+
+  test('lists the root with nested workspaces instead of picking it', async () => {
+    const repoPath = createRepo(['.', 'examples/escrow']);
+
+    const error = await rejection(resolveWorkspace(repoPath, 'deployment-1'));
+
+    expect(error).toBeInstanceOf(InvalidProjectError);
+    expect(error.details).toEqual({ candidates: ['.', 'examples/escrow'] });
+  });
+
+  test('reports a repository without a workspace', async () => {
+    const repoPath = createRepo([]);
+
+    const error = await rejection(resolveWorkspace(repoPath, 'deployment-1'));
+
+    expect(error).toBeInstanceOf(InvalidProjectError);
+    expect(error.message).toBe('Not an Anchor project: Anchor.toml not found');
+  });
+});